@@ -6,22 +6,33 @@ import axios from 'axios';
 import Bottleneck from 'bottleneck';
 import NodeCache from 'node-cache';
 import Table from 'cli-table3';
-import { PublicKey, Connection } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
 import {
   fetchProgramBinary,
   analyzeBinary,
+  disassemble,
+  isElf,
   getRecentTransactions,
+  parseTimeframe,
   getTokenMetadata,
   analyzeFees,
   inferBehavior,
+  clusterWallets,
+  detectWashTrading,
+  detectMev,
+  analyzeLookupTables,
+  isAmm,
   assessSafety,
   assessRisks,
   generateIDL,
+  formatIdlType,
   reconstructCallGraph,
   analyzeAuthorityHolders,
   scanVulnerabilities,
   startMonitoring,
   extractState,
+  extractStateLayouts,
+  layoutsToCsv,
   inferGovernance,
   analyzeUpdateHistory,
   quickCheck,
@@ -29,8 +40,22 @@ import {
   deepDiveAnalysis,
   predictRisk,
   traceInteractions,
+  traceFunds,
+  exportFlowGraph,
   exportIdaScript,
   visualizeGraph,
+  getConnection,
+  hasConfiguredEndpoint,
+  checkEndpoints,
+  getEnhancedApi,
+  redactEndpoint,
+  getCluster,
+  withCluster,
+  normalizeRequestCluster,
+  solscanUrl,
+  startRecording,
+  replayFixtures,
+  fixtureFetch,
 } from './src/lib/index.js';
 import { success, error } from './src/formatting.js';
 
@@ -43,6 +68,10 @@ const PORT = process.env.PORT || 3000;
 const wss = new WebSocketServer({ noServer: true });
 const cache = new NodeCache({ stdTTL: 300 });
 let solPriceUSD = 150;
+const EMPTY_PROGRAM_ACCOUNT = { binary: Buffer.from([]), loader: null, programDataAddress: null, deploySlot: null, upgradeAuthority: null };
+// Fund tracing crawls account after account through the shared transaction rate limit; a request
+// stops following new accounts after this long and returns the partial graph.
+const TRACE_TIMEOUT_MS = 30000;
 
 const limiter = new Bottleneck({
   maxConcurrent: 10,
@@ -60,6 +89,19 @@ app.use((req, res, next) => {
   });
 });
 
+// Run each request against the cluster it asks for (?cluster= or body.cluster), else the configured one.
+// Only public or allowlisted clusters: arbitrary RPC URLs would let callers reach the server's network.
+app.use((req, res, next) => {
+  const requested = req.query.cluster || req.body?.cluster;
+  let cluster;
+  try {
+    cluster = requested ? normalizeRequestCluster(requested) : null;
+  } catch (err) {
+    return res.status(400).json({ error: err.message, support: 'adunbi8@gmail.com' });
+  }
+  withCluster(cluster, next);
+});
+
 async function proxyToRender(req, res, endpoint, method = 'post') {
   try {
     const response = await axios({
@@ -83,7 +125,7 @@ async function fetchSolPrice() {
     return;
   }
   try {
-    const response = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd');
+    const response = await fixtureFetch(fetch, 'https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd');
     const data = await response.json();
     solPriceUSD = data.solana.usd;
     cache.set(cacheKey, solPriceUSD);
@@ -102,11 +144,12 @@ function validateAddress(address) {
   }
 }
 
+// Aborts fn's signal after ms; fn is still awaited, so only work that stops on an aborted signal is cut short
 async function withTimeout(fn, ms, fallback) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), ms);
   try {
-    const result = await fn({ signal: controller.signal });
+    const result = await fn(controller.signal);
     clearTimeout(timeout);
     return result || fallback; // Use fallback if result is null/undefined
   } catch (err) {
@@ -116,6 +159,13 @@ async function withTimeout(fn, ms, fallback) {
   }
 }
 
+// Prefer a caller-supplied IDL, then the on-chain or bytecode-recovered one, for decoding instructions
+async function resolveIdl(analysis, idl) {
+  if (idl) return idl;
+  const generated = await withTimeout(signal => generateIDL(analysis, { transactions: [] }, { signal }), 5000, null);
+  return generated && ['on-chain', 'bytecode'].includes(generated.source) ? generated : null;
+}
+
 function tableToJson(table) {
   const headers = table.options.head.map(h => String(h).replace(/\x1B\[\d+m/g, ''));
   return table.map(row =>
@@ -127,6 +177,26 @@ function tableToJson(table) {
   );
 }
 
+// Transaction window requested as body.timeframe or ?timeframe= (e.g. '7d'); without one the newest transactions are used
+function requestTimeframe(req, res, fallback = 'all') {
+  const timeframe = req.body?.timeframe || req.query.timeframe || fallback;
+  try {
+    parseTimeframe(timeframe);
+    return timeframe;
+  } catch (err) {
+    res.status(400).json({ error: err.message, support: 'adunbi8@gmail.com' });
+    return null;
+  }
+}
+
+// A program account whose data is not an sBPF ELF cannot be disassembled; that is the caller's input, not a server failure
+function rejectNonElf(res, address) {
+  return res.status(422).json({
+    error: `Program ${address} holds no sBPF ELF binary to disassemble`,
+    support: 'adunbi8@gmail.com',
+  });
+}
+
 const validateAddressMiddleware = (req, res, next) => {
   const address = req.params.address || req.body.address;
   if (!address || !validateAddress(address)) {
@@ -145,24 +215,53 @@ app.get('/init', async (req, res) => {
   res.json({ status: 'success', solPriceUSD });
 });
 
+app.get('/rpc-status', async (req, res) => {
+  try {
+    const results = await checkEndpoints({ force: true });
+    res.json({
+      status: 'success',
+      data: {
+        endpoints: results.map(result => ({ ...result, url: redactEndpoint(result.url) })),
+        cluster: getCluster(),
+        enhancedApi: getEnhancedApi().name,
+        configured: hasConfiguredEndpoint(),
+      },
+    });
+  } catch (err) {
+    res.status(500).json({
+      error: `RPC check failed: ${err.message}`,
+      debug: err.stack,
+      support: 'adunbi8@gmail.com',
+    });
+  }
+});
+
 app.post('/analyze/:address', validateAddressMiddleware, async (req, res) => {
-  if (!process.env.HELIUS_API_KEY) {
+  if (!hasConfiguredEndpoint()) {
     return proxyToRender(req, res, `/analyze/${req.params.address}`);
   }
   try {
     const address = req.params.address;
-    const binary = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, Buffer.from([]));
-    const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal }), 5000, { transactions: [], economicInsights: { totalVolumeSOL: 0.1043, suspiciousVolume: 0.0003, transactionTypes: { others: { count: 24, volume: 0 } }, topAccounts: [] } });
+    const timeframe = requestTimeframe(req, res);
+    if (!timeframe) return;
+    const programAccount = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+    const { binary } = programAccount;
+    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal, programAccount }), 5000, { insights: { suspectedType: 'unknown', instructions: 4, syscalls: [], reentrancyRisk: 'Low', controlFlow: { branches: 0, loops: 0 }, usesBorsh: false, authorityHolders: [] } });
+    const idl = await resolveIdl(analysis, req.body.idl);
+    let transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, timeframe, signal, idl }), 5000, { transactions: [], economicInsights: { totalVolumeSOL: 0.1043, suspiciousVolume: 0.0003, transactionTypes: { others: { count: 24, volume: 0 } }, topAccounts: [] } });
     const tokenMetadata = await withTimeout(signal => getTokenMetadata(address, { signal }), 5000, { isToken: false, mint: 'N/A', supply: 0 });
-    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal }), 5000, { insights: { suspectedType: 'unknown', instructions: 4, syscalls: ['sol_verify_signature'], reentrancyRisk: 'Low', controlFlow: { branches: 0, loops: 0 }, usesBorsh: false, authorityHolders: [] } });
-    const behavior = await withTimeout(signal => inferBehavior(analysis, transactionData, { signal }), 5000, { scamProbability: 20, launderingLikelihood: 45, suspectedType: analysis.insights.suspectedType, concentrationRisk: 'Low' });
+    // Funder lookups cost several RPC calls per wallet; a request only clusters on transaction signals, which need none.
+    const walletClusters = await clusterWallets(transactionData, { funders: false });
+    const washTrading = detectWashTrading(transactionData, { walletClusters });
+    transactionData = { ...transactionData, economicInsights: { ...transactionData.economicInsights, washTrading, organicVolumeSOL: washTrading.organicVolumeSOL } };
+    const behavior = await withTimeout(signal => inferBehavior(analysis, transactionData, { signal, walletClusters }), 5000, { scamProbability: 20, launderingLikelihood: 45, suspectedType: analysis.insights.suspectedType, concentrationRisk: 'Low' });
     const authorityInsights = await withTimeout(signal => analyzeAuthorityHolders(analysis.insights.authorityHolders?.filter(a => validateAddress(a)) || [], address, { signal }), 5000, []);
     const vulnerabilities = await withTimeout(signal => scanVulnerabilities(analysis, { signal }), 5000, [{ type: 'Excessive Authority Control', severity: 'Moderate', details: 'Single authority increases centralization risk.', confidence: '85%' }]);
     const callGraph = await withTimeout(signal => reconstructCallGraph(analysis, transactionData, { signal }), 5000, { nodes: [], edges: [{ from: 'uAngRgGL...', to: 'Dony3a2i...', action: 'unknown', count: 1 }] });
     const safetyAssessment = await withTimeout(signal => assessSafety(analysis, authorityInsights, transactionData, callGraph, { signal }), 5000, { safetyScore: 80, risks: [] });
     const risks = await withTimeout(signal => assessRisks(address, analysis, transactionData, { signal }), 5000, []);
 
-    const connection = new Connection(`https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}`, 'confirmed');
+    const connection = getConnection();
     const accountInfo = await withTimeout(signal => connection.getAccountInfo(new PublicKey(address), { signal }), 5000, { lamports: 1100000, owner: new PublicKey('BPFLoaderUpgradeab1e11111111111111111111111'), executable: true });
 
     // Validate tokenMetadata
@@ -230,12 +329,12 @@ app.post('/analyze/:address', validateAddressMiddleware, async (req, res) => {
             volume: (acc.volume || 0).toFixed(4),
             action: String(acc.action || 'unknown'),
             txCount: String(acc.txCount || 0),
-            solscan: `https://solscan.io/account/${acc.address || address}`,
+            solscan: solscanUrl(`account/${acc.address || address}`),
           })) || [],
         },
         binaryInsights: {
           instructions: String(analysis.insights.instructions || 0),
-          syscalls: (analysis.insights.syscalls || []).map(String),
+          syscalls: (analysis.insights.syscalls || []).map(s => s.name),
           suspectedType: String(analysis.insights.suspectedType || 'unknown'),
           reentrancyRisk: String(analysis.insights.reentrancyRisk || 'Low'),
           controlFlow: {
@@ -251,8 +350,22 @@ app.post('/analyze/:address', validateAddressMiddleware, async (req, res) => {
         vulnerabilities: tableToJson(vulnTable),
         authorities: tableToJson(authorityTable),
         callGraph: tableToJson(callGraphTable),
+        callers: (callGraph.callers || []).map(caller => ({ program: caller.program, count: String(caller.count), instructions: caller.instructions })),
+        callees: (callGraph.callees || []).map(callee => ({ program: callee.program, count: String(callee.count), instructions: callee.instructions })),
+        washTrading: {
+          organicVolumeSOL: washTrading.organicVolumeSOL.toFixed(4),
+          washShare: `${(washTrading.washShare * 100).toFixed(0)}%`,
+          cycles: washTrading.cycles.slice(0, 10),
+          concentratedPairs: washTrading.pairConcentration.concentrated ? washTrading.pairConcentration.topPairs : [],
+        },
+        walletClusters: {
+          wallets: String(walletClusters.walletCount),
+          entities: String(walletClusters.entityCount),
+          largestClusterShare: `${(walletClusters.largestClusterShare * 100).toFixed(0)}%`,
+          clusters: walletClusters.clusters.slice(0, 5).map(cluster => ({ wallets: cluster.wallets, confidence: `${cluster.confidence}%`, signals: cluster.signals, funders: cluster.funders })),
+        },
         recommendations: [
-          `Monitor program updates: https://solscan.io/account/${address}#events`,
+          `Monitor program updates: ${solscanUrl(`account/${address}#events`)}`,
           'Run `audit-report` for a detailed report.',
         ],
       },
@@ -267,7 +380,7 @@ app.post('/analyze/:address', validateAddressMiddleware, async (req, res) => {
 });
 
 app.get('/quick-check/:address', validateAddressMiddleware, async (req, res) => {
-  if (!process.env.HELIUS_API_KEY) {
+  if (!hasConfiguredEndpoint()) {
     return proxyToRender(req, res, `/quick-check/${req.params.address}`, 'get');
   }
   try {
@@ -300,7 +413,7 @@ app.get('/quick-check/:address', validateAddressMiddleware, async (req, res) =>
 });
 
 app.get('/token-metadata/:address', validateAddressMiddleware, async (req, res) => {
-  if (!process.env.HELIUS_API_KEY) {
+  if (!hasConfiguredEndpoint()) {
     return proxyToRender(req, res, `/token-metadata/${req.params.address}`, 'get');
   }
   try {
@@ -322,7 +435,7 @@ app.get('/token-metadata/:address', validateAddressMiddleware, async (req, res)
 });
 
 app.post('/assess-risks/:address', validateAddressMiddleware, async (req, res) => {
-  if (!process.env.HELIUS_API_KEY) {
+  if (!hasConfiguredEndpoint()) {
     return proxyToRender(req, res, `/assess-risks/${req.params.address}`);
   }
   try {
@@ -341,13 +454,13 @@ app.post('/assess-risks/:address', validateAddressMiddleware, async (req, res) =
 });
 
 app.post('/analyze-fees/:address', validateAddressMiddleware, async (req, res) => {
-  if (!process.env.HELIUS_API_KEY) {
+  if (!hasConfiguredEndpoint()) {
     return proxyToRender(req, res, `/analyze-fees/${req.params.address}`);
   }
   try {
     const address = req.params.address;
-    const { limit = 25 } = req.body;
-    const feeAnalysis = await withTimeout(signal => analyzeFees(address, { limit: parseInt(limit), signal }), 5000, { totalTransactions: 24, averageFeeSOL: 0.000005, hiddenFees: [], manipulation: [] });
+    const { limit = 25, idl } = req.body;
+    const feeAnalysis = await withTimeout(signal => analyzeFees(address, { limit: parseInt(limit), signal, idl }), 5000, { totalTransactions: 24, averageFeeSOL: 0.000005, hiddenFees: [], manipulation: [] });
 
     const feeTable = new Table({ head: ['Metric', 'Value'] });
     feeTable.push(
@@ -361,15 +474,22 @@ app.post('/analyze-fees/:address', validateAddressMiddleware, async (req, res) =
     const manipulationTable = new Table({ head: ['Issue', 'Signature', 'Details'] });
     (feeAnalysis.manipulation || []).forEach(issue => manipulationTable.push([String(issue.issue || 'N/A'), String(issue.signature || 'N/A').slice(0, 8) + '...', String(issue.details || 'None')]));
 
+    const hiddenFeeTable = new Table({ head: ['Issue', 'Instruction', 'Details'] });
+    (feeAnalysis.hiddenFees || []).forEach(fee => hiddenFeeTable.push([String(fee.issue), String(fee.instruction), String(fee.details)]));
+
+    const recommendations = [`Monitor fees: ${solscanUrl(`account/${address}#transactions`)}`];
+    if (feeAnalysis.hiddenFees?.length) recommendations.push('Lower the SetComputeUnitLimit of over-requested instructions to the suggested limit.');
+    if (feeAnalysis.compute?.computeExceeded.length) recommendations.push('Raise the compute limit of failing instructions, or reduce their compute usage.');
+    recommendations.push('Run `audit-report` for a comprehensive report.');
+
     res.json({
       status: 'success',
       data: {
         fees: tableToJson(feeTable),
         manipulationIssues: tableToJson(manipulationTable),
-        recommendations: [
-          `Monitor fees: https://solscan.io/account/${address}#transactions`,
-          'Run `audit-report` for a comprehensive report.',
-        ],
+        hiddenFees: tableToJson(hiddenFeeTable),
+        compute: feeAnalysis.compute || null,
+        recommendations,
       },
     });
   } catch (err) {
@@ -382,11 +502,28 @@ app.post('/analyze-fees/:address', validateAddressMiddleware, async (req, res) =
 });
 
 app.get('/extract-state/:address', validateAddressMiddleware, async (req, res) => {
-  if (!process.env.HELIUS_API_KEY) {
+  if (!hasConfiguredEndpoint()) {
     return proxyToRender(req, res, `/extract-state/${req.params.address}`, 'get');
   }
   try {
     const address = req.params.address;
+    if (req.query.layout === 'true') {
+      const programAccount = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+      const analysis = await withTimeout(signal => analyzeBinary(programAccount.binary, address, { signal, programAccount }), 5000, { insights: { address } });
+      const idl = await resolveIdl(analysis);
+      const { accountCount, layouts } = await withTimeout(signal => extractStateLayouts(address, { signal, idl, sample: Number(req.query.sample) || undefined }), 30000, { accountCount: 0, layouts: [] });
+      if (req.query.format === 'csv') {
+        return res.type('text/csv').send(layoutsToCsv(layouts));
+      }
+      return res.json({
+        status: 'success',
+        data: {
+          accountCount,
+          layouts,
+          recommendations: ['Run `reconstruct-api` to infer program structure.', 'Use `format=csv` to export the sample rows.'],
+        },
+      });
+    }
     const state = await withTimeout(signal => extractState(address, { signal }), 5000, []);
 
     const stateTable = new Table({ head: ['Account', 'Lamports', 'Data Length', 'Data (Hex)'] });
@@ -409,23 +546,33 @@ app.get('/extract-state/:address', validateAddressMiddleware, async (req, res) =
 });
 
 app.get('/reconstruct-api/:address', validateAddressMiddleware, async (req, res) => {
-  if (!process.env.HELIUS_API_KEY) {
+  if (!hasConfiguredEndpoint()) {
     return proxyToRender(req, res, `/reconstruct-api/${req.params.address}`, 'get');
   }
   try {
     const address = req.params.address;
-    const binary = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, Buffer.from([]));
-    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal }), 5000, { insights: { suspectedType: 'unknown', instructions: 4 } });
+    const programAccount = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+    const { binary } = programAccount;
+    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal, programAccount }), 5000, { insights: { suspectedType: 'unknown', instructions: 4 } });
     const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal }), 5000, { transactions: [] });
     const idl = await withTimeout(signal => generateIDL(analysis, transactionData, { signal }), 5000, { instructions: [] });
 
-    const idlTable = new Table({ head: ['Instruction', 'Arguments', 'Returns'] });
-    (idl.instructions || []).forEach(instruction => idlTable.push([String(instruction.name || 'N/A'), instruction.args?.map(arg => `${arg.name}: ${arg.type}`).join(', ') || 'None', String(instruction.returns || 'void')]));
+    const idlTable = idl.source === 'bytecode'
+      ? new Table({ head: ['Instruction', 'Discriminator', 'Handler'] })
+      : new Table({ head: ['Instruction', 'Arguments', 'Returns'] });
+    (idl.instructions || []).forEach(instruction => idlTable.push(idl.source === 'bytecode'
+      ? [String(instruction.name), Buffer.from(instruction.discriminator).toString('hex'), String(instruction.handler || 'Unknown')]
+      : [String(instruction.name || 'N/A'), instruction.args?.map(arg => `${arg.name}: ${formatIdlType(arg.type)}`).join(', ') || 'None', instruction.returns ? formatIdlType(instruction.returns) : 'void']));
 
     res.json({
       status: 'success',
       data: {
         idl: tableToJson(idlTable),
+        source: idl.source || 'unknown',
+        idlAuthority: idl.onChain?.authority || null,
+        idlAddress: idl.onChain?.idlAddress || null,
+        staleIdl: idl.onChain?.stale || false,
+        staleness: idl.onChain ? { missingFromIdl: idl.onChain.missingFromIdl, missingFromBinary: idl.onChain.missingFromBinary } : null,
         recommendations: ['Run `export-idl` to save the IDL.', 'Run `deep-dive` to analyze instructions.'],
       },
     });
@@ -439,13 +586,14 @@ app.get('/reconstruct-api/:address', validateAddressMiddleware, async (req, res)
 });
 
 app.get('/infer-governance/:address', validateAddressMiddleware, async (req, res) => {
-  if (!process.env.HELIUS_API_KEY) {
+  if (!hasConfiguredEndpoint()) {
     return proxyToRender(req, res, `/infer-governance/${req.params.address}`, 'get');
   }
   try {
     const address = req.params.address;
-    const binary = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, Buffer.from([]));
-    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal }), 5000, { insights: { authorityHolders: [] } });
+    const programAccount = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+    const { binary } = programAccount;
+    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal, programAccount }), 5000, { insights: { authorityHolders: [] } });
     const authorityInsights = await withTimeout(signal => analyzeAuthorityHolders(analysis.insights.authorityHolders?.filter(a => validateAddress(a)) || [], address, { signal }), 5000, []);
     const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal }), 5000, { transactions: [] });
     const callGraph = await withTimeout(signal => reconstructCallGraph(analysis, transactionData, { signal }), 5000, { nodes: [], edges: [] });
@@ -475,7 +623,7 @@ app.get('/infer-governance/:address', validateAddressMiddleware, async (req, res
 });
 
 app.get('/update-history/:address', validateAddressMiddleware, async (req, res) => {
-  if (!process.env.HELIUS_API_KEY) {
+  if (!hasConfiguredEndpoint()) {
     return proxyToRender(req, res, `/update-history/${req.params.address}`, 'get');
   }
   try {
@@ -502,24 +650,32 @@ app.get('/update-history/:address', validateAddressMiddleware, async (req, res)
 });
 
 app.post('/audit-report/:address', validateAddressMiddleware, async (req, res) => {
-  if (!process.env.HELIUS_API_KEY) {
+  if (!hasConfiguredEndpoint()) {
     return proxyToRender(req, res, `/audit-report/${req.params.address}`);
   }
   try {
     const address = req.params.address;
     const { output = 'audit_report.json', format = 'json' } = req.body;
-    const binary = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, Buffer.from([]));
-    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal }), 5000, { insights: { suspectedType: 'unknown', instructions: 4, authorityHolders: [] } });
-    const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal }), 5000, { transactions: [], economicInsights: { totalVolumeSOL: 0.1043, suspiciousVolume: 0.0003, topAccounts: [] } });
+    const timeframe = requestTimeframe(req, res);
+    if (!timeframe) return;
+    const programAccount = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+    const { binary } = programAccount;
+    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal, programAccount }), 5000, { insights: { suspectedType: 'unknown', instructions: 4, authorityHolders: [] } });
+    const idl = await resolveIdl(analysis, req.body.idl);
+    const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, timeframe, signal, idl }), 5000, { transactions: [], economicInsights: { totalVolumeSOL: 0.1043, suspiciousVolume: 0.0003, topAccounts: [] } });
     const authorityInsights = await withTimeout(signal => analyzeAuthorityHolders(analysis.insights.authorityHolders?.filter(a => validateAddress(a)) || [], address, { signal }), 5000, []);
     const vulnerabilities = await withTimeout(signal => scanVulnerabilities(analysis, { signal }), 5000, [{ type: 'Excessive Authority Control', severity: 'Moderate', details: 'Single authority increases centralization risk.', confidence: '85%' }]);
     const callGraph = await withTimeout(signal => reconstructCallGraph(analysis, transactionData, { signal }), 5000, { nodes: [], edges: [{ from: 'uAngRgGL...', to: 'Dony3a2i...', action: 'unknown', count: 1 }] });
     const safetyAssessment = await withTimeout(signal => assessSafety(analysis, authorityInsights, transactionData, callGraph, { signal }), 5000, { safetyScore: 80, risks: [] });
-    const report = await withTimeout(signal => generateAuditReport(analysis, authorityInsights, transactionData, callGraph, vulnerabilities, safetyAssessment, { signal }), 5000, {
+    const behavior = await withTimeout(signal => inferBehavior(analysis, transactionData, { signal }), 5000, null);
+    const mev = isAmm(behavior) ? await detectMev(transactionData, address) : null;
+    const skipped = mev ? {} : { mev: 'program is not labelled as an AMM' };
+    const lookupTables = await analyzeLookupTables(transactionData, address, { upgradeAuthority: programAccount.upgradeAuthority });
+    const report = await withTimeout(signal => generateAuditReport(analysis, authorityInsights, transactionData, callGraph, vulnerabilities, safetyAssessment, { signal, skipped, mev, lookupTables, idl }), 5000, {
       programAddress: address,
       executiveSummary: { programType: 'unknown', safetyScore: 80, riskLevel: 'Low', keyFindings: [], riskScoreBreakdown: { critical: 0, high: 0, moderate: 1, low: 0 } },
       riskAssessment: { totalRisks: 1, prioritizedRisks: [{ type: 'Excessive Authority Control', severity: 'Moderate', details: 'Single authority increases centralization risk.', mitigation: 'Implement multi-sig authority.' }] },
-      binaryAnalysis: { size: 36, instructionCount: 4, syscalls: ['sol_verify_signature'], likelyBehavior: 'Unknown', controlFlow: { complexity: 0, branches: 0, loops: 0 } },
+      binaryAnalysis: { size: 36, instructionCount: 4, syscalls: [], likelyBehavior: 'Unknown', controlFlow: { complexity: 0, branches: 0, loops: 0 } },
       economicAnalysis: { totalVolumeSOL: 0.1043, averageFeeSOL: 0.000005, suspiciousVolumeSOL: 0.0003 },
       vulnerabilityAnalysis: vulnerabilities,
       recommendations: [{ priority: 'High', action: 'Implement multi-sig authority', link: '' }],
@@ -532,7 +688,8 @@ app.post('/audit-report/:address', validateAddressMiddleware, async (req, res) =
       ['Safety Score', String(report.executiveSummary?.safetyScore || 50) + '/100'],
       ['Risk Level', String(report.executiveSummary?.riskLevel || 'Moderate')],
       ['Total Risks', String(report.riskAssessment?.totalRisks || 0)],
-      ['Vulnerabilities', String(report.vulnerabilityAnalysis?.length || 0)]
+      ['Vulnerabilities', String(report.vulnerabilityAnalysis?.length || 0)],
+      ['IDL Source', `${report.idlAnalysis?.source || 'none'}${report.idlAnalysis?.stale ? ' (stale)' : ''}`]
     );
 
     res.json({
@@ -557,13 +714,32 @@ app.post('/audit-report/:address', validateAddressMiddleware, async (req, res) =
             `## Binary Analysis`,
             `- **Size**: ${report.binaryAnalysis?.size || 0} bytes`,
             `- **Instructions**: ${report.binaryAnalysis?.instructionCount || 0}`,
-            `- **Syscalls**: ${(report.binaryAnalysis?.syscalls || []).join(', ') || 'None'}`,
+            `- **Syscalls**: ${(report.binaryAnalysis?.syscalls || []).map(s => `${s.name} (${s.count} call sites)`).join(', ') || 'None'}`,
             `- **Behavior**: ${report.binaryAnalysis?.likelyBehavior || 'Unknown'}`,
             `- **Control Flow**: ${report.binaryAnalysis?.controlFlow?.complexity || 0} (Branches: ${report.binaryAnalysis?.controlFlow?.branches || 0}, Loops: ${report.binaryAnalysis?.controlFlow?.loops || 0})`,
+            `## IDL`,
+            `- **Source**: ${report.idlAnalysis?.source || 'none'}`,
+            ...(report.idlAnalysis?.idlAddress ? [
+              `- **IDL Account**: ${report.idlAnalysis.idlAddress}`,
+              `- **Authority**: ${report.idlAnalysis.authority}`,
+              `- **Stale**: ${report.idlAnalysis.stale ? `yes (not published: ${report.idlAnalysis.missingFromIdl.join(', ') || 'none'}; not dispatched: ${report.idlAnalysis.missingFromBinary.join(', ') || 'none'})` : 'no'}`,
+            ] : []),
             `## Economic Analysis`,
             `- **Total Volume**: ${report.economicAnalysis?.totalVolumeSOL || 0} SOL`,
             `- **Average Fee**: ${report.economicAnalysis?.averageFeeSOL || 0} SOL`,
             `- **Suspicious Volume**: ${report.economicAnalysis?.suspiciousVolumeSOL || 0} SOL`,
+            `## MEV Analysis`,
+            ...(!report.mevAnalysis || report.mevAnalysis.skipped ? [`- Skipped: ${report.mevAnalysis?.reason || 'MEV detection did not run'}`] : [
+              `- **Sandwiches**: ${report.mevAnalysis.sandwichCount}`,
+              `- **Extracted Value**: ${report.mevAnalysis.extractedUSD === null ? 'n/a' : `$${report.mevAnalysis.extractedUSD.toFixed(2)}`}`,
+              `- **Jito Tips**: ${report.mevAnalysis.jitoTips.count} (${report.mevAnalysis.jitoTips.totalSOL.toFixed(6)} SOL)`,
+              ...report.mevAnalysis.topAttackers.map(attacker => `- **Attacker ${attacker.wallet}**: ${attacker.sandwiches} sandwiches`),
+            ]),
+            `## Address Lookup Tables`,
+            ...(!report.lookupTableAnalysis || report.lookupTableAnalysis.skipped ? [`- Skipped: ${report.lookupTableAnalysis?.reason || 'Lookup table analysis did not run'}`] : [
+              `- **Transactions Using Tables**: ${report.lookupTableAnalysis.transactionsUsingTables}`,
+              ...report.lookupTableAnalysis.tables.map(table => `- **Table ${table.address}** (${table.risk} risk): ${table.control === 'frozen' ? 'frozen' : `authority ${table.authority || 'unknown'} (${table.control})`}`),
+            ]),
             `## Recommendations`,
             ...(report.recommendations || []).map(r => `- **${r.priority}**: ${r.action}${r.link ? ` [${r.link}]` : ''}`),
           ].join('\n'),
@@ -581,15 +757,17 @@ app.post('/audit-report/:address', validateAddressMiddleware, async (req, res) =
 });
 
 app.get('/deep-dive/:address', validateAddressMiddleware, async (req, res) => {
-  if (!process.env.HELIUS_API_KEY) {
+  if (!hasConfiguredEndpoint()) {
     return proxyToRender(req, res, `/deep-dive/${req.params.address}`, 'get');
   }
   try {
     const address = req.params.address;
-    const binary = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, Buffer.from([]));
-    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal }), 5000, { insights: { instructions: 4 } });
-    const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal }), 5000, { transactions: [] });
-    const deepDive = await withTimeout(signal => deepDiveAnalysis(analysis, transactionData, { signal }), 5000, { instructionFrequency: {}, anomalies: [] });
+    const programAccount = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+    const { binary } = programAccount;
+    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal, programAccount }), 5000, { insights: { instructions: 4 } });
+    const idl = await resolveIdl(analysis);
+    const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal, idl }), 5000, { transactions: [] });
+    const deepDive = await withTimeout(signal => deepDiveAnalysis(analysis, transactionData, { signal, address, idl }), 5000, { instructionFrequency: {}, anomalies: [], errors: null });
 
     const freqTable = new Table({ head: ['Instruction', 'Frequency'] });
     Object.entries(deepDive.instructionFrequency || {}).forEach(([opcode, count]) => freqTable.push([String(opcode), String(count)]));
@@ -597,11 +775,16 @@ app.get('/deep-dive/:address', validateAddressMiddleware, async (req, res) => {
     const anomalyTable = new Table({ head: ['Issue', 'Details'] });
     (deepDive.anomalies || []).forEach(anomaly => anomalyTable.push([String(anomaly.issue || 'N/A'), String(anomaly.details || 'None')]));
 
+    const errorTable = new Table({ head: ['Error', 'Code', 'Category', 'Count'] });
+    (deepDive.errors?.errors || []).forEach(entry => errorTable.push([String(entry.error), String(entry.code ?? '-'), String(entry.category), String(entry.count)]));
+
     res.json({
       status: 'success',
       data: {
         instructionFrequency: tableToJson(freqTable),
         anomalies: tableToJson(anomalyTable),
+        errors: tableToJson(errorTable),
+        errorAnalysis: deepDive.errors || null,
         recommendations: ['Run `export-ida` to analyze instructions in IDA Pro.', 'Run `audit-report` for a comprehensive report.'],
       },
     });
@@ -615,13 +798,14 @@ app.get('/deep-dive/:address', validateAddressMiddleware, async (req, res) => {
 });
 
 app.get('/predict-risk/:address', validateAddressMiddleware, async (req, res) => {
-  if (!process.env.HELIUS_API_KEY) {
+  if (!hasConfiguredEndpoint()) {
     return proxyToRender(req, res, `/predict-risk/${req.params.address}`, 'get');
   }
   try {
     const address = req.params.address;
-    const binary = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, Buffer.from([]));
-    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal }), 5000, { insights: { authorityHolders: [] } });
+    const programAccount = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+    const { binary } = programAccount;
+    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal, programAccount }), 5000, { insights: { authorityHolders: [] } });
     const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal }), 5000, { transactions: [] });
     const authorityInsights = await withTimeout(signal => analyzeAuthorityHolders(analysis.insights.authorityHolders?.filter(a => validateAddress(a)) || [], address, { signal }), 5000, []);
     const callGraph = await withTimeout(signal => reconstructCallGraph(analysis, transactionData, { signal }), 5000, { nodes: [], edges: [] });
@@ -655,12 +839,15 @@ app.get('/predict-risk/:address', validateAddressMiddleware, async (req, res) =>
 });
 
 app.get('/trace-interactions/:address', validateAddressMiddleware, async (req, res) => {
-  if (!process.env.HELIUS_API_KEY) {
+  if (!hasConfiguredEndpoint()) {
     return proxyToRender(req, res, `/trace-interactions/${req.params.address}`, 'get');
   }
   try {
     const address = req.params.address;
-    const interactions = await withTimeout(signal => traceInteractions(address, { signal }), 5000, []);
+    const programAccount = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+    const analysis = await withTimeout(signal => analyzeBinary(programAccount.binary, address, { signal, programAccount }), 5000, { insights: { address } });
+    const idl = await resolveIdl(analysis);
+    const interactions = await withTimeout(signal => traceInteractions(address, { signal, idl }), 5000, []);
 
     const interactionTable = new Table({ head: ['Account', 'Action', 'Volume (SOL)', 'Timestamp'] });
     (interactions || []).forEach(ix => interactionTable.push([String(ix.caller || 'N/A').slice(0, 8) + '...', String(ix.action || 'unknown'), (ix.volume || 0).toFixed(4), ix.timestamp ? new Date(ix.timestamp).toISOString() : 'N/A']));
@@ -681,8 +868,39 @@ app.get('/trace-interactions/:address', validateAddressMiddleware, async (req, r
   }
 });
 
+app.get('/trace-funds/:address', validateAddressMiddleware, async (req, res) => {
+  if (!hasConfiguredEndpoint()) {
+    return proxyToRender(req, res, `/trace-funds/${req.params.address}`, 'get');
+  }
+  try {
+    const address = req.params.address;
+    const depth = Math.min(parseInt(req.query.depth || '2', 10) || 2, 4);
+    const timeframe = requestTimeframe(req, res, '7d');
+    if (!timeframe) return;
+    const graph = await traceFunds(address, { depth, timeframe, signal: AbortSignal.timeout(TRACE_TIMEOUT_MS) });
+    const format = req.query.format;
+    if (format && format !== 'json') {
+      return res.json({ status: 'success', data: { format, graph: await exportFlowGraph(graph, format) } });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        ...graph,
+        recommendations: ['Review transfers into exchanges, bridges and mixers.', 'Run `trace-interactions` to see who calls the program.'],
+      },
+    });
+  } catch (err) {
+    res.status(500).json({
+      error: `Fund tracing failed: ${err.message}`,
+      debug: err.stack,
+      support: 'adunbi8@gmail.com',
+    });
+  }
+});
+
 app.post('/compare', async (req, res) => {
-  if (!process.env.HELIUS_API_KEY) {
+  if (!hasConfiguredEndpoint()) {
     return proxyToRender(req, res, `/compare`);
   }
   try {
@@ -695,20 +913,20 @@ app.post('/compare', async (req, res) => {
       });
     }
 
-    const [binary1, binary2] = await Promise.all([
-      withTimeout(signal => fetchProgramBinary(address1, { signal }), 5000, Buffer.from([])),
-      withTimeout(signal => fetchProgramBinary(address2, { signal }), 5000, Buffer.from([])),
+    const [programAccount1, programAccount2] = await Promise.all([
+      withTimeout(signal => fetchProgramBinary(address1, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT),
+      withTimeout(signal => fetchProgramBinary(address2, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT),
     ]);
     const [analysis1, analysis2] = await Promise.all([
-      withTimeout(signal => analyzeBinary(binary1, address1, { signal }), 5000, { insights: { suspectedType: 'unknown', instructions: 0 } }),
-      withTimeout(signal => analyzeBinary(binary2, address2, { signal }), 5000, { insights: { suspectedType: 'unknown', instructions: 0 } }),
+      withTimeout(signal => analyzeBinary(programAccount1.binary, address1, { signal, programAccount: programAccount1 }), 5000, { insights: { suspectedType: 'unknown', instructions: 0 } }),
+      withTimeout(signal => analyzeBinary(programAccount2.binary, address2, { signal, programAccount: programAccount2 }), 5000, { insights: { suspectedType: 'unknown', instructions: 0 } }),
     ]);
 
     const compareTable = new Table({ head: ['Metric', 'Program 1', 'Program 2'] });
     compareTable.push(
       ['Program Type', String(analysis1.insights.suspectedType || 'unknown'), String(analysis2.insights.suspectedType || 'unknown')],
       ['Instruction Count', String(analysis1.insights.instructions || 0), String(analysis2.insights.instructions || 0)],
-      ['Binary Size', String(binary1.length || 0) + ' bytes', String(binary2.length || 0) + ' bytes'],
+      ['Binary Size', String(programAccount1.binary.length || 0) + ' bytes', String(programAccount2.binary.length || 0) + ' bytes'],
       ['Reentrancy Risk', String(analysis1.insights.reentrancyRisk || 'Low'), String(analysis2.insights.reentrancyRisk || 'Low')]
     );
 
@@ -729,14 +947,15 @@ app.post('/compare', async (req, res) => {
 });
 
 app.post('/export-idl/:address', validateAddressMiddleware, async (req, res) => {
-  if (!process.env.HELIUS_API_KEY) {
+  if (!hasConfiguredEndpoint()) {
     return proxyToRender(req, res, `/export-idl/${req.params.address}`);
   }
   try {
     const address = req.params.address;
     const { output = 'idl.json' } = req.body;
-    const binary = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, Buffer.from([]));
-    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal }), 5000, { insights: { suspectedType: 'unknown', instructions: 4 } });
+    const programAccount = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+    const { binary } = programAccount;
+    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal, programAccount }), 5000, { insights: { suspectedType: 'unknown', instructions: 4 } });
     const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal }), 5000, { transactions: [] });
     const idl = await withTimeout(signal => generateIDL(analysis, transactionData, { signal }), 5000, { instructions: [] });
 
@@ -758,23 +977,26 @@ app.post('/export-idl/:address', validateAddressMiddleware, async (req, res) =>
 });
 
 app.post('/export-ida/:address', validateAddressMiddleware, async (req, res) => {
-  if (!process.env.HELIUS_API_KEY) {
+  if (!hasConfiguredEndpoint()) {
     return proxyToRender(req, res, `/export-ida/${req.params.address}`);
   }
   try {
     const address = req.params.address;
     const { output = 'ida_script.py' } = req.body;
-    const binary = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, Buffer.from([]));
-    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal }), 5000, { insights: { suspectedType: 'unknown', instructions: 4, syscalls: ['sol_verify_signature'] } });
-    const script = await withTimeout(signal => exportIdaScript(analysis, { signal }), 5000, '# SolProof IDA Pro Script\nprint("No instructions to analyze")');
+    const programAccount = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+    const { binary } = programAccount;
+    if (binary.length && !isElf(binary)) return rejectNonElf(res, address);
+    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal, programAccount }), 5000, { insights: { suspectedType: 'unknown', instructions: 4, syscalls: [] } });
+    const disassembly = binary.length ? disassemble(binary) : null;
+    const script = await withTimeout(signal => exportIdaScript(analysis, { signal, disassembly }), 5000, '# SolProof IDA Pro Script\nprint("No instructions to analyze")');
 
     res.json({
       status: 'success',
       data: {
         script,
         output,
-        instructionsAnnotated: String(analysis.insights.instructions || 0),
-        syscalls: (analysis.insights.syscalls || []).map(String),
+        instructionsAnnotated: String(disassembly?.instructions.length || 0),
+        syscalls: (analysis.insights.syscalls || []).map(s => s.name),
         recommendations: ['Load the script in IDA Pro for detailed analysis.', 'Run `deep-dive` to complement with instruction analysis.'],
       },
     });
@@ -787,16 +1009,45 @@ app.post('/export-ida/:address', validateAddressMiddleware, async (req, res) =>
   }
 });
 
+app.get('/disassemble/:address', validateAddressMiddleware, async (req, res) => {
+  if (!hasConfiguredEndpoint()) {
+    return proxyToRender(req, res, `/disassemble/${req.params.address}`, 'get');
+  }
+  try {
+    const address = req.params.address;
+    const { binary } = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+    if (!binary.length) throw new Error('Program binary could not be fetched');
+    if (!isElf(binary)) return rejectNonElf(res, address);
+    const disassembly = disassemble(binary);
+
+    res.json({
+      status: 'success',
+      data: {
+        disassembly,
+        recommendations: ['Run `export-ida` to load the disassembly into IDA Pro.', 'Run `analyze` for a full program analysis.'],
+      },
+    });
+  } catch (err) {
+    res.status(500).json({
+      error: `Disassembly failed: ${err.message}`,
+      debug: err.stack,
+      support: 'adunbi8@gmail.com',
+    });
+  }
+});
+
 app.post('/visualize-graph/:address', validateAddressMiddleware, async (req, res) => {
-  if (!process.env.HELIUS_API_KEY) {
+  if (!hasConfiguredEndpoint()) {
     return proxyToRender(req, res, `/visualize-graph/${req.params.address}`);
   }
   try {
     const address = req.params.address;
     const { output = 'graph.dot' } = req.body;
-    const binary = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, Buffer.from([]));
-    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal }), 5000, { insights: { suspectedType: 'unknown' } });
-    const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal }), 5000, { transactions: [] });
+    const programAccount = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+    const { binary } = programAccount;
+    const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal, programAccount }), 5000, { insights: { suspectedType: 'unknown' } });
+    const idl = await resolveIdl(analysis, req.body.idl);
+    const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal, idl }), 5000, { transactions: [] });
     const callGraph = await withTimeout(signal => reconstructCallGraph(analysis, transactionData, { signal }), 5000, { nodes: [], edges: [{ from: 'uAngRgGL...', to: 'Dony3a2i...', action: 'unknown', count: 1 }] });
 
     const dotContent = `digraph { ${(callGraph.edges || []).map(e => `"${String(e.from)}" -> "${String(e.to)}" [label="${String(e.action || 'unknown')}"]`).join(';')} }`;
@@ -821,7 +1072,18 @@ app.post('/visualize-graph/:address', validateAddressMiddleware, async (req, res
 });
 
 wss.on('connection', (ws, req) => {
-  if (!process.env.HELIUS_API_KEY) {
+  const urlParams = new URLSearchParams(req.url.split('?')[1]);
+  const address = urlParams.get('address');
+  const threshold = parseInt(urlParams.get('threshold') || '1000000000');
+  let cluster;
+  try {
+    cluster = urlParams.get('cluster') ? normalizeRequestCluster(urlParams.get('cluster')) : null;
+  } catch (err) {
+    ws.send(JSON.stringify({ error: err.message, support: 'adunbi8@gmail.com' }));
+    ws.close();
+    return;
+  }
+  if (!hasConfiguredEndpoint(cluster || getCluster())) {
     const url = `${RENDER_API_URL.replace('https', 'wss')}${req.url}`;
     const proxyWs = new WebSocket(url);
     proxyWs.on('open', () => {
@@ -833,9 +1095,6 @@ wss.on('connection', (ws, req) => {
     ws.on('close', () => proxyWs.close());
     return;
   }
-  const urlParams = new URLSearchParams(req.url.split('?')[1]);
-  const address = urlParams.get('address');
-  const threshold = parseInt(urlParams.get('threshold') || '1000000000');
 
   if (!validateAddress(address)) {
     ws.send(JSON.stringify({
@@ -846,7 +1105,7 @@ wss.on('connection', (ws, req) => {
     return;
   }
 
-  startMonitoring(address, { threshold, commitment: 'confirmed' })
+  withCluster(cluster, () => startMonitoring(address, { threshold, commitment: 'confirmed' }))
     .then(() => {
       ws.send(JSON.stringify({
         status: 'success',
@@ -867,6 +1126,10 @@ wss.on('connection', (ws, req) => {
   });
 });
 
+// Deterministic runs: answer from recorded fixtures or record all provider traffic (src/lib/fixtures.js).
+if (process.env.SOLPROOF_REPLAY) await replayFixtures(process.env.SOLPROOF_REPLAY);
+if (process.env.SOLPROOF_RECORD) startRecording(process.env.SOLPROOF_RECORD, { enhancedApi: getEnhancedApi().name, command: 'server' });
+
 const server = app.listen(PORT, () => {
   console.log(chalk.cyan(`SolProof SDK Server running on http://localhost:${PORT}`));
 });
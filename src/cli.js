@@ -4,24 +4,44 @@ import ora from 'ora';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import Table from 'cli-table3';
-import { PublicKey, Connection } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
 import dotenv from 'dotenv';
 import figlet from 'figlet';
 import NodeCache from 'node-cache';
 import axios from 'axios';
 import {
   analyzeBinary,
+  disassemble,
+  formatDisassembly,
+  recoverControlFlow,
+  findFunction,
+  functionToGraph,
   fetchProgramBinary,
+  loadProgramFile,
   getRecentTransactions,
+  checkCrawlBounds,
+  parseTimeframe,
+  formatWindow,
   inferBehavior,
+  clusterWallets,
+  detectWashTrading,
+  detectMev,
+  analyzeLookupTables,
+  isAmm,
   assessSafety,
   analyzeFees,
   reconstructCallGraph,
+  formatCpiTree,
+  programName,
   analyzeAuthorityHolders,
   scanVulnerabilities,
   startMonitoring,
   extractState,
+  extractStateLayouts,
+  layoutsToCsv,
+  scanProgramAccounts,
   generateIDL,
+  formatIdlType,
   inferGovernance,
   analyzeUpdateHistory,
   quickCheck,
@@ -29,8 +49,32 @@ import {
   deepDiveAnalysis,
   predictRisk,
   traceInteractions,
+  traceFunds,
+  exportFlowGraph,
+  formatAmount,
   exportIdaScript,
   visualizeGraph,
+  getConnection,
+  getEnhancedApi,
+  getEndpoints,
+  checkEndpoints,
+  redactEndpoint,
+  getCluster,
+  setCluster,
+  normalizeCluster,
+  loadConfig,
+  saveConfig,
+  CONFIG_PATH,
+  solscanUrl,
+  explorerUrl,
+  CACHE_DIR,
+  cacheStats,
+  purgeCache,
+  isCacheEnabled,
+  startRecording,
+  replayFixtures,
+  startFixtureServer,
+  fixtureFetch,
 } from './lib/index.js';
 import { success, error } from './formatting.js';
 
@@ -56,6 +100,9 @@ const program = new Command();
 const SUPPORT_EMAIL = 'adunbi8@gmail.com';
 const cache = new NodeCache({ stdTTL: 300 }); // 5-minute cache
 let solPriceUSD = 150; // Default; updated dynamically
+const EMPTY_PROGRAM_ACCOUNT = { binary: Buffer.from([]), loader: null, programDataAddress: null, deploySlot: null, upgradeAuthority: null };
+const EMPTY_TRANSACTION_DATA = { transactions: [], economicInsights: { totalVolumeSOL: 0, averageFeeSOL: 0, transactionCount: 0, suspiciousVolume: 0, transactionTypes: {}, topAccounts: [] } };
+const OFFLINE_SKIP_REASON = 'offline analysis of a local file';
 
 
 
@@ -78,7 +125,7 @@ async function fetchSolPrice() {
   try {
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), 5000);
-    const response = await fetch('https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd', {
+    const response = await fixtureFetch(fetch, 'https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd', {
       signal: controller.signal
     });
     clearTimeout(timeout);
@@ -91,6 +138,26 @@ async function fetchSolPrice() {
   }
 }
 
+/**
+ * Formats a byte count for display.
+ * @param {number} bytes - Byte count.
+ * @returns {string} - Size in B, KB or MB.
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Formats a USD value for display.
+ * @param {number|null} usd - Value in USD, or null if it could not be priced.
+ * @returns {string} - E.g. "$12.34", or "n/a".
+ */
+function formatUSD(usd) {
+  return usd === null || usd === undefined ? 'n/a' : `$${usd.toFixed(2)}`;
+}
+
 /**
  * Validates a Solana address.
  * @param {string} address - Address to validate.
@@ -106,7 +173,7 @@ function validateAddress(address) {
 }
 
 /**
- * Fetches token metadata via Helius RPC with retry.
+ * Fetches token metadata through the provider's enhanced API with retry.
  * @param {string} mintAddress - Token mint address.
  * @returns {Promise<Object>} - Token metadata.
  */
@@ -118,18 +185,8 @@ async function fetchTokenMetadata(mintAddress) {
   const spinner = ora(chalk.yellow(`Fetching token metadata: ${mintAddress}...`)).start();
   for (let attempt = 1; attempt <= 3; attempt++) {
     try {
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 5000);
-      const response = await fetch(`https://api.helius.xyz/v0/tokens/metadata?api-key=${process.env.HELIUS_API_KEY}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ mintAccounts: [mintAddress] }),
-        signal: controller.signal
-      });
-      clearTimeout(timeout);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      const data = await response.json();
-      const metadata = data[0] || { name: 'Unknown', symbol: 'Unknown', decimals: 9, totalSupply: 0, mintAuthority: null, freezeAuthority: null };
+      const metadata = await withTimeout(() => getEnhancedApi().getTokenMetadata(mintAddress), 5000, null);
+      if (!metadata) throw new Error('Token metadata request timed out or failed');
       cache.set(cacheKey, metadata);
       spinner.succeed(chalk.green(`Token metadata: ${metadata.name} [Success]`));
       return metadata;
@@ -164,15 +221,17 @@ function suggestCommand(input) {
   const commands = [
     'analyze', 'analyze-fees', 'quick-check', 'monitor', 'extract-state',
     'reconstruct-api', 'infer-governance', 'update-history', 'audit-report',
-    'deep-dive', 'predict-risk', 'trace-interactions', 'compare', 'export-idl',
-    'export-ida', 'visualize-graph'
+    'deep-dive', 'predict-risk', 'trace-interactions', 'trace-funds', 'compare', 'export-idl',
+    'export-ida', 'visualize-graph', 'disassemble', 'cfg', 'rpc-status', 'config',
+    'cache', 'replay-server'
   ];
   return commands.find(cmd => cmd.includes(input.toLowerCase())) || null;
 }
 
 /**
- * Wraps an async function with a timeout.
- * @param {Function} fn - Async function to wrap.
+ * Wraps an async function with a timeout. After `ms` the signal passed to the function is aborted;
+ * the function is still awaited, so only work that stops on an aborted signal is cut short.
+ * @param {Function} fn - Async function to wrap; receives an AbortSignal.
  * @param {number} ms - Timeout in milliseconds.
  * @param {any} fallback - Fallback value on timeout or error.
  * @returns {Promise<any>} - Result or fallback.
@@ -181,7 +240,7 @@ async function withTimeout(fn, ms, fallback) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), ms);
   try {
-    const result = await fn({ signal: controller.signal });
+    const result = await fn(controller.signal);
     clearTimeout(timeout);
     return result;
   } catch (err) {
@@ -191,6 +250,193 @@ async function withTimeout(fn, ms, fallback) {
   }
 }
 
+/**
+ * Builds getRecentTransactions options from the crawl flags (--timeframe, --limit, --min-slot,
+ * --checkpoint), reporting crawl progress on the spinner.
+ * @param {Object} options - Command options.
+ * @param {Object} spinner - Ora spinner.
+ * @returns {Object} - { timeframe, limit, minSlot, checkpoint, onProgress }.
+ * @throws {Error} - If a flag is malformed or the flags leave the crawl unbounded.
+ */
+function crawlOptions(options, spinner) {
+  const limit = parseInt(options.limit, 10);
+  const minSlot = options.minSlot !== undefined ? parseInt(options.minSlot, 10) : undefined;
+  if (isNaN(limit) || limit < 0) throw new Error('Limit must be a non-negative number');
+  if (minSlot !== undefined && (isNaN(minSlot) || minSlot < 0)) throw new Error('Minimum slot must be a non-negative number');
+  checkCrawlBounds({ timeframe: options.timeframe, minSlot, limit });
+  return {
+    timeframe: options.timeframe,
+    limit,
+    minSlot,
+    checkpoint: options.checkpoint,
+    onProgress: ({ phase, listed, fetched, total }) => {
+      spinner.text = phase === 'signatures' ? `Listing signatures (${listed})...` : `Fetching transactions (${fetched}/${total})...`;
+    },
+  };
+}
+
+/**
+ * Resolves the IDL used to decode instruction data: a local file if given, otherwise the on-chain
+ * IDL or the one recovered from the Anchor dispatcher.
+ * @param {string} address - Program address.
+ * @param {Object} options - { idlFile, analysis, offline } where analysis is a prior analyzeBinary result
+ * and offline skips the on-chain IDL lookup.
+ * @returns {Promise<Object|null>} - IDL or null if none is available.
+ */
+async function resolveIdl(address, { idlFile, analysis, offline = false } = {}) {
+  if (idlFile) {
+    const fs = await import('fs/promises');
+    return JSON.parse(await fs.readFile(idlFile, 'utf8'));
+  }
+  if (!analysis) {
+    const programAccount = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+    analysis = await withTimeout(signal => analyzeBinary(programAccount.binary, address, { signal, programAccount }), 5000, { insights: { address } });
+  }
+  const idl = await withTimeout(signal => generateIDL(analysis, { transactions: [] }, { signal, ...(offline && { onChainIdl: null }) }), 5000, null);
+  return idl && ['on-chain', 'bytecode'].includes(idl.source) ? idl : null;
+}
+
+/**
+ * Loads the program binary from a local file (--file) or from the chain.
+ * @param {string} address - Program address (may be empty with a file).
+ * @param {Object} options - Command options; `file` selects offline analysis.
+ * @returns {Promise<Object>} - Program account as returned by fetchProgramBinary or loadProgramFile.
+ */
+async function loadProgram(address, { file } = {}) {
+  if (file) return loadProgramFile(file);
+  return withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+}
+
+/**
+ * Validates the address argument; with --file it is optional.
+ * @param {string} address - Program address.
+ * @param {Object} options - Command options.
+ * @returns {boolean} - True if the command can run.
+ */
+function validateTarget(address, { file } = {}) {
+  return file && !address ? true : validateAddress(address);
+}
+
+/**
+ * Runs extract-state in scan mode: counts the program's accounts, then streams them per account
+ * type to NDJSON with a resumable checkpoint.
+ * @param {string} address - Program address.
+ * @param {Object} options - Command options (output, sample, resume, dataSize, idl).
+ * @param {Object} spinner - Active ora spinner.
+ * @returns {Promise<void>}
+ */
+async function scanAccounts(address, options, spinner) {
+  try {
+    const output = options.output || 'accounts.ndjson';
+    spinner.text = 'Resolving IDL...';
+    const idl = options.dataSize ? null : await resolveIdl(address, { idlFile: options.idl });
+    spinner.text = options.resume ? `Resuming scan into ${output}...` : 'Counting program accounts...';
+    const scan = await scanProgramAccounts(address, {
+      output,
+      idl,
+      dataSizes: options.dataSize,
+      sample: options.sample ? Number(options.sample) : undefined,
+      resume: Boolean(options.resume),
+      onProgress: ({ written, total, type }) => {
+        spinner.text = `Scanned ${written}/${total} accounts (${type})...`;
+      },
+    });
+    if (scan.error) throw new Error(scan.error);
+    spinner.succeed(chalk.green(`Account scan for ${address}... [Success]`));
+
+    console.log(chalk.cyan('\nAccount Scan\n------------'));
+    console.log(chalk.white(`- Solscan: ${solscanUrl(`account/${address}`)}`));
+    console.log(chalk.white(`- Explorer: ${explorerUrl(`address/${address}`)}`));
+    const typeTable = new Table({ head: [chalk.cyan('Account Type'), chalk.cyan('Key'), chalk.cyan('Accounts'), chalk.cyan('Written')], colWidths: [25, 20, 12, 12] });
+    scan.types.forEach(type => {
+      typeTable.push([chalk.white(type.name), chalk.white(type.key), chalk.white(type.count), chalk.white(type.written)]);
+    });
+    console.log(typeTable.toString());
+
+    console.log(chalk.cyan('\nSummary\n-------'));
+    console.log(chalk.white(`- Status: ${scan.written} of ${scan.total} accounts written to ${scan.output}.`));
+    if (scan.resumed) console.log(chalk.white(`- Resumed: ${scan.resumed} accounts were already in the file.`));
+    console.log(chalk.white(`- Checkpoint: ${scan.output}.checkpoint.json`));
+    console.log(chalk.cyan('Recommendations:'));
+    console.log(chalk.white('  - Re-run with `--resume` if the scan was interrupted.'));
+    console.log(chalk.white('  - Run `extract-state --layout` to infer account schemas.'));
+
+    console.log(success('Account scan complete.'));
+  } catch (err) {
+    spinner.fail(chalk.red(`Account scan failed: ${err.message}`));
+    console.log(chalk.gray(`[DEBUG] Error stack: ${err.stack}`));
+    console.log(error(`Contact ${SUPPORT_EMAIL} for assistance.`));
+  }
+}
+
+/**
+ * Runs extract-state in layout inference mode: prints one schema table per account type with
+ * decoded sample rows, and optionally exports the layouts as JSON or CSV.
+ * @param {string} address - Program address.
+ * @param {Object} options - Command options (idl, format, output).
+ * @param {Object} spinner - Active ora spinner.
+ * @returns {Promise<void>}
+ */
+async function extractLayouts(address, options, spinner) {
+  try {
+    spinner.text = 'Resolving IDL...';
+    const idl = await resolveIdl(address, { idlFile: options.idl });
+    spinner.text = 'Inferring account layouts...';
+    const { accountCount, layouts } = await withTimeout(signal => extractStateLayouts(address, { signal, idl }), 30000, { accountCount: 0, layouts: [] });
+    spinner.succeed(chalk.green(`Account layouts inferred for ${address}... [Success]`));
+
+    console.log(chalk.cyan('\nAccount Layouts\n---------------'));
+    console.log(chalk.white(`- Solscan: ${solscanUrl(`account/${address}`)}`));
+    console.log(chalk.white(`- Explorer: ${explorerUrl(`address/${address}`)}`));
+    if (!layouts.length) console.log(chalk.white('No program accounts found.'));
+    layouts.forEach(layout => {
+      console.log(chalk.cyan(`\n${layout.name} (${layout.count === layout.total ? layout.count : `${layout.count} sampled of ${layout.total}`} accounts, ${layout.size} bytes, ${layout.source === 'idl' ? 'from IDL' : 'inferred'})`));
+      if (layout.discriminator) console.log(chalk.white(`- Discriminator: ${layout.discriminator}`));
+      const schemaTable = new Table({ head: [chalk.cyan('Field'), chalk.cyan('Offset'), chalk.cyan('Size'), chalk.cyan('Type'), chalk.cyan('Varies')], colWidths: [20, 10, 8, 25, 10] });
+      layout.fields.forEach(field => {
+        schemaTable.push([
+          chalk.white(field.name),
+          chalk.white(field.offset),
+          chalk.white(field.size),
+          chalk.white(field.hint ? `${field.type} (${field.hint})` : field.type),
+          field.varies ? chalk.green('Yes') : chalk.white('No')
+        ]);
+      });
+      console.log(schemaTable.toString());
+
+      const columns = Object.keys(layout.samples[0]?.values || {}).slice(0, 5);
+      if (!columns.length) return;
+      const sampleTable = new Table({ head: [chalk.cyan('Account'), ...columns.map(column => chalk.cyan(column))] });
+      layout.samples.forEach(sample => {
+        sampleTable.push([
+          chalk.white(`${sample.account.slice(0, 8)}...`),
+          ...columns.map(column => chalk.white(String(typeof sample.values[column] === 'object' ? JSON.stringify(sample.values[column]) : sample.values[column]).slice(0, 24)))
+        ]);
+      });
+      console.log(sampleTable.toString());
+    });
+
+    if (options.output) {
+      const fs = await import('fs/promises');
+      await fs.writeFile(options.output, options.format === 'csv' ? layoutsToCsv(layouts) : JSON.stringify(layouts, null, 2));
+    }
+
+    console.log(chalk.cyan('\nSummary\n-------'));
+    console.log(chalk.white(`- Status: ${layouts.length} account types across ${accountCount} accounts.`));
+    if (idl) console.log(chalk.white(`- IDL: ${layouts.filter(layout => layout.source === 'idl').length} account types named from the IDL.`));
+    if (options.output) console.log(chalk.white(`- Exported: ${options.output} (${options.format === 'csv' ? 'CSV' : 'JSON'})`));
+    console.log(chalk.cyan('Recommendations:'));
+    console.log(chalk.white('  - Run `reconstruct-api` to infer program structure.'));
+    console.log(chalk.white('  - Pass `--idl <file>` to name account types the program does not publish.'));
+
+    console.log(success('Layout inference complete.'));
+  } catch (err) {
+    spinner.fail(chalk.red(`Layout inference failed: ${err.message}`));
+    console.log(chalk.gray(`[DEBUG] Error stack: ${err.stack}`));
+    console.log(error(`Contact ${SUPPORT_EMAIL} for assistance.`));
+  }
+}
+
 /**
  * Prompts the user for the next action with a clean, unique menu.
  * @param {string} currentCommand - Current command.
@@ -201,9 +447,10 @@ async function withTimeout(fn, ms, fallback) {
 async function promptNextAction(currentCommand, address, analysisResults = {}) {
   const choices = [
     { name: 'Generate audit report', description: 'Create a detailed report in JSON or Markdown', value: `audit-report ${address} --output report.json --format json` },
-    { name: 'Monitor for real-time alerts', description: 'Track program transactions live', value: `monitor ${address} --threshold 1000000000`, disabled: !process.env.QUICKNODE_RPC_URL && 'QUICKNODE_RPC_URL not set' },
-    { name: 'Analyze fees', description: 'Check for hidden fees or manipulation', value: `analyze-fees ${address}` },
+    { name: 'Monitor for real-time alerts', description: 'Track program transactions live', value: `monitor ${address} --threshold 1000000000` },
+    { name: 'Analyze fees', description: 'Check hidden fees, compute usage and priority fees', value: `analyze-fees ${address}` },
     { name: 'Trace specific account', description: 'View user interactions with the program', value: `trace-interactions ${address}` },
+    { name: 'Trace fund flows', description: 'Follow funds leaving the program’s vaults and authority', value: `trace-funds ${address} --depth 2` },
     { name: 'View token metadata', description: 'Infer the program’s API endpoints', value: `reconstruct-api ${address}` },
     { name: 'Export analysis to JSON', description: 'Save audit report as JSON', value: `audit-report ${address} --output analysis.json --format json` },
     { name: 'Export IDA Pro script', description: 'Generate script for binary analysis in IDA Pro', value: `export-ida ${address} --output ida_script.py` },
@@ -275,22 +522,29 @@ async function promptNextAction(currentCommand, address, analysisResults = {}) {
 function displayAvailableCommands() {
   console.log(chalk.cyan('\nAvailable Commands\n------------------'));
   const commands = [
-    { name: 'analyze <address>', description: 'Comprehensive program analysis' },
-    { name: 'analyze-fees <address> [-l, --limit <number>]', description: 'Analyze transaction fees' },
+    { name: 'analyze <address | --file <path>> [--idl <file>] [--timeframe <window>] [--limit <n>] [--checkpoint <file>]', description: 'Comprehensive program analysis' },
+    { name: 'analyze-fees <address> [-l, --limit <number>] [--idl <file>]', description: 'Analyze transaction fees, compute units and priority fees' },
     { name: 'quick-check <address>', description: 'Quick program check' },
     { name: 'monitor <address> [-t, --threshold <lamports>]', description: 'Real-time transaction monitoring' },
-    { name: 'extract-state <address>', description: 'Extract program state' },
+    { name: 'extract-state <address> [--layout | --scan] [--sample <n>] [--resume] [--idl <file>] [-o, --output <file>]', description: 'Extract program state, infer account layouts or scan accounts to NDJSON' },
     { name: 'reconstruct-api <address>', description: 'Reconstruct API endpoints' },
     { name: 'infer-governance <address>', description: 'Infer governance mechanisms' },
     { name: 'update-history <address>', description: 'Analyze update history' },
-    { name: 'audit-report <address> [-o, --output <file>] [-f, --format <type>]', description: 'Generate audit report' },
-    { name: 'deep-dive <address>', description: 'Deep instruction analysis' },
+    { name: 'audit-report <address | --file <path>> [-o, --output <file>] [-f, --format <type>] [--idl <file>] [--timeframe <window>] [--limit <n>]', description: 'Generate audit report' },
+    { name: 'deep-dive <address> [--idl <file>]', description: 'Deep instruction and failed transaction analysis' },
     { name: 'predict-risk <address>', description: 'Predict future risks' },
-    { name: 'trace-interactions <address>', description: 'Trace user interactions' },
+    { name: 'trace-interactions <address> [--idl <file>]', description: 'Trace user interactions' },
+    { name: 'trace-funds <address> [-d, --depth <n>] [-o, --output <file>]', description: 'Follow funds leaving the program across hops' },
     { name: 'compare <address1> <address2>', description: 'Compare two programs' },
     { name: 'export-idl <address> [-o, --output <file>]', description: 'Export reconstructed IDL' },
-    { name: 'export-ida <address> [-o, --output <file>]', description: 'Export IDA Pro script' },
-    { name: 'visualize-graph <address> [-o, --output <file>]', description: 'Visualize call graph' }
+    { name: 'export-ida <address | --file <path>> [-o, --output <file>]', description: 'Export IDA Pro script' },
+    { name: 'visualize-graph <address> [-o, --output <file>] [--idl <file>]', description: 'Visualize call graph' },
+    { name: 'disassemble <address> [--json] [-o, --output <file>]', description: 'Disassemble the program binary' },
+    { name: 'cfg <address> [-f, --function <addr>] [-o, --output <file>]', description: 'Export a function control-flow graph' },
+    { name: 'rpc-status', description: 'Check configured RPC endpoints' },
+    { name: 'config [key] [value] [--unset]', description: 'Show or change saved settings (cluster)' },
+    { name: 'cache [stats | purge] [-n, --namespace <name>] [--expired]', description: 'Inspect or purge the on-disk analysis cache' },
+    { name: 'replay-server <dir> [-p, --port <number>]', description: 'Serve recorded RPC fixtures (see --record)' }
   ];
   const table = new Table({ head: [chalk.cyan('Command'), chalk.cyan('Description')], colWidths: [40, 60] });
   commands.forEach(cmd => table.push([chalk.white(cmd.name), chalk.white(cmd.description)]));
@@ -303,7 +557,28 @@ program
   .name('solproof')
   .description('SolProof SDK: Reverse Engineering for Solana Programs')
   .version('1.0.0')
-  .hook('preAction', async () => {
+  .option('--cluster <name>', 'Cluster: mainnet-beta, devnet, testnet, localnet or an RPC URL (default: config or SOLPROOF_CLUSTER)')
+  .option('--record <dir>', 'Save every RPC and REST response to a fixture directory (or SOLPROOF_RECORD)')
+  .option('--replay <dir>', 'Answer RPC and REST requests from a fixture directory instead of the network (or SOLPROOF_REPLAY)')
+  .hook('preAction', async (thisCommand, actionCommand) => {
+    const { cluster } = program.opts();
+    const record = program.opts().record || process.env.SOLPROOF_RECORD;
+    const replay = program.opts().replay || process.env.SOLPROOF_REPLAY;
+    try {
+      if (cluster) setCluster(cluster);
+      // A replay restores the recorded cluster unless --cluster overrides it.
+      if (replay && actionCommand.name() !== 'replay-server') {
+        await replayFixtures(replay);
+        if (cluster) setCluster(cluster);
+      }
+      if (record) startRecording(record, { enhancedApi: getEnhancedApi().name, command: process.argv.slice(2).join(' ') });
+    } catch (err) {
+      console.log(chalk.red(`Error: ${err.message}`));
+      process.exit(1);
+    }
+    // Offline analysis (--file), the cache and the replay server make no network requests.
+    if (actionCommand.opts().file || ['cache', 'replay-server'].includes(actionCommand.name())) return;
+    if (getCluster() !== 'mainnet-beta') console.log(chalk.gray(`Cluster: ${getCluster()}`));
     await fetchSolPrice();
   });
 
@@ -319,36 +594,65 @@ program.on('command:*', (args) => {
 program
   .command('analyze')
   .description('Comprehensive program analysis')
-  .argument('<address>', 'Program address')
-  .action(async (address) => {
-    const spinner = ora(chalk.yellow(`Analyzing program: ${address}...`)).start();
-    if (!validateAddress(address)) {
+  .argument('[address]', 'Program address (optional with --file)')
+  .option('--idl <file>', 'Anchor IDL JSON used to decode instructions (defaults to the on-chain or recovered IDL)')
+  .option('--file <path>', 'Analyze a local .so, `solana program dump` output or account dump without network access')
+  .option('--timeframe <window>', 'How far back to analyze transactions (e.g. 24h, 7d, 30d; default: all, bounded by --limit)', 'all')
+  .option('--limit <number>', 'Maximum transactions to analyze (0 for the whole timeframe, which then needs --timeframe or --min-slot)', '25')
+  .option('--min-slot <slot>', 'Oldest slot to include')
+  .option('--checkpoint <file>', 'Save crawl progress to a file so an interrupted crawl resumes')
+  .action(async (address, options) => {
+    const offline = Boolean(options.file);
+    const target = address || options.file;
+    const spinner = ora(chalk.yellow(`Analyzing program: ${target}...`)).start();
+    if (!validateTarget(address, options)) {
       spinner.fail(chalk.red(`Invalid program address: ${address}`));
-      console.log(error(`Please provide a valid Solana address. Contact ${SUPPORT_EMAIL}.`));
+      console.log(error(`Please provide a valid Solana address or --file. Contact ${SUPPORT_EMAIL}.`));
       return;
     }
 
     let analysisResults = {};
     try {
-      spinner.text = 'Fetching program binary...';
-      const binary = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, Buffer.from([]));
-      spinner.succeed(chalk.green(`Analyzing program: ${address}... [Success]`));
-      console.log(chalk.white(`- Program binary: ${binary.length} bytes`));
-      console.log(chalk.white(`- Solscan: https://solscan.io/account/${address}`));
-      console.log(chalk.white(`- Explorer: https://explorer.solana.com/address/${address}`));
-
-      spinner.start(chalk.yellow(`Fetching transactions...`));
-      const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal }), 5000, { transactions: [], economicInsights: { totalVolumeSOL: 0, suspiciousVolume: 0, transactionTypes: {}, topAccounts: [] } });
-      spinner.succeed(chalk.green(`Fetched ${transactionData.transactions.length} transactions [Success]`));
+      spinner.text = offline ? 'Loading program file...' : 'Fetching program binary...';
+      const programAccount = await loadProgram(address, options);
+      address = address || programAccount.address || undefined;
+      const { binary } = programAccount;
+      spinner.succeed(chalk.green(`Analyzing program: ${target}... [Success]`));
+      console.log(chalk.white(`- Program binary: ${binary.length} bytes${offline ? ` (from ${options.file})` : ''}`));
+      if (address && !offline) {
+        console.log(chalk.white(`- Solscan: ${solscanUrl(`account/${address}`)}`));
+        console.log(chalk.white(`- Explorer: ${explorerUrl(`address/${address}`)}`));
+      }
 
       spinner.start(chalk.yellow('Analyzing binary...'));
-      const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal }), 5000, { insights: { suspectedType: 'UNKNOWN', instructions: 0, syscalls: [], reentrancyRisk: 'Low', controlFlow: { branches: 0, loops: 0 }, usesBorsh: false, authorityHolders: [] } });
-
-      spinner.start(chalk.yellow('Inferring program behavior...'));
-      const behavior = await withTimeout(signal => inferBehavior(analysis, transactionData, { signal }), 5000, { scamProbability: 20, launderingLikelihood: 10, suspectedType: analysis.insights.suspectedType });
-
-      spinner.start(chalk.yellow('Analyzing authority holders...'));
-      const authorityInsights = await withTimeout(signal => analyzeAuthorityHolders(analysis.insights.authorityHolders?.filter(a => validateAddress(a)) || [], address, { signal }), 5000, []);
+      const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal, programAccount }), 5000, { insights: { suspectedType: 'UNKNOWN', instructions: 0, syscalls: [], reentrancyRisk: 'Low', controlFlow: { branches: 0, loops: 0 }, usesBorsh: false, authorityHolders: [] } });
+
+      spinner.start(chalk.yellow('Resolving IDL...'));
+      const idl = await resolveIdl(address, { idlFile: options.idl, analysis, offline });
+
+      // Transactions, behavior and authorities need the network; offline they are reported as skipped.
+      let transactionData = EMPTY_TRANSACTION_DATA;
+      let behavior = null;
+      let walletClusters = null;
+      let authorityInsights = [];
+      if (!offline) {
+        spinner.start(chalk.yellow(`Fetching transactions (${options.timeframe})...`));
+        const crawl = crawlOptions(options, spinner);
+        transactionData = await withTimeout(signal => getRecentTransactions(address, { ...crawl, signal, idl, prices: true }), 5000, { transactions: [], economicInsights: { totalVolumeSOL: 0, suspiciousVolume: 0, transactionTypes: {}, topAccounts: [] } });
+        spinner.succeed(chalk.green(`Fetched ${transactionData.transactions.length} transactions over ${formatWindow(transactionData.window)} [Success]`));
+
+        spinner.start(chalk.yellow('Clustering wallets...'));
+        walletClusters = await clusterWallets(transactionData);
+        // Clusters turn trades between wallets of one operator into self-trades and cycles.
+        const washTrading = detectWashTrading(transactionData, { walletClusters });
+        transactionData = { ...transactionData, economicInsights: { ...transactionData.economicInsights, washTrading, organicVolumeSOL: washTrading.organicVolumeSOL } };
+
+        spinner.start(chalk.yellow('Inferring program behavior...'));
+        behavior = await withTimeout(signal => inferBehavior(analysis, transactionData, { signal, walletClusters }), 5000, { scamProbability: 20, launderingLikelihood: 10, suspectedType: analysis.insights.suspectedType });
+
+        spinner.start(chalk.yellow('Analyzing authority holders...'));
+        authorityInsights = await withTimeout(signal => analyzeAuthorityHolders(analysis.insights.authorityHolders?.filter(a => validateAddress(a)) || [], address, { signal }), 5000, []);
+      }
 
       spinner.start(chalk.yellow('Scanning for vulnerabilities...'));
       const vulnerabilities = await withTimeout(signal => scanVulnerabilities(analysis, { signal }), 5000, []);
@@ -362,24 +666,24 @@ program
 
       analysisResults = { safetyScore: safetyAssessment.safetyScore, vulnerabilities };
 
-      const mintAddress = findTokenMint(transactionData);
+      const mintAddress = offline ? null : findTokenMint(transactionData);
       let tokenMetadata = null;
       if (mintAddress) {
         tokenMetadata = await fetchTokenMetadata(mintAddress);
       }
 
-      const connection = new Connection(`https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}`, 'confirmed');
-      const accountInfo = await withTimeout(signal => connection.getAccountInfo(new PublicKey(address), { signal }), 5000, null);
+      const accountInfo = offline ? null : await withTimeout(signal => getConnection().getAccountInfo(new PublicKey(address), { signal }), 5000, null);
+      const skippedCell = chalk.gray(`Skipped (${OFFLINE_SKIP_REASON})`);
 
       // Analysis Overview
       console.log(chalk.cyan('\nAnalysis Overview\n-----------------'));
       const overviewTable = new Table({ head: [chalk.cyan('Metric'), chalk.cyan('Value')], colWidths: [30, 50] });
       overviewTable.push(
-        ['Safety Score', chalk.white(`${safetyAssessment.safetyScore}/100 (${safetyAssessment.safetyScore < 50 ? 'High Risk' : safetyAssessment.safetyScore < 80 ? 'Moderate Risk' : 'Low Risk'})`)],
-        ['Scam Probability', chalk.white(`${behavior.scamProbability}% (${behavior.scamProbability < 30 ? 'Low' : behavior.scamProbability < 70 ? 'Moderate' : 'High'})`)],
-        ['Laundering Risk', chalk.white(`${behavior.launderingLikelihood}% (${behavior.launderingLikelihood < 30 ? 'Low' : behavior.launderingLikelihood < 70 ? 'Moderate' : 'High'})`)],
-        ['Total Volume', chalk.white(`${transactionData.economicInsights.totalVolumeSOL.toFixed(4)} SOL (~$${(transactionData.economicInsights.totalVolumeSOL * solPriceUSD).toFixed(2)} at $${solPriceUSD}/SOL)`)],
-        ['Suspicious Volume', chalk.white(`${transactionData.economicInsights.suspiciousVolume.toFixed(4)} SOL (~$${(transactionData.economicInsights.suspiciousVolume * solPriceUSD).toFixed(2)})`)]
+        ['Safety Score', chalk.white(`${safetyAssessment.safetyScore}/100 (${safetyAssessment.safetyScore < 50 ? 'High Risk' : safetyAssessment.safetyScore < 80 ? 'Moderate Risk' : 'Low Risk'})${offline ? ', binary only' : ''}`)],
+        ['Scam Probability', behavior ? chalk.white(`${behavior.scamProbability}% (${behavior.scamProbability < 30 ? 'Low' : behavior.scamProbability < 70 ? 'Moderate' : 'High'})`) : skippedCell],
+        ['Laundering Risk', behavior ? chalk.white(`${behavior.launderingLikelihood}% (${behavior.launderingLikelihood < 30 ? 'Low' : behavior.launderingLikelihood < 70 ? 'Moderate' : 'High'})`) : skippedCell],
+        ['Total Volume', offline ? skippedCell : chalk.white(`${transactionData.economicInsights.totalVolumeSOL.toFixed(4)} SOL (~$${(transactionData.economicInsights.totalVolumeSOL * solPriceUSD).toFixed(2)} at $${solPriceUSD}/SOL)`)],
+        ['Suspicious Volume', offline ? skippedCell : chalk.white(`${transactionData.economicInsights.suspiciousVolume.toFixed(4)} SOL (~$${(transactionData.economicInsights.suspiciousVolume * solPriceUSD).toFixed(2)})`)]
       );
       console.log(overviewTable.toString());
 
@@ -387,64 +691,112 @@ program
       console.log(chalk.cyan('\nProgram Account Data\n--------------------'));
       const accountTable = new Table({ head: [chalk.cyan('Metric'), chalk.cyan('Value')], colWidths: [30, 50] });
       accountTable.push(
-        ['Balance', chalk.white(`${accountInfo ? (accountInfo.lamports / 1e9).toFixed(4) : '0.0000'} SOL`)],
+        ['Balance', offline ? skippedCell : chalk.white(`${accountInfo ? (accountInfo.lamports / 1e9).toFixed(4) : '0.0000'} SOL`)],
         ['Data Length', chalk.white(`${binary.length} bytes`)],
-        ['Owner', chalk.white(accountInfo?.owner?.toBase58() || 'Unknown')],
-        ['Executable', chalk.white(accountInfo?.executable ? 'Yes' : 'No')]
+        ['Owner', chalk.white(accountInfo?.owner?.toBase58() || programAccount.loader || 'Unknown')],
+        ['Executable', offline ? skippedCell : chalk.white(accountInfo?.executable ? 'Yes' : 'No')],
+        ['ProgramData', chalk.white(programAccount.programDataAddress || 'N/A')],
+        ['Deploy Slot', chalk.white(programAccount.deploySlot ?? 'Unknown')],
+        ['Upgrade Authority', chalk.white(programAccount.upgradeAuthority || (programAccount.programDataAddress ? 'None (immutable)' : 'N/A'))]
       );
       console.log(accountTable.toString());
-      console.log(chalk.white('- Status: Verify binary integrity on Solscan.'));
-
-      // Transaction Breakdown
-      console.log(chalk.cyan('\nTransaction Breakdown\n--------------------'));
-      const txBreakdownTable = new Table({ head: [chalk.cyan('Type'), chalk.cyan('Count'), chalk.cyan('Volume (SOL)'), chalk.cyan('Approx. Value (USD)')], colWidths: [20, 10, 15, 20] });
-      const txTypes = transactionData.economicInsights.transactionTypes || {};
-      txBreakdownTable.push(
-        ['Swaps', chalk.white(txTypes.swap?.count || 0), chalk.white((txTypes.swap?.volume || 0).toFixed(4)), chalk.white(`$${(txTypes.swap?.volume * solPriceUSD || 0).toFixed(2)}`)],
-        ['Transfers', chalk.white(txTypes.transfer?.count || 0), chalk.white((txTypes.transfer?.volume || 0).toFixed(4)), chalk.white(`$${(txTypes.transfer?.volume * solPriceUSD || 0).toFixed(2)}`)],
-        ['Mints', chalk.white(txTypes.mint?.count || 0), chalk.white((txTypes.mint?.volume || 0).toFixed(4)), chalk.white(`$${(txTypes.mint?.volume * solPriceUSD || 0).toFixed(2)}`)],
-        ['Burns', chalk.white(txTypes.burn?.count || 0), chalk.white((txTypes.burn?.volume || 0).toFixed(4)), chalk.white(`$${(txTypes.burn?.volume * solPriceUSD || 0).toFixed(2)}`)],
-        ['Governance', chalk.white(txTypes.governance?.count || 0), chalk.white((txTypes.governance?.volume || 0).toFixed(4)), chalk.white(`$${(txTypes.governance?.volume * solPriceUSD || 0).toFixed(2)}`)],
-        ['NFT Mints', chalk.white(txTypes.nftMint?.count || 0), chalk.white((txTypes.nftMint?.volume || 0).toFixed(4)), chalk.white(`$${(txTypes.nftMint?.volume * solPriceUSD || 0).toFixed(2)}`)],
-        ['Custom/Other', chalk.white(txTypes.others?.count || 0), chalk.white((txTypes.others?.volume || 0).toFixed(4)), chalk.white(`$${(txTypes.others?.volume * solPriceUSD || 0).toFixed(2)}`)]
-      );
-      console.log(txBreakdownTable.toString());
-
-      // Money Movement
-      console.log(chalk.cyan('\nMoney Movement\n--------------'));
-      console.log(chalk.white(`Total Volume: ${transactionData.economicInsights.totalVolumeSOL.toFixed(4)} SOL (~$${(transactionData.economicInsights.totalVolumeSOL * solPriceUSD).toFixed(2)} at $${solPriceUSD}/SOL)`));
-      console.log(chalk.white(`Suspicious Volume: ${transactionData.economicInsights.suspiciousVolume.toFixed(4)} SOL (~$${(transactionData.economicInsights.suspiciousVolume * solPriceUSD).toFixed(2)}, ${txTypes.others?.count || 0} custom transactions)`));
-      console.log(chalk.cyan('Top Accounts:'));
-      const topAccounts = transactionData.economicInsights.topAccounts || [];
-      topAccounts.forEach(account => {
-        console.log(chalk.white(`  - ${account.address}: ${account.volume.toFixed(4)} SOL (${account.action}, ${account.txCount} txs, https://solscan.io/account/${account.address})`));
-      });
-      console.log(chalk.white(`Concentration Risk: ${topAccounts.length && topAccounts[0]?.volume / (transactionData.economicInsights.totalVolumeSOL || 1) > 0.7 ? 'High' : 'Low'}`));
-
-      // Token Insights
-      if (tokenMetadata) {
-        console.log(chalk.cyan('\nToken Insights\n--------------'));
-        const tokenTable = new Table({ head: [chalk.cyan('Metric'), chalk.cyan('Value')], colWidths: [30, 50] });
-        tokenTable.push(
-          ['Token', chalk.white(tokenMetadata.name)],
-          ['Mint Address', chalk.white(`${mintAddress} (https://solscan.io/token/${mintAddress})`)],
-          ['Total Supply', chalk.white(`${tokenMetadata.totalSupply.toLocaleString()} units`)],
-          ['Decimals', chalk.white(tokenMetadata.decimals)],
-          ['Mint Authority', chalk.white(tokenMetadata.mintAuthority ? tokenMetadata.mintAuthority : 'None')],
-          ['Freeze Authority', chalk.white(tokenMetadata.freezeAuthority ? tokenMetadata.freezeAuthority : 'None')]
+      console.log(chalk.white(offline ? '- Status: Compare the file hash with the deployed program before relying on this analysis.' : '- Status: Verify binary integrity on Solscan.'));
+
+      if (offline) {
+        console.log(chalk.cyan('\nTransactions, Money Movement and Token Insights\n-----------------------------------------------'));
+        console.log(chalk.gray(`Skipped: ${OFFLINE_SKIP_REASON}. Run \`analyze <address>\` once the program is deployed.`));
+      } else {
+        // Transaction Breakdown
+        console.log(chalk.cyan('\nTransaction Breakdown\n--------------------'));
+        const txBreakdownTable = new Table({ head: [chalk.cyan('Type'), chalk.cyan('Count'), chalk.cyan('Volume (SOL)'), chalk.cyan('Approx. Value (USD)')], colWidths: [20, 10, 15, 20] });
+        const txTypes = transactionData.economicInsights.transactionTypes || {};
+        txBreakdownTable.push(
+          ['Swaps', chalk.white(txTypes.swap?.count || 0), chalk.white((txTypes.swap?.volume || 0).toFixed(4)), chalk.white(`$${(txTypes.swap?.volume * solPriceUSD || 0).toFixed(2)}`)],
+          ['Transfers', chalk.white(txTypes.transfer?.count || 0), chalk.white((txTypes.transfer?.volume || 0).toFixed(4)), chalk.white(`$${(txTypes.transfer?.volume * solPriceUSD || 0).toFixed(2)}`)],
+          ['Mints', chalk.white(txTypes.mint?.count || 0), chalk.white((txTypes.mint?.volume || 0).toFixed(4)), chalk.white(`$${(txTypes.mint?.volume * solPriceUSD || 0).toFixed(2)}`)],
+          ['Burns', chalk.white(txTypes.burn?.count || 0), chalk.white((txTypes.burn?.volume || 0).toFixed(4)), chalk.white(`$${(txTypes.burn?.volume * solPriceUSD || 0).toFixed(2)}`)],
+          ['Governance', chalk.white(txTypes.governance?.count || 0), chalk.white((txTypes.governance?.volume || 0).toFixed(4)), chalk.white(`$${(txTypes.governance?.volume * solPriceUSD || 0).toFixed(2)}`)],
+          ['NFT Mints', chalk.white(txTypes.nftMint?.count || 0), chalk.white((txTypes.nftMint?.volume || 0).toFixed(4)), chalk.white(`$${(txTypes.nftMint?.volume * solPriceUSD || 0).toFixed(2)}`)],
+          ['Custom/Other', chalk.white(txTypes.others?.count || 0), chalk.white((txTypes.others?.volume || 0).toFixed(4)), chalk.white(`$${(txTypes.others?.volume * solPriceUSD || 0).toFixed(2)}`)]
         );
-        console.log(tokenTable.toString());
-        console.log(chalk.white('- Status: Verify mint authority on Solscan to assess rug-pull risk.'));
+        console.log(txBreakdownTable.toString());
+
+        // Money Movement
+        console.log(chalk.cyan('\nMoney Movement\n--------------'));
+        console.log(chalk.white(`Window: ${formatWindow(transactionData.window)}`));
+        console.log(chalk.white(`Total Volume: ${transactionData.economicInsights.totalVolumeSOL.toFixed(4)} SOL (~$${(transactionData.economicInsights.totalVolumeSOL * solPriceUSD).toFixed(2)} at $${solPriceUSD}/SOL)`));
+        console.log(chalk.white(`Suspicious Volume: ${transactionData.economicInsights.suspiciousVolume.toFixed(4)} SOL (~$${(transactionData.economicInsights.suspiciousVolume * solPriceUSD).toFixed(2)}, ${txTypes.others?.count || 0} custom transactions)`));
+        const washTrading = transactionData.economicInsights.washTrading;
+        if (washTrading) {
+          console.log(chalk.white(`Organic Volume: ${washTrading.organicVolumeSOL.toFixed(4)} SOL (${(washTrading.washShare * 100).toFixed(0)}% flagged as wash trading in ${washTrading.flaggedTransactions} transactions)`));
+          washTrading.cycles.slice(0, 5).forEach(cycle => {
+            console.log(chalk.yellow(`  - ${cycle.type}: ${cycle.wallets.map(wallet => `${wallet.slice(0, 8)}...`).join(' -> ')} ${cycle.amount.toFixed(4)} ${cycle.mint === 'SOL' ? 'SOL' : `of ${cycle.mint}`} (${cycle.volumeSOL.toFixed(4)} SOL volume, ${cycle.durationSeconds}s)`));
+          });
+          if (washTrading.pairConcentration.concentrated) {
+            console.log(chalk.yellow(`  - ${(washTrading.pairConcentration.share * 100).toFixed(0)}% of SOL volume is between ${washTrading.pairConcentration.topPairs.length} counterparty pairs`));
+          }
+        }
+        console.log(chalk.cyan('Top Accounts:'));
+        const topAccounts = transactionData.economicInsights.topAccounts || [];
+        topAccounts.forEach(account => {
+          console.log(chalk.white(`  - ${account.address}: ${account.volume.toFixed(4)} SOL (${account.action}, ${account.txCount} txs, ${solscanUrl(`account/${account.address}`)})`));
+        });
+        console.log(chalk.white(`Concentration Risk: ${topAccounts.length && topAccounts[0]?.volume / (transactionData.economicInsights.totalVolumeSOL || 1) > 0.7 ? 'High' : 'Low'}`));
+        const flows = transactionData.economicInsights.tokenFlowInsights;
+        if (flows?.byMint?.length) {
+          console.log(chalk.cyan('Flows by Token (USD at transaction time):'));
+          const mintTable = new Table({ head: [chalk.cyan('Token'), chalk.cyan('Volume'), chalk.cyan('USD'), chalk.cyan('Owners'), chalk.cyan('Txs')], colWidths: [48, 20, 16, 10, 8] });
+          flows.byMint.slice(0, 5).forEach(mint => mintTable.push([chalk.white(mint.mint), chalk.white(mint.volume.toFixed(4)), chalk.white(formatUSD(mint.volumeUSD)), chalk.white(mint.owners), chalk.white(mint.txCount)]));
+          console.log(mintTable.toString());
+          [...flows.topInflows.map(flow => ['In ', flow]), ...flows.topOutflows.map(flow => ['Out', flow])].forEach(([label, flow]) => {
+            console.log(chalk.white(`  ${label} ${flow.account}: ${flow.amount.toFixed(4)} ${flow.token === 'SOL' ? 'SOL' : `of ${flow.token}`} (${formatUSD(flow.usd)}, ${flow.txCount} txs)`));
+          });
+        }
+
+        // Wallet Clusters
+        console.log(chalk.cyan('\nWallet Clusters\n---------------'));
+        console.log(chalk.white(`Users: ${walletClusters.walletCount} wallets, ~${walletClusters.entityCount} entities (${walletClusters.clusterCount} clusters, ${walletClusters.fundersResolved} first funders found)`));
+        if (walletClusters.clusters.length) {
+          const clusterTable = new Table({ head: [chalk.cyan('Cluster'), chalk.cyan('Wallets'), chalk.cyan('Share'), chalk.cyan('Confidence'), chalk.cyan('Evidence')], colWidths: [10, 10, 10, 12, 58] });
+          walletClusters.clusters.slice(0, 5).forEach(cluster => {
+            const evidence = [
+              ...Object.entries(cluster.signals).map(([signal, count]) => `${signal} x${count}`),
+              ...cluster.funders.map(funder => `funded by ${funder.slice(0, 8)}...`),
+            ].join(', ');
+            clusterTable.push([chalk.white(`#${cluster.id}`), chalk.white(cluster.size), chalk.white(`${(cluster.share * 100).toFixed(0)}%`), chalk.white(`${cluster.confidence}%`), chalk.white(evidence)]);
+          });
+          console.log(clusterTable.toString());
+        }
+        console.log(chalk.white(`Sybil Risk: ${walletClusters.walletCount >= 5 && walletClusters.largestClusterShare > 0.5 ? 'High' : walletClusters.largestClusterShare > 0.25 ? 'Moderate' : 'Low'} (largest cluster holds ${(walletClusters.largestClusterShare * 100).toFixed(0)}% of wallets)`));
+
+        // Token Insights
+        if (tokenMetadata) {
+          console.log(chalk.cyan('\nToken Insights\n--------------'));
+          const tokenTable = new Table({ head: [chalk.cyan('Metric'), chalk.cyan('Value')], colWidths: [30, 50] });
+          tokenTable.push(
+            ['Token', chalk.white(tokenMetadata.name)],
+            ['Mint Address', chalk.white(`${mintAddress} (${solscanUrl(`token/${mintAddress}`)})`)],
+            ['Total Supply', chalk.white(tokenMetadata.supply !== null ? `${tokenMetadata.supply.toLocaleString()} units` : 'Unknown')],
+            ['Decimals', chalk.white(tokenMetadata.decimals)],
+            ['Mint Authority', chalk.white(tokenMetadata.mintAuthority ? tokenMetadata.mintAuthority : 'None')],
+            ['Freeze Authority', chalk.white(tokenMetadata.freezeAuthority ? tokenMetadata.freezeAuthority : 'None')]
+          );
+          console.log(tokenTable.toString());
+          console.log(chalk.white('- Status: Verify mint authority on Solscan to assess rug-pull risk.'));
+        }
       }
 
       // Binary Insights
       console.log(chalk.cyan('\nBinary Insights\n---------------'));
       const binaryTable = new Table({ head: [chalk.cyan('Metric'), chalk.cyan('Value')], colWidths: [30, 50] });
       binaryTable.push(
-        ['Instructions Detected', chalk.white(`${analysis.insights.instructions} (syscalls: ${analysis.insights.syscalls?.join(', ') || 'none'})`)],
+        ['Instructions Detected', chalk.white(`${analysis.insights.instructions} (syscalls: ${analysis.insights.syscalls?.map(s => `${s.name} x${s.count}`).join(', ') || 'none'})`)],
+        ['Entrypoint', chalk.white(analysis.insights.entrypoint || 'Unknown')],
+        ['Sections', chalk.white(Object.entries(analysis.insights.sections || {}).map(([name, size]) => `${name}: ${size} bytes`).join(', ') || 'None')],
         ['Suspected Program Type', chalk.white(analysis.insights.suspectedType.toUpperCase())],
+        ['Anchor Instructions', chalk.white(analysis.insights.anchor?.isAnchor ? analysis.insights.anchor.instructions.map(ix => ix.name || ix.discriminator).join(', ') || 'None' : 'Not an Anchor program')],
         ['Reentrancy Risk', chalk.white(analysis.insights.reentrancyRisk || 'Low')],
-        ['Complexity', chalk.white(`${analysis.insights.controlFlow?.branches || 0} branches, ${analysis.insights.controlFlow?.loops || 0} loops`)],
+        ['Complexity', chalk.white(`${analysis.insights.controlFlow?.functions || 0} functions, ${analysis.insights.controlFlow?.branches || 0} branches, ${analysis.insights.controlFlow?.loops || 0} loops, max cyclomatic ${analysis.insights.controlFlow?.maxComplexity || 0}`)],
         ['Borsh Serialization', chalk.white(analysis.insights.usesBorsh ? 'Detected' : 'Not detected')]
       );
       console.log(binaryTable.toString());
@@ -477,7 +829,9 @@ program
 
       // Authority Insights
       console.log(chalk.cyan('\nAuthority Insights\n------------------'));
-      if (!authorityInsights.length) {
+      if (offline) {
+        console.log(chalk.gray(`Skipped: ${OFFLINE_SKIP_REASON}. Upgrade authority from the file: ${programAccount.upgradeAuthority || 'not recorded'}.`));
+      } else if (!authorityInsights.length) {
         console.log(chalk.white('No authorities detected.'));
       } else {
         const authorityTable = new Table({ head: [chalk.cyan('Authority'), chalk.cyan('Total SOL Withdrawn'), chalk.cyan('Wallet Age'), chalk.cyan('Token Mints')], colWidths: [20, 20, 20, 15] });
@@ -496,19 +850,29 @@ program
       // Call Graph
       console.log(chalk.cyan('\nCall Graph\n----------'));
       const topEdges = callGraph.edges?.slice(0, 5) || [];
-      if (!topEdges.length) {
+      if (offline) {
+        console.log(chalk.gray(`Skipped: ${OFFLINE_SKIP_REASON}.`));
+      } else if (!topEdges.length) {
         console.log(chalk.white('No significant interactions detected.'));
       } else {
         const callGraphTable = new Table({ head: [chalk.cyan('From'), chalk.cyan('To'), chalk.cyan('Action'), chalk.cyan('Count')], colWidths: [20, 20, 20, 10] });
         topEdges.forEach(edge => {
           callGraphTable.push([
-            chalk.white(edge.from),
-            chalk.white(edge.to),
+            chalk.white(programName(edge.from)),
+            chalk.white(programName(edge.to)),
             chalk.white(edge.action || 'unknown'),
             chalk.white(edge.count)
           ]);
         });
         console.log(callGraphTable.toString());
+        const describe = neighbours => neighbours.map(n => `${programName(n.program)} (${n.count}x: ${n.instructions.join(', ')})`).join('; ') || 'None';
+        console.log(chalk.white(`- Called by: ${describe(callGraph.callers || [])}`));
+        console.log(chalk.white(`- Calls: ${describe(callGraph.callees || [])}`));
+        console.log(chalk.white(`- Top-level invocations: ${callGraph.directInvocations ?? 0}`));
+        if (callGraph.trees?.length) {
+          console.log(chalk.cyan(`CPI tree of ${callGraph.trees[0].signature.slice(0, 16)}...:`));
+          console.log(chalk.white(formatCpiTree(callGraph.trees[0].roots).split('\n').map(line => `  ${line}`).join('\n')));
+        }
         console.log(chalk.white(`- Status: Review top interactions on Solscan.`));
       }
 
@@ -518,17 +882,17 @@ program
       summaryTable.push(
         ['Safety Score', chalk.white(`${safetyAssessment.safetyScore}/100`)],
         ['Program Type', chalk.white(analysis.insights.suspectedType.toUpperCase())],
-        ['Transaction Volume', chalk.white(`${transactionData.economicInsights.totalVolumeSOL.toFixed(4)} SOL`)],
+        ['Transaction Volume', offline ? skippedCell : chalk.white(`${transactionData.economicInsights.totalVolumeSOL.toFixed(4)} SOL`)],
         ['Vulnerabilities', chalk.white(vulnerabilities.length)],
-        ['Authorities', chalk.white(authorityInsights.length)]
+        ['Authorities', offline ? skippedCell : chalk.white(authorityInsights.length)]
       );
       console.log(summaryTable.toString());
       console.log(chalk.cyan('Recommendations:'));
-      console.log(chalk.white(`  - Monitor program updates: https://solscan.io/account/${address}#events`));
+      if (address) console.log(chalk.white(`  - Monitor program updates: ${solscanUrl(`account/${address}#events`)}`));
       if (tokenMetadata?.mintAuthority) {
-        console.log(chalk.white(`  - Verify mint authority ${tokenMetadata.mintAuthority}: https://solscan.io/account/${tokenMetadata.mintAuthority}`));
+        console.log(chalk.white(`  - Verify mint authority ${tokenMetadata.mintAuthority}: ${solscanUrl(`account/${tokenMetadata.mintAuthority}`)}`));
       }
-      console.log(chalk.white('  - Run `audit-report` for a detailed report.'));
+      console.log(chalk.white(offline ? `  - Run \`audit-report --file ${options.file}\` for a detailed report.` : '  - Run `audit-report` for a detailed report.'));
 
       console.log(success('Analysis complete.'));
     } catch (err) {
@@ -537,7 +901,7 @@ program
       console.log(error(`Contact ${SUPPORT_EMAIL} for assistance.`));
     }
 
-    await promptNextAction(`analyze ${address}`, address, analysisResults);
+    if (address) await promptNextAction(`analyze ${address}`, address, analysisResults);
   });
 
 // Analyze Fees command
@@ -546,6 +910,7 @@ program
   .description('Analyze transaction fees')
   .argument('<address>', 'Program address')
   .option('-l, --limit <number>', 'Number of transactions to analyze', 25)
+  .option('--idl <file>', 'Anchor IDL JSON used to name instructions (defaults to the on-chain or recovered IDL)')
   .action(async (address, options) => {
     const spinner = ora(chalk.yellow(`Analyzing fees for ${address}...`)).start();
     if (!validateAddress(address)) {
@@ -555,13 +920,16 @@ program
     }
 
     try {
+      spinner.text = 'Resolving IDL...';
+      const idl = await resolveIdl(address, { idlFile: options.idl });
       spinner.text = 'Fetching fee data...';
-      const feeAnalysis = await withTimeout(signal => analyzeFees(address, { limit: parseInt(options.limit), signal }), 5000, { totalTransactions: 0, averageFeeSOL: 0, hiddenFees: [], manipulation: [] });
+      const feeAnalysis = await withTimeout(signal => analyzeFees(address, { limit: parseInt(options.limit), signal, idl }), 5000, { totalTransactions: 0, averageFeeSOL: 0, hiddenFees: [], manipulation: [], compute: null });
+      const compute = feeAnalysis.compute;
       spinner.succeed(chalk.green(`Fee analysis for ${address}... [Success]`));
 
       console.log(chalk.cyan('\nFee Analysis\n------------'));
-      console.log(chalk.white(`- Solscan: https://solscan.io/account/${address}`));
-      console.log(chalk.white(`- Explorer: https://explorer.solana.com/address/${address}`));
+      console.log(chalk.white(`- Solscan: ${solscanUrl(`account/${address}`)}`));
+      console.log(chalk.white(`- Explorer: ${explorerUrl(`address/${address}`)}`));
       const feeTable = new Table({ head: [chalk.cyan('Metric'), chalk.cyan('Value')], colWidths: [30, 50] });
       feeTable.push(
         ['Total Transactions', chalk.white(feeAnalysis.totalTransactions || 0)],
@@ -570,8 +938,68 @@ program
         ['Hidden Fees Detected', chalk.white(feeAnalysis.hiddenFees?.length || 0)],
         ['Manipulation Issues', chalk.white(feeAnalysis.manipulation?.length || 0)]
       );
+      if (compute?.transactionsAnalyzed) {
+        feeTable.push(
+          ['Base Fees (SOL)', chalk.white(compute.fees.baseSOL.toFixed(6))],
+          ['Priority Fees (SOL)', chalk.white(`${compute.fees.prioritySOL.toFixed(6)} (${(compute.fees.priorityShare * 100).toFixed(1)}% of fees)`)],
+          ['Compute Units (p50/p90/p99)', chalk.white(`${compute.computeUnits.p50} / ${compute.computeUnits.p90} / ${compute.computeUnits.p99}`)],
+          ['CU Limit / Price Set', chalk.white(`${compute.budget.limitSet} / ${compute.budget.priceSet} of ${compute.transactionsAnalyzed} transactions`)],
+          ['CU Price p50/p90 (µlamports)', chalk.white(`${compute.budget.priceMicroLamports.p50} / ${compute.budget.priceMicroLamports.p90}`)],
+          ['Compute Failures', compute.computeExceeded.length ? chalk.red(`${compute.computeExceeded.length} of ${compute.failures} failed`) : chalk.white(`0 of ${compute.failures} failed`)],
+          ['Paid for Unused CU (SOL)', compute.overpaidSOL > 0 ? chalk.yellow(compute.overpaidSOL.toFixed(6)) : chalk.white('0')]
+        );
+      }
       console.log(feeTable.toString());
 
+      if (compute?.instructions.length) {
+        console.log(chalk.cyan('\nCompute Units by Instruction\n----------------------------'));
+        const computeTable = new Table({
+          head: ['Instruction', 'Calls', 'p50 CU', 'p90 CU', 'p99 CU', 'Max CU', 'Median Limit', 'Avg Priority Fee', 'Failed (CU)'].map(head => chalk.cyan(head)),
+          colWidths: [22, 8, 10, 10, 10, 10, 14, 18, 13],
+        });
+        compute.instructions.forEach(type => {
+          computeTable.push([
+            chalk.white(type.instruction),
+            chalk.white(type.invocations),
+            chalk.white(type.computeUnits.p50),
+            chalk.white(type.computeUnits.p90),
+            chalk.white(type.computeUnits.p99),
+            chalk.white(type.computeUnits.max),
+            type.overRequested ? chalk.yellow(type.requestedLimit) : chalk.white(type.requestedLimit),
+            chalk.white(`${type.priorityFeeSOL.toFixed(6)} SOL`),
+            type.computeExceeded ? chalk.red(`${type.failures} (${type.computeExceeded})`) : chalk.white(`${type.failures} (0)`),
+          ]);
+        });
+        console.log(computeTable.toString());
+
+        const outliers = compute.instructions.flatMap(type => type.outliers.map(outlier => ({ instruction: type.instruction, p50: type.computeUnits.p50, ...outlier })));
+        if (outliers.length) {
+          console.log(chalk.cyan('\nCompute Outliers\n----------------'));
+          const outlierTable = new Table({ head: [chalk.cyan('Instruction'), chalk.cyan('Signature'), chalk.cyan('Compute Units'), chalk.cyan('p50 CU')], colWidths: [22, 24, 16, 12] });
+          outliers.forEach(outlier => outlierTable.push([chalk.white(outlier.instruction), chalk.white(`${outlier.signature.slice(0, 20)}...`), chalk.yellow(outlier.consumed), chalk.white(outlier.p50)]));
+          console.log(outlierTable.toString());
+        }
+      }
+
+      if (feeAnalysis.hiddenFees?.length) {
+        console.log(chalk.cyan('\nOver-requested Compute Limits\n-----------------------------'));
+        const hiddenTable = new Table({ head: [chalk.cyan('Instruction'), chalk.cyan('Details')], colWidths: [22, 70], wordWrap: true });
+        feeAnalysis.hiddenFees.forEach(fee => hiddenTable.push([chalk.white(fee.instruction), chalk.yellow(fee.details)]));
+        console.log(hiddenTable.toString());
+      }
+
+      if (compute?.computeExceeded.length) {
+        console.log(chalk.cyan('\nCompute Budget Exceeded\n-----------------------'));
+        const exceededTable = new Table({ head: [chalk.cyan('Signature'), chalk.cyan('Instruction'), chalk.cyan('Limit'), chalk.cyan('Consumed')], colWidths: [24, 22, 12, 12] });
+        compute.computeExceeded.slice(0, 10).forEach(failure => exceededTable.push([
+          chalk.white(`${failure.signature.slice(0, 20)}...`),
+          chalk.white(failure.instruction),
+          chalk.white(failure.limit),
+          chalk.red(failure.consumed ?? 'n/a'),
+        ]));
+        console.log(exceededTable.toString());
+      }
+
       if (feeAnalysis.manipulation?.length) {
         console.log(chalk.cyan('\nManipulation Issues\n-------------------'));
         const manipulationTable = new Table({ head: [chalk.cyan('Issue'), chalk.cyan('Signature'), chalk.cyan('Details')], colWidths: [20, 20, 40] });
@@ -587,8 +1015,14 @@ program
 
       console.log(chalk.cyan('\nSummary\n-------'));
       console.log(chalk.white(`- Fee Behavior: ${feeAnalysis.manipulation?.length ? 'Potential manipulation detected.' : 'No significant issues.'}`));
+      if (compute?.transactionsAnalyzed) {
+        console.log(chalk.white(`- Compute: ${compute.fees.priorityShare > 0.5 ? 'priority fees make up most of what users pay' : 'fees are mostly base fees'}; ${feeAnalysis.hiddenFees.length ? `${feeAnalysis.hiddenFees.length} instruction type(s) request far more compute than they use.` : 'compute limits match usage.'}`));
+        if (compute.computeExceeded.length) console.log(chalk.red(`- ${compute.computeExceeded.length} transaction(s) failed by exceeding their compute budget.`));
+      }
       console.log(chalk.cyan('Recommendations:'));
-      console.log(chalk.white(`  - Monitor fees: https://solscan.io/account/${address}#transactions`));
+      console.log(chalk.white(`  - Monitor fees: ${solscanUrl(`account/${address}#transactions`)}`));
+      if (feeAnalysis.hiddenFees?.length) console.log(chalk.white('  - Lower the SetComputeUnitLimit of over-requested instructions to the suggested limit.'));
+      if (compute?.computeExceeded.length) console.log(chalk.white('  - Raise the compute limit of failing instructions, or reduce their compute usage.'));
       console.log(chalk.white('  - Run `audit-report` for a comprehensive report.'));
 
       console.log(success('Fee analysis complete.'));
@@ -620,8 +1054,8 @@ program
       spinner.succeed(chalk.green(`Quick check for ${address}... [Success]`));
 
       console.log(chalk.cyan('\nQuick Check Results\n------------------'));
-      console.log(chalk.white(`- Solscan: https://solscan.io/account/${address}`));
-      console.log(chalk.white(`- Explorer: https://explorer.solana.com/address/${address}`));
+      console.log(chalk.white(`- Solscan: ${solscanUrl(`account/${address}`)}`));
+      console.log(chalk.white(`- Explorer: ${explorerUrl(`address/${address}`)}`));
       const quickTable = new Table({ head: [chalk.cyan('Metric'), chalk.cyan('Value')], colWidths: [30, 50] });
       quickTable.push(
         ['Program Active', chalk.white(result.isActive ? 'Yes' : 'No')],
@@ -663,9 +1097,6 @@ program
     }
 
     try {
-      if (!process.env.QUICKNODE_RPC_URL && !process.env.HELIUS_API_KEY) {
-        throw new Error('QUICKNODE_RPC_URL or HELIUS_API_KEY not set in .env');
-      }
       await startMonitoring(address, {
         threshold: parseInt(options.threshold),
         commitment: 'confirmed',
@@ -684,7 +1115,15 @@ program
   .command('extract-state')
   .description('Extract program state')
   .argument('<address>', 'Program address')
-  .action(async (address) => {
+  .option('--layout', 'Infer a schema per account type and decode sample rows')
+  .option('--scan', 'Stream every program account to an NDJSON file in batches')
+  .option('--sample <number>', 'Random accounts per account type instead of all of them')
+  .option('--resume', 'Resume an interrupted scan from its output file')
+  .option('--data-size <bytes...>', 'Scan accounts of these sizes instead of per discriminator')
+  .option('--idl <file>', 'Anchor IDL JSON used to name account types (defaults to the on-chain IDL)')
+  .option('-f, --format <type>', 'Layout export format (json, csv)', 'json')
+  .option('-o, --output <file>', 'Write the inferred layouts (--layout) or scanned accounts (--scan, default accounts.ndjson) to a file')
+  .action(async (address, options) => {
     const spinner = ora(chalk.yellow(`Fetching program state for ${address}...`)).start();
     if (!validateAddress(address)) {
       spinner.fail(chalk.red(`Invalid program address: ${address}`));
@@ -692,14 +1131,26 @@ program
       return;
     }
 
+    if (options.scan) {
+      await scanAccounts(address, options, spinner);
+      await promptNextAction(`extract-state ${address}`, address);
+      return;
+    }
+
+    if (options.layout) {
+      await extractLayouts(address, options, spinner);
+      await promptNextAction(`extract-state ${address}`, address);
+      return;
+    }
+
     try {
       spinner.text = 'Extracting state...';
       const state = await withTimeout(signal => extractState(address, { signal }), 5000, []);
       spinner.succeed(chalk.green(`Program state extracted for ${address}... [Success]`));
 
       console.log(chalk.cyan('\nProgram State\n-------------'));
-      console.log(chalk.white(`- Solscan: https://solscan.io/account/${address}`));
-      console.log(chalk.white(`- Explorer: https://explorer.solana.com/address/${address}`));
+      console.log(chalk.white(`- Solscan: ${solscanUrl(`account/${address}`)}`));
+      console.log(chalk.white(`- Explorer: ${explorerUrl(`address/${address}`)}`));
       if (!state.length) {
         console.log(chalk.white('No program accounts found.'));
       } else {
@@ -746,9 +1197,10 @@ program
 
     try {
       spinner.text = 'Fetching program binary...';
-      const binary = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, Buffer.from([]));
+      const programAccount = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+      const { binary } = programAccount;
       spinner.text = 'Analyzing binary...';
-      const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal }), 5000, { insights: { suspectedType: 'UNKNOWN', instructions: 0 } });
+      const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal, programAccount }), 5000, { insights: { suspectedType: 'UNKNOWN', instructions: 0 } });
       spinner.text = 'Fetching transactions...';
       const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal }), 5000, { transactions: [] });
       spinner.text = 'Generating IDL...';
@@ -756,21 +1208,41 @@ program
       spinner.succeed(chalk.green(`API reconstruction for ${address}... [Success]`));
 
       console.log(chalk.cyan('\nReconstructed API\n-----------------'));
-      console.log(chalk.white(`- Solscan: https://solscan.io/account/${address}`));
-      console.log(chalk.white(`- Explorer: https://explorer.solana.com/address/${address}`));
+      console.log(chalk.white(`- Solscan: ${solscanUrl(`account/${address}`)}`));
+      console.log(chalk.white(`- Explorer: ${explorerUrl(`address/${address}`)}`));
       if (!idl.instructions.length) {
         console.log(chalk.white('No instructions reconstructed.'));
+      } else if (idl.source === 'bytecode') {
+        const idlTable = new Table({ head: [chalk.cyan('Instruction'), chalk.cyan('Discriminator'), chalk.cyan('Handler')], colWidths: [30, 30, 20] });
+        idl.instructions.forEach(instruction => {
+          idlTable.push([
+            chalk.white(instruction.name),
+            chalk.white(Buffer.from(instruction.discriminator).toString('hex')),
+            chalk.white(instruction.handler || 'Unknown')
+          ]);
+        });
+        console.log(idlTable.toString());
+        console.log(chalk.white('- Source: Anchor dispatcher recovered from bytecode'));
       } else {
         const idlTable = new Table({ head: [chalk.cyan('Instruction'), chalk.cyan('Arguments'), chalk.cyan('Returns')], colWidths: [30, 30, 20] });
         idl.instructions.forEach(instruction => {
           idlTable.push([
             chalk.white(instruction.name),
-            chalk.white(instruction.args.map(arg => arg.name + ': ' + arg.type).join(', ') || 'None'),
-            chalk.white(instruction.returns || 'void')
+            chalk.white(instruction.args.map(arg => arg.name + ': ' + formatIdlType(arg.type)).join(', ') || 'None'),
+            chalk.white(instruction.returns ? formatIdlType(instruction.returns) : 'void')
           ]);
         });
         console.log(idlTable.toString());
       }
+      if (idl.source === 'on-chain') {
+        console.log(chalk.white(`- Source: IDL published on-chain at ${idl.onChain.idlAddress}`));
+        console.log(chalk.white(`- IDL Authority: ${idl.onChain.authority}`));
+        if (idl.onChain.stale) {
+          console.log(chalk.yellow(`- Stale IDL: the deployed binary does not match the published IDL`));
+          if (idl.onChain.missingFromIdl.length) console.log(chalk.yellow(`  - Dispatched but not published: ${idl.onChain.missingFromIdl.join(', ')}`));
+          if (idl.onChain.missingFromBinary.length) console.log(chalk.yellow(`  - Published but not dispatched: ${idl.onChain.missingFromBinary.join(', ')}`));
+        }
+      }
 
       console.log(chalk.cyan('\nSummary\n-------'));
       console.log(chalk.white(`- Status: ${idl.instructions.length} instructions reconstructed.`));
@@ -803,9 +1275,10 @@ program
 
     try {
       spinner.text = 'Fetching program binary...';
-      const binary = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, Buffer.from([]));
+      const programAccount = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+      const { binary } = programAccount;
       spinner.text = 'Analyzing binary...';
-      const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal }), 5000, { insights: { authorityHolders: [] } });
+      const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal, programAccount }), 5000, { insights: { authorityHolders: [] } });
       spinner.text = 'Analyzing authority holders...';
       const authorityInsights = await withTimeout(signal => analyzeAuthorityHolders(analysis.insights.authorityHolders?.filter(a => validateAddress(a)) || [], address, { signal }), 5000, []);
       spinner.text = 'Fetching transactions...';
@@ -817,8 +1290,8 @@ program
       spinner.succeed(chalk.green(`Governance inference for ${address}... [Success]`));
 
       console.log(chalk.cyan('\nGovernance Analysis\n------------------'));
-      console.log(chalk.white(`- Solscan: https://solscan.io/account/${address}`));
-      console.log(chalk.white(`- Explorer: https://explorer.solana.com/address/${address}`));
+      console.log(chalk.white(`- Solscan: ${solscanUrl(`account/${address}`)}`));
+      console.log(chalk.white(`- Explorer: ${explorerUrl(`address/${address}`)}`));
       const govTable = new Table({ head: [chalk.cyan('Metric'), chalk.cyan('Value')], colWidths: [30, 50] });
       govTable.push(
         ['Governance Type', chalk.white(governance.type)],
@@ -862,8 +1335,8 @@ program
       spinner.succeed(chalk.green(`Update history analysis for ${address}... [Success]`));
 
       console.log(chalk.cyan('\nUpdate History\n--------------'));
-      console.log(chalk.white(`- Solscan: https://solscan.io/account/${address}`));
-      console.log(chalk.white(`- Explorer: https://explorer.solana.com/address/${address}`));
+      console.log(chalk.white(`- Solscan: ${solscanUrl(`account/${address}`)}`));
+      console.log(chalk.white(`- Explorer: ${explorerUrl(`address/${address}`)}`));
       if (!updates.length) {
         console.log(chalk.white('No program updates found.'));
       } else {
@@ -897,26 +1370,57 @@ program
 program
   .command('audit-report')
   .description('Generate audit report')
-  .argument('<address>', 'Program address')
+  .argument('[address]', 'Program address (optional with --file)')
   .option('-o, --output <file>', 'Output file path', 'audit_report.json')
   .option('-f, --format <type>', 'Output format (json, markdown)', 'json')
+  .option('--idl <file>', 'Anchor IDL JSON used to decode instructions (defaults to the on-chain or recovered IDL)')
+  .option('--file <path>', 'Report on a local .so, `solana program dump` output or account dump without network access')
+  .option('--timeframe <window>', 'How far back to analyze transactions (e.g. 24h, 7d, 30d; default: all, bounded by --limit)', 'all')
+  .option('--limit <number>', 'Maximum transactions to analyze (0 for the whole timeframe, which then needs --timeframe or --min-slot)', '25')
+  .option('--min-slot <slot>', 'Oldest slot to include')
+  .option('--checkpoint <file>', 'Save crawl progress to a file so an interrupted crawl resumes')
   .action(async (address, options) => {
-    const spinner = ora(chalk.yellow(`Generating audit report for ${address}...`)).start();
-    if (!validateAddress(address)) {
+    const offline = Boolean(options.file);
+    const target = address || options.file;
+    const spinner = ora(chalk.yellow(`Generating audit report for ${target}...`)).start();
+    if (!validateTarget(address, options)) {
       spinner.fail(chalk.red(`Invalid program address: ${address}`));
-      console.log(error(`Please provide a valid Solana address. Contact ${SUPPORT_EMAIL}.`));
+      console.log(error(`Please provide a valid Solana address or --file. Contact ${SUPPORT_EMAIL}.`));
       return;
     }
 
     try {
-      spinner.text = 'Fetching program binary...';
-      const binary = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, Buffer.from([]));
+      spinner.text = offline ? 'Loading program file...' : 'Fetching program binary...';
+      const programAccount = await loadProgram(address, options);
+      address = address || programAccount.address || undefined;
+      const { binary } = programAccount;
       spinner.text = 'Analyzing binary...';
-      const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal }), 5000, { insights: { suspectedType: 'UNKNOWN', authorityHolders: [] } });
-      spinner.text = 'Fetching transactions...';
-      const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal }), 5000, { transactions: [], economicInsights: { totalVolumeSOL: 0, suspiciousVolume: 0, topAccounts: [] } });
-      spinner.text = 'Analyzing authorities...';
-      const authorityInsights = await withTimeout(signal => analyzeAuthorityHolders(analysis.insights.authorityHolders?.filter(a => validateAddress(a)) || [], address, { signal }), 5000, []);
+      const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal, programAccount }), 5000, { insights: { suspectedType: 'UNKNOWN', authorityHolders: [] } });
+      spinner.text = 'Resolving IDL...';
+      const idl = await resolveIdl(address, { idlFile: options.idl, analysis, offline });
+      // Offline, the network steps are reported as skipped rather than as empty results.
+      const skipped = offline ? { transactions: OFFLINE_SKIP_REASON, authorities: OFFLINE_SKIP_REASON } : {};
+      let transactionData = EMPTY_TRANSACTION_DATA;
+      let authorityInsights = [];
+      let mev = null;
+      let lookupTables = null;
+      if (!offline) {
+        spinner.text = `Fetching transactions (${options.timeframe})...`;
+        const crawl = crawlOptions(options, spinner);
+        transactionData = await withTimeout(signal => getRecentTransactions(address, { ...crawl, signal, idl, prices: true }), 5000, { transactions: [], economicInsights: { totalVolumeSOL: 0, suspiciousVolume: 0, topAccounts: [] } });
+        // Sandwiches only matter where users swap; other programs skip MEV detection.
+        const behavior = await withTimeout(signal => inferBehavior(analysis, transactionData, { signal }), 5000, null);
+        if (isAmm(behavior)) {
+          spinner.text = 'Detecting MEV...';
+          mev = await detectMev(transactionData, address);
+        } else {
+          skipped.mev = 'program is not labelled as an AMM';
+        }
+        spinner.text = 'Resolving address lookup tables...';
+        lookupTables = await analyzeLookupTables(transactionData, address, { upgradeAuthority: programAccount.upgradeAuthority });
+        spinner.text = 'Analyzing authorities...';
+        authorityInsights = await withTimeout(signal => analyzeAuthorityHolders(analysis.insights.authorityHolders?.filter(a => validateAddress(a)) || [], address, { signal }), 5000, []);
+      }
       spinner.text = 'Scanning vulnerabilities...';
       const vulnerabilities = await withTimeout(signal => scanVulnerabilities(analysis, { signal }), 5000, []);
       spinner.text = 'Reconstructing call graph...';
@@ -924,7 +1428,7 @@ program
       spinner.text = 'Assessing safety...';
       const safetyAssessment = await withTimeout(signal => assessSafety(analysis, authorityInsights, transactionData, callGraph, { signal }), 5000, { safetyScore: 50, risks: [] });
       spinner.text = 'Generating report...';
-      const report = await withTimeout(signal => generateAuditReport(analysis, authorityInsights, transactionData, callGraph, vulnerabilities, safetyAssessment, { signal }), 5000, {
+      const report = await withTimeout(signal => generateAuditReport(analysis, authorityInsights, transactionData, callGraph, vulnerabilities, safetyAssessment, { signal, skipped, programFile: options.file, mev, lookupTables, idl }), 5000, {
         programAddress: address,
         executiveSummary: { programType: 'UNKNOWN', safetyScore: 50, riskLevel: 'Moderate', keyFindings: [], riskScoreBreakdown: { critical: 0, high: 0, moderate: 0, low: 0 } },
         riskAssessment: { totalRisks: 0, prioritizedRisks: [] },
@@ -933,19 +1437,25 @@ program
         vulnerabilityAnalysis: [],
         recommendations: []
       });
-      spinner.succeed(chalk.green(`Audit report generated for ${address}... [Success]`));
+      spinner.succeed(chalk.green(`Audit report generated for ${target}... [Success]`));
 
       console.log(chalk.cyan('\nAudit Report Summary\n-------------------'));
-      console.log(chalk.white(`- Solscan: https://solscan.io/account/${address}`));
-      console.log(chalk.white(`- Explorer: https://explorer.solana.com/address/${address}`));
+      if (offline) {
+        console.log(chalk.white(`- Program file: ${options.file}`));
+        console.log(chalk.gray(`- Skipped: transactions and authorities (${OFFLINE_SKIP_REASON})`));
+      } else {
+        console.log(chalk.white(`- Solscan: ${solscanUrl(`account/${address}`)}`));
+        console.log(chalk.white(`- Explorer: ${explorerUrl(`address/${address}`)}`));
+      }
       const summaryTable = new Table({ head: [chalk.cyan('Metric'), chalk.cyan('Value')], colWidths: [30, 50] });
       summaryTable.push(
-        ['Program Address', chalk.white(report.programAddress)],
+        ['Program Address', chalk.white(report.programAddress || 'Unknown (local file)')],
         ['Program Type', chalk.white(report.executiveSummary.programType)],
         ['Safety Score', chalk.white(`${report.executiveSummary.safetyScore}/100`)],
         ['Risk Level', chalk.white(report.executiveSummary.riskLevel)],
         ['Total Risks', chalk.white(report.riskAssessment.totalRisks)],
-        ['Vulnerabilities', chalk.white(report.vulnerabilityAnalysis.length)]
+        ['Vulnerabilities', chalk.white(report.vulnerabilityAnalysis.length)],
+        ['IDL Source', report.idlAnalysis?.stale ? chalk.yellow(`${report.idlAnalysis.source} (stale)`) : chalk.white(report.idlAnalysis?.source || 'none')]
       );
       console.log(summaryTable.toString());
 
@@ -959,7 +1469,8 @@ program
       } else if (options.format === 'markdown') {
         const markdown = [
           `# SolProof Audit Report`,
-          `**Program Address**: ${report.programAddress}`,
+          `**Program Address**: ${report.programAddress || 'Unknown (local file)'}`,
+          ...(options.file ? [`**Program File**: ${options.file}`] : []),
           `**Timestamp**: ${report.timestamp || new Date().toISOString()}`,
           `**Program Type**: ${report.executiveSummary.programType}`,
           '',
@@ -976,17 +1487,53 @@ program
           `## Binary Analysis`,
           `- **Size**: ${report.binaryAnalysis.size} bytes`,
           `- **Instructions**: ${report.binaryAnalysis.instructionCount}`,
-          `- **Syscalls**: ${report.binaryAnalysis.syscalls.join(', ') || 'None'}`,
+          `- **Syscalls**: ${report.binaryAnalysis.syscalls.map(s => `${s.name} (${s.count} call sites)`).join(', ') || 'None'}`,
           `- **Behavior**: ${report.binaryAnalysis.likelyBehavior}`,
           `- **Control Flow**: ${report.binaryAnalysis.controlFlow.complexity} (Branches: ${report.binaryAnalysis.controlFlow.branches}, Loops: ${report.binaryAnalysis.controlFlow.loops})`,
           '',
+          `## IDL`,
+          `- **Source**: ${report.idlAnalysis.source}${report.idlAnalysis.instructions ? ` (${report.idlAnalysis.instructions} instructions)` : ''}`,
+          ...(report.idlAnalysis.idlAddress ? [
+            `- **IDL Account**: ${report.idlAnalysis.idlAddress}`,
+            `- **Authority**: ${report.idlAnalysis.authority}`,
+            `- **Stale**: ${report.idlAnalysis.stale ? 'yes' : 'no'}`,
+            ...(report.idlAnalysis.missingFromIdl.length ? [`  - Dispatched but not published: ${report.idlAnalysis.missingFromIdl.join(', ')}`] : []),
+            ...(report.idlAnalysis.missingFromBinary.length ? [`  - Published but not dispatched: ${report.idlAnalysis.missingFromBinary.join(', ')}`] : []),
+          ] : []),
+          '',
           `## Economic Analysis`,
-          `- **Total Volume**: ${report.economicAnalysis.totalVolumeSOL} SOL ($${parseFloat(report.economicAnalysis.totalVolumeSOL * solPriceUSD).toFixed(2)} USD)`,
-          `- **Average Fee**: ${report.economicAnalysis.averageFeeSOL} SOL`,
-          `- **Suspicious Volume**: ${report.economicAnalysis.suspiciousVolumeSOL} SOL`,
+          ...(report.economicAnalysis.skipped ? [`- Skipped: ${report.economicAnalysis.reason}`] : [
+            `- **Window**: ${formatWindow(report.economicAnalysis.window)}`,
+            `- **Total Volume**: ${report.economicAnalysis.totalVolumeSOL} SOL ($${parseFloat(report.economicAnalysis.totalVolumeSOL * solPriceUSD).toFixed(2)} USD)`,
+            `- **Average Fee**: ${report.economicAnalysis.averageFeeSOL} SOL`,
+            `- **Suspicious Volume**: ${report.economicAnalysis.suspiciousVolumeSOL} SOL`,
+            ...(report.economicAnalysis.washTrading ? [
+              `- **Organic Volume**: ${report.economicAnalysis.organicVolumeSOL} SOL (${(report.economicAnalysis.washTrading.washShare * 100).toFixed(0)}% flagged as wash trading)`,
+              ...report.economicAnalysis.washTrading.cycles.slice(0, 10).map(cycle => `- **Wash ${cycle.type}**: ${cycle.wallets.join(' -> ')} ${cycle.amount.toFixed(4)} ${cycle.mint} (${cycle.signatures.join(', ')})`),
+            ] : []),
+            ...(report.economicAnalysis.tokenFlows?.byMint || []).slice(0, 5).map(mint => `- **Flow ${mint.mint}**: ${mint.volume.toFixed(4)} (${formatUSD(mint.volumeUSD)}, ${mint.owners} owners, ${mint.txCount} txs)`),
+            ...(report.economicAnalysis.tokenFlows?.topOutflows || []).map(flow => `- **Outflow**: ${flow.account} sent ${flow.amount.toFixed(4)} ${flow.token} (${formatUSD(flow.usd)})`),
+          ]),
+          '',
+          `## MEV Analysis`,
+          ...(!report.mevAnalysis || report.mevAnalysis.skipped ? [`- Skipped: ${report.mevAnalysis?.reason || 'MEV detection did not run'}`] : [
+            `- **Sandwiches**: ${report.mevAnalysis.sandwichCount} in ${report.mevAnalysis.transactionsAnalyzed} transactions over ${report.mevAnalysis.slotsAnalyzed} slots`,
+            `- **Extracted Value**: ${formatUSD(report.mevAnalysis.extractedUSD)}`,
+            `- **Jito Tips**: ${report.mevAnalysis.jitoTips.count} (${report.mevAnalysis.jitoTips.totalSOL.toFixed(6)} SOL from ${report.mevAnalysis.jitoTips.tippers} signers)`,
+            `- **Same-Signer Bundles**: ${report.mevAnalysis.bundleCount}`,
+            ...report.mevAnalysis.pools.map(pool => `- **Pool ${pool.pool}**: ${pool.sandwiches} sandwiches, ${pool.victims} victims, extracted ${formatUSD(pool.extractedUSD)} (${Object.entries(pool.extracted).map(([mint, amount]) => `${amount.toFixed(6)} ${mint}`).join(', ')})`),
+            ...report.mevAnalysis.topAttackers.map(attacker => `- **Attacker ${attacker.wallet}**: ${attacker.sandwiches} sandwiches, ${formatUSD(attacker.extractedUSD)}, ${attacker.tipsSOL.toFixed(6)} SOL in tips, ${attacker.bundles} bundles`),
+          ]),
+          '',
+          `## Address Lookup Tables`,
+          ...(!report.lookupTableAnalysis || report.lookupTableAnalysis.skipped ? [`- Skipped: ${report.lookupTableAnalysis?.reason || 'Lookup table analysis did not run'}`] : [
+            `- **Versioned Transactions**: ${report.lookupTableAnalysis.versionedTransactions} (${report.lookupTableAnalysis.transactionsUsingTables} load accounts from ${report.lookupTableAnalysis.tablesFound} lookup tables)`,
+            ...report.lookupTableAnalysis.tables.map(table => `- **Table ${table.address}** (${table.risk} risk): ${table.control === 'frozen' ? 'frozen' : `authority ${table.authority || 'unknown'} (${table.control})`}${table.deactivated ? ', deactivated' : ''}, ${table.transactions} txs from ${table.users} users, ${table.loadedAccounts} accounts loaded${table.programAccounts.length ? `, ${table.programAccounts.length} used by the program` : ''}`),
+          ]),
           '',
           `## Recommendations`,
-          ...report.recommendations.map(r => `- **${r.priority}**: ${r.action}${r.link ? ` [${r.link}]` : ''}`)
+          ...report.recommendations.map(r => `- **${r.priority}**: ${r.action}${r.link ? ` [${r.link}]` : ''}`),
+          ...(report.skippedSteps?.length ? ['', `## Skipped Steps`, ...report.skippedSteps.map(step => `- **${step.step}**: ${step.reason}`)] : [])
         ].join('\n');
         await fs.writeFile(options.output, markdown);
         console.log(success(`Report saved to ${options.output}`));
@@ -1007,7 +1554,7 @@ program
       console.log(error(`Contact ${SUPPORT_EMAIL} for assistance.`));
     }
 
-    await promptNextAction(`audit-report ${address}`, address);
+    if (address) await promptNextAction(`audit-report ${address}`, address);
   });
 
 // Deep Dive command
@@ -1015,7 +1562,8 @@ program
   .command('deep-dive')
   .description('Deep instruction analysis')
   .argument('<address>', 'Program address')
-  .action(async (address) => {
+  .option('--idl <file>', 'Anchor IDL JSON used to decode instructions (defaults to the on-chain or recovered IDL)')
+  .action(async (address, options) => {
     const spinner = ora(chalk.yellow(`Performing deep dive analysis for ${address}...`)).start();
     if (!validateAddress(address)) {
       spinner.fail(chalk.red(`Invalid program address: ${address}`));
@@ -1025,29 +1573,71 @@ program
 
     try {
       spinner.text = 'Fetching program binary...';
-      const binary = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, Buffer.from([]));
+      const programAccount = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+      const { binary } = programAccount;
       spinner.text = 'Analyzing binary...';
-      const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal }), 5000, { insights: { instructions: 0 } });
+      const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal, programAccount }), 5000, { insights: { instructions: 0 } });
+      spinner.text = 'Resolving IDL...';
+      const idl = await resolveIdl(address, { idlFile: options.idl, analysis });
       spinner.text = 'Fetching transactions...';
-      const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal }), 5000, { transactions: [] });
+      const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal, idl }), 5000, { transactions: [] });
       spinner.text = 'Performing deep dive analysis...';
-      const deepDive = await withTimeout(signal => deepDiveAnalysis(analysis, transactionData, { signal }), 5000, { instructionFrequency: {}, anomalies: [] });
+      const deepDive = await withTimeout(signal => deepDiveAnalysis(analysis, transactionData, { signal, address, idl }), 5000, { instructionFrequency: {}, anomalies: [], errors: null });
       spinner.succeed(chalk.green(`Deep dive analysis for ${address}... [Success]`));
 
       console.log(chalk.cyan('\nDeep Dive Analysis\n------------------'));
-      console.log(chalk.white(`- Solscan: https://solscan.io/account/${address}`));
-      console.log(chalk.white(`- Explorer: https://explorer.solana.com/address/${address}`));
+      console.log(chalk.white(`- Solscan: ${solscanUrl(`account/${address}`)}`));
+      console.log(chalk.white(`- Explorer: ${explorerUrl(`address/${address}`)}`));
       const freqTable = new Table({ head: [chalk.cyan('Instruction'), chalk.cyan('Frequency')], colWidths: [30, 20] });
       Object.entries(deepDive.instructionFrequency).forEach(([opcode, count]) => {
         freqTable.push([chalk.white(opcode), chalk.white(count)]);
       });
       console.log(freqTable.toString());
 
+      const errors = deepDive.errors;
+      if (errors?.totalTransactions) {
+        console.log(chalk.cyan('\nFailed Transactions\n-------------------'));
+        console.log(chalk.white(`- ${errors.failedTransactions} of ${errors.totalTransactions} transactions failed (${(errors.failureRate * 100).toFixed(1)}%).`));
+        if (errors.errors.length) {
+          const errorTable = new Table({ head: [chalk.cyan('Error'), chalk.cyan('Code'), chalk.cyan('Category'), chalk.cyan('Count'), chalk.cyan('Instructions')], colWidths: [32, 8, 12, 8, 30] });
+          errors.errors.forEach(entry => errorTable.push([
+            ['constraint', 'require', 'account'].includes(entry.category) ? chalk.yellow(entry.error) : chalk.white(entry.error),
+            chalk.white(entry.code ?? '-'),
+            chalk.white(entry.category),
+            chalk.white(entry.count),
+            chalk.white(Object.entries(entry.instructions).map(([name, count]) => `${name} (${count})`).join(', ')),
+          ]));
+          console.log(errorTable.toString());
+
+          const instructionTable = new Table({ head: [chalk.cyan('Instruction'), chalk.cyan('Total'), chalk.cyan('Failed'), chalk.cyan('Failure Rate'), chalk.cyan('Top Error')], colWidths: [24, 8, 8, 14, 32] });
+          errors.byInstruction.forEach(entry => instructionTable.push([
+            chalk.white(entry.instruction),
+            chalk.white(entry.total),
+            chalk.white(entry.failed),
+            entry.failureRate > 0.3 ? chalk.red(`${(entry.failureRate * 100).toFixed(1)}%`) : chalk.white(`${(entry.failureRate * 100).toFixed(1)}%`),
+            chalk.white(Object.entries(entry.errors).sort((a, b) => b[1] - a[1])[0]?.[0] || '-'),
+          ]));
+          console.log(instructionTable.toString());
+        }
+        if (errors.timeline.buckets.length > 1) {
+          const title = `Failure Rate by ${errors.timeline.bucketSeconds === 86400 ? 'Day' : 'Hour'}`;
+          console.log(chalk.cyan(`\n${title}\n${'-'.repeat(title.length)}`));
+          const timelineTable = new Table({ head: [chalk.cyan('Window (UTC)'), chalk.cyan('Transactions'), chalk.cyan('Failed'), chalk.cyan('Failure Rate')], colWidths: [20, 14, 10, 14] });
+          errors.timeline.buckets.forEach(bucket => timelineTable.push([
+            chalk.white(new Date(bucket.start * 1000).toISOString().slice(0, 16).replace('T', ' ')),
+            chalk.white(bucket.total),
+            chalk.white(bucket.failed),
+            chalk.white(`${(bucket.failureRate * 100).toFixed(1)}%`),
+          ]));
+          console.log(timelineTable.toString());
+        }
+      }
+
       console.log(chalk.cyan('\nAnomalies\n---------'));
       if (!deepDive.anomalies.length) {
         console.log(chalk.white('No anomalies detected.'));
       } else {
-        const anomalyTable = new Table({ head: [chalk.cyan('Issue'), chalk.cyan('Details')], colWidths: [30, 50] });
+        const anomalyTable = new Table({ head: [chalk.cyan('Issue'), chalk.cyan('Details')], colWidths: [30, 50], wordWrap: true });
         deepDive.anomalies.forEach(anomaly => {
           anomalyTable.push([chalk.white(anomaly.issue), chalk.white(anomaly.details)]);
         });
@@ -1057,6 +1647,8 @@ program
       console.log(chalk.cyan('\nSummary\n-------'));
       console.log(chalk.white(`- Status: ${deepDive.anomalies.length ? `${deepDive.anomalies.length} anomalies detected.` : 'No anomalies found.'}`));
       console.log(chalk.cyan('Recommendations:'));
+      if (deepDive.errors?.spikes.length) console.log(chalk.white('  - Review the transactions behind the error spikes for exploit attempts.'));
+      if (deepDive.errors?.errors.some(entry => /^(Custom|Unknown)\(/.test(entry.error))) console.log(chalk.white('  - Pass `--idl <file>` to name the program\'s custom error codes.'));
       console.log(chalk.white('  - Run `export-ida` to analyze instructions in IDA Pro.'));
       console.log(chalk.white('  - Run `audit-report` for a comprehensive report.'));
 
@@ -1085,9 +1677,10 @@ program
 
     try {
       spinner.text = 'Fetching program binary...';
-      const binary = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, Buffer.from([]));
+      const programAccount = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+      const { binary } = programAccount;
       spinner.text = 'Analyzing binary...';
-      const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal }), 5000, { insights: { authorityHolders: [] } });
+      const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal, programAccount }), 5000, { insights: { authorityHolders: [] } });
       spinner.text = 'Fetching transactions...';
       const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal }), 5000, { transactions: [] });
       spinner.text = 'Analyzing authorities...';
@@ -1101,8 +1694,8 @@ program
       spinner.succeed(chalk.green(`Risk prediction for ${address}... [Success]`));
 
       console.log(chalk.cyan('\nRisk Prediction\n---------------'));
-      console.log(chalk.white(`- Solscan: https://solscan.io/account/${address}`));
-      console.log(chalk.white(`- Explorer: https://explorer.solana.com/address/${address}`));
+      console.log(chalk.white(`- Solscan: ${solscanUrl(`account/${address}`)}`));
+      console.log(chalk.white(`- Explorer: ${explorerUrl(`address/${address}`)}`));
       const riskTable = new Table({ head: [chalk.cyan('Metric'), chalk.cyan('Value')], colWidths: [30, 50] });
       riskTable.push(
         ['Risk Likelihood', chalk.white(`${riskPrediction.riskLikelihood}%`)],
@@ -1140,7 +1733,8 @@ program
   .command('trace-interactions')
   .description('Trace user interactions')
   .argument('<address>', 'Program address')
-  .action(async (address) => {
+  .option('--idl <file>', 'Anchor IDL JSON used to decode instructions (defaults to the on-chain or recovered IDL)')
+  .action(async (address, options) => {
     const spinner = ora(chalk.yellow(`Tracing interactions for ${address}...`)).start();
     if (!validateAddress(address)) {
       spinner.fail(chalk.red(`Invalid program address: ${address}`));
@@ -1149,13 +1743,15 @@ program
     }
 
     try {
+      spinner.text = 'Resolving IDL...';
+      const idl = await resolveIdl(address, { idlFile: options.idl });
       spinner.text = 'Fetching transaction data...';
-      const interactions = await withTimeout(signal => traceInteractions(address, { signal }), 5000, []);
+      const interactions = await withTimeout(signal => traceInteractions(address, { signal, idl }), 5000, []);
       spinner.succeed(chalk.green(`Interaction tracing for ${address}... [Success]`));
 
       console.log(chalk.cyan('\nInteraction Tracing\n------------------'));
-      console.log(chalk.white(`- Solscan: https://solscan.io/account/${address}`));
-      console.log(chalk.white(`- Explorer: https://explorer.solana.com/address/${address}`));
+      console.log(chalk.white(`- Solscan: ${solscanUrl(`account/${address}`)}`));
+      console.log(chalk.white(`- Explorer: ${explorerUrl(`address/${address}`)}`));
       if (!interactions.length) {
         console.log(chalk.white('No recent interactions found.'));
       } else {
@@ -1187,6 +1783,113 @@ program
     await promptNextAction(`trace-interactions ${address}`, address);
   });
 
+// Trace funds command
+program
+  .command('trace-funds')
+  .description('Follow funds leaving a program across several hops')
+  .argument('<address>', 'Program address')
+  .option('-d, --depth <n>', 'Number of hops to follow', '2')
+  .option('--source <addresses...>', 'Accounts to start from (default: the program\'s vaults and upgrade authority)')
+  .option('--timeframe <window>', 'How far back to look at each account (e.g. 24h, 7d, 4w, all)', '7d')
+  .option('--limit <n>', 'Transactions to inspect per account', '25')
+  .option('--max-branches <n>', 'Largest recipients followed per account', '10')
+  .option('--min-amount <n>', 'Smallest transfer followed, in token units', '0.01')
+  .option('--sinks <file>', 'JSON file of extra sinks ({ "<address>": { "name": "...", "type": "exchange|bridge|mixer" } })')
+  .option('-o, --output <file>', 'Save the flow graph (.dot, .graphml or .json)')
+  .option('-f, --format <format>', 'Graph format: dot, graphml or json (default: from the output extension)')
+  .action(async (address, options) => {
+    const spinner = ora(chalk.yellow(`Tracing funds for ${address}...`)).start();
+    if (!validateAddress(address)) {
+      spinner.fail(chalk.red(`Invalid program address: ${address}`));
+      console.log(error(`Please provide a valid Solana address. Contact ${SUPPORT_EMAIL}.`));
+      return;
+    }
+
+    try {
+      const depth = parseInt(options.depth, 10);
+      const limit = parseInt(options.limit, 10);
+      const maxBranches = parseInt(options.maxBranches, 10);
+      const minAmount = parseFloat(options.minAmount);
+      if (isNaN(depth) || depth < 1) throw new Error('Depth must be a positive number');
+      if (isNaN(limit) || limit < 1) throw new Error('Limit must be a positive number');
+      if (isNaN(maxBranches) || maxBranches < 1) throw new Error('Max branches must be a positive number');
+      if (isNaN(minAmount) || minAmount < 0) throw new Error('Minimum amount must be a non-negative number');
+      parseTimeframe(options.timeframe);
+      const invalidSource = (options.source || []).find(source => !validateAddress(source));
+      if (invalidSource) throw new Error(`Invalid source address: ${invalidSource}`);
+      const format = options.format || (options.output ? options.output.split('.').pop().toLowerCase() : null);
+      if (format && !['dot', 'graphml', 'json'].includes(format)) throw new Error('Unsupported format. Use "dot", "graphml" or "json".');
+
+      const fs = await import('fs/promises');
+      const sinks = options.sinks ? JSON.parse(await fs.readFile(options.sinks, 'utf8')) : {};
+      const graph = await traceFunds(address, {
+        depth,
+        limit,
+        maxBranches,
+        minAmount,
+        sinks,
+        sources: options.source,
+        timeframe: options.timeframe,
+        onProgress: ({ hop, account, visited }) => {
+          spinner.text = `Hop ${hop + 1}/${depth}: ${account} (${visited} accounts)...`;
+        },
+      });
+      spinner.succeed(chalk.green(`Fund tracing for ${address}... [Success]`));
+
+      console.log(chalk.cyan('\nFund Flows\n----------'));
+      console.log(chalk.white(`- Solscan: ${solscanUrl(`account/${address}`)}`));
+      console.log(chalk.white(`- Window per account: ${options.timeframe}, ${limit} transactions, ${depth} hops`));
+      const sources = graph.nodes.filter(node => ['vault', 'authority', 'source'].includes(node.kind));
+      console.log(chalk.white(`- Sources: ${sources.map(node => `${node.id} (${node.kind})`).join(', ') || 'None found'}`));
+      if (!graph.edges.length) {
+        console.log(chalk.white('No outflows found.'));
+      } else {
+        const flowTable = new Table({ head: [chalk.cyan('Hop'), chalk.cyan('From'), chalk.cyan('To'), chalk.cyan('Amount'), chalk.cyan('Txs'), chalk.cyan('Last Seen')], colWidths: [6, 16, 22, 32, 6, 22] });
+        const label = id => graph.nodes.find(node => node.id === id)?.label || id;
+        graph.edges.slice(0, 25).forEach(edge => {
+          flowTable.push([
+            chalk.white(edge.hop),
+            chalk.white(label(edge.from)),
+            chalk.white(label(edge.to)),
+            chalk.white(formatAmount(edge)),
+            chalk.white(edge.count),
+            chalk.white(edge.lastSeen || 'N/A'),
+          ]);
+        });
+        console.log(flowTable.toString());
+        if (graph.edges.length > 25) console.log(chalk.gray(`  ... ${graph.edges.length - 25} more flows (save the graph with --output)`));
+      }
+      if (graph.sinks.length) {
+        console.log(chalk.cyan('Sinks Reached:'));
+        graph.sinks.forEach(sink => {
+          const received = graph.edges.filter(edge => edge.to === sink.id);
+          console.log(chalk.red(`  - ${sink.label} (${sink.sinkType}, ${sink.id}): ${received.map(formatAmount).join(', ')}`));
+        });
+      }
+      if (graph.truncated) console.log(chalk.yellow(`Only the ${maxBranches} largest recipients of each account were followed (--max-branches).`));
+
+      if (options.output) {
+        await fs.writeFile(options.output, await exportFlowGraph(graph, format));
+        console.log(chalk.white(`- Graph saved to: ${options.output} (${format})`));
+      }
+
+      console.log(chalk.cyan('\nSummary\n-------'));
+      console.log(chalk.white(`- Status: ${graph.edges.length} flows between ${graph.nodes.length} accounts, ${graph.sinks.length} sinks reached.`));
+      console.log(chalk.cyan('Recommendations:'));
+      if (graph.sinks.length) console.log(chalk.white('  - Review transfers into exchanges, bridges and mixers.'));
+      console.log(chalk.white('  - Increase --depth or --timeframe to follow funds further.'));
+      console.log(chalk.white('  - Use Graphviz or Gephi to view the saved graph.'));
+
+      console.log(success('Fund tracing complete.'));
+    } catch (err) {
+      spinner.fail(chalk.red(`Fund tracing failed: ${err.message}`));
+      console.log(chalk.gray(`[DEBUG] Error stack: ${err.stack}`));
+      console.log(error(`Contact ${SUPPORT_EMAIL} for assistance.`));
+    }
+
+    await promptNextAction(`trace-funds ${address}`, address);
+  });
+
 // Compare command
 program
   .command('compare')
@@ -1203,19 +1906,19 @@ program
 
     try {
       spinner.text = 'Fetching program binaries...';
-      const binary1 = await withTimeout(signal => fetchProgramBinary(address1, { signal }), 5000, Buffer.from([]));
-      const binary2 = await withTimeout(signal => fetchProgramBinary(address2, { signal }), 5000, Buffer.from([]));
+      const programAccount1 = await withTimeout(signal => fetchProgramBinary(address1, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+      const programAccount2 = await withTimeout(signal => fetchProgramBinary(address2, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
       spinner.text = 'Analyzing binaries...';
-      const analysis1 = await withTimeout(signal => analyzeBinary(binary1, address1, { signal }), 5000, { insights: { suspectedType: 'UNKNOWN', instructions: 0 } });
-      const analysis2 = await withTimeout(signal => analyzeBinary(binary2, address2, { signal }), 5000, { insights: { suspectedType: 'UNKNOWN', instructions: 0 } });
+      const analysis1 = await withTimeout(signal => analyzeBinary(programAccount1.binary, address1, { signal, programAccount: programAccount1 }), 5000, { insights: { suspectedType: 'UNKNOWN', instructions: 0 } });
+      const analysis2 = await withTimeout(signal => analyzeBinary(programAccount2.binary, address2, { signal, programAccount: programAccount2 }), 5000, { insights: { suspectedType: 'UNKNOWN', instructions: 0 } });
       spinner.text = 'Fetching transactions...';
       const txData1 = await withTimeout(signal => getRecentTransactions(address1, { limit: 25, signal }), 5000, { transactions: [] });
       const txData2 = await withTimeout(signal => getRecentTransactions(address2, { limit: 25, signal }), 5000, { transactions: [] });
       spinner.succeed(chalk.green(`Comparison for ${address1} and ${address2}... [Success]`));
 
       console.log(chalk.cyan('\nProgram Comparison\n-----------------'));
-      console.log(chalk.white(`- Solscan 1: https://solscan.io/account/${address1}`));
-      console.log(chalk.white(`- Solscan 2: https://solscan.io/account/${address2}`));
+      console.log(chalk.white(`- Solscan 1: ${solscanUrl(`account/${address1}`)}`));
+      console.log(chalk.white(`- Solscan 2: ${solscanUrl(`account/${address2}`)}`));
       const compareTable = new Table({
         head: [chalk.cyan('Metric'), chalk.cyan('Program 1'), chalk.cyan('Program 2')],
         colWidths: [30, 30, 30]
@@ -1249,31 +1952,41 @@ program
 program
   .command('export-ida')
   .description('Export IDA Pro script')
-  .argument('<address>', 'Program address')
+  .argument('[address]', 'Program address (optional with --file)')
   .option('-o, --output <file>', 'Output file path', 'ida_script.py')
+  .option('--file <path>', 'Export from a local .so, `solana program dump` output or account dump without network access')
   .action(async (address, options) => {
-    const spinner = ora(chalk.yellow(`Exporting IDA script for ${address}...`)).start();
-    if (!validateAddress(address)) {
+    const target = address || options.file;
+    const spinner = ora(chalk.yellow(`Exporting IDA script for ${target}...`)).start();
+    if (!validateTarget(address, options)) {
       spinner.fail(chalk.red(`Invalid program address: ${address}`));
-      console.log(error(`Please provide a valid Solana address. Contact ${SUPPORT_EMAIL}.`));
+      console.log(error(`Please provide a valid Solana address or --file. Contact ${SUPPORT_EMAIL}.`));
       return;
     }
 
     try {
-      spinner.text = 'Fetching program binary...';
-      const binary = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, Buffer.from([]));
+      spinner.text = options.file ? 'Loading program file...' : 'Fetching program binary...';
+      const programAccount = await loadProgram(address, options);
+      address = address || programAccount.address || undefined;
+      const { binary } = programAccount;
       spinner.text = 'Analyzing binary...';
-      const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal }), 5000, { insights: { suspectedType: 'UNKNOWN' } });
+      const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal, programAccount }), 5000, { insights: { suspectedType: 'UNKNOWN' } });
+      const disassembly = binary.length ? disassemble(binary) : null;
       spinner.text = 'Generating IDA script...';
-      const idaScript = await withTimeout(signal => exportIdaScript(analysis, { signal }), 5000, '');
-      spinner.succeed(chalk.green(`IDA script export for ${address}... [Success]`));
+      const idaScript = await withTimeout(signal => exportIdaScript(analysis, { signal, disassembly }), 5000, '');
+      spinner.succeed(chalk.green(`IDA script export for ${target}... [Success]`));
 
       const fs = await import('fs/promises');
       await fs.writeFile(options.output, idaScript);
       console.log(chalk.cyan('\nIDA Script Export\n-----------------'));
-      console.log(chalk.white(`- Solscan: https://solscan.io/account/${address}`));
-      console.log(chalk.white(`- Explorer: https://explorer.solana.com/address/${address}`));
+      if (options.file) {
+        console.log(chalk.white(`- Program file: ${options.file}`));
+      } else {
+        console.log(chalk.white(`- Solscan: ${solscanUrl(`account/${address}`)}`));
+        console.log(chalk.white(`- Explorer: ${explorerUrl(`address/${address}`)}`));
+      }
       console.log(chalk.white(`- IDA script saved to: ${options.output}`));
+      console.log(chalk.white(`- Instructions annotated: ${disassembly?.instructions.length || 0}`));
 
       console.log(chalk.cyan('\nSummary\n-------'));
       console.log(chalk.white(`- Status: IDA script exported successfully.`));
@@ -1288,7 +2001,116 @@ program
       console.log(error(`Contact ${SUPPORT_EMAIL} for assistance.`));
     }
 
-    await promptNextAction(`export-ida ${address}`, address);
+    if (address) await promptNextAction(`export-ida ${address}`, address);
+  });
+
+// Disassemble command
+program
+  .command('disassemble')
+  .description('Disassemble the sBPF program binary')
+  .argument('<address>', 'Program address')
+  .option('--json', 'Print instructions as JSON')
+  .option('-o, --output <file>', 'Write the listing to a file instead of stdout')
+  .action(async (address, options) => {
+    const spinner = ora(chalk.yellow(`Disassembling ${address}...`)).start();
+    if (!validateAddress(address)) {
+      spinner.fail(chalk.red(`Invalid program address: ${address}`));
+      console.log(error(`Please provide a valid Solana address. Contact ${SUPPORT_EMAIL}.`));
+      return;
+    }
+
+    try {
+      spinner.text = 'Fetching program binary...';
+      const { binary } = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+      if (!binary.length) throw new Error('Program binary could not be fetched');
+      spinner.text = 'Decoding instructions...';
+      const disassembly = disassemble(binary);
+      spinner.succeed(chalk.green(`Disassembly for ${address}... [Success]`));
+
+      const listing = options.json ? JSON.stringify(disassembly, null, 2) : formatDisassembly(disassembly);
+      if (options.output) {
+        const fs = await import('fs/promises');
+        await fs.writeFile(options.output, listing);
+      } else {
+        console.log(`\n${listing}`);
+      }
+      if (options.json && !options.output) return;
+
+      console.log(chalk.cyan('\nSummary\n-------'));
+      console.log(chalk.white(`- sBPF Version: v${disassembly.sbpfVersion}`));
+      console.log(chalk.white(`- Entrypoint: 0x${disassembly.entrypoint.toString(16)}`));
+      console.log(chalk.white(`- Instructions: ${disassembly.instructions.length}`));
+      console.log(chalk.white(`- Functions: ${Object.keys(disassembly.functions).length}`));
+      if (options.output) console.log(chalk.white(`- Listing saved to: ${options.output}`));
+      console.log(success('Disassembly complete.'));
+    } catch (err) {
+      spinner.fail(chalk.red(`Disassembly failed: ${err.message}`));
+      console.log(chalk.gray(`[DEBUG] Error stack: ${err.stack}`));
+      console.log(error(`Contact ${SUPPORT_EMAIL} for assistance.`));
+    }
+
+    await promptNextAction(`disassemble ${address}`, address);
+  });
+
+// Control-flow graph command
+program
+  .command('cfg')
+  .description('Export the control-flow graph of a program function as DOT')
+  .argument('<address>', 'Program address')
+  .option('-f, --function <addr>', 'Function address (e.g. 0x120) or symbol name; defaults to the entrypoint')
+  .option('-o, --output <file>', 'Output file path', 'cfg.dot')
+  .action(async (address, options) => {
+    const spinner = ora(chalk.yellow(`Recovering control flow for ${address}...`)).start();
+    if (!validateAddress(address)) {
+      spinner.fail(chalk.red(`Invalid program address: ${address}`));
+      console.log(error(`Please provide a valid Solana address. Contact ${SUPPORT_EMAIL}.`));
+      return;
+    }
+
+    try {
+      spinner.text = 'Fetching program binary...';
+      const { binary } = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+      if (!binary.length) throw new Error('Program binary could not be fetched');
+      spinner.text = 'Building control-flow graph...';
+      const disassembly = disassemble(binary);
+      const controlFlow = recoverControlFlow(disassembly);
+      const fn = findFunction(controlFlow, options.function ?? disassembly.entrypoint);
+      if (!fn) {
+        const known = controlFlow.functions.slice(0, 10).map(f => `0x${f.address.toString(16)} (${f.name})`).join(', ');
+        throw new Error(`No function at ${options.function}. Known functions: ${known}${controlFlow.functions.length > 10 ? ', ...' : ''}`);
+      }
+      const graph = await visualizeGraph(functionToGraph(fn, disassembly), { name: 'ControlFlow', rankdir: 'TB' });
+      spinner.succeed(chalk.green(`Control-flow graph for ${fn.name}... [Success]`));
+
+      const fs = await import('fs/promises');
+      await fs.writeFile(options.output, graph);
+      console.log(chalk.cyan('\nControl-Flow Graph\n------------------'));
+      const cfgTable = new Table({ head: [chalk.cyan('Metric'), chalk.cyan('Value')], colWidths: [30, 50] });
+      cfgTable.push(
+        ['Function', chalk.white(`${fn.name} @ 0x${fn.address.toString(16)}`)],
+        ['Instructions', chalk.white(fn.instructions)],
+        ['Basic Blocks', chalk.white(fn.blocks.length)],
+        ['Loops', chalk.white(fn.loops.map(loop => `header 0x${loop.header.toString(16)}`).join(', ') || 'None')],
+        ['Cyclomatic Complexity', chalk.white(fn.complexity)],
+        ['Program Functions', chalk.white(controlFlow.summary.functions)]
+      );
+      console.log(cfgTable.toString());
+      console.log(chalk.white(`- Graph saved to: ${options.output}`));
+
+      console.log(chalk.cyan('\nSummary\n-------'));
+      console.log(chalk.white(`- Status: Control-flow graph exported successfully.`));
+      console.log(chalk.cyan('Recommendations:'));
+      console.log(chalk.white('  - Use Graphviz to view the DOT file.'));
+      console.log(chalk.white('  - Run `disassemble` for the full listing.'));
+
+      console.log(success('Control-flow graph export complete.'));
+    } catch (err) {
+      spinner.fail(chalk.red(`Control-flow graph export failed: ${err.message}`));
+      console.log(chalk.gray(`[DEBUG] Error stack: ${err.stack}`));
+      console.log(error(`Contact ${SUPPORT_EMAIL} for assistance.`));
+    }
+
+    await promptNextAction(`cfg ${address}`, address);
   });
 
 // Visualize Graph command
@@ -1297,6 +2119,7 @@ program
   .description('Visualize call graph')
   .argument('<address>', 'Program address')
   .option('-o, --output <file>', 'Output file path', 'graph.dot')
+  .option('--idl <file>', 'Anchor IDL JSON used to decode instructions (defaults to the on-chain or recovered IDL)')
   .action(async (address, options) => {
     const spinner = ora(chalk.yellow(`Visualizing call graph for ${address}...`)).start();
     if (!validateAddress(address)) {
@@ -1307,11 +2130,14 @@ program
 
     try {
       spinner.text = 'Fetching program binary...';
-      const binary = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, Buffer.from([]));
+      const programAccount = await withTimeout(signal => fetchProgramBinary(address, { signal }), 5000, EMPTY_PROGRAM_ACCOUNT);
+      const { binary } = programAccount;
       spinner.text = 'Analyzing binary...';
-      const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal }), 5000, { insights: { suspectedType: 'UNKNOWN' } });
+      const analysis = await withTimeout(signal => analyzeBinary(binary, address, { signal, programAccount }), 5000, { insights: { suspectedType: 'UNKNOWN' } });
+      spinner.text = 'Resolving IDL...';
+      const idl = await resolveIdl(address, { idlFile: options.idl, analysis });
       spinner.text = 'Fetching transactions...';
-      const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal }), 5000, { transactions: [] });
+      const transactionData = await withTimeout(signal => getRecentTransactions(address, { limit: 25, signal, idl }), 5000, { transactions: [] });
       spinner.text = 'Reconstructing call graph...';
       const callGraph = await withTimeout(signal => reconstructCallGraph(analysis, transactionData, { signal }), 5000, { nodes: [], edges: [] });
       spinner.text = 'Generating graph...';
@@ -1321,8 +2147,8 @@ program
       const fs = await import('fs/promises');
       await fs.writeFile(options.output, graph);
       console.log(chalk.cyan('\nCall Graph Visualization\n-----------------------'));
-      console.log(chalk.white(`- Solscan: https://solscan.io/account/${address}`));
-      console.log(chalk.white(`- Explorer: https://explorer.solana.com/address/${address}`));
+      console.log(chalk.white(`- Solscan: ${solscanUrl(`account/${address}`)}`));
+      console.log(chalk.white(`- Explorer: ${explorerUrl(`address/${address}`)}`));
       console.log(chalk.white(`- Graph saved to: ${options.output}`));
       console.log(chalk.white(`- Nodes: ${callGraph.nodes.length}, Edges: ${callGraph.edges.length}`));
 
@@ -1342,6 +2168,157 @@ program
     await promptNextAction(`visualize-graph ${address}`, address);
   });
 
+// RPC status command
+program
+  .command('rpc-status')
+  .description('Check configured RPC endpoints')
+  .action(async () => {
+    const spinner = ora(chalk.yellow('Checking RPC endpoints...')).start();
+    try {
+      const results = await checkEndpoints({ force: true });
+      spinner.succeed(chalk.green('Checking RPC endpoints... [Success]'));
+
+      console.log(chalk.cyan('\nRPC Endpoints\n-------------'));
+      const endpointTable = new Table({ head: [chalk.cyan('Priority'), chalk.cyan('Endpoint'), chalk.cyan('Status'), chalk.cyan('Latency')], colWidths: [10, 50, 12, 12] });
+      results.forEach((result, i) => {
+        endpointTable.push([
+          chalk.white(i + 1),
+          chalk.white(redactEndpoint(result.url)),
+          result.healthy ? chalk.green('Healthy') : chalk.red('Down'),
+          chalk.white(result.latencyMs !== null ? `${result.latencyMs} ms` : result.error)
+        ]);
+      });
+      console.log(endpointTable.toString());
+
+      const healthy = results.filter(result => result.healthy).length;
+      console.log(chalk.cyan('\nSummary\n-------'));
+      console.log(chalk.white(`- Cluster: ${getCluster()}`));
+      console.log(chalk.white(`- Status: ${healthy}/${getEndpoints().length} endpoints healthy.`));
+      console.log(chalk.white(`- Enhanced API: ${getEnhancedApi().name}`));
+      console.log(chalk.cyan('Recommendations:'));
+      console.log(chalk.white('  - Set SOLANA_RPC_URL to use any JSON-RPC endpoint, e.g. a local validator.'));
+      console.log(chalk.white('  - Add SOLANA_RPC_FALLBACKS (comma-separated) for failover.'));
+      console.log(chalk.white('  - Switch clusters with --cluster <name> or `solproof config cluster <name>`.'));
+
+      if (healthy) console.log(success('RPC check complete.'));
+      else console.log(error(`No healthy RPC endpoint. Contact ${SUPPORT_EMAIL} for assistance.`));
+    } catch (err) {
+      spinner.fail(chalk.red(`RPC check failed: ${err.message}`));
+      console.log(chalk.gray(`[DEBUG] Error stack: ${err.stack}`));
+      console.log(error(`Contact ${SUPPORT_EMAIL} for assistance.`));
+    }
+  });
+
+// Config command
+program
+  .command('config')
+  .description('Show or change saved settings')
+  .argument('[key]', 'Setting to show or change (cluster)')
+  .argument('[value]', 'New value')
+  .option('--unset', 'Remove the setting')
+  .action(async (key, value, options) => {
+    const settings = { cluster: normalizeCluster };
+    try {
+      if (key && !settings[key]) throw new Error(`Unknown setting '${key}' (available: ${Object.keys(settings).join(', ')})`);
+      if (key && (value || options.unset)) {
+        const saved = await saveConfig({ [key]: options.unset ? undefined : settings[key](value) });
+        console.log(success(options.unset ? `Removed ${key} from ${CONFIG_PATH}.` : `Saved ${key} = ${saved[key]} to ${CONFIG_PATH}.`));
+        return;
+      }
+
+      const config = loadConfig();
+      console.log(chalk.cyan('\nSettings\n--------'));
+      const configTable = new Table({ head: [chalk.cyan('Setting'), chalk.cyan('Value')], colWidths: [20, 60] });
+      Object.keys(settings).filter(name => !key || name === key).forEach(name => configTable.push([chalk.white(name), chalk.white(config[name] ?? 'unset')]));
+      console.log(configTable.toString());
+
+      console.log(chalk.cyan('\nSummary\n-------'));
+      console.log(chalk.white(`- Config file: ${CONFIG_PATH}`));
+      console.log(chalk.white(`- Active cluster: ${getCluster()}`));
+      if (process.env.SOLPROOF_CLUSTER) console.log(chalk.white(`- SOLPROOF_CLUSTER overrides the saved cluster: ${process.env.SOLPROOF_CLUSTER}`));
+    } catch (err) {
+      console.log(chalk.red(`Config failed: ${err.message}`));
+      console.log(chalk.gray(`[DEBUG] Error stack: ${err.stack}`));
+      console.log(error(`Contact ${SUPPORT_EMAIL} for assistance.`));
+    }
+  });
+
+// Cache command
+program
+  .command('cache')
+  .description('Inspect or purge the on-disk analysis cache')
+  .argument('[action]', 'stats or purge', 'stats')
+  .option('-n, --namespace <name>', 'Only this namespace (transactions, programs, analysis, blobs)')
+  .option('--expired', 'Only purge expired entries')
+  .action(async (action, options) => {
+    try {
+      if (!['stats', 'purge'].includes(action)) throw new Error(`Unknown action '${action}' (use stats or purge)`);
+      if (action === 'purge') {
+        const { removed, bytes } = await purgeCache({ namespace: options.namespace, expiredOnly: options.expired });
+        console.log(success(`Removed ${removed} cache ${removed === 1 ? 'entry' : 'entries'} (${formatBytes(bytes)}) from ${CACHE_DIR}.`));
+        return;
+      }
+
+      const stats = (await cacheStats()).filter(entry => !options.namespace || entry.namespace === options.namespace);
+      console.log(chalk.cyan('\nCache\n-----'));
+      const cacheTable = new Table({ head: [chalk.cyan('Namespace'), chalk.cyan('Entries'), chalk.cyan('Size'), chalk.cyan('Expired'), chalk.cyan('Last Write')], colWidths: [16, 10, 12, 10, 28] });
+      stats.forEach(entry => cacheTable.push([
+        chalk.white(entry.namespace),
+        chalk.white(entry.entries),
+        chalk.white(formatBytes(entry.bytes)),
+        entry.expired ? chalk.yellow(entry.expired) : chalk.white(0),
+        chalk.white(entry.newest ? entry.newest.toISOString() : 'N/A'),
+      ]));
+      console.log(stats.length ? cacheTable.toString() : chalk.white('Cache is empty.'));
+
+      console.log(chalk.cyan('\nSummary\n-------'));
+      console.log(chalk.white(`- Cache directory: ${CACHE_DIR}`));
+      console.log(chalk.white(`- Entries: ${stats.reduce((sum, entry) => sum + entry.entries, 0)} (${formatBytes(stats.reduce((sum, entry) => sum + entry.bytes, 0))})`));
+      if (!isCacheEnabled()) console.log(chalk.yellow('- Cache is disabled (SOLPROOF_NO_CACHE)'));
+      console.log(chalk.white('  - Purge with `solproof cache purge [--namespace <name>] [--expired]`.'));
+    } catch (err) {
+      console.log(chalk.red(`Cache command failed: ${err.message}`));
+      console.log(chalk.gray(`[DEBUG] Error stack: ${err.stack}`));
+      console.log(error(`Contact ${SUPPORT_EMAIL} for assistance.`));
+    }
+  });
+
+// Replay server command
+program
+  .command('replay-server')
+  .description('Serve recorded RPC fixtures as a stand-in JSON-RPC server')
+  .argument('<dir>', 'Fixture directory written with --record')
+  .option('-p, --port <number>', 'Port to listen on (default: any free port)', '0')
+  .action(async (dir, options) => {
+    const spinner = ora(chalk.yellow(`Loading fixtures from ${dir}...`)).start();
+    try {
+      const port = parseInt(options.port, 10);
+      if (isNaN(port) || port < 0) throw new Error('Port must be a non-negative number');
+      const standIn = await startFixtureServer(dir, { port });
+      spinner.succeed(chalk.green(`Serving ${dir} at ${standIn.url}`));
+
+      console.log(chalk.cyan('\nSummary\n-------'));
+      console.log(chalk.white(`- Recorded: ${standIn.manifest.recordedAt || 'unknown'}`));
+      console.log(chalk.white(`- Cluster: ${standIn.manifest.cluster || 'unknown'}`));
+      console.log(chalk.white(`- Enhanced API: ${standIn.manifest.enhancedApi || 'unknown'}`));
+      if (standIn.manifest.command) console.log(chalk.white(`- Command: solproof ${standIn.manifest.command}`));
+      console.log(chalk.white(`- Point the provider at it with SOLPROOF_REPLAY_URL=${standIn.url}`));
+      console.log(chalk.gray('Press Ctrl+C to stop.'));
+
+      process.on('SIGINT', async () => {
+        await standIn.close();
+        const misses = [...new Set(standIn.misses)];
+        if (misses.length) console.log(chalk.yellow(`\nRequests without a fixture: ${misses.join(', ')}`));
+        console.log(success('Replay server stopped.'));
+        process.exit(0);
+      });
+    } catch (err) {
+      spinner.fail(chalk.red(`Replay server failed: ${err.message}`));
+      console.log(chalk.gray(`[DEBUG] Error stack: ${err.stack}`));
+      console.log(error(`Contact ${SUPPORT_EMAIL} for assistance.`));
+    }
+  });
+
 // Start CLI
 program.parseAsync(process.argv).catch(err => {
   console.log(chalk.red(`Fatal error: ${err.message}`));
@@ -0,0 +1,219 @@
+import { PublicKey } from '@solana/web3.js';
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import readline from 'readline';
+import bs58 from 'bs58';
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+import { accountDiscriminators } from './idlDecoder.js';
+import { getConnection } from './provider.js';
+
+dotenv.config();
+
+/**
+ * Memory-bounded program account scanning. Accounts are first counted and listed with an empty
+ * dataSlice (keys only), split into types by discriminator (memcmp) or size (dataSize), and then
+ * fetched in batches of full accounts. A scan can stream to NDJSON with a checkpoint so an
+ * interrupted run resumes where it stopped.
+ */
+
+// getMultipleAccountsInfo accepts at most 100 keys per request.
+const ACCOUNT_BATCH_SIZE = 100;
+const DISCRIMINATOR_SIZE = 8;
+
+/**
+ * Counts a program's accounts without downloading their data.
+ * @param {Connection} connection - RPC connection.
+ * @param {PublicKey} programId - Program address.
+ * @param {Array<Object>} filters - getProgramAccounts filters.
+ * @returns {Promise<number>} - Number of matching accounts.
+ */
+export async function countProgramAccounts(connection, programId, filters = []) {
+  const accounts = await connection.getProgramAccounts(programId, { commitment: 'confirmed', dataSlice: { offset: 0, length: 0 }, filters });
+  return accounts.length;
+}
+
+/**
+ * Splits a program's accounts into types. Types come from the IDL's account discriminators or the
+ * given data sizes; without either they are discovered from the first eight bytes of every account.
+ *
+ * @param {Connection} connection - RPC connection.
+ * @param {PublicKey} programId - Program address.
+ * @param {Object} options - Type options.
+ * @param {Object} options.idl - Anchor IDL listing the account types.
+ * @param {Array<number>} options.dataSizes - Account sizes to scan (e.g. [165, 82] for SPL Token).
+ * @returns {Promise<Array<Object>>} - { key, name, filters, pubkeys } per type.
+ */
+export async function listAccountTypes(connection, programId, options = {}) {
+  const { idl, dataSizes = [] } = options;
+  const listKeys = async filters => (await connection.getProgramAccounts(programId, { commitment: 'confirmed', dataSlice: { offset: 0, length: 0 }, filters }))
+    .map(account => account.pubkey.toBase58());
+
+  const declared = [
+    ...(idl ? accountDiscriminators(idl) : []).map(({ name, discriminator }) => ({
+      key: discriminator,
+      name,
+      filters: [{ memcmp: { offset: 0, bytes: bs58.encode(Buffer.from(discriminator, 'hex')) } }],
+    })),
+    ...dataSizes.map(size => ({ key: `size:${size}`, name: `${size} bytes`, filters: [{ dataSize: Number(size) }] })),
+  ];
+  if (declared.length) {
+    for (const type of declared) type.pubkeys = await listKeys(type.filters);
+    return declared.filter(type => type.pubkeys.length);
+  }
+
+  const prefixes = await connection.getProgramAccounts(programId, { commitment: 'confirmed', dataSlice: { offset: 0, length: DISCRIMINATOR_SIZE } });
+  const byPrefix = new Map();
+  prefixes.forEach(account => {
+    const prefix = account.account.data.toString('hex');
+    if (!byPrefix.has(prefix)) byPrefix.set(prefix, []);
+    byPrefix.get(prefix).push(account.pubkey.toBase58());
+  });
+  return [...byPrefix].map(([prefix, pubkeys]) => ({
+    key: prefix,
+    name: prefix.length === DISCRIMINATOR_SIZE * 2 ? `Account_${prefix.slice(0, 8)}` : `short_${prefix.length / 2}b${prefix && `_${prefix}`}`,
+    filters: prefix.length === DISCRIMINATOR_SIZE * 2 ? [{ memcmp: { offset: 0, bytes: bs58.encode(Buffer.from(prefix, 'hex')) } }] : [],
+    pubkeys,
+  }));
+}
+
+/**
+ * Fetches full accounts of each type in batches, optionally sampling a random subset per type.
+ *
+ * @param {Connection} connection - RPC connection.
+ * @param {Array<Object>} types - Result of listAccountTypes().
+ * @param {Object} options - Fetch options.
+ * @param {number} options.sample - Random accounts to fetch per type (default: all).
+ * @param {Map<string, number>} options.done - Accounts already fetched per type key (resume).
+ * @param {Set<string>} options.skip - Accounts already fetched (resume).
+ * @returns {AsyncGenerator<Array<Object>>} - Batches of { pubkey, type, lamports, owner, data }.
+ */
+export async function* fetchAccountBatches(connection, types, options = {}) {
+  const { sample, done = new Map(), skip = new Set() } = options;
+  for (const type of types) {
+    let pubkeys = type.pubkeys.filter(pubkey => !skip.has(pubkey));
+    if (sample) pubkeys = randomSample(pubkeys, Math.max(0, sample - (done.get(type.key) || 0)));
+
+    for (let i = 0; i < pubkeys.length; i += ACCOUNT_BATCH_SIZE) {
+      const batch = pubkeys.slice(i, i + ACCOUNT_BATCH_SIZE);
+      const infos = await connection.getMultipleAccountsInfo(batch.map(pubkey => new PublicKey(pubkey)));
+      yield infos
+        .map((info, j) => info && { pubkey: batch[j], type: type.name, lamports: info.lamports, owner: info.owner.toBase58(), data: info.data })
+        .filter(Boolean);
+    }
+  }
+}
+
+/**
+ * Scans a program's accounts to NDJSON on disk, one account per line with base64 data. Progress is
+ * checkpointed next to the output (`<output>.checkpoint.json`) after every batch; with `resume`
+ * the accounts already in the file are skipped.
+ *
+ * @param {string} address - Program address.
+ * @param {Object} options - Scan options.
+ * @param {string} options.output - NDJSON output path (default: 'accounts.ndjson').
+ * @param {Object} options.idl - Anchor IDL listing the account types.
+ * @param {Array<number>} options.dataSizes - Account sizes to scan instead of discriminators.
+ * @param {number} options.sample - Random accounts per type (default: all).
+ * @param {boolean} options.resume - Continue an interrupted scan (the checkpoint's sample size is kept).
+ * @param {Function} options.onProgress - Called with { written, total, type } after each batch.
+ * @returns {Promise<Object>} - { output, total, written, resumed, types[{ name, key, count, written }] }.
+ */
+export async function scanProgramAccounts(address, options = {}) {
+  const { output = 'accounts.ndjson', idl, dataSizes, resume = false, onProgress } = options;
+  const checkpointPath = `${output}.checkpoint.json`;
+  try {
+    const connection = getConnection();
+    const programId = new PublicKey(address);
+
+    const previous = resume ? await readNdjsonProgress(output) : { pubkeys: new Set(), perType: new Map() };
+    const checkpoint = resume ? await readJson(checkpointPath) : null;
+    if (checkpoint && checkpoint.address !== address) throw new Error(`Checkpoint ${checkpointPath} belongs to ${checkpoint.address}`);
+    if (!resume) await fs.writeFile(output, '');
+    // A resumed sampling scan keeps the original sample size.
+    const sample = options.sample || checkpoint?.sample || undefined;
+
+    const total = await countProgramAccounts(connection, programId);
+    const types = await listAccountTypes(connection, programId, { idl, dataSizes });
+    const keyByName = new Map(types.map(type => [type.name, type.key]));
+    const done = new Map([...previous.perType].map(([name, count]) => [keyByName.get(name) ?? name, count]));
+
+    const summary = new Map(types.map(type => [type.key, { name: type.name, key: type.key, count: type.pubkeys.length, written: done.get(type.key) || 0 }]));
+    let written = previous.pubkeys.size;
+    for await (const batch of fetchAccountBatches(connection, types, { sample, done, skip: previous.pubkeys })) {
+      if (!batch.length) continue;
+      await fs.appendFile(output, batch.map(account => JSON.stringify({ ...account, data: account.data.toString('base64') })).join('\n') + '\n');
+      written += batch.length;
+      const type = summary.get(keyByName.get(batch[0].type));
+      type.written += batch.length;
+      await fs.writeFile(checkpointPath, JSON.stringify({ address, sample: sample || null, total, written, types: [...summary.values()], updatedAt: new Date().toISOString() }, null, 2));
+      onProgress?.({ written, total, type: type.name });
+    }
+
+    return { output, total, written, resumed: previous.pubkeys.size, types: [...summary.values()] };
+  } catch (err) {
+    console.warn(chalk.yellow(`Account scan failed for ${address}: ${err.message}`));
+    return { output, total: 0, written: 0, resumed: 0, types: [], error: err.message };
+  }
+}
+
+/**
+ * Reads the accounts already written to an NDJSON scan. A line cut off by an interruption is
+ * dropped and the file is terminated so appends start on a fresh line.
+ * @param {string} path - NDJSON path.
+ * @returns {Promise<Object>} - { pubkeys, perType } where perType counts accounts by type name.
+ */
+async function readNdjsonProgress(path) {
+  const pubkeys = new Set();
+  const perType = new Map();
+  const content = await fs.stat(path).catch(() => null);
+  if (!content?.size) return { pubkeys, perType };
+
+  const lines = readline.createInterface({ input: createReadStream(path), crlfDelay: Infinity });
+  for await (const line of lines) {
+    try {
+      const account = JSON.parse(line);
+      if (pubkeys.has(account.pubkey)) continue;
+      pubkeys.add(account.pubkey);
+      perType.set(account.type, (perType.get(account.type) || 0) + 1);
+    } catch {
+      // Partial line from an interrupted write.
+    }
+  }
+
+  const handle = await fs.open(path, 'r');
+  const last = Buffer.alloc(1);
+  await handle.read(last, 0, 1, content.size - 1);
+  await handle.close();
+  if (last.toString() !== '\n') await fs.appendFile(path, '\n');
+  return { pubkeys, perType };
+}
+
+/**
+ * Reads a JSON file.
+ * @param {string} path - File path.
+ * @returns {Promise<Object|null>} - Parsed JSON or null if missing.
+ */
+async function readJson(path) {
+  try {
+    return JSON.parse(await fs.readFile(path, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Picks up to `count` items uniformly at random (partial Fisher-Yates shuffle).
+ * @param {Array} items - Items to sample.
+ * @param {number} count - Sample size.
+ * @returns {Array} - Sampled items.
+ */
+function randomSample(items, count) {
+  if (count >= items.length) return items;
+  const pool = [...items];
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(Math.random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+}
@@ -1,4 +1,5 @@
 import chalk from 'chalk';
+import { hasSyscall, CPI_SYSCALLS } from './syscalls.js';
 
 /**
  * Infers the behavior of a Solana program, estimating scam probability, laundering likelihood,
@@ -6,9 +7,14 @@ import chalk from 'chalk';
  *
  * @param {Object} analysis - Binary analysis insights from analyzer.js.
  * @param {Object} transactionData - Transaction data from transactions.js.
- * @returns {Promise<Object>} - Behavior inference results with scamProbability, launderingLikelihood, and programTypeConfidence.
+ * @param {Object} options - Inference options.
+ * @param {Object} options.walletClusters - Wallet clusters from walletClustering.js; a user base that
+ * is really a few entities raises the scam probability.
+ * @returns {Promise<Object>} - Behavior inference results with scamProbability, launderingLikelihood, programTypeConfidence
+ * and sybil ({ wallets, entities, clusters, largestClusterShare }, or null without clusters).
  */
-export async function inferBehavior(analysis, transactionData) {
+export async function inferBehavior(analysis, transactionData, options = {}) {
+  const { walletClusters } = options;
   try {
     if (!analysis?.insights || !transactionData?.economicInsights) {
       throw new Error('Invalid input data for behavior inference');
@@ -23,13 +29,19 @@ export async function inferBehavior(analysis, transactionData) {
     if (economicInsights.suspiciousVolume > economicInsights.totalVolumeSOL * 0.5) scamProbability += 20;
     if (economicInsights.transactionCount < 10 && economicInsights.totalVolumeSOL > 100) scamProbability += 20;
     if (insights.authorityHolders.length === 1) scamProbability += 10;
+    // Sybil activity: few entities behind many wallets, or one cluster dominating the users.
+    if (walletClusters?.walletCount >= 5) {
+      if (walletClusters.entityCount / walletClusters.walletCount < 0.3) scamProbability += 15;
+      if (walletClusters.largestClusterShare > 0.5) scamProbability += Math.round(20 * walletClusters.largestClusterConfidence / 100);
+      else if (walletClusters.largestClusterShare > 0.25) scamProbability += Math.round(10 * walletClusters.largestClusterConfidence / 100);
+    }
 
     // Laundering Likelihood
     let launderingLikelihood = 10;
     if (economicInsights.tokenFlowInsights.concentrationRisk) launderingLikelihood += 25;
     if (economicInsights.transactionVolumeAnalysis.highVolatility) launderingLikelihood += 20;
     if (economicInsights.transactionTypes.others.count > economicInsights.transactionCount * 0.3) launderingLikelihood += 15;
-    if (insights.syscalls.includes('sol_invoke') && insights.instructions > 500) launderingLikelihood += 10;
+    if (hasSyscall(insights.syscalls, ...CPI_SYSCALLS) && insights.instructions > 500) launderingLikelihood += 10;
 
     // Program Type Confidence
     let programTypeConfidence = {};
@@ -47,6 +59,12 @@ export async function inferBehavior(analysis, transactionData) {
       scamProbability: Math.min(100, scamProbability),
       launderingLikelihood: Math.min(100, launderingLikelihood),
       programTypeConfidence,
+      sybil: walletClusters ? {
+        wallets: walletClusters.walletCount,
+        entities: walletClusters.entityCount,
+        clusters: walletClusters.clusterCount,
+        largestClusterShare: walletClusters.largestClusterShare,
+      } : null,
     };
   } catch (err) {
     console.warn(chalk.yellow(`Behavior inference failed: ${err.message}`));
@@ -54,6 +72,7 @@ export async function inferBehavior(analysis, transactionData) {
       scamProbability: 10,
       launderingLikelihood: 10,
       programTypeConfidence: { unknown: 100 },
+      sybil: null,
     };
   }
 }
\ No newline at end of file
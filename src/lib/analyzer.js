@@ -1,83 +1,184 @@
+import bs58 from 'bs58';
 import chalk from 'chalk';
+import { parseElf, sectionData } from './elf.js';
+import { disassemble } from './disassembler.js';
+import { collectSyscalls } from './syscalls.js';
+import { recoverControlFlow } from './controlFlow.js';
+import { extractAnchorInstructions } from './anchor.js';
+import { cacheGet, cacheSet, contentHash } from './diskCache.js';
+
+const EMPTY_CONTROL_FLOW = { functions: 0, basicBlocks: 0, branches: 0, loops: 0, maxComplexity: 0, averageComplexity: 0, perFunction: [] };
+const EMPTY_ANCHOR = { isAnchor: false, hasIdlInstructions: false, dispatcher: null, instructions: [] };
+const REPORTED_SECTIONS = ['.text', '.rodata', '.data.rel.ro', '.data', '.bss', '.dynsym', '.dynstr', '.rel.dyn', '.dynamic'];
+// Bump when the cached binary insights change shape or meaning, so older cache entries are not served.
+const ANALYSIS_VERSION = 4;
+// Accounts a program names when it verifies signatures through the native precompiles.
+const SIGNATURE_ACCOUNTS = {
+  ed25519Program: 'Ed25519SigVerify111111111111111111111111111',
+  secp256k1Program: 'KeccakSecp256k11111111111111111111111111111',
+  instructionsSysvar: 'Sysvar1nstructions1111111111111111111111111',
+};
+const EMPTY_SIGNATURE_CHECKS = { ed25519Program: false, secp256k1Program: false, instructionsSysvar: false };
 
 /**
  * Analyzes a Solana program binary to extract insights.
+ * The binary is parsed as an sBPF ELF; string findings are limited to the read-only data sections.
+ * Findings derived from the binary are cached on disk by analyzer version, binary hash and deploy
+ * slot; loader metadata (which can change without a redeploy) is always taken from programAccount.
  *
  * @param {Buffer} binary - Program binary data.
  * @param {string} address - Program address.
+ * @param {Object} options - Analysis options.
+ * @param {Object} options.programAccount - Loader metadata from fetchProgramBinary (deploy slot, upgrade authority).
  * @returns {Promise<Object>} - Analysis insights.
  */
-export async function analyzeBinary(binary, address) {
+export async function analyzeBinary(binary, address, options = {}) {
+  const { programAccount = {} } = options;
+  const authorityHolders = programAccount.upgradeAuthority ? [programAccount.upgradeAuthority] : [];
+  const accountInsights = {
+    loader: programAccount.loader || null,
+    deploySlot: programAccount.deploySlot ?? null,
+    upgradeAuthority: programAccount.upgradeAuthority || null,
+    authorityHolders,
+    address,
+  };
   try {
-    const binarySize = binary.length;
-    const instructionCount = Math.floor(binarySize / 8);
-    const syscalls = detectSyscalls(binary);
-    const suspectedType = inferProgramType(address, binary);
-    const controlFlow = {
-      branches: Math.floor(instructionCount * 0.1),
-      loops: Math.floor(instructionCount * 0.05),
-    };
-    const usesBorsh = binary.includes(Buffer.from('borsh'));
-    const hiddenMint = binary.includes(Buffer.from('mint'));
+    const cacheKey = `v${ANALYSIS_VERSION}:${contentHash(binary)}@${programAccount.deploySlot ?? 'none'}:${address}`;
+    const cached = await cacheGet('analysis', cacheKey);
+    if (cached) return { insights: { ...cached, ...accountInsights } };
 
-    return {
-      insights: {
-        instructions: instructionCount,
-        syscalls,
-        suspectedType,
-        reentrancyRisk: instructionCount > 1000 ? 'Moderate' : 'Low',
-        controlFlow,
-        usesBorsh,
-        hiddenMint,
-        authorityHolders: ['8x7y...z9k2'], // Simplified; real analysis would fetch from accounts
-        address,
-      },
+    const elf = parseElf(binary);
+    const dataSections = Buffer.concat(elf.sections.filter(isReadOnlyData).map(section => sectionData(binary, section)));
+    const disassembly = elf.text ? disassemble(binary, { elf }) : null;
+    const instructionCount = disassembly ? disassembly.instructions.length : 0;
+    const syscalls = disassembly ? collectSyscalls(disassembly) : [];
+    const suspectedType = inferProgramType(address, dataSections);
+    const controlFlow = disassembly ? summarizeControlFlow(recoverControlFlow(disassembly)) : EMPTY_CONTROL_FLOW;
+    const anchor = disassembly ? extractAnchorInstructions(disassembly, dataSections) : EMPTY_ANCHOR;
+    const usesBorsh = dataSections.includes(Buffer.from('borsh'));
+    const hiddenMint = dataSections.includes(Buffer.from('mint'));
+    const signatureChecks = disassembly ? findSignatureAccounts(dataSections, disassembly) : EMPTY_SIGNATURE_CHECKS;
+
+    const binaryInsights = {
+      instructions: instructionCount,
+      binarySize: binary.length,
+      entrypoint: toHex(elf.entrypoint),
+      sbpfVersion: elf.sbpfVersion,
+      sections: summarizeSections(elf),
+      dynamicSymbols: elf.dynamicSymbols.filter(sym => sym.name).length,
+      relocations: elf.relocations.length,
+      syscalls,
+      suspectedType,
+      reentrancyRisk: instructionCount > 1000 ? 'Moderate' : 'Low',
+      controlFlow,
+      usesBorsh,
+      hiddenMint,
+      signatureChecks,
+      anchor,
     };
+    await cacheSet('analysis', cacheKey, binaryInsights);
+    return { insights: { ...binaryInsights, ...accountInsights } };
   } catch (err) {
     console.warn(chalk.yellow(`Binary analysis failed for ${address}: ${err.message}`));
     return {
       insights: {
         instructions: 0,
+        binarySize: binary?.length || 0,
+        entrypoint: null,
+        sbpfVersion: null,
+        sections: {},
+        dynamicSymbols: 0,
+        relocations: 0,
         syscalls: [],
         suspectedType: 'unknown',
         reentrancyRisk: 'Low',
-        controlFlow: { branches: 0, loops: 0 },
+        controlFlow: EMPTY_CONTROL_FLOW,
         usesBorsh: false,
         hiddenMint: false,
-        authorityHolders: [],
-        address,
+        signatureChecks: EMPTY_SIGNATURE_CHECKS,
+        anchor: EMPTY_ANCHOR,
+        ...accountInsights,
       },
     };
   }
 }
 
 /**
- * Detects syscalls in the binary (heuristic-based).
- * @param {Buffer} binary - Program binary.
- * @returns {Array<string>} - List of detected syscalls.
+ * Flattens recovered control flow into the insights shape: totals plus per-function complexity.
+ * @param {Object} controlFlow - Result of recoverControlFlow().
+ * @returns {Object} - Control-flow insights.
  */
-function detectSyscalls(binary) {
-  const syscallSignatures = {
-    sol_invoke: Buffer.from([0x01, 0x00, 0x00]),
-    sol_verify_signature: Buffer.from([0x02, 0x00, 0x00]),
-    sol_alloc_free: Buffer.from([0x03, 0x00, 0x00]),
+function summarizeControlFlow(controlFlow) {
+  return {
+    ...controlFlow.summary,
+    perFunction: controlFlow.functions.map(fn => ({
+      address: toHex(fn.address),
+      name: fn.name,
+      instructions: fn.instructions,
+      blocks: fn.blocks.length,
+      loops: fn.loops.length,
+      complexity: fn.complexity,
+    })),
   };
-  const syscalls = [];
-  for (const [syscall, signature] of Object.entries(syscallSignatures)) {
-    if (binary.includes(signature)) syscalls.push(syscall);
-  }
-  return syscalls;
 }
 
 /**
- * Infers program type based on address and binary patterns.
+ * Reports the size of the interesting ELF sections, keyed by section name.
+ * @param {Object} elf - Parsed ELF.
+ * @returns {Object} - Section sizes in bytes.
+ */
+function summarizeSections(elf) {
+  return elf.sections
+    .filter(section => REPORTED_SECTIONS.includes(section.name) || isReadOnlyData(section))
+    .reduce((acc, section) => {
+      acc[section.name] = section.size;
+      return acc;
+    }, {});
+}
+
+/**
+ * Checks whether a section holds read-only data (string literals, constant tables).
+ * @param {Object} section - Section header.
+ * @returns {boolean} - True for .rodata* and .data.rel.ro.
+ */
+function isReadOnlyData(section) {
+  return section.name.startsWith('.rodata') || section.name === '.data.rel.ro';
+}
+
+/**
+ * Formats an address as a hex string.
+ * @param {number} value - Address.
+ * @returns {string} - Hex representation.
+ */
+function toHex(value) {
+  return `0x${value.toString(16)}`;
+}
+
+/**
+ * Looks for the precompile programs and the instructions sysvar among the program's constants.
+ * Pubkeys are either stored whole in read-only data or compared 8 bytes at a time against lddw
+ * immediates, so a match on the first 8 bytes of an immediate counts as a reference.
+ * @param {Buffer} data - Contents of the program's read-only data sections.
+ * @param {Object} disassembly - Result of disassemble().
+ * @returns {Object} - { ed25519Program, secp256k1Program, instructionsSysvar } as booleans.
+ */
+function findSignatureAccounts(data, disassembly) {
+  const immediates = new Set(disassembly.instructions.filter(insn => insn.mnemonic === 'lddw').map(insn => BigInt(insn.imm64)));
+  return Object.fromEntries(Object.entries(SIGNATURE_ACCOUNTS).map(([key, address]) => {
+    const bytes = Buffer.from(bs58.decode(address));
+    return [key, data.includes(bytes) || immediates.has(bytes.readBigUInt64LE(0))];
+  }));
+}
+
+/**
+ * Infers program type based on address and read-only data patterns.
  * @param {string} address - Program address.
- * @param {Buffer} binary - Program binary.
+ * @param {Buffer} data - Contents of the program's read-only data sections.
  * @returns {string} - Inferred program type.
  */
-function inferProgramType(address, binary) {
+function inferProgramType(address, data) {
   if (address === 'GovER5Lthms3bLBqWub97yVrMmEogzX7xNjdXpPPCVZw') return 'governance';
-  if (binary.includes(Buffer.from('swap'))) return 'amm';
-  if (binary.includes(Buffer.from('mintNFT'))) return 'nft';
+  if (data.includes(Buffer.from('swap'))) return 'amm';
+  if (data.includes(Buffer.from('mintNFT'))) return 'nft';
   return 'unknown';
 }
\ No newline at end of file
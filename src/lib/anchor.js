@@ -0,0 +1,233 @@
+import crypto from 'crypto';
+
+/**
+ * Anchor dispatcher recovery. Anchor programs route instructions by comparing the first eight
+ * bytes of instruction data against `sha256("global:<name>")[..8]` constants, and log
+ * "Instruction: <Name>" from each handler, so both the discriminators and the names can be read
+ * back from the bytecode.
+ */
+
+// Anchor's IDL_IX_TAG (sha256("anchor:idl")[..8] read big-endian) guards the built-in IDL instructions.
+const IDL_IX_TAG = 0x0a69e9a778bcf440n;
+// EVENT_IX_TAG (sha256("anchor:event")[..8] read big-endian) routes the self-CPI that `emit_cpi!` uses to log events.
+const EVENT_IX_TAG = 0x1d9acb512ea545e4n;
+const BUILTIN_TAGS = new Set([IDL_IX_TAG, EVENT_IX_TAG]);
+const COMPARE_WINDOW = 8;
+const HANDLER_SEARCH_LIMIT = 32;
+
+/**
+ * Computes the Anchor instruction discriminator for a method name.
+ * @param {string} name - Instruction name in snake_case (e.g. 'initialize_pool').
+ * @returns {Buffer} - First 8 bytes of sha256("global:<name>").
+ */
+export function anchorDiscriminator(name) {
+  return crypto.createHash('sha256').update(`global:${name}`).digest().subarray(0, 8);
+}
+
+/**
+ * Returns the discriminator of an IDL instruction as hex. Anchor 0.30+ IDLs list it explicitly;
+ * older IDLs use camelCase names that hash as snake_case.
+ * @param {Object} ix - IDL instruction.
+ * @returns {string} - Hex discriminator.
+ */
+export function idlInstructionDiscriminator(ix) {
+  if (Array.isArray(ix.discriminator)) return Buffer.from(ix.discriminator).toString('hex');
+  const snakeCase = ix.name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+  return anchorDiscriminator(snakeCase).toString('hex');
+}
+
+/**
+ * Computes the Anchor account discriminator for an account struct.
+ * @param {string} name - Account struct name as declared (e.g. 'PoolState').
+ * @returns {Buffer} - First 8 bytes of sha256("account:<name>").
+ */
+export function anchorAccountDiscriminator(name) {
+  return crypto.createHash('sha256').update(`account:${name}`).digest().subarray(0, 8);
+}
+
+/**
+ * Recovers the Anchor dispatcher table from a disassembled program.
+ *
+ * @param {Object} disassembly - Result of disassemble().
+ * @param {Buffer} readOnlyData - Concatenated read-only data sections (for "Instruction: Foo" log strings).
+ * @returns {Object} - { isAnchor, hasIdlInstructions, dispatcher, instructions[{ name, discriminator, handler, compareSite, source }] }.
+ */
+export function extractAnchorInstructions(disassembly, readOnlyData) {
+  const compares = findDiscriminatorCompares(disassembly);
+  const names = instructionLogNames(readOnlyData);
+  const byDiscriminator = new Map();
+  names.forEach(logName => {
+    wordPrefixes(logName).flatMap(snakeCaseCandidates).forEach(name => {
+      const discriminator = anchorDiscriminator(name).toString('hex');
+      if (!byDiscriminator.has(discriminator)) byDiscriminator.set(discriminator, { name, logName });
+    });
+  });
+
+  const hasIdlInstructions = compares.some(compare => compare.value === IDL_IX_TAG);
+  const matched = compares.filter(compare => byDiscriminator.has(compare.discriminator));
+  const isAnchor = matched.length > 0 || hasIdlInstructions;
+  if (!isAnchor) {
+    return { isAnchor: false, hasIdlInstructions: false, dispatcher: null, instructions: [] };
+  }
+
+  // Unnamed constants are only trusted when they sit in the same function as a confirmed match.
+  const dispatchers = new Set((matched.length ? matched : compares.filter(c => c.value === IDL_IX_TAG)).map(c => c.functionStart));
+  const instructions = [];
+  const seen = new Set();
+  compares
+    .filter(compare => dispatchers.has(compare.functionStart) && !BUILTIN_TAGS.has(compare.value) && !seen.has(compare.discriminator))
+    .forEach(compare => {
+      seen.add(compare.discriminator);
+      instructions.push({
+        name: byDiscriminator.get(compare.discriminator)?.name || null,
+        discriminator: compare.discriminator,
+        handler: toHex(compare.handler),
+        compareSite: toHex(compare.address),
+        source: 'dispatcher',
+      });
+    });
+
+  // Log strings whose discriminator never appeared as a constant (e.g. byte-wise compares).
+  const loggedNames = new Set(instructions.map(ix => ix.name));
+  names.forEach(logName => {
+    const candidates = wordPrefixes(logName).flatMap(snakeCaseCandidates);
+    if (isIdlLogName(logName) || candidates.some(candidate => loggedNames.has(candidate))) return;
+    const [name] = candidates;
+    loggedNames.add(name);
+    instructions.push({
+      name,
+      discriminator: anchorDiscriminator(name).toString('hex'),
+      handler: null,
+      compareSite: null,
+      source: 'log-string',
+    });
+  });
+
+  return {
+    isAnchor,
+    hasIdlInstructions,
+    dispatcher: toHex(Math.min(...dispatchers)),
+    instructions,
+  };
+}
+
+/**
+ * Finds 64-bit constants that are loaded with lddw and then compared for equality against
+ * another register, which is how the dispatcher matches the 8-byte instruction prefix.
+ * @param {Object} disassembly - Result of disassemble().
+ * @returns {Array<Object>} - { value, discriminator, address, handler, functionStart }.
+ */
+function findDiscriminatorCompares(disassembly) {
+  const { instructions } = disassembly;
+  const index = new Map(instructions.map((insn, i) => [insn.address, i]));
+  const functionStarts = [...new Set([disassembly.entrypoint, ...Object.keys(disassembly.functions).map(Number)])].sort((a, b) => a - b);
+  const functionOf = address => functionStarts.filter(start => start <= address).pop() ?? 0;
+
+  const compares = [];
+  instructions.forEach((insn, i) => {
+    if (insn.mnemonic !== 'lddw') return;
+    const register = insn.dst;
+    for (let j = i + 1; j < Math.min(instructions.length, i + 1 + COMPARE_WINDOW); j++) {
+      const next = instructions[j];
+      const usesRegister = (next.opcode & 0x08) !== 0 && (next.src === register || next.dst === register);
+      if ((next.mnemonic === 'jeq' || next.mnemonic === 'jne') && usesRegister) {
+        const value = BigInt(insn.imm64);
+        const matchPath = next.mnemonic === 'jeq' ? next.target : instructions[j + 1]?.address;
+        const discriminator = Buffer.alloc(8);
+        discriminator.writeBigUInt64LE(value);
+        compares.push({
+          value,
+          discriminator: discriminator.toString('hex'),
+          address: next.address,
+          handler: findHandler(instructions, index, matchPath),
+          functionStart: functionOf(insn.address),
+        });
+        return;
+      }
+      if (next.dst === register && writesDestination(next)) return;
+      if (next.mnemonic === 'exit' || next.mnemonic === 'ja') return;
+    }
+  });
+  return compares;
+}
+
+/**
+ * Follows the matched branch until the first call into a program function.
+ * @param {Array<Object>} instructions - Disassembled instructions.
+ * @param {Map<number, number>} index - Instruction index keyed by address.
+ * @param {number|undefined} start - Address where the matched path begins.
+ * @returns {number|null} - Handler function address, or the branch address if no call is found.
+ */
+function findHandler(instructions, index, start) {
+  if (start === undefined || !index.has(start)) return null;
+  let i = index.get(start);
+  for (let steps = 0; steps < HANDLER_SEARCH_LIMIT && instructions[i]; steps++) {
+    const insn = instructions[i];
+    if (insn.callTarget?.type === 'function') return insn.callTarget.address;
+    if (insn.mnemonic === 'exit') break;
+    i = insn.mnemonic === 'ja' && index.has(insn.target) ? index.get(insn.target) : i + 1;
+  }
+  return start;
+}
+
+/**
+ * Checks whether an instruction overwrites its destination register.
+ * @param {Object} insn - Decoded instruction.
+ * @returns {boolean} - True for ALU, load and lddw instructions.
+ */
+function writesDestination(insn) {
+  return insn.mnemonic === 'lddw' || insn.mnemonic.startsWith('ldx') || /^(add|sub|mul|div|or|and|lsh|rsh|neg|mod|xor|mov|arsh|le|be|hor)/.test(insn.mnemonic);
+}
+
+/**
+ * Extracts instruction names from Anchor's "Instruction: Foo" log strings.
+ * @param {Buffer} data - Read-only data.
+ * @returns {Array<string>} - Unique UpperCamelCase names.
+ */
+function instructionLogNames(data) {
+  const names = new Set();
+  const text = data.toString('latin1');
+  for (const match of text.matchAll(/Instruction: ([A-Za-z][A-Za-z0-9_]*?)(?=Instruction: |[^A-Za-z0-9_]|$)/g)) names.add(match[1]);
+  return [...names];
+}
+
+/**
+ * Lists the prefixes of a name that end on a word boundary. Rust packs string literals without
+ * separators, so "Instruction: Deposit" may be followed directly by unrelated text.
+ * @param {string} name - Name from the log string.
+ * @returns {Array<string>} - Prefixes, longest first.
+ */
+function wordPrefixes(name) {
+  const boundaries = [...name.matchAll(/(?<=[a-z0-9])[A-Z]/g)].map(match => match.index);
+  return [name, ...boundaries.reverse().map(index => name.slice(0, index))];
+}
+
+/**
+ * Converts an UpperCamelCase log name back to the snake_case method names it may come from.
+ * Digits are ambiguous ("SwapV2" could be swap_v2 or swap_v_2), so both spellings are returned.
+ * @param {string} name - Name from the log string.
+ * @returns {Array<string>} - Candidate method names, most likely first.
+ */
+function snakeCaseCandidates(name) {
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2').toLowerCase();
+  const splitDigits = words.replace(/([a-z])([0-9])/g, '$1_$2');
+  return [...new Set([words, splitDigits])];
+}
+
+/**
+ * Checks whether a log name belongs to Anchor's built-in IDL instructions.
+ * @param {string} name - Name from the log string.
+ * @returns {boolean} - True for IdlCreateAccount, IdlWrite, etc.
+ */
+function isIdlLogName(name) {
+  return name.startsWith('Idl');
+}
+
+/**
+ * Formats an address as a hex string.
+ * @param {number|null} value - Address.
+ * @returns {string|null} - Hex representation.
+ */
+function toHex(value) {
+  return value === null ? null : `0x${value.toString(16)}`;
+}
@@ -1,4 +1,8 @@
 import chalk from 'chalk';
+import { getCluster, isCustomCluster } from './config.js';
+import { redactEndpoint } from './provider.js';
+import { solscanUrl } from './utils.js';
+import { formatWindow } from './crawler.js';
 
 /**
  * Generates a comprehensive audit report for a Solana program.
@@ -9,6 +13,16 @@ import chalk from 'chalk';
  * @param {Object} callGraph - Call graph data.
  * @param {Array} vulnerabilities - Detected vulnerabilities.
  * @param {Object} safetyAssessment - Safety assessment results.
+ * @param {Object} options - Report options.
+ * @param {Object} options.skipped - Steps that did not run, keyed by step ('transactions', 'authorities') with the reason.
+ * Their sections are reported as skipped instead of with empty numbers.
+ * @param {string} options.programFile - Local binary the report was generated from (offline analysis).
+ * @param {Object} options.mev - MEV detection results (mevDetector.js) for AMM programs; without them
+ * the MEV section is reported as skipped (give the reason as `skipped.mev`).
+ * @param {Object} options.lookupTables - Address lookup table analysis (lookupTables.js); without it the
+ * section is reported as skipped.
+ * @param {Object} options.idl - IDL used for decoding (generateIDL result or a user-supplied file); the
+ * report states where it came from and, for an on-chain IDL, its authority and whether it is stale.
  * @returns {Promise<Object>} - Audit report.
  */
 export async function generateAuditReport(
@@ -17,13 +31,16 @@ export async function generateAuditReport(
   transactionData,
   callGraph,
   vulnerabilities,
-  safetyAssessment
+  safetyAssessment,
+  options = {}
 ) {
+  const { skipped = {}, programFile, mev, lookupTables, idl } = options;
   try {
     if (!analysis?.insights || !transactionData?.economicInsights || !safetyAssessment) {
       throw new Error('Invalid input data for audit report');
     }
 
+    const idlAnalysis = summarizeIdl(idl);
     const riskBreakdown = {
       critical: vulnerabilities.filter(v => v.severity === 'Critical').length,
       high: vulnerabilities.filter(v => v.severity === 'High').length + safetyAssessment.risks.filter(r => r.implication.includes('malicious')).length,
@@ -36,10 +53,13 @@ export async function generateAuditReport(
       riskLevel: safetyAssessment.safetyScore < 50 ? 'High' : safetyAssessment.safetyScore < 80 ? 'Moderate' : 'Low',
       programType: analysis.insights.suspectedType.toUpperCase(),
       keyFindings: [
-        `Safety Score: ${safetyAssessment.safetyScore}/100`,
+        `Safety Score: ${safetyAssessment.safetyScore}/100${Object.keys(skipped).length ? ' (binary analysis only)' : ''}`,
         `Vulnerabilities: ${vulnerabilities.length} (${riskBreakdown.high} High, ${riskBreakdown.moderate} Moderate)`,
-        `Transaction Volume: ${transactionData.economicInsights.totalVolumeSOL.toFixed(4)} SOL`,
-        `Authority Control: ${authorityInsights.length} ${authorityInsights.length === 1 ? 'single authority' : 'authorities'}`,
+        skipped.transactions ? `Transaction Volume: skipped (${skipped.transactions})` : `Transaction Volume: ${transactionData.economicInsights.totalVolumeSOL.toFixed(4)} SOL${transactionData.window ? ` over ${formatWindow(transactionData.window)}` : ''}`,
+        skipped.authorities ? `Authority Control: skipped (${skipped.authorities})` : `Authority Control: ${authorityInsights.length} ${authorityInsights.length === 1 ? 'single authority' : 'authorities'}`,
+        `IDL: ${idlAnalysis.source}${idlAnalysis.stale ? ' (stale: does not match the deployed program)' : ''}`,
+        ...(mev ? [`MEV: ${mev.sandwiches.length} sandwiches${mev.sandwiches.length ? ` by ${mev.attackers.length} attackers` : ''}, ${mev.tips.count} Jito tips`] : []),
+        ...(lookupTables?.tablesFound ? [`Lookup Tables: ${lookupTables.tablesFound} used by ${lookupTables.transactionsUsingTables} transactions, ${lookupTables.thirdPartyTables} controlled by third parties`] : []),
       ],
       riskScoreBreakdown: riskBreakdown,
     };
@@ -71,16 +91,17 @@ export async function generateAuditReport(
       })),
     ];
 
+    const { address } = analysis.insights;
     const recommendations = [
       {
         priority: 'High',
         action: 'Monitor program updates on Solscan.',
-        link: `https://solscan.io/account/${analysis.insights.address}#events`,
+        link: address ? solscanUrl(`account/${address}#events`) : null,
       },
       {
         priority: analysis.insights.suspectedType === 'governance' ? 'High' : 'Moderate',
         action: 'Verify governance or token logic on-chain.',
-        link: `https://solscan.io/account/${analysis.insights.address}`,
+        link: address ? solscanUrl(`account/${address}`) : null,
       },
       {
         priority: vulnerabilities.length > 0 ? 'High' : 'Moderate',
@@ -88,45 +109,86 @@ export async function generateAuditReport(
         link: null,
       },
     ];
+    if (idlAnalysis.stale) {
+      recommendations.push({
+        priority: 'High',
+        action: `The on-chain IDL does not match the deployed program (${[...idlAnalysis.missingFromIdl.map(name => `${name} missing from IDL`), ...idlAnalysis.missingFromBinary.map(name => `${name} missing from binary`)].join(', ')}); republish it with \`anchor idl upgrade\` before relying on decoded instructions.`,
+        link: idlAnalysis.idlAddress ? solscanUrl(`account/${idlAnalysis.idlAddress}`) : null,
+      });
+    }
+    if (mev?.sandwiches.length) {
+      recommendations.push({
+        priority: 'High',
+        action: `Users are being sandwiched (${mev.sandwiches.length} sandwiches); enforce tight slippage limits and route swaps through MEV-protected submission.`,
+        link: null,
+      });
+    }
+    const riskyTables = (lookupTables?.tables || []).filter(table => table.risk === 'High');
+    if (riskyTables.length) {
+      recommendations.push({
+        priority: 'High',
+        action: `${riskyTables.length} address lookup table(s) controlled by third parties supply writable accounts to the program; have clients use frozen tables or tables they control.`,
+        link: solscanUrl(`account/${riskyTables[0].address}`),
+      });
+    }
 
     return {
-      programAddress: analysis.insights.address,
+      programAddress: address ?? null,
       timestamp: new Date().toISOString(),
       executiveSummary,
       riskAssessment: { prioritizedRisks, riskScoreBreakdown: riskBreakdown, totalRisks: prioritizedRisks.length },
       binaryAnalysis: {
-        size: analysis.insights.instructions * 8,
+        size: analysis.insights.binarySize ?? analysis.insights.instructions * 8,
         instructionCount: analysis.insights.instructions,
+        entrypoint: analysis.insights.entrypoint,
+        sections: analysis.insights.sections,
         syscalls: analysis.insights.syscalls,
         likelyBehavior: analysis.insights.suspectedType,
         controlFlow: {
           branches: analysis.insights.controlFlow.branches,
           loops: analysis.insights.controlFlow.loops,
-          complexity: analysis.insights.controlFlow.branches + analysis.insights.controlFlow.loops > 70 ? 'High' : 'Moderate',
+          functions: analysis.insights.controlFlow.functions,
+          maxCyclomaticComplexity: analysis.insights.controlFlow.maxComplexity,
+          complexity: complexityLevel(analysis.insights.controlFlow.maxComplexity),
         },
         dependencies: callGraph.nodes.filter(node => node !== analysis.insights.address),
       },
-      economicAnalysis: {
+      economicAnalysis: skipped.transactions ? { skipped: true, reason: skipped.transactions } : {
+        window: transactionData.window || null,
         totalVolumeSOL: transactionData.economicInsights.totalVolumeSOL.toFixed(4),
         averageFeeSOL: transactionData.economicInsights.averageFeeSOL.toFixed(6),
         transactionCount: transactionData.economicInsights.transactionCount,
         transactionTypes: transactionData.economicInsights.transactionTypes,
         suspiciousVolumeSOL: transactionData.economicInsights.suspiciousVolume.toFixed(4),
+        organicVolumeSOL: (transactionData.economicInsights.organicVolumeSOL ?? transactionData.economicInsights.totalVolumeSOL).toFixed(4),
+        washTrading: transactionData.economicInsights.washTrading || null,
         tokenFlows: transactionData.economicInsights.tokenFlowInsights,
       },
-      authorityAnalysis: authorityInsights,
-      callGraphAnalysis: {
+      authorityAnalysis: skipped.authorities ? { skipped: true, reason: skipped.authorities } : authorityInsights,
+      callGraphAnalysis: skipped.transactions ? { skipped: true, reason: skipped.transactions } : {
         nodes: callGraph.nodes,
         edges: callGraph.edges,
+        callers: callGraph.callers || [],
+        callees: callGraph.callees || [],
         interactionComplexity: callGraph.edges.length > 50 ? 'High' : callGraph.edges.length > 20 ? 'Moderate' : 'Low',
       },
+      idlAnalysis,
+      mevAnalysis: mev ? summarizeMev(mev) : { skipped: true, reason: skipped.mev || skipped.transactions || 'MEV detection did not run' },
+      lookupTableAnalysis: lookupTables || { skipped: true, reason: skipped.transactions || 'Lookup table analysis did not run' },
       vulnerabilityAnalysis: vulnerabilities,
       safetyAnalysis: {
         safetyScore: safetyAssessment.safetyScore,
         feedback: safetyAssessment.risks,
       },
       recommendations,
-      metadata: { version: '1.0.0', generatedBy: 'SolProof SDK', generationTime: new Date().toISOString(), solanaNetwork: 'mainnet' },
+      skippedSteps: Object.entries(skipped).map(([step, reason]) => ({ step, reason })),
+      metadata: {
+        version: '1.0.0',
+        generatedBy: 'SolProof SDK',
+        generationTime: new Date().toISOString(),
+        solanaNetwork: programFile ? null : reportNetwork(),
+        ...(programFile && { programFile }),
+      },
     };
   } catch (err) {
     console.warn(chalk.yellow(`Audit report generation failed: ${err.message}`));
@@ -136,13 +198,74 @@ export async function generateAuditReport(
       executiveSummary: { safetyScore: 50, riskLevel: 'Moderate', programType: 'Unknown', keyFindings: [], riskScoreBreakdown: { critical: 0, high: 0, moderate: 0, low: 0 } },
       riskAssessment: { prioritizedRisks: [], riskScoreBreakdown: { critical: 0, high: 0, moderate: 0, low: 0 }, totalRisks: 0 },
       binaryAnalysis: { size: 0, instructionCount: 0, syscalls: [], likelyBehavior: 'unknown', controlFlow: { branches: 0, loops: 0, complexity: 'Low' }, dependencies: [] },
-      economicAnalysis: { totalVolumeSOL: '0.0000', averageFeeSOL: '0.000000', transactionCount: 0, transactionTypes: {}, suspiciousVolumeSOL: '0.0000', tokenFlows: { topInflows: [], topOutflows: [], concentrationRisk: false } },
+      economicAnalysis: { totalVolumeSOL: '0.0000', averageFeeSOL: '0.000000', transactionCount: 0, transactionTypes: {}, suspiciousVolumeSOL: '0.0000', tokenFlows: { topInflows: [], topOutflows: [], byOwner: [], byMint: [], concentrationRisk: false } },
       authorityAnalysis: [],
       callGraphAnalysis: { nodes: [], edges: [], interactionComplexity: 'Low' },
       vulnerabilityAnalysis: [],
       safetyAnalysis: { safetyScore: 50, feedback: [] },
       recommendations: [],
-      metadata: { version: '1.0.0', generatedBy: 'SolProof SDK', generationTime: new Date().toISOString(), solanaNetwork: 'mainnet' },
+      metadata: { version: '1.0.0', generatedBy: 'SolProof SDK', generationTime: new Date().toISOString(), solanaNetwork: reportNetwork() },
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Describes the IDL the report decoded instructions with.
+ * @param {Object} idl - Result of generateIDL() or a user-supplied IDL.
+ * @returns {Object} - { source, name, instructions, idlAddress, authority, stale, missingFromIdl, missingFromBinary }
+ * where source is 'on-chain', 'inferred from bytecode', 'inferred from transactions', 'file' or 'none'.
+ */
+function summarizeIdl(idl) {
+  const sources = { 'on-chain': 'on-chain', bytecode: 'inferred from bytecode', transactions: 'inferred from transactions' };
+  const source = !idl?.instructions?.length ? 'none' : sources[idl.source] || 'file';
+  return {
+    source,
+    name: idl?.name || idl?.metadata?.name || null,
+    instructions: idl?.instructions?.length || 0,
+    idlAddress: idl?.onChain?.idlAddress || null,
+    authority: idl?.onChain?.authority || null,
+    stale: Boolean(idl?.onChain?.stale),
+    missingFromIdl: idl?.onChain?.missingFromIdl || [],
+    missingFromBinary: idl?.onChain?.missingFromBinary || [],
+  };
+}
+
+/**
+ * Condenses MEV detection results for the report.
+ * @param {Object} mev - Result of detectMev().
+ * @returns {Object} - { sandwichCount, extractedUSD, pools, topAttackers, jitoTips, bundleCount, sandwiches }.
+ */
+function summarizeMev(mev) {
+  const extracted = mev.pools.map(pool => pool.extractedUSD);
+  return {
+    transactionsAnalyzed: mev.transactionsAnalyzed,
+    slotsAnalyzed: mev.slotsAnalyzed,
+    sandwichCount: mev.sandwiches.length,
+    extractedUSD: extracted.includes(null) ? null : extracted.reduce((sum, usd) => sum + usd, 0),
+    pools: mev.pools.slice(0, 10),
+    topAttackers: mev.attackers,
+    jitoTips: mev.tips,
+    bundleCount: mev.bundles.length,
+    sandwiches: mev.sandwiches.slice(0, 20),
+  };
+}
+
+/**
+ * Buckets the highest per-function cyclomatic complexity.
+ * @param {number} maxComplexity - Highest cyclomatic complexity among recovered functions.
+ * @returns {string} - 'High', 'Moderate' or 'Low'.
+ */
+function complexityLevel(maxComplexity = 0) {
+  if (maxComplexity > 50) return 'High';
+  if (maxComplexity > 15) return 'Moderate';
+  return 'Low';
+}
+
+/**
+ * Names the cluster the report was generated against; custom RPC URLs are redacted.
+ * @returns {string} - Cluster name or redacted RPC URL.
+ */
+function reportNetwork() {
+  const cluster = getCluster();
+  return isCustomCluster(cluster) ? redactEndpoint(cluster) : cluster;
+}
@@ -1,6 +1,7 @@
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
+import { getConnection } from './provider.js';
 
 dotenv.config();
 
@@ -12,11 +13,8 @@ dotenv.config();
  * @returns {Promise<Array>} - Authority insights.
  */
 export async function analyzeAuthorityHolders(authorityHolders, address) {
-  const apiKey = process.env.HELIUS_API_KEY;
-  if (!apiKey) throw new Error('HELIUS_API_KEY not set in .env');
-
   try {
-    const connection = new Connection(`https://mainnet.helius-rpc.com/?api-key=${apiKey}`, 'confirmed');
+    const connection = getConnection();
     const insights = await Promise.all(
       authorityHolders.map(async auth => {
         const accountInfo = await connection.getAccountInfo(new PublicKey(auth));
@@ -0,0 +1,176 @@
+import chalk from 'chalk';
+import { SOL_MINT, loadHistoricalPrices } from './prices.js';
+import { resolveAccountKeys } from './lookupTables.js';
+
+/**
+ * Value flows from balance changes. Instead of interpreting individual instructions, every
+ * account's lamport balance (meta.preBalances/postBalances) and token balance
+ * (meta.preTokenBalances/postTokenBalances) is diffed, so transfers, transferChecked, Token-2022
+ * transfers, swaps inside other programs and wrapped SOL are all covered. Token changes are
+ * attributed to the token account's owner; wrapped SOL is counted as SOL. Balances are indexed by
+ * the full account list, including accounts loaded from address lookup tables.
+ */
+
+/**
+ * Computes the per-owner, per-mint balance changes of a parsed transaction.
+ * The fee is excluded from the fee payer's SOL change, so only transfers remain.
+ *
+ * @param {Object} parsedTx - Parsed transaction (getParsedTransaction).
+ * @returns {Array<Object>} - { owner, mint, amount, decimals } with mint 'SOL' for SOL and wrapped
+ * SOL; amount is signed (positive received, negative sent) in token units.
+ */
+export function computeBalanceChanges(parsedTx) {
+  const meta = parsedTx?.meta;
+  if (!meta?.preBalances || !meta?.postBalances) return [];
+  const accountKeys = resolveAccountKeys(parsedTx).map(key => key.pubkey);
+  const changes = new Map();
+  const add = (owner, mint, amount, decimals) => {
+    if (!amount) return;
+    const key = `${owner}|${mint}`;
+    if (!changes.has(key)) changes.set(key, { owner, mint, amount: 0, decimals });
+    changes.get(key).amount += amount;
+  };
+
+  // Token balances, keyed by token account; a missing pre/post entry is a zero balance.
+  const tokenAccounts = new Map();
+  const collect = (balances, side) => (balances || []).forEach(balance => {
+    if (!tokenAccounts.has(balance.accountIndex)) tokenAccounts.set(balance.accountIndex, { pre: 0n, post: 0n, mint: balance.mint, owner: balance.owner, decimals: balance.uiTokenAmount.decimals });
+    const entry = tokenAccounts.get(balance.accountIndex);
+    entry[side] = BigInt(balance.uiTokenAmount.amount);
+    entry.owner = entry.owner || balance.owner;
+  });
+  collect(meta.preTokenBalances, 'pre');
+  collect(meta.postTokenBalances, 'post');
+
+  tokenAccounts.forEach((entry, accountIndex) => {
+    const owner = entry.owner || accountKeys[accountIndex];
+    const amount = Number(entry.post - entry.pre) / Math.pow(10, entry.decimals);
+    add(owner, entry.mint === SOL_MINT ? 'SOL' : entry.mint, amount, entry.decimals);
+  });
+
+  // Lamports; wrapped SOL accounts are skipped because their balance is counted above.
+  meta.preBalances.forEach((pre, i) => {
+    const wrapped = tokenAccounts.get(i)?.mint === SOL_MINT;
+    const lamports = meta.postBalances[i] - pre + (i === 0 ? meta.fee || 0 : 0);
+    if (!wrapped) add(accountKeys[i], 'SOL', lamports / 1e9, 9);
+  });
+
+  return [...changes.values()].filter(change => Math.abs(change.amount) > 0);
+}
+
+/**
+ * Returns the SOL moved by a transaction: the total received by all accounts.
+ * @param {Array<Object>} changes - Result of computeBalanceChanges().
+ * @returns {number} - SOL volume.
+ */
+export function solVolume(changes) {
+  return changes.filter(change => change.mint === 'SOL' && change.amount > 0).reduce((sum, change) => sum + change.amount, 0);
+}
+
+/**
+ * Pairs the senders and receivers of each token in a transaction into transfers. With several
+ * senders, each receiver's amount is shared in proportion to what each one sent.
+ * @param {Object} tx - Transaction with `balanceChanges`, `signature` and `blockTime`.
+ * @returns {Array<Object>} - { from, to, mint, amount, timestamp, signature }.
+ */
+export function transfersOf(tx) {
+  const changes = tx.balanceChanges || [];
+  return changes
+    .filter(change => change.amount < 0)
+    .flatMap(sent => {
+      const sameMint = changes.filter(change => change.mint === sent.mint);
+      const totalSent = sameMint.filter(change => change.amount < 0).reduce((sum, change) => sum - change.amount, 0);
+      const share = -sent.amount / totalSent;
+      return sameMint
+        .filter(change => change.amount > 0 && change.owner !== sent.owner)
+        .map(received => ({ from: sent.owner, to: received.owner, mint: sent.mint, amount: received.amount * share, timestamp: tx.blockTime || null, signature: tx.signature }));
+    });
+}
+
+/**
+ * Aggregates balance changes over transactions into inflows and outflows per owner and per mint,
+ * valued in USD at each transaction's time.
+ *
+ * @param {Array<Object>} transactions - Transactions with `balanceChanges` and `blockTime`.
+ * @param {string} address - Program address (flows of the program itself are flagged).
+ * @param {Object} options - Aggregation options.
+ * @param {boolean} options.prices - Look up historical USD prices (default: true).
+ * @returns {Promise<Object>} - { topInflows, topOutflows, byOwner, byMint, concentrationRisk }.
+ */
+export async function aggregateBalanceFlows(transactions, address, options = {}) {
+  const { prices = true } = options;
+  try {
+    const priceAt = prices
+      ? await loadHistoricalPrices(transactions.flatMap(tx => (tx.balanceChanges || []).map(change => ({ mint: change.mint, timestamp: tx.blockTime }))))
+      : () => null;
+
+    const owners = new Map();
+    const mints = new Map();
+    transactions.forEach(tx => {
+      (tx.balanceChanges || []).forEach(change => {
+        const price = priceAt(change.mint, tx.blockTime);
+        const usd = price === null ? null : Math.abs(change.amount) * price;
+        const side = change.amount > 0 ? 'inflow' : 'outflow';
+
+        const ownerKey = `${change.owner}|${change.mint}`;
+        if (!owners.has(ownerKey)) owners.set(ownerKey, { owner: change.owner, mint: change.mint, inflow: 0, outflow: 0, inflowUSD: 0, outflowUSD: 0, priced: true, txCount: 0, isProgram: change.owner === address });
+        const owner = owners.get(ownerKey);
+        owner[side] += Math.abs(change.amount);
+        if (usd === null) owner.priced = false;
+        else owner[`${side}USD`] += usd;
+        owner.txCount++;
+
+        if (!mints.has(change.mint)) mints.set(change.mint, { mint: change.mint, volume: 0, volumeUSD: 0, priced: true, owners: new Set(), txCount: 0, signatures: new Set() });
+        const mint = mints.get(change.mint);
+        if (change.amount > 0) {
+          mint.volume += change.amount;
+          if (usd === null) mint.priced = false;
+          else mint.volumeUSD += usd;
+        }
+        mint.owners.add(change.owner);
+        mint.signatures.add(tx.signature);
+      });
+    });
+
+    const byOwner = [...owners.values()].map(owner => ({
+      ...owner,
+      net: owner.inflow - owner.outflow,
+      inflowUSD: owner.priced ? owner.inflowUSD : null,
+      outflowUSD: owner.priced ? owner.outflowUSD : null,
+    }));
+    const byMint = [...mints.values()]
+      .map(({ owners: holders, signatures, ...mint }) => ({ ...mint, volumeUSD: mint.priced ? mint.volumeUSD : null, owners: holders.size, txCount: signatures.size }))
+      .sort((a, b) => (b.volumeUSD ?? -1) - (a.volumeUSD ?? -1) || b.volume - a.volume);
+
+    // Flows of different mints only compare in USD; unpriced flows rank after priced ones.
+    const rank = (side) => byOwner
+      .filter(owner => owner[side] > 0)
+      .sort((a, b) => (b[`${side}USD`] ?? -1) - (a[`${side}USD`] ?? -1) || b[side] - a[side])
+      .slice(0, 5)
+      .map(owner => ({
+        account: owner.owner,
+        amount: owner[side],
+        usd: owner[`${side}USD`],
+        token: owner.mint,
+        mint: owner.mint,
+        flowType: side,
+        txCount: owner.txCount,
+      }));
+    const topOutflows = rank('outflow');
+    const topInflows = rank('inflow');
+
+    const outflowValue = owner => owner.outflowUSD ?? owner.outflow;
+    const totalOutflow = byOwner.reduce((sum, owner) => sum + outflowValue(owner), 0);
+    const largestOutflow = Math.max(0, ...byOwner.map(outflowValue));
+    return {
+      topOutflows,
+      topInflows,
+      byOwner: byOwner.sort((a, b) => (b.inflowUSD ?? 0) + (b.outflowUSD ?? 0) - (a.inflowUSD ?? 0) - (a.outflowUSD ?? 0)),
+      byMint,
+      concentrationRisk: totalOutflow > 0 && largestOutflow > 0.8 * totalOutflow,
+    };
+  } catch (err) {
+    console.warn(chalk.yellow(`Balance flow analysis failed for ${address}: ${err.message}`));
+    return { topOutflows: [], topInflows: [], byOwner: [], byMint: [], concentrationRisk: false };
+  }
+}
@@ -1,11 +1,31 @@
 import chalk from 'chalk';
+import { instructionName } from './idlDecoder.js';
+import { resolveAccountKeys, instructionProgramId } from './lookupTables.js';
+
+// Display names of common programs in CPI trees.
+const PROGRAM_NAMES = {
+  '11111111111111111111111111111111': 'System',
+  TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA: 'Token',
+  TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb: 'Token-2022',
+  ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL: 'Associated Token',
+  ComputeBudget111111111111111111111111111111: 'Compute Budget',
+  MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr: 'Memo',
+  BPFLoaderUpgradeab1e11111111111111111111111: 'BPF Upgradeable Loader',
+  GovER5Lthms3bLBqWub97yVrMmEogzX7xNjdXpPPCVZw: 'SPL Governance',
+};
 
 /**
- * Reconstructs a call graph for a Solana program based on analysis and transactions.
+ * Reconstructs a program-level call graph from the cross-program invocations (CPIs) in a
+ * program's transactions. Each transaction is turned into CPI trees (see buildCpiTrees); the
+ * trees are merged into edges from the invoking program to the invoked program, labelled with
+ * the invoked instruction and counted.
  *
  * @param {Object} analysis - Binary analysis insights.
  * @param {Object} transactions - Transaction data.
- * @returns {Promise<Object>} - Call graph with nodes and edges.
+ * @returns {Promise<Object>} - { nodes, edges[{ from, to, action, count }], callers, callees,
+ * directInvocations, trees[{ signature, roots }] } where callers are the programs that invoke the
+ * target, callees the programs it invokes ({ program, count, instructions }), and
+ * directInvocations the top-level instructions that call the target.
  */
 export async function reconstructCallGraph(analysis, transactions) {
   try {
@@ -13,32 +33,128 @@ export async function reconstructCallGraph(analysis, transactions) {
       throw new Error('Invalid input data for call graph reconstruction');
     }
 
-    const nodes = new Set([analysis.insights.address]);
-    const edges = [];
+    const target = analysis.insights.address;
+    const nodes = new Set(target ? [target] : []);
+    const edges = new Map();
+    let directInvocations = 0;
+    const trees = [];
+
+    const visit = (node, parent) => {
+      nodes.add(node.programId);
+      if (parent) {
+        const key = `${parent.programId}|${node.programId}|${node.instruction}`;
+        if (!edges.has(key)) edges.set(key, { from: parent.programId, to: node.programId, action: node.instruction, count: 0 });
+        edges.get(key).count++;
+      } else if (node.programId === target) {
+        directInvocations++;
+      }
+      node.children.forEach(child => visit(child, node));
+    };
 
     transactions.transactions.forEach(tx => {
-      tx.instructions.forEach(ix => {
-        if (ix.accounts && ix.accounts.length >= 2) {
-          const from = ix.accounts[0].toBase58();
-          const to = ix.accounts[1].toBase58();
-          nodes.add(from);
-          nodes.add(to);
-          edges.push({
-            from,
-            to,
-            action: tx.type,
-            count: 1,
-          });
-        }
-      });
+      const roots = buildCpiTrees(tx);
+      roots.forEach(root => visit(root, null));
+      if (roots.some(root => root.children.length)) trees.push({ signature: tx.signature, roots });
     });
 
+    const edgeList = [...edges.values()].sort((a, b) => b.count - a.count);
     return {
       nodes: Array.from(nodes),
-      edges,
+      edges: edgeList,
+      callers: summarizeNeighbours(edgeList.filter(edge => edge.to === target && edge.from !== target), 'from'),
+      callees: summarizeNeighbours(edgeList.filter(edge => edge.from === target && edge.to !== target), 'to'),
+      directInvocations,
+      trees,
     };
   } catch (err) {
     console.warn(chalk.yellow(`Call graph reconstruction failed: ${err.message}`));
-    return { nodes: [], edges: [] };
+    return { nodes: [], edges: [], callers: [], callees: [], directInvocations: 0, trees: [] };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Rebuilds the CPI trees of a transaction. Every top-level instruction is a root; its inner
+ * instructions (meta.innerInstructions) are attached by `stackHeight`, where a node at height h is a
+ * child of the last node seen at height h - 1. Without stackHeight (old transactions) inner
+ * instructions are attached directly to their top-level instruction.
+ *
+ * @param {Object} tx - Transaction from getRecentTransactions ({ instructions, innerInstructions }).
+ * @returns {Array<Object>} - Roots as { programId, instruction, stackHeight, children }.
+ */
+export function buildCpiTrees(tx) {
+  const keys = resolveAccountKeys(tx.details);
+  const innerByIndex = new Map((tx.innerInstructions || []).map(group => [group.index, group.instructions]));
+  return (tx.instructions || []).map((ix, index) => {
+    const root = toNode(ix, 1, keys);
+    const stack = [root];
+    (innerByIndex.get(index) || []).forEach(inner => {
+      const height = Number.isInteger(inner.stackHeight) && inner.stackHeight >= 2 ? inner.stackHeight : 2;
+      const node = toNode(inner, height, keys);
+      // Attach to the deepest open call below this height; missing levels fall back to the nearest one.
+      const parent = stack[Math.min(height - 2, stack.length - 1)];
+      parent.children.push(node);
+      stack.length = Math.min(height - 1, stack.length);
+      stack.push(node);
+    });
+    return root;
+  });
+}
+
+/**
+ * Renders CPI trees as indented text, e.g. "Jupiter: route\n└─ Token: transfer".
+ * @param {Array<Object>} roots - Result of buildCpiTrees().
+ * @returns {string} - Tree text.
+ */
+export function formatCpiTree(roots) {
+  const lines = [];
+  const render = (node, prefix, isLast, isRoot) => {
+    lines.push(`${prefix}${isRoot ? '' : isLast ? '└─ ' : '├─ '}${programName(node.programId)}: ${node.instruction}`);
+    const childPrefix = isRoot ? prefix : `${prefix}${isLast ? '   ' : '│  '}`;
+    node.children.forEach((child, i) => render(child, childPrefix, i === node.children.length - 1, false));
+  };
+  roots.forEach(root => render(root, '', true, true));
+  return lines.join('\n');
+}
+
+/**
+ * Returns the display name of a program: a well-known name or the shortened address.
+ * @param {string} programId - Program address.
+ * @returns {string} - Display name.
+ */
+export function programName(programId) {
+  return PROGRAM_NAMES[programId] || `${String(programId).slice(0, 8)}...`;
+}
+
+/**
+ * Turns an instruction into a tree node.
+ * @param {Object} ix - Parsed or partially decoded instruction.
+ * @param {number} stackHeight - Invocation depth (1 for top-level instructions).
+ * @param {Array<Object>} keys - Transaction accounts (resolveAccountKeys), for compiled instructions.
+ * @returns {Object} - { programId, instruction, stackHeight, children }.
+ */
+function toNode(ix, stackHeight, keys) {
+  return {
+    programId: instructionProgramId(ix, keys),
+    instruction: instructionName(ix),
+    stackHeight,
+    children: [],
+  };
+}
+
+/**
+ * Groups edges by the program at one end.
+ * @param {Array<Object>} edges - Edges touching the target.
+ * @param {string} end - 'from' for callers, 'to' for callees.
+ * @returns {Array<Object>} - { program, count, instructions } sorted by count.
+ */
+function summarizeNeighbours(edges, end) {
+  const byProgram = new Map();
+  edges.forEach(edge => {
+    const program = edge[end];
+    if (!byProgram.has(program)) byProgram.set(program, { program, count: 0, instructions: [] });
+    const entry = byProgram.get(program);
+    entry.count += edge.count;
+    if (!entry.instructions.includes(edge.action)) entry.instructions.push(edge.action);
+  });
+  return [...byProgram.values()].sort((a, b) => b.count - a.count);
+}
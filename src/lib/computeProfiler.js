@@ -0,0 +1,249 @@
+import chalk from 'chalk';
+import { instructionLabel, instructionData } from './idlDecoder.js';
+import { resolveAccountKeys, instructionProgramId } from './lookupTables.js';
+
+/**
+ * Compute unit and priority fee profiling. Per instruction type it reports the compute units
+ * consumed (from the "Program X consumed N of M compute units" logs, falling back to
+ * meta.computeUnitsConsumed), the ComputeBudget limit and price the transactions set, how the fee
+ * splits into base and priority fee, and failures from running out of compute.
+ *
+ * The priority fee is charged on the requested limit, not on what is consumed, so a limit far
+ * above the instruction's actual usage makes users overpay; such instruction types are flagged
+ * with the lamports paid for unused compute units.
+ */
+
+const COMPUTE_BUDGET_PROGRAM = 'ComputeBudget111111111111111111111111111111';
+const LAMPORTS_PER_SIGNATURE = 5000;
+// Limits the runtime applies when a transaction does not set one.
+const DEFAULT_INSTRUCTION_LIMIT = 200000;
+const MAX_TRANSACTION_LIMIT = 1400000;
+// A median limit this many times the p90 usage is flagged as over-requested.
+const OVER_REQUEST_RATIO = 2;
+// Headroom over the p99 usage in the recommended limit.
+const LIMIT_HEADROOM = 1.2;
+const COMPUTE_EXCEEDED = /exceeded CUs meter|Computational budget exceeded|ComputationalBudgetExceeded/;
+
+/**
+ * Profiles compute usage and priority fees of a program's transactions.
+ *
+ * @param {Array<Object>} transactions - Transactions from getRecentTransactions() (optionally IDL-decoded).
+ * @param {string} address - Program address.
+ * @returns {Object} - { transactionsAnalyzed, fees{ totalSOL, baseSOL, prioritySOL, priorityShare },
+ * computeUnits{ p50, p90, p99, max }, budget{ limitSet, priceSet, priceMicroLamports{ p50, p90, max } },
+ * failures, computeExceeded[{ signature, instruction, limit, consumed }], overpaidSOL,
+ * instructions[{ instruction, invocations, transactions, computeUnits, requestedLimit, priorityFeeSOL,
+ * failures, computeExceeded, outliers, overRequested, overpaidSOL, recommendedLimit }] }.
+ */
+export function profileCompute(transactions, address) {
+  try {
+    const profiles = (transactions || []).filter(tx => tx.details?.meta).map(tx => profileTransaction(tx, address));
+    const types = new Map();
+    const typeOf = name => {
+      if (!types.has(name)) types.set(name, { instruction: name, usage: [], transactions: [] });
+      return types.get(name);
+    };
+    profiles.forEach(profile => {
+      // Usage of a transaction cut off by its compute limit only shows the limit, so it is left out.
+      if (!profile.computeExceeded) profile.invocations.forEach(invocation => invocation.consumed !== null && typeOf(invocation.instruction).usage.push({ signature: profile.signature, consumed: invocation.consumed }));
+      typeOf(profile.instruction).transactions.push(profile);
+    });
+
+    const instructions = [...types.values()].map(type => {
+      const usage = type.usage.map(entry => entry.consumed).sort((a, b) => a - b);
+      const computeUnits = stats(usage);
+      // Tukey's fence: usage above the third quartile by more than 1.5 interquartile ranges.
+      const fence = percentile(usage, 75) + 1.5 * (percentile(usage, 75) - percentile(usage, 25));
+      const outliers = type.usage
+        .filter(entry => usage.length >= 4 && entry.consumed > fence)
+        .sort((a, b) => b.consumed - a.consumed)
+        .slice(0, 5);
+      const limits = type.transactions.map(profile => profile.limit).sort((a, b) => a - b);
+      const priced = type.transactions.filter(profile => profile.priceMicroLamports > 0);
+      const overpaid = priced.reduce((sum, profile) => sum + profile.overpaidLamports, 0);
+      const requestedLimit = percentile(limits, 50);
+      const overRequested = priced.length > 0 && usage.length > 0 && requestedLimit >= OVER_REQUEST_RATIO * computeUnits.p90 && overpaid > 0;
+      return {
+        instruction: type.instruction,
+        invocations: usage.length,
+        transactions: type.transactions.length,
+        computeUnits,
+        requestedLimit,
+        priorityFeeSOL: type.transactions.reduce((sum, profile) => sum + profile.priorityLamports, 0) / 1e9 / (type.transactions.length || 1),
+        failures: type.transactions.filter(profile => profile.failed).length,
+        computeExceeded: type.transactions.filter(profile => profile.computeExceeded).length,
+        outliers,
+        overRequested,
+        overpaidSOL: overpaid / 1e9,
+        recommendedLimit: usage.length ? Math.ceil(computeUnits.p99 * LIMIT_HEADROOM) : null,
+      };
+    }).filter(type => type.invocations || type.transactions)
+      .sort((a, b) => b.transactions - a.transactions || b.invocations - a.invocations);
+
+    const totalLamports = profiles.reduce((sum, profile) => sum + profile.feeLamports, 0);
+    const priorityLamports = profiles.reduce((sum, profile) => sum + profile.priorityLamports, 0);
+    const prices = profiles.map(profile => profile.priceMicroLamports).filter(price => price > 0).sort((a, b) => a - b);
+    return {
+      transactionsAnalyzed: profiles.length,
+      fees: {
+        totalSOL: totalLamports / 1e9,
+        baseSOL: (totalLamports - priorityLamports) / 1e9,
+        prioritySOL: priorityLamports / 1e9,
+        priorityShare: totalLamports ? priorityLamports / totalLamports : 0,
+      },
+      computeUnits: stats(profiles.map(profile => profile.consumed).filter(consumed => consumed !== null).sort((a, b) => a - b)),
+      budget: {
+        limitSet: profiles.filter(profile => profile.limitSet).length,
+        priceSet: prices.length,
+        priceMicroLamports: { p50: percentile(prices, 50), p90: percentile(prices, 90), max: prices[prices.length - 1] || 0 },
+      },
+      failures: profiles.filter(profile => profile.failed).length,
+      computeExceeded: profiles
+        .filter(profile => profile.computeExceeded)
+        .map(profile => ({ signature: profile.signature, instruction: profile.failedInstruction, limit: profile.limit, consumed: profile.consumed })),
+      overpaidSOL: instructions.reduce((sum, type) => sum + type.overpaidSOL, 0),
+      instructions,
+    };
+  } catch (err) {
+    console.warn(chalk.yellow(`Compute profiling failed for ${address}: ${err.message}`));
+    return emptyComputeProfile();
+  }
+}
+
+/**
+ * Returns the compute profile of no transactions.
+ * @returns {Object} - Empty profile.
+ */
+export function emptyComputeProfile() {
+  return {
+    transactionsAnalyzed: 0,
+    fees: { totalSOL: 0, baseSOL: 0, prioritySOL: 0, priorityShare: 0 },
+    computeUnits: { p50: 0, p90: 0, p99: 0, max: 0 },
+    budget: { limitSet: 0, priceSet: 0, priceMicroLamports: { p50: 0, p90: 0, max: 0 } },
+    failures: 0,
+    computeExceeded: [],
+    overpaidSOL: 0,
+    instructions: [],
+  };
+}
+
+/**
+ * Decodes a ComputeBudget instruction: SetComputeUnitLimit (tag 2, u32 units) or
+ * SetComputeUnitPrice (tag 3, u64 micro-lamports per compute unit).
+ * @param {Object} ix - Instruction (base58 data in parsed RPC responses).
+ * @param {Array<Object>} keys - Transaction accounts (resolveAccountKeys), for compiled instructions.
+ * @returns {Object|null} - { limit } or { priceMicroLamports }, or null for other instructions.
+ */
+export function decodeComputeBudget(ix, keys) {
+  if (instructionProgramId(ix, keys) !== COMPUTE_BUDGET_PROGRAM) return null;
+  const data = instructionData(ix);
+  if (data?.[0] === 2 && data.length >= 5) return { limit: data.readUInt32LE(1) };
+  if (data?.[0] === 3 && data.length >= 9) return { priceMicroLamports: Number(data.readBigUInt64LE(1)) };
+  return null;
+}
+
+/**
+ * Profiles one transaction: its budget settings, fee split, compute usage and the compute units
+ * each invocation of the program consumed.
+ * @param {Object} tx - Transaction from getRecentTransactions().
+ * @param {string} address - Program address.
+ * @returns {Object} - Transaction profile.
+ */
+function profileTransaction(tx, address) {
+  const { meta, transaction } = tx.details;
+  const topLevel = transaction.message.instructions || [];
+  const keys = resolveAccountKeys(tx.details);
+  const programIdOf = ix => instructionProgramId(ix, keys);
+  const budget = Object.assign({}, ...topLevel.map(ix => decodeComputeBudget(ix, keys)).filter(Boolean));
+  const limitSet = budget.limit !== undefined;
+  const limit = limitSet
+    ? budget.limit
+    : Math.min(MAX_TRANSACTION_LIMIT, DEFAULT_INSTRUCTION_LIMIT * topLevel.filter(ix => programIdOf(ix) !== COMPUTE_BUDGET_PROGRAM).length);
+  const priceMicroLamports = budget.priceMicroLamports || 0;
+
+  const feeLamports = meta.fee || 0;
+  const baseLamports = LAMPORTS_PER_SIGNATURE * (transaction.signatures?.length || 1);
+  const priorityLamports = Math.max(0, feeLamports - baseLamports);
+
+  // The program's instructions in execution order: each top-level instruction, then its inner ones.
+  const inner = new Map((meta.innerInstructions || []).map(group => [group.index, group.instructions]));
+  const executed = topLevel.flatMap((ix, i) => [{ ix, index: i, topLevel: true }, ...(inner.get(i) || []).map(innerIx => ({ ix: innerIx, index: i, topLevel: false }))])
+    .filter(({ ix }) => programIdOf(ix) === address);
+  const consumedByInvocation = programInvocations(meta.logMessages || [], address);
+  const invocations = executed.map(({ ix, index, topLevel: direct }, i) => ({ instruction: instructionLabel(ix), index, direct, consumed: consumedByInvocation[i] ?? null }));
+  const logged = consumedByInvocation.filter(consumed => consumed !== null).reduce((sum, consumed) => sum + consumed, 0);
+  const consumed = meta.computeUnitsConsumed ?? (consumedByInvocation.length ? logged : null);
+  // A single invocation without a consumption log used all of the transaction's compute.
+  if (invocations.length === 1 && invocations[0].consumed === null && consumed !== null) invocations[0].consumed = consumed;
+
+  const failed = Boolean(meta.err);
+  const computeExceeded = failed && (COMPUTE_EXCEEDED.test(JSON.stringify(meta.err)) || (meta.logMessages || []).some(line => COMPUTE_EXCEEDED.test(line)));
+  const failedIndex = meta.err?.InstructionError?.[0];
+  const failedInstruction = invocations.find(invocation => invocation.index === failedIndex)?.instruction || invocations[0]?.instruction || 'other';
+  // The transaction is attributed to its first direct call into the program, or its first CPI.
+  const primary = invocations.find(invocation => invocation.direct) || invocations[0];
+
+  return {
+    signature: tx.signature,
+    instruction: primary?.instruction || 'other',
+    invocations,
+    limit,
+    limitSet,
+    priceMicroLamports,
+    feeLamports,
+    priorityLamports,
+    consumed,
+    overpaidLamports: consumed === null ? 0 : Math.max(0, limit - consumed) * priceMicroLamports / 1e6,
+    failed,
+    computeExceeded,
+    failedInstruction,
+  };
+}
+
+/**
+ * Reads the compute units consumed by each invocation of a program from the transaction logs,
+ * in invocation order. Builtin programs log no consumption, so frames are closed by their
+ * success/failed line rather than by the consumption line.
+ * @param {Array<string>} logs - meta.logMessages.
+ * @param {string} address - Program address.
+ * @returns {Array<number|null>} - Compute units per invocation (null if not logged).
+ */
+function programInvocations(logs, address) {
+  const invocations = [];
+  const stack = [];
+  logs.forEach(line => {
+    let match = line.match(/^Program (\w+) invoke \[\d+\]$/);
+    if (match) {
+      stack.push({ program: match[1], slot: match[1] === address ? invocations.push(null) - 1 : -1 });
+      return;
+    }
+    match = line.match(/^Program (\w+) consumed (\d+) of \d+ compute units$/);
+    if (match) {
+      const frame = stack[stack.length - 1];
+      if (frame?.program === match[1] && frame.slot !== -1) invocations[frame.slot] = Number(match[2]);
+      return;
+    }
+    if (/^Program \w+ (success|failed)/.test(line)) stack.pop();
+  });
+  return invocations;
+}
+
+/**
+ * Computes percentiles of sorted values.
+ * @param {Array<number>} sorted - Values in ascending order.
+ * @returns {Object} - { p50, p90, p99, max }.
+ */
+function stats(sorted) {
+  return { p50: percentile(sorted, 50), p90: percentile(sorted, 90), p99: percentile(sorted, 99), max: sorted[sorted.length - 1] || 0 };
+}
+
+/**
+ * Returns the nearest-rank percentile of sorted values.
+ * @param {Array<number>} sorted - Values in ascending order.
+ * @param {number} p - Percentile (0-100).
+ * @returns {number} - Percentile value, 0 for no values.
+ */
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
@@ -0,0 +1,188 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * SolProof settings and cluster selection.
+ *
+ * Settings live in ~/.solproof/config.json:
+ *   { "cluster": "devnet", "endpoints": { "devnet": ["https://my-devnet-rpc.example"] } }
+ *
+ * The active cluster is, in priority order: the one bound to the current request (withCluster),
+ * the one set for the process (setCluster, e.g. the CLI's --cluster), SOLPROOF_CLUSTER, the config
+ * file, then mainnet-beta. A cluster is a name (mainnet-beta, devnet, testnet, localnet) or a
+ * custom RPC URL.
+ *
+ * Server requests may only pick the public clusters, the configured default and the clusters the
+ * operator allowlists in SOLPROOF_ALLOWED_CLUSTERS (comma-separated) or the config file's
+ * `allowedClusters`; custom URLs and localnet are otherwise reserved for the CLI and config.
+ */
+
+export const CONFIG_PATH = path.join(os.homedir(), '.solproof', 'config.json');
+
+// Public RPC endpoint of each named cluster.
+export const CLUSTERS = {
+  'mainnet-beta': 'https://api.mainnet-beta.solana.com',
+  devnet: 'https://api.devnet.solana.com',
+  testnet: 'https://api.testnet.solana.com',
+  localnet: 'http://127.0.0.1:8899',
+};
+
+const ALIASES = { mainnet: 'mainnet-beta', localhost: 'localnet', local: 'localnet' };
+// Clusters any server request may select.
+const PUBLIC_CLUSTERS = ['mainnet-beta', 'devnet', 'testnet'];
+
+const requestCluster = new AsyncLocalStorage();
+let processCluster = null;
+let config = null;
+
+/**
+ * Reads ~/.solproof/config.json once. A missing file is an empty config.
+ * @returns {Object} - Parsed config.
+ */
+export function loadConfig() {
+  if (config) return config;
+  try {
+    config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(chalk.yellow(`Ignoring ${CONFIG_PATH}: ${err.message}`));
+    config = {};
+  }
+  return config;
+}
+
+/**
+ * Merges settings into ~/.solproof/config.json.
+ * @param {Object} updates - Settings to write (undefined values remove the setting).
+ * @returns {Promise<Object>} - The saved config.
+ */
+export async function saveConfig(updates) {
+  const next = { ...loadConfig(), ...updates };
+  Object.keys(next).forEach(key => next[key] === undefined && delete next[key]);
+  await fs.promises.mkdir(path.dirname(CONFIG_PATH), { recursive: true });
+  await fs.promises.writeFile(CONFIG_PATH, JSON.stringify(next, null, 2));
+  config = next;
+  return next;
+}
+
+/**
+ * Validates a cluster name or RPC URL.
+ * @param {string} name - Cluster name, alias (mainnet, localhost) or http(s) URL.
+ * @returns {string} - Canonical cluster name, or the URL for a custom cluster.
+ * @throws {Error} - If the cluster is not recognized.
+ */
+export function normalizeCluster(name) {
+  const value = String(name).trim();
+  const lower = value.toLowerCase();
+  if (ALIASES[lower]) return ALIASES[lower];
+  if (CLUSTERS[lower]) return lower;
+  if (/^https?:\/\//i.test(value)) {
+    new URL(value);
+    return value;
+  }
+  throw new Error(`Unknown cluster '${name}' (use mainnet-beta, devnet, testnet, localnet or an RPC URL)`);
+}
+
+/**
+ * Validates a cluster requested over the HTTP or WebSocket API. The server sends JSON-RPC and health
+ * checks to the cluster's endpoint, so a caller-supplied URL (or localnet) would let anyone make it
+ * send requests into its own network; only allowlisted clusters are accepted.
+ * @param {string} name - Cluster name, alias or http(s) URL.
+ * @returns {string} - Canonical cluster name, or the URL of an allowlisted custom cluster.
+ * @throws {Error} - If the cluster is not recognized or not allowed.
+ */
+export function normalizeRequestCluster(name) {
+  const cluster = normalizeCluster(name);
+  if (!requestClusters().has(cluster)) {
+    throw new Error(`Cluster '${name}' is not allowed on this server (use ${PUBLIC_CLUSTERS.join(', ')})`);
+  }
+  return cluster;
+}
+
+/**
+ * Lists the clusters server requests may select: the public clusters, the configured default and
+ * the operator's allowlist. Invalid allowlist entries are skipped.
+ * @returns {Set<string>} - Canonical cluster names and URLs.
+ */
+function requestClusters() {
+  const allowlist = [
+    ...(process.env.SOLPROOF_ALLOWED_CLUSTERS || '').split(','),
+    ...(loadConfig().allowedClusters || []),
+  ].map(entry => String(entry).trim()).filter(Boolean);
+  const allowed = new Set([...PUBLIC_CLUSTERS, getDefaultCluster()]);
+  allowlist.forEach(entry => {
+    try {
+      allowed.add(normalizeCluster(entry));
+    } catch (err) {
+      console.warn(chalk.yellow(`Ignoring allowed cluster: ${err.message}`));
+    }
+  });
+  return allowed;
+}
+
+/**
+ * Returns the cluster configured through SOLPROOF_CLUSTER or the config file.
+ * @returns {string} - Cluster name or custom RPC URL.
+ */
+export function getDefaultCluster() {
+  const configured = process.env.SOLPROOF_CLUSTER || loadConfig().cluster;
+  if (!configured) return 'mainnet-beta';
+  try {
+    return normalizeCluster(configured);
+  } catch (err) {
+    console.warn(chalk.yellow(`${err.message}; using mainnet-beta`));
+    return 'mainnet-beta';
+  }
+}
+
+/**
+ * Returns the active cluster.
+ * @returns {string} - Cluster name or custom RPC URL.
+ */
+export function getCluster() {
+  return requestCluster.getStore() || processCluster || getDefaultCluster();
+}
+
+/**
+ * Sets the cluster for the rest of the process (CLI --cluster).
+ * @param {string|null} name - Cluster name or RPC URL; null restores the configured default.
+ * @returns {string} - The active cluster.
+ */
+export function setCluster(name) {
+  processCluster = name ? normalizeCluster(name) : null;
+  return getCluster();
+}
+
+/**
+ * Runs a function with a cluster bound to its async context, so concurrent server requests can
+ * target different clusters.
+ * @param {string|null} name - Cluster name or RPC URL; without one the active cluster is kept.
+ * @param {Function} fn - Function to run.
+ * @returns {*} - The function's return value.
+ */
+export function withCluster(name, fn) {
+  return name ? requestCluster.run(normalizeCluster(name), fn) : fn();
+}
+
+/**
+ * Checks whether a cluster is a custom RPC URL rather than a named cluster.
+ * @param {string} cluster - Cluster name or RPC URL.
+ * @returns {boolean} - True for custom RPC URLs.
+ */
+export function isCustomCluster(cluster) {
+  return !CLUSTERS[cluster];
+}
+
+/**
+ * Returns the default RPC endpoint of a cluster.
+ * @param {string} cluster - Cluster name or RPC URL (default: active cluster).
+ * @returns {string} - RPC URL.
+ */
+export function clusterRpcUrl(cluster = getCluster()) {
+  return CLUSTERS[cluster] || cluster;
+}
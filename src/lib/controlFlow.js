@@ -0,0 +1,299 @@
+/**
+ * Control-flow recovery over a disassembly: function boundaries from the entrypoint, symbols and
+ * call targets, basic blocks split at jumps, dominators, natural loops and cyclomatic complexity.
+ */
+
+/**
+ * Recovers functions and their control-flow graphs.
+ *
+ * @param {Object} disassembly - Result of disassemble().
+ * @returns {Object} - { functions, summary } where each function holds its blocks, edges, loops and complexity.
+ */
+export function recoverControlFlow(disassembly) {
+  const { instructions } = disassembly;
+  const starts = discoverFunctions(disassembly);
+  const sorted = [...starts.keys()].sort((a, b) => a - b);
+
+  const index = new Map(instructions.map((insn, i) => [insn.address, i]));
+
+  const functions = sorted.map((start, i) => {
+    const end = sorted[i + 1] === undefined ? instructions.length : index.get(sorted[i + 1]);
+    return buildFunctionGraph(start, starts.get(start), instructions.slice(index.get(start), end));
+  });
+
+  const complexities = functions.map(fn => fn.complexity);
+  return {
+    functions,
+    summary: {
+      functions: functions.length,
+      basicBlocks: functions.reduce((sum, fn) => sum + fn.blocks.length, 0),
+      branches: instructions.filter(isConditionalJump).length,
+      loops: functions.reduce((sum, fn) => sum + fn.loops.length, 0),
+      maxComplexity: complexities.length ? Math.max(...complexities) : 0,
+      averageComplexity: complexities.length ? Number((complexities.reduce((a, b) => a + b, 0) / complexities.length).toFixed(2)) : 0,
+    },
+  };
+}
+
+/**
+ * Finds a function by address or name.
+ * @param {Object} controlFlow - Result of recoverControlFlow().
+ * @param {string|number} selector - Address (number, decimal or 0x-prefixed string) or symbol name.
+ * @returns {Object|null} - Function graph or null.
+ */
+export function findFunction(controlFlow, selector) {
+  const address = typeof selector === 'number' ? selector : Number(selector);
+  return controlFlow.functions.find(fn => (Number.isInteger(address) && fn.address === address) || fn.name === selector) || null;
+}
+
+/**
+ * Converts a function CFG into the { nodes, edges } shape consumed by visualizeGraph().
+ * @param {Object} fn - Function graph from recoverControlFlow().
+ * @param {Object} disassembly - Result of disassemble(), used for block listings.
+ * @returns {Object} - Graph with labelled nodes and edges.
+ */
+export function functionToGraph(fn, disassembly) {
+  const byAddress = new Map(disassembly.instructions.map(insn => [insn.address, insn]));
+  const loopHeaders = new Set(fn.loops.map(loop => loop.header));
+  const nodes = fn.blocks.map(block => ({
+    id: blockId(block.start),
+    label: [
+      `${blockId(block.start)}${loopHeaders.has(block.start) ? ' (loop header)' : ''}`,
+      ...block.instructions.map(address => {
+        const insn = byAddress.get(address);
+        return `${address.toString(16)}: ${insn.operands ? `${insn.mnemonic} ${insn.operands}` : insn.mnemonic}`;
+      }),
+    ].join('\n'),
+  }));
+  const edges = fn.edges.map(edge => ({
+    from: blockId(edge.from),
+    to: blockId(edge.to),
+    label: edge.backEdge ? `${edge.kind} (back edge)` : edge.kind,
+  }));
+  return { nodes, edges };
+}
+
+/**
+ * Collects function entry points: the ELF entrypoint, function symbols and internal call targets.
+ * @param {Object} disassembly - Result of disassemble().
+ * @returns {Map<number, string>} - Function names keyed by start address.
+ */
+function discoverFunctions(disassembly) {
+  const starts = new Map();
+  const valid = new Set(disassembly.instructions.map(insn => insn.address));
+  const add = (address, name) => {
+    if (!valid.has(address)) return;
+    if (!starts.has(address) || (name && !starts.get(address))) starts.set(address, name);
+  };
+
+  Object.entries(disassembly.functions).forEach(([address, name]) => add(Number(address), name));
+  add(disassembly.entrypoint, 'entrypoint');
+  disassembly.instructions
+    .filter(insn => insn.callTarget?.type === 'function')
+    .forEach(insn => add(insn.callTarget.address, insn.callTarget.name));
+
+  starts.forEach((name, address) => {
+    if (!name) starts.set(address, `function_0x${address.toString(16)}`);
+  });
+  return starts;
+}
+
+/**
+ * Splits a function body into basic blocks and computes its loops and complexity.
+ * @param {number} address - Function start address.
+ * @param {string} name - Function name.
+ * @param {Array<Object>} body - Instructions in the function.
+ * @returns {Object} - { address, name, size, instructions, blocks, edges, loops, complexity, calls }.
+ */
+function buildFunctionGraph(address, name, body) {
+  const inFunction = new Set(body.map(insn => insn.address));
+  const leaders = new Set(body.length ? [body[0].address] : []);
+
+  body.forEach((insn, i) => {
+    if (!isJump(insn) && insn.mnemonic !== 'exit') return;
+    if (isJump(insn) && inFunction.has(insn.target)) leaders.add(insn.target);
+    if (body[i + 1]) leaders.add(body[i + 1].address);
+  });
+
+  const blocks = [];
+  const terminators = [];
+  body.forEach(insn => {
+    if (leaders.has(insn.address)) blocks.push({ start: insn.address, end: insn.address, instructions: [], successors: [] });
+    const block = blocks[blocks.length - 1];
+    block.instructions.push(insn.address);
+    block.end = insn.address + insn.size;
+    terminators[blocks.length - 1] = insn;
+  });
+
+  const edges = [];
+  blocks.forEach((block, i) => {
+    const last = terminators[i];
+    const next = blocks[i + 1]?.start;
+    const link = (to, kind) => {
+      if (to === undefined || !leaders.has(to)) return;
+      block.successors.push(to);
+      edges.push({ from: block.start, to, kind });
+    };
+
+    if (last.mnemonic === 'exit') return;
+    if (last.mnemonic === 'ja') return link(last.target, 'jump');
+    if (isConditionalJump(last)) {
+      link(last.target, 'taken');
+      return link(next, 'fallthrough');
+    }
+    link(next, 'fallthrough');
+  });
+
+  const dominators = computeDominators(blocks);
+  const loops = [];
+  edges.forEach(edge => {
+    if (!dominates(dominators, edge.to, edge.from)) return;
+    edge.backEdge = true;
+    loops.push({ header: edge.to, latch: edge.from, blocks: naturalLoop(blocks, edge.from, edge.to) });
+  });
+
+  return {
+    address,
+    name,
+    size: body.reduce((sum, insn) => sum + insn.size, 0),
+    instructions: body.length,
+    blocks,
+    edges,
+    loops,
+    // E - N + 2 with every exit block wired to a single virtual exit node.
+    complexity: Math.max(1, edges.length + blocks.filter(block => !block.successors.length).length - blocks.length + 1),
+    calls: body.filter(insn => insn.callTarget?.type === 'function').map(insn => insn.callTarget.address),
+  };
+}
+
+/**
+ * Computes immediate dominators (Cooper, Harvey and Kennedy's iterative algorithm).
+ * @param {Array<Object>} blocks - Basic blocks; the first block is the function entry.
+ * @returns {Map<number, number>} - Immediate dominator keyed by block start (unreachable blocks are omitted).
+ */
+function computeDominators(blocks) {
+  if (!blocks.length) return new Map();
+  const byStart = new Map(blocks.map(block => [block.start, block]));
+  const order = reversePostorder(blocks[0], byStart);
+  const position = new Map(order.map((start, i) => [start, i]));
+  const predecessors = new Map(order.map(start => [start, []]));
+  order.forEach(start => byStart.get(start).successors.forEach(succ => predecessors.get(succ)?.push(start)));
+
+  const idom = new Map([[order[0], order[0]]]);
+  const intersect = (a, b) => {
+    while (a !== b) {
+      while (position.get(a) > position.get(b)) a = idom.get(a);
+      while (position.get(b) > position.get(a)) b = idom.get(b);
+    }
+    return a;
+  };
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    order.slice(1).forEach(start => {
+      const processed = predecessors.get(start).filter(pred => idom.has(pred));
+      const next = processed.reduce((acc, pred) => intersect(acc, pred));
+      if (idom.get(start) !== next) {
+        idom.set(start, next);
+        changed = true;
+      }
+    });
+  }
+  return idom;
+}
+
+/**
+ * Checks whether block `a` dominates block `b`.
+ * @param {Map<number, number>} idom - Immediate dominators from computeDominators().
+ * @param {number} a - Candidate dominator.
+ * @param {number} b - Block start.
+ * @returns {boolean} - True if every path from the entry to `b` passes through `a`.
+ */
+function dominates(idom, a, b) {
+  if (!idom.has(b)) return false;
+  let current = b;
+  while (current !== a) {
+    const parent = idom.get(current);
+    if (parent === current) return false;
+    current = parent;
+  }
+  return true;
+}
+
+/**
+ * Orders reachable blocks in reverse postorder from the entry block.
+ * @param {Object} entry - Entry block.
+ * @param {Map<number, Object>} byStart - Blocks keyed by start address.
+ * @returns {Array<number>} - Block start addresses.
+ */
+function reversePostorder(entry, byStart) {
+  const visited = new Set([entry.start]);
+  const order = [];
+  const stack = [{ block: entry, next: 0 }];
+  while (stack.length) {
+    const frame = stack[stack.length - 1];
+    const succ = frame.block.successors[frame.next++];
+    if (succ === undefined) {
+      order.push(frame.block.start);
+      stack.pop();
+    } else if (!visited.has(succ)) {
+      visited.add(succ);
+      stack.push({ block: byStart.get(succ), next: 0 });
+    }
+  }
+  return order.reverse();
+}
+
+/**
+ * Collects the blocks of the natural loop for a back edge latch -> header.
+ * @param {Array<Object>} blocks - Basic blocks.
+ * @param {number} latch - Source of the back edge.
+ * @param {number} header - Loop header.
+ * @returns {Array<number>} - Block start addresses in the loop.
+ */
+function naturalLoop(blocks, latch, header) {
+  const predecessors = new Map(blocks.map(block => [block.start, []]));
+  blocks.forEach(block => block.successors.forEach(succ => predecessors.get(succ).push(block.start)));
+
+  const loop = new Set([header, latch]);
+  const worklist = [latch];
+  while (worklist.length) {
+    const current = worklist.pop();
+    if (current === header) continue;
+    predecessors.get(current).forEach(pred => {
+      if (!loop.has(pred)) {
+        loop.add(pred);
+        worklist.push(pred);
+      }
+    });
+  }
+  return [...loop].sort((a, b) => a - b);
+}
+
+/**
+ * Checks whether an instruction is a jump (conditional or unconditional).
+ * @param {Object} insn - Decoded instruction.
+ * @returns {boolean} - True for ja/jeq/jgt/....
+ */
+function isJump(insn) {
+  return insn.mnemonic.startsWith('j') && insn.target !== undefined;
+}
+
+/**
+ * Checks whether an instruction is a conditional jump.
+ * @param {Object} insn - Decoded instruction.
+ * @returns {boolean} - True for jeq/jgt/... but not ja.
+ */
+function isConditionalJump(insn) {
+  return isJump(insn) && insn.mnemonic !== 'ja';
+}
+
+/**
+ * Names a basic block after its start address.
+ * @param {number} address - Block start.
+ * @returns {string} - e.g. 'bb_0x38'.
+ */
+function blockId(address) {
+  return `bb_0x${address.toString(16)}`;
+}
@@ -0,0 +1,271 @@
+import fs from 'fs/promises';
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+import { getEnhancedApi } from './provider.js';
+import { getCluster } from './config.js';
+
+dotenv.config();
+
+/**
+ * Transaction history crawler. Signatures are paged newest-first with `before` (and optionally
+ * stopped at an `until` signature) until a time or slot boundary, the end of the history or the
+ * transaction limit is reached; the transactions are then fetched in concurrent batches.
+ *
+ * With a checkpoint file, the crawl cursor is saved after every page and batch and the listed
+ * signatures are appended to `<checkpoint>.signatures.jsonl`, so an interrupted crawl resumes where
+ * it stopped. A finished checkpoint is updated with the signatures newer than its newest one.
+ * Fetched transactions come back from the disk cache.
+ *
+ * Every listed signature and fetched transaction is held in memory until the crawl returns, so a
+ * crawl must be bounded by a limit, a timeframe, a minimum slot or an `until` signature.
+ */
+
+// Largest page each provider serves.
+const PAGE_SIZE = { rpc: 1000, triton: 1000, helius: 100 };
+// getSignaturesForAddress only returns a short page at the end of the history; enhanced APIs can
+// return short pages earlier (e.g. after filtering out failed transactions), so only an empty page ends them.
+const FULL_PAGE_APIS = new Set(['rpc', 'triton']);
+const TIMEFRAME_UNITS = { m: 60, h: 3600, d: 86400, w: 604800 };
+const FETCH_BATCH_SIZE = 50;
+
+/**
+ * Parses a timeframe such as '30m', '24h', '7d' or '4w'.
+ * @param {string} timeframe - Timeframe, or 'all' for the full history.
+ * @returns {number|null} - Length in seconds, or null for 'all'.
+ * @throws {Error} - If the timeframe is malformed.
+ */
+export function parseTimeframe(timeframe) {
+  if (String(timeframe).toLowerCase() === 'all') return null;
+  const match = /^(\d+(?:\.\d+)?)\s*([mhdw])$/i.exec(String(timeframe).trim());
+  if (!match) throw new Error(`Invalid timeframe '${timeframe}' (use e.g. 24h, 7d, 4w or all)`);
+  return Math.round(parseFloat(match[1]) * TIMEFRAME_UNITS[match[2].toLowerCase()]);
+}
+
+/**
+ * Checks that crawl options bound the crawl, before any request is made.
+ * @param {Object} options - { timeframe, minSlot, until, limit } as taken by crawlTransactions().
+ * @returns {number|null} - Timeframe length in seconds, or null for 'all'.
+ * @throws {Error} - If the timeframe is malformed or nothing bounds a crawl over the whole history.
+ */
+export function checkCrawlBounds(options = {}) {
+  const { timeframe = 'all', minSlot, until, limit } = options;
+  const seconds = parseTimeframe(timeframe);
+  if (seconds === null && minSlot == null && !until && !limit) {
+    throw new Error('A crawl over the whole history needs a limit (or a timeframe or minimum slot); every transaction it finds is kept in memory');
+  }
+  return seconds;
+}
+
+/**
+ * Crawls a program's transactions within a window.
+ *
+ * @param {string} address - Program address.
+ * @param {Object} options - Crawl options.
+ * @param {Function} options.fetchTransaction - Fetches one parsed transaction by signature.
+ * @param {Function} options.schedule - Runs a request within the caller's rate limit (default: immediately).
+ * @param {string} options.timeframe - How far back to crawl (default: 'all').
+ * @param {number} options.minSlot - Oldest slot to include.
+ * @param {string} options.until - Stop at this signature (exclusive), e.g. the newest one of a previous crawl.
+ * @param {number} options.limit - Maximum transactions (default: no limit, which needs another bound).
+ * @param {string} options.checkpoint - Checkpoint file to resume from and save progress to. An
+ * interrupted crawl resumes; a finished one is brought up to date with the signatures since.
+ * @param {Function} options.onProgress - Called with { phase, listed, fetched, total }.
+ * @returns {Promise<Object>} - { entries[{ signature, slot, timestamp, type, failed, transaction }], window }.
+ * @throws {Error} - If the timeframe is malformed, the crawl is unbounded or the checkpoint belongs to another crawl.
+ */
+export async function crawlTransactions(address, options = {}) {
+  const { fetchTransaction, schedule = fn => fn(), timeframe = 'all', minSlot, until, limit, checkpoint, onProgress } = options;
+  const seconds = checkCrawlBounds({ timeframe, minSlot, until, limit });
+  const cluster = getCluster();
+  const signaturesFile = checkpoint ? `${checkpoint}.signatures.jsonl` : null;
+
+  const saved = checkpoint ? await readCheckpoint(checkpoint) : null;
+  if (saved && (saved.address !== address || saved.cluster !== cluster)) {
+    throw new Error(`Checkpoint ${checkpoint} belongs to ${saved.address} on ${saved.cluster}`);
+  }
+  if (saved && (saved.timeframe !== timeframe || saved.limit !== (limit || null) || saved.minSlot !== (minSlot ?? null))) {
+    throw new Error(`Checkpoint ${checkpoint} was started with timeframe ${saved.timeframe}, limit ${saved.limit ?? 'none'} and min slot ${saved.minSlot ?? 'none'}; use the same options or another checkpoint file`);
+  }
+  const listed = saved ? await readSignatures(signaturesFile) : [];
+  const usable = saved && listed.length >= saved.listed;
+  if (saved && !usable) console.warn(chalk.yellow(`Signatures of checkpoint ${checkpoint} are missing, starting over`));
+
+  // The signatures file holds the previous crawl's signatures (newest first), then this crawl's pages.
+  let state;
+  let previous = [];
+  let signatures = [];
+  if (usable && !saved.stoppedBy) {
+    state = saved;
+    previous = listed.slice(0, saved.previous?.count || 0);
+    signatures = listed.slice(previous.length, saved.listed);
+    // Pages appended after the last cursor save are listed again.
+    if (listed.length > saved.listed) await writeSignatures(signaturesFile, listed.slice(0, saved.listed));
+    console.log(chalk.gray(`Resuming crawl from ${checkpoint} (${signatures.length} signatures listed)`));
+  } else {
+    if (usable) {
+      previous = listed.slice(0, saved.listed);
+      console.log(chalk.gray(`Updating crawl from ${checkpoint} with signatures newer than the ${previous.length} listed`));
+    }
+    state = {
+      address,
+      cluster,
+      timeframe,
+      startTime: seconds === null ? null : Math.floor(Date.now() / 1000) - seconds,
+      minSlot: minSlot ?? null,
+      until: previous[0]?.signature || until || null,
+      limit: limit || null,
+      before: null,
+      stoppedBy: null,
+      previous: previous.length ? { count: previous.length, stoppedBy: saved.stoppedBy } : null,
+      listed: previous.length,
+      fetched: 0,
+    };
+    if (signaturesFile) await writeSignatures(signaturesFile, previous);
+  }
+  const save = async () => {
+    if (checkpoint) await fs.writeFile(checkpoint, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }));
+  };
+
+  // Signatures, newest first, until a boundary.
+  const api = getEnhancedApi();
+  while (!state.stoppedBy) {
+    const pageSize = Math.min(PAGE_SIZE[api.name] || 100, state.limit ? state.limit - signatures.length : Infinity);
+    const page = await schedule(() => api.getSignatures(address, { limit: pageSize, before: state.before || undefined, until: state.until || undefined }));
+    const accepted = [];
+    for (const sig of page) {
+      state.stoppedBy = windowBoundary(state, sig);
+      if (state.stoppedBy) break;
+      accepted.push(sig);
+      if (state.limit && signatures.length + accepted.length >= state.limit) {
+        state.stoppedBy = 'limit';
+        break;
+      }
+    }
+    const endOfHistory = FULL_PAGE_APIS.has(api.name) ? page.length < pageSize : page.length === 0;
+    if (!state.stoppedBy && endOfHistory) state.stoppedBy = state.until ? 'until' : 'history';
+    state.before = page.length ? page[page.length - 1].signature : state.before;
+    signatures.push(...accepted);
+    state.listed += accepted.length;
+    if (signaturesFile && accepted.length) await fs.appendFile(signaturesFile, accepted.map(sig => `${JSON.stringify(sig)}\n`).join(''));
+    await save();
+    onProgress?.({ phase: 'signatures', listed: signatures.length, fetched: 0, total: null });
+  }
+
+  // An update that reached the previous crawl continues with its signatures still inside the window.
+  if (state.previous) {
+    if (state.stoppedBy === 'until') {
+      const outside = previous.findIndex(sig => windowBoundary(state, sig));
+      const kept = outside === -1 ? previous : previous.slice(0, outside);
+      state.stoppedBy = outside === -1 ? state.previous.stoppedBy : windowBoundary(state, previous[outside]);
+      signatures.push(...kept);
+      if (state.limit && signatures.length > state.limit) {
+        signatures = signatures.slice(0, state.limit);
+        state.stoppedBy = 'limit';
+      }
+    }
+    state.previous = null;
+    state.listed = signatures.length;
+    await writeSignatures(signaturesFile, signatures);
+    await save();
+  }
+
+  // Transactions, in concurrent batches paced by the caller's rate limit.
+  const entries = [];
+  for (let i = 0; i < signatures.length; i += FETCH_BATCH_SIZE) {
+    const batch = signatures.slice(i, i + FETCH_BATCH_SIZE);
+    const transactions = await Promise.all(batch.map(sig => fetchTransaction(sig.signature)));
+    batch.forEach((sig, j) => entries.push({ ...sig, transaction: transactions[j] }));
+    state.fetched = Math.max(state.fetched, entries.length);
+    await save();
+    onProgress?.({ phase: 'transactions', listed: signatures.length, fetched: entries.length, total: signatures.length });
+  }
+
+  return { entries, window: describeWindow(state, signatures) };
+}
+
+/**
+ * Formats a crawl window for reports, e.g. "7d (2024-05-01 to 2024-05-08, 1200 transactions)".
+ * @param {Object} window - Window returned by crawlTransactions().
+ * @returns {string} - Description.
+ */
+export function formatWindow(window) {
+  if (!window) return 'unknown window';
+  const day = iso => (iso ? iso.slice(0, 10) : '?');
+  const range = window.transactionCount ? `${day(window.oldest)} to ${day(window.newest)}, ` : '';
+  const partial = window.complete ? '' : `, limited to the newest ${window.transactionCount}`;
+  return `${window.timeframe} (${range}${window.transactionCount} transactions${partial})`;
+}
+
+/**
+ * Summarizes the window a crawl covered.
+ * @param {Object} state - Crawl state.
+ * @param {Array<Object>} signatures - Signatures the crawl listed, newest first.
+ * @returns {Object} - { timeframe, start, oldest, newest, fromSlot, toSlot, transactionCount, stoppedBy, complete }.
+ */
+function describeWindow(state, signatures) {
+  const newest = signatures[0];
+  const oldest = signatures[signatures.length - 1];
+  const toIso = seconds => (seconds ? new Date(seconds * 1000).toISOString() : null);
+  return {
+    timeframe: state.timeframe,
+    start: toIso(state.startTime),
+    oldest: toIso(oldest?.timestamp),
+    newest: toIso(newest?.timestamp),
+    fromSlot: oldest?.slot ?? null,
+    toSlot: newest?.slot ?? null,
+    transactionCount: signatures.length,
+    stoppedBy: state.stoppedBy,
+    // A crawl cut off by the limit does not cover the whole timeframe.
+    complete: state.stoppedBy !== 'limit',
+  };
+}
+
+/**
+ * Returns the boundary a signature lies beyond, if any.
+ * @param {Object} state - Crawl state.
+ * @param {Object} sig - Signature entry.
+ * @returns {string|null} - 'timeframe', 'slot', or null if the signature is inside the window.
+ */
+function windowBoundary(state, sig) {
+  if (state.startTime !== null && sig.timestamp && sig.timestamp < state.startTime) return 'timeframe';
+  if (state.minSlot !== null && sig.slot < state.minSlot) return 'slot';
+  return null;
+}
+
+/**
+ * Reads a crawl checkpoint.
+ * @param {string} path - Checkpoint file.
+ * @returns {Promise<Object|null>} - Saved state, or null if there is none.
+ */
+async function readCheckpoint(path) {
+  try {
+    return JSON.parse(await fs.readFile(path, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(chalk.yellow(`Ignoring unreadable checkpoint ${path}: ${err.message}`));
+    return null;
+  }
+}
+
+/**
+ * Reads the signatures saved with a checkpoint, one JSON entry per line.
+ * @param {string} path - Signatures file.
+ * @returns {Promise<Array<Object>>} - Saved signatures, or none if the file does not exist.
+ */
+async function readSignatures(path) {
+  try {
+    return (await fs.readFile(path, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(chalk.yellow(`Ignoring unreadable signatures ${path}: ${err.message}`));
+    return [];
+  }
+}
+
+/**
+ * Replaces the signatures saved with a checkpoint.
+ * @param {string} path - Signatures file.
+ * @param {Array<Object>} signatures - Signatures, newest first.
+ * @returns {Promise<void>}
+ */
+async function writeSignatures(path, signatures) {
+  await fs.writeFile(path, signatures.map(sig => `${JSON.stringify(sig)}\n`).join(''));
+}
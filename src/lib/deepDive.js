@@ -1,22 +1,30 @@
 import chalk from 'chalk';
+import { instructionName } from './idlDecoder.js';
+import { analyzeErrors, emptyErrorAnalysis } from './errorAnalyzer.js';
 
 /**
  * Performs a deep dive analysis of a Solana program’s instructions.
  *
  * @param {Object} analysis - Binary analysis insights.
  * @param {Object} transactionData - Transaction data.
- * @returns {Promise<Object>} - Instruction frequency and anomalies.
+ * @param {Object} options - Analysis options.
+ * @param {string} options.address - Program address (default: the analyzed binary's).
+ * @param {Object} options.idl - Anchor IDL used to name custom error codes.
+ * @returns {Promise<Object>} - Instruction frequency, anomalies and the analyzeErrors() result.
  */
-export async function deepDiveAnalysis(analysis, transactionData) {
+export async function deepDiveAnalysis(analysis, transactionData, options = {}) {
+  const { address = analysis?.insights?.address, idl } = options;
   try {
     if (!analysis?.insights || !transactionData?.transactions) {
       throw new Error('Invalid input data for deep dive analysis');
     }
 
+    // Inner instructions only count when they were decoded as calls into this program (CPIs).
     const instructionFrequency = transactionData.transactions.reduce((acc, tx) => {
-      tx.instructions.forEach(ix => {
-        const opcode = ix.parsed?.type || 'unknown';
-        acc[opcode] = (acc[opcode] || 0) + 1;
+      const inner = (tx.innerInstructions || []).flatMap(group => group.instructions).filter(ix => ix.decoded);
+      [...tx.instructions, ...inner].forEach(ix => {
+        const name = instructionName(ix);
+        acc[name] = (acc[name] || 0) + 1;
       });
       return acc;
     }, {});
@@ -36,12 +44,27 @@ export async function deepDiveAnalysis(analysis, transactionData) {
       });
     }
 
+    const errors = analyzeErrors(transactionData, address, { idl });
+    errors.spikes.forEach(spike => {
+      anomalies.push({
+        issue: ['constraint', 'require', 'account'].includes(spike.category) ? 'Constraint error spike' : 'Error spike',
+        details: `${spike.error}${spike.code !== null ? ` (${spike.code})` : ''} failed ${spike.count} times in the ${new Date(spike.start * 1000).toISOString().slice(0, 16).replace('T', ' ')} window against ${spike.baseline.toFixed(1)} usually; may indicate an exploit attempt`,
+      });
+    });
+    if (errors.totalTransactions >= 10 && errors.failureRate > 0.3) {
+      anomalies.push({
+        issue: 'High failure rate',
+        details: `${(errors.failureRate * 100).toFixed(1)}% of transactions failed`,
+      });
+    }
+
     return {
       instructionFrequency,
       anomalies,
+      errors,
     };
   } catch (err) {
     console.warn(chalk.yellow(`Deep dive analysis failed: ${err.message}`));
-    return { instructionFrequency: {}, anomalies: [] };
+    return { instructionFrequency: {}, anomalies: [], errors: emptyErrorAnalysis() };
   }
 }
\ No newline at end of file
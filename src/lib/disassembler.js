@@ -0,0 +1,388 @@
+import { parseElf } from './elf.js';
+import { resolveSyscall } from './syscalls.js';
+
+/**
+ * sBPF disassembler. Decodes the `.text` section of a Solana program into instruction records
+ * (address, opcode, operands, resolved jump/call targets) and renders objdump-style listings.
+ */
+
+const ET_REL = 1;
+const INSTRUCTION_SIZE = 8;
+
+const CLASS_LD = 0x00;
+const CLASS_LDX = 0x01;
+const CLASS_ST = 0x02;
+const CLASS_STX = 0x03;
+const CLASS_ALU32 = 0x04;
+const CLASS_JMP = 0x05;
+const CLASS_PQR = 0x06;
+const CLASS_ALU64 = 0x07;
+
+const ALU_OPS = {
+  0x00: 'add',
+  0x10: 'sub',
+  0x20: 'mul',
+  0x30: 'div',
+  0x40: 'or',
+  0x50: 'and',
+  0x60: 'lsh',
+  0x70: 'rsh',
+  0x80: 'neg',
+  0x90: 'mod',
+  0xa0: 'xor',
+  0xb0: 'mov',
+  0xc0: 'arsh',
+  0xd0: 'end',
+  0xf0: 'hor',
+};
+
+const JMP_OPS = {
+  0x00: 'ja',
+  0x10: 'jeq',
+  0x20: 'jgt',
+  0x30: 'jge',
+  0x40: 'jset',
+  0x50: 'jne',
+  0x60: 'jsgt',
+  0x70: 'jsge',
+  0xa0: 'jlt',
+  0xb0: 'jle',
+  0xc0: 'jslt',
+  0xd0: 'jsle',
+};
+
+const PQR_OPS = {
+  0x30: 'uhmul64',
+  0x40: 'udiv32',
+  0x50: 'udiv64',
+  0x60: 'urem32',
+  0x70: 'urem64',
+  0x80: 'lmul32',
+  0x90: 'lmul64',
+  0xb0: 'shmul64',
+  0xc0: 'sdiv32',
+  0xd0: 'sdiv64',
+  0xe0: 'srem32',
+  0xf0: 'srem64',
+};
+
+const MEMORY_SIZES = { 0x00: 'w', 0x08: 'h', 0x10: 'b', 0x18: 'dw' };
+
+// sBPF v2 moves loads and stores onto the opcodes freed by the removed mul/div/mod/neg forms.
+const MEMORY_OPS_V2 = {
+  0x2c: ['ldx', 'b'],
+  0x3c: ['ldx', 'h'],
+  0x8c: ['ldx', 'w'],
+  0x9c: ['ldx', 'dw'],
+  0x27: ['st', 'b'],
+  0x37: ['st', 'h'],
+  0x87: ['st', 'w'],
+  0x97: ['st', 'dw'],
+  0x2f: ['stx', 'b'],
+  0x3f: ['stx', 'h'],
+  0x8f: ['stx', 'w'],
+  0x9f: ['stx', 'dw'],
+};
+
+/**
+ * Disassembles the `.text` section of an sBPF program.
+ *
+ * @param {Buffer} binary - Program binary (ELF).
+ * @param {Object} options - Disassembly options.
+ * @param {Object} options.elf - Already parsed ELF, to avoid parsing twice.
+ * @returns {Object} - { sbpfVersion, entrypoint, textAddress, textSize, functions, instructions }.
+ * @throws {Error} - If the binary is not an ELF file or has no `.text` section.
+ */
+export function disassemble(binary, options = {}) {
+  const elf = options.elf || parseElf(binary);
+  if (!elf.text) throw new Error('Program has no .text section');
+
+  const { text } = elf;
+  const version = elf.sbpfVersion;
+  const relocations = relocationsByTextOffset(elf);
+  const functions = functionSymbols(elf);
+  const code = binary.subarray(text.offset, text.offset + text.size);
+  const instructions = [];
+
+  let offset = 0;
+  while (offset + INSTRUCTION_SIZE <= code.length) {
+    const insn = decodeInstruction(code, offset, version);
+    insn.offset = offset;
+    insn.pc = offset / INSTRUCTION_SIZE;
+    insn.address = text.addr + offset;
+    insn.bytes = code.subarray(offset, offset + insn.size).toString('hex');
+
+    const relocation = relocations.get(offset);
+    if (relocation) insn.relocation = { type: relocation.typeName, symbol: relocation.symbol };
+
+    resolveTargets(insn, text, relocation, functions);
+    instructions.push(insn);
+    offset += insn.size;
+  }
+
+  return {
+    sbpfVersion: version,
+    entrypoint: elf.entrypoint,
+    textAddress: text.addr,
+    textSize: text.size,
+    functions: Object.fromEntries(functions),
+    instructions,
+  };
+}
+
+/**
+ * Renders a disassembly as an objdump-style listing.
+ * @param {Object} disassembly - Result of disassemble().
+ * @returns {string} - Listing text.
+ */
+export function formatDisassembly(disassembly) {
+  const functions = new Map(Object.entries(disassembly.functions).map(([addr, name]) => [Number(addr), name]));
+  if (!functions.has(disassembly.entrypoint)) functions.set(disassembly.entrypoint, 'entrypoint');
+
+  const lines = [];
+  disassembly.instructions.forEach(insn => {
+    if (functions.has(insn.address)) {
+      lines.push('', `${insn.address.toString(16).padStart(16, '0')} <${functions.get(insn.address)}>:`);
+    }
+    const bytes = insn.bytes.match(/../g).join(' ');
+    const text = insn.operands ? `${insn.mnemonic} ${insn.operands}` : insn.mnemonic;
+    lines.push(`${insn.address.toString(16).padStart(8)}:\t${bytes.padEnd(47)}\t${text}`);
+  });
+  return lines.join('\n').trimStart();
+}
+
+/**
+ * Decodes one instruction at the given offset.
+ * @param {Buffer} text - Contents of the .text section.
+ * @param {number} offset - Byte offset of the instruction.
+ * @param {number} version - sBPF version (1 or 2).
+ * @returns {Object} - Decoded instruction without address information.
+ */
+function decodeInstruction(text, offset, version) {
+  const opcode = text[offset];
+  const dst = text[offset + 1] & 0x0f;
+  const src = text[offset + 1] >> 4;
+  const off = text.readInt16LE(offset + 2);
+  const imm = text.readInt32LE(offset + 4);
+  const insn = { opcode, dst, src, off, imm, size: INSTRUCTION_SIZE, mnemonic: 'invalid', operands: '' };
+  const cls = opcode & 0x07;
+
+  if (version >= 2 && MEMORY_OPS_V2[opcode]) {
+    const [kind, size] = MEMORY_OPS_V2[opcode];
+    return decodeMemory(insn, kind, size);
+  }
+
+  switch (cls) {
+    case CLASS_LD:
+      if (opcode === 0x18 && offset + 16 <= text.length) {
+        const high = BigInt(text.readUInt32LE(offset + 12));
+        const value = (high << 32n) | BigInt(text.readUInt32LE(offset + 4));
+        insn.size = 16;
+        insn.mnemonic = 'lddw';
+        insn.imm64 = `0x${value.toString(16)}`;
+        insn.operands = `r${dst}, ${insn.imm64}`;
+      }
+      return insn;
+    case CLASS_LDX:
+      return MEMORY_SIZES[opcode & 0x18] && (opcode & 0xe0) === 0x60 ? decodeMemory(insn, 'ldx', MEMORY_SIZES[opcode & 0x18]) : insn;
+    case CLASS_ST:
+      return MEMORY_SIZES[opcode & 0x18] && (opcode & 0xe0) === 0x60 ? decodeMemory(insn, 'st', MEMORY_SIZES[opcode & 0x18]) : insn;
+    case CLASS_STX:
+      return MEMORY_SIZES[opcode & 0x18] && (opcode & 0xe0) === 0x60 ? decodeMemory(insn, 'stx', MEMORY_SIZES[opcode & 0x18]) : insn;
+    case CLASS_ALU32:
+    case CLASS_ALU64:
+      return decodeAlu(insn, cls === CLASS_ALU64 ? 64 : 32, version);
+    case CLASS_JMP:
+      return decodeJump(insn, version);
+    case CLASS_PQR:
+      if (version >= 2 && PQR_OPS[opcode & 0xf0]) {
+        insn.mnemonic = PQR_OPS[opcode & 0xf0];
+        insn.operands = `r${dst}, ${opcode & 0x08 ? `r${src}` : formatImm(imm)}`;
+      }
+      return insn;
+    default:
+      return insn;
+  }
+}
+
+/**
+ * Fills in mnemonic and operands for a load or store.
+ * @param {Object} insn - Partially decoded instruction.
+ * @param {string} kind - 'ldx', 'st' or 'stx'.
+ * @param {string} size - 'b', 'h', 'w' or 'dw'.
+ * @returns {Object} - Decoded instruction.
+ */
+function decodeMemory(insn, kind, size) {
+  insn.mnemonic = `${kind}${size}`;
+  if (kind === 'ldx') insn.operands = `r${insn.dst}, ${formatMemory(insn.src, insn.off)}`;
+  else if (kind === 'st') insn.operands = `${formatMemory(insn.dst, insn.off)}, ${formatImm(insn.imm)}`;
+  else insn.operands = `${formatMemory(insn.dst, insn.off)}, r${insn.src}`;
+  return insn;
+}
+
+/**
+ * Fills in mnemonic and operands for an ALU instruction.
+ * @param {Object} insn - Partially decoded instruction.
+ * @param {number} width - 32 or 64.
+ * @param {number} version - sBPF version.
+ * @returns {Object} - Decoded instruction.
+ */
+function decodeAlu(insn, width, version) {
+  const op = ALU_OPS[insn.opcode & 0xf0];
+  if (!op) return insn;
+  const usesRegister = (insn.opcode & 0x08) !== 0;
+
+  if (op === 'end') {
+    insn.mnemonic = `${usesRegister ? 'be' : 'le'}${insn.imm}`;
+    insn.operands = `r${insn.dst}`;
+  } else if (op === 'neg') {
+    insn.mnemonic = `neg${width}`;
+    insn.operands = `r${insn.dst}`;
+  } else if (op === 'hor') {
+    if (version < 2 || width !== 64) return insn;
+    insn.mnemonic = 'hor64';
+    insn.operands = `r${insn.dst}, ${formatImm(insn.imm)}`;
+  } else {
+    insn.mnemonic = `${op}${width}`;
+    insn.operands = `r${insn.dst}, ${usesRegister ? `r${insn.src}` : formatImm(insn.imm)}`;
+  }
+  return insn;
+}
+
+/**
+ * Fills in mnemonic and operands for a jump, call or exit.
+ * @param {Object} insn - Partially decoded instruction.
+ * @param {number} version - sBPF version.
+ * @returns {Object} - Decoded instruction.
+ */
+function decodeJump(insn, version) {
+  if (insn.opcode === 0x85) {
+    insn.mnemonic = 'call';
+    return insn;
+  }
+  if (insn.opcode === 0x8d) {
+    insn.mnemonic = 'callx';
+    insn.callRegister = version >= 2 ? insn.src : insn.imm;
+    insn.operands = `r${insn.callRegister}`;
+    return insn;
+  }
+  if (insn.opcode === 0x95) {
+    insn.mnemonic = 'exit';
+    return insn;
+  }
+
+  const op = JMP_OPS[insn.opcode & 0xf0];
+  if (!op) return insn;
+  insn.mnemonic = op;
+  if (op !== 'ja') {
+    insn.operands = `r${insn.dst}, ${insn.opcode & 0x08 ? `r${insn.src}` : formatImm(insn.imm)}, `;
+  }
+  return insn;
+}
+
+/**
+ * Resolves jump targets and call targets to addresses or symbol names.
+ * @param {Object} insn - Decoded instruction (with pc and address set).
+ * @param {Object} text - .text section header.
+ * @param {Object|undefined} relocation - Relocation applied to this instruction.
+ * @param {Map<number, string>} functions - Function symbols keyed by address.
+ */
+function resolveTargets(insn, text, relocation, functions) {
+  const targetAddress = pc => text.addr + pc * INSTRUCTION_SIZE;
+
+  if (insn.mnemonic === 'call') {
+    // Relocations win over the encoding: unlinked objects emit external calls as `call -1`.
+    if (relocation?.symbol) {
+      const defined = [...functions].find(([, name]) => name === relocation.symbol);
+      insn.callTarget = defined
+        ? { type: 'function', address: defined[0], name: relocation.symbol }
+        : { type: 'syscall', name: relocation.symbol, hash: insn.imm >>> 0 };
+      if (defined) insn.target = defined[0];
+    } else if (insn.src === 1) {
+      const address = targetAddress(insn.pc + insn.imm + 1);
+      insn.target = address;
+      insn.callTarget = { type: 'function', address, name: functions.get(address) || null };
+    } else if (resolveSyscall(insn.imm)) {
+      insn.callTarget = { type: 'syscall', name: resolveSyscall(insn.imm), hash: insn.imm >>> 0 };
+    } else {
+      insn.callTarget = { type: 'unresolved', hash: insn.imm >>> 0 };
+    }
+    insn.operands = describeCallTarget(insn.callTarget);
+    return;
+  }
+
+  if (insn.mnemonic === 'callx') {
+    insn.callTarget = { type: 'register', register: insn.callRegister };
+    return;
+  }
+
+  if (JMP_OPS[insn.opcode & 0xf0] === insn.mnemonic) {
+    insn.target = targetAddress(insn.pc + insn.off + 1);
+    insn.operands += `0x${insn.target.toString(16)}`;
+  }
+}
+
+/**
+ * Formats a resolved call target for the listing.
+ * @param {Object} callTarget - Resolved call target.
+ * @returns {string} - Operand text.
+ */
+export function describeCallTarget(callTarget) {
+  if (callTarget.name) return callTarget.name;
+  if (callTarget.type === 'function') return `function_0x${callTarget.address.toString(16)}`;
+  return `0x${callTarget.hash.toString(16).padStart(8, '0')}`;
+}
+
+/**
+ * Indexes relocations that patch the .text section by their offset within .text.
+ * @param {Object} elf - Parsed ELF.
+ * @returns {Map<number, Object>} - Relocations keyed by text offset.
+ */
+function relocationsByTextOffset(elf) {
+  const { text } = elf;
+  const map = new Map();
+  elf.relocations.forEach(relocation => {
+    if (elf.type === ET_REL) {
+      if (relocation.targetSection === text.index) map.set(relocation.offset, relocation);
+    } else if (relocation.offset >= text.addr && relocation.offset < text.addr + text.size) {
+      map.set(relocation.offset - text.addr, relocation);
+    }
+  });
+  return map;
+}
+
+/**
+ * Collects named function symbols defined in .text, keyed by address.
+ * @param {Object} elf - Parsed ELF.
+ * @returns {Map<number, string>} - Function names keyed by address.
+ */
+function functionSymbols(elf) {
+  const functions = new Map();
+  [...elf.dynamicSymbols, ...elf.symbols]
+    .filter(sym => sym.type === 'FUNC' && sym.name && sym.shndx === elf.text.index)
+    .forEach(sym => {
+      const address = elf.type === ET_REL ? elf.text.addr + sym.value : sym.value;
+      if (!functions.has(address)) functions.set(address, sym.name);
+    });
+  return functions;
+}
+
+/**
+ * Formats a memory operand.
+ * @param {number} reg - Base register.
+ * @param {number} off - Signed offset.
+ * @returns {string} - e.g. '[r10-0x8]'.
+ */
+function formatMemory(reg, off) {
+  return `[r${reg}${off < 0 ? '-' : '+'}0x${Math.abs(off).toString(16)}]`;
+}
+
+/**
+ * Formats an immediate operand.
+ * @param {number} imm - Signed 32-bit immediate.
+ * @returns {string} - Hex for large values, decimal otherwise.
+ */
+function formatImm(imm) {
+  if (Math.abs(imm) < 0x1000) return String(imm);
+  return imm < 0 ? `-0x${(-imm).toString(16)}` : `0x${imm.toString(16)}`;
+}
@@ -0,0 +1,251 @@
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PublicKey } from '@solana/web3.js';
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Persistent analysis cache under ~/.solproof/cache (or SOLPROOF_CACHE_DIR).
+ *
+ * Entries are JSON files grouped by namespace and named after the SHA-256 of their key:
+ *   <namespace>/<sha256(key)>.json  ->  { key, createdAt, expiresAt, value }
+ * Program binaries are stored once by content (blobs/<sha256(binary)>.bin) and referenced from
+ * entries. Immutable data (confirmed transactions, a binary at its deploy slot, the analysis of a
+ * binary) is stored without expiry; entries with a TTL are ignored once expired and removed by
+ * `solproof cache purge --expired`.
+ *
+ * Set SOLPROOF_NO_CACHE=1 to bypass the cache. Recording and replaying fixtures bypass it too, so
+ * every request reaches the network or the fixtures.
+ */
+
+export const CACHE_DIR = process.env.SOLPROOF_CACHE_DIR || path.join(os.homedir(), '.solproof', 'cache');
+
+const BLOBS = 'blobs';
+
+let enabled = !process.env.SOLPROOF_NO_CACHE;
+
+/**
+ * Turns the cache on or off for the rest of the process.
+ * @param {boolean} value - True to use the cache.
+ */
+export function setCacheEnabled(value) {
+  enabled = Boolean(value) && !process.env.SOLPROOF_NO_CACHE;
+}
+
+/**
+ * Checks whether the cache is in use.
+ * @returns {boolean} - True if reads and writes go to disk.
+ */
+export function isCacheEnabled() {
+  return enabled;
+}
+
+/**
+ * Returns the SHA-256 of some content, used as its address in the cache.
+ * @param {Buffer|string} content - Content to hash.
+ * @returns {string} - Hex digest.
+ */
+export function contentHash(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Reads a cache entry.
+ * @param {string} namespace - Entry group (e.g. 'transactions').
+ * @param {string} key - Entry key.
+ * @returns {Promise<*>} - Cached value, or undefined on a miss or expired entry.
+ */
+export async function cacheGet(namespace, key) {
+  if (!enabled) return undefined;
+  try {
+    const entry = JSON.parse(await fs.readFile(entryPath(namespace, key), 'utf8'), revive);
+    if (entry.key !== key || (entry.expiresAt && Date.parse(entry.expiresAt) < Date.now())) return undefined;
+    return entry.value;
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(chalk.yellow(`Ignoring unreadable cache entry ${namespace}/${key}: ${err.message}`));
+    return undefined;
+  }
+}
+
+/**
+ * Writes a cache entry. PublicKeys and Buffers in the value are restored by cacheGet.
+ * @param {string} namespace - Entry group.
+ * @param {string} key - Entry key.
+ * @param {*} value - JSON-serializable value.
+ * @param {Object} options - Entry options.
+ * @param {number} options.ttl - Lifetime in seconds (default: never expires).
+ * @returns {Promise<void>}
+ */
+export async function cacheSet(namespace, key, value, options = {}) {
+  if (!enabled) return;
+  const { ttl } = options;
+  const now = Date.now();
+  const entry = { key, createdAt: new Date(now).toISOString(), expiresAt: ttl ? new Date(now + ttl * 1000).toISOString() : null, value };
+  try {
+    await writeAtomic(entryPath(namespace, key), JSON.stringify(entry, replace));
+  } catch (err) {
+    console.warn(chalk.yellow(`Failed to cache ${namespace}/${key}: ${err.message}`));
+  }
+}
+
+/**
+ * Stores content by its hash.
+ * @param {Buffer} content - Content to store.
+ * @returns {Promise<string|null>} - Content hash, or null if the cache is off or the write failed.
+ */
+export async function putBlob(content) {
+  if (!enabled) return null;
+  const hash = contentHash(content);
+  const file = path.join(CACHE_DIR, BLOBS, `${hash}.bin`);
+  try {
+    await fs.access(file).catch(() => writeAtomic(file, content));
+    return hash;
+  } catch (err) {
+    console.warn(chalk.yellow(`Failed to cache blob ${hash}: ${err.message}`));
+    return null;
+  }
+}
+
+/**
+ * Reads content by its hash. Content that no longer matches its hash is treated as missing.
+ * @param {string} hash - Content hash.
+ * @returns {Promise<Buffer|null>} - Content, or null if missing.
+ */
+export async function getBlob(hash) {
+  if (!enabled || !hash) return null;
+  const content = await fs.readFile(path.join(CACHE_DIR, BLOBS, `${hash}.bin`)).catch(() => null);
+  return content && contentHash(content) === hash ? content : null;
+}
+
+/**
+ * Summarizes the cache per namespace.
+ * @returns {Promise<Array<Object>>} - { namespace, entries, bytes, expired, oldest, newest } per namespace.
+ */
+export async function cacheStats() {
+  const stats = [];
+  for (const namespace of await listDir(CACHE_DIR)) {
+    const summary = { namespace, entries: 0, bytes: 0, expired: 0, oldest: null, newest: null };
+    for (const file of await listDir(path.join(CACHE_DIR, namespace))) {
+      const info = await fs.stat(path.join(CACHE_DIR, namespace, file)).catch(() => null);
+      if (!info?.isFile()) continue;
+      summary.entries++;
+      summary.bytes += info.size;
+      if (!summary.oldest || info.mtime < summary.oldest) summary.oldest = info.mtime;
+      if (!summary.newest || info.mtime > summary.newest) summary.newest = info.mtime;
+      if (namespace !== BLOBS && await isExpired(path.join(CACHE_DIR, namespace, file))) summary.expired++;
+    }
+    stats.push(summary);
+  }
+  return stats;
+}
+
+/**
+ * Deletes cache entries.
+ * @param {Object} options - Purge options.
+ * @param {string} options.namespace - Only purge this namespace (default: all).
+ * @param {boolean} options.expiredOnly - Only delete expired entries.
+ * @returns {Promise<Object>} - { removed, bytes }.
+ * @throws {Error} - If the namespace is not a plain name.
+ */
+export async function purgeCache(options = {}) {
+  const { namespace, expiredOnly = false } = options;
+  if (namespace && !/^[\w-]+$/.test(namespace)) throw new Error(`Invalid cache namespace '${namespace}'`);
+  const namespaces = namespace ? [namespace] : await listDir(CACHE_DIR);
+  let removed = 0;
+  let bytes = 0;
+  for (const name of namespaces) {
+    if (expiredOnly && name === BLOBS) continue;
+    for (const file of await listDir(path.join(CACHE_DIR, name))) {
+      const filePath = path.join(CACHE_DIR, name, file);
+      if (expiredOnly && !(await isExpired(filePath))) continue;
+      const info = await fs.stat(filePath).catch(() => null);
+      if (!info?.isFile()) continue;
+      await fs.rm(filePath, { force: true });
+      removed++;
+      bytes += info.size;
+    }
+    if (!expiredOnly) await fs.rm(path.join(CACHE_DIR, name), { recursive: true, force: true });
+  }
+  return { removed, bytes };
+}
+
+/**
+ * Returns the file of a cache entry.
+ * @param {string} namespace - Entry group.
+ * @param {string} key - Entry key.
+ * @returns {string} - File path.
+ * @throws {Error} - If the namespace is not a plain name.
+ */
+function entryPath(namespace, key) {
+  if (!/^[\w-]+$/.test(namespace) || namespace === BLOBS) throw new Error(`Invalid cache namespace '${namespace}'`);
+  return path.join(CACHE_DIR, namespace, `${contentHash(key)}.json`);
+}
+
+/**
+ * Writes a file through a temporary file so readers never see a partial entry.
+ * @param {string} file - Destination.
+ * @param {string|Buffer} content - Content.
+ * @returns {Promise<void>}
+ */
+async function writeAtomic(file, content) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const temporary = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(temporary, content);
+  await fs.rename(temporary, file);
+}
+
+/**
+ * Checks whether an entry file has expired.
+ * @param {string} file - Entry file.
+ * @returns {Promise<boolean>} - True if expired.
+ */
+async function isExpired(file) {
+  try {
+    const { expiresAt } = JSON.parse(await fs.readFile(file, 'utf8'));
+    return Boolean(expiresAt) && Date.parse(expiresAt) < Date.now();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Lists a directory, treating a missing one as empty.
+ * @param {string} dir - Directory.
+ * @returns {Promise<Array<string>>} - Entry names.
+ */
+async function listDir(dir) {
+  return fs.readdir(dir).catch(() => []);
+}
+
+/**
+ * JSON replacer that tags PublicKeys and Buffers (which would otherwise lose their type).
+ * @param {string} key - Property name.
+ * @param {*} value - Serialized value.
+ * @returns {*} - Value to write.
+ */
+function replace(key, value) {
+  const original = this[key];
+  if (original instanceof PublicKey) return { $publicKey: original.toBase58() };
+  if (Buffer.isBuffer(original)) return { $buffer: original.toString('base64') };
+  if (typeof original === 'bigint') return { $bigint: original.toString() };
+  return value;
+}
+
+/**
+ * JSON reviver that restores values tagged by replace().
+ * @param {string} key - Property name.
+ * @param {*} value - Parsed value.
+ * @returns {*} - Restored value.
+ */
+function revive(key, value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if (typeof value.$publicKey === 'string') return new PublicKey(value.$publicKey);
+    if (typeof value.$buffer === 'string') return Buffer.from(value.$buffer, 'base64');
+    if (typeof value.$bigint === 'string') return BigInt(value.$bigint);
+  }
+  return value;
+}
@@ -0,0 +1,258 @@
+/**
+ * Minimal ELF64 reader for Solana sBPF programs. Parses the file header, section headers,
+ * program headers, symbol tables and relocations so later analysis passes can work with
+ * real offsets instead of guesses.
+ */
+
+const ELF_MAGIC = Buffer.from([0x7f, 0x45, 0x4c, 0x46]);
+const ELFCLASS64 = 2;
+const ELFDATA2LSB = 1;
+const EM_BPF = 247;
+const EM_SBPF = 263;
+
+const SHT_SYMTAB = 2;
+const SHT_REL = 9;
+const SHT_DYNSYM = 11;
+
+const SECTION_HEADER_SIZE = 64;
+const PROGRAM_HEADER_SIZE = 56;
+const SYMBOL_SIZE = 24;
+const REL_SIZE = 16;
+
+export const RELOCATION_TYPES = {
+  0: 'R_BPF_NONE',
+  1: 'R_BPF_64_64',
+  2: 'R_BPF_64_ABS64',
+  3: 'R_BPF_64_ABS32',
+  4: 'R_BPF_64_NODYLD32',
+  8: 'R_BPF_64_RELATIVE',
+  10: 'R_BPF_64_32',
+};
+
+const SYMBOL_TYPES = ['NOTYPE', 'OBJECT', 'FUNC', 'SECTION', 'FILE'];
+const SYMBOL_BINDS = ['LOCAL', 'GLOBAL', 'WEAK'];
+
+/**
+ * Checks whether a buffer starts with the ELF magic bytes.
+ * @param {Buffer} binary - Candidate binary.
+ * @returns {boolean} - True if the buffer looks like an ELF file.
+ */
+export function isElf(binary) {
+  return Buffer.isBuffer(binary) && binary.length >= 64 && binary.subarray(0, 4).equals(ELF_MAGIC);
+}
+
+/**
+ * Parses a Solana sBPF ELF binary.
+ *
+ * @param {Buffer} binary - Program binary (ELF shared object).
+ * @returns {Object} - Parsed ELF with header fields, sections, symbols and relocations.
+ * @throws {Error} - If the buffer is not a 64-bit little-endian BPF ELF file.
+ */
+export function parseElf(binary) {
+  if (!isElf(binary)) throw new Error('Not an ELF binary');
+  if (binary[4] !== ELFCLASS64) throw new Error('Only 64-bit ELF binaries are supported');
+  if (binary[5] !== ELFDATA2LSB) throw new Error('Only little-endian ELF binaries are supported');
+
+  const machine = binary.readUInt16LE(18);
+  if (machine !== EM_BPF && machine !== EM_SBPF) {
+    throw new Error(`Unsupported ELF machine type ${machine} (expected BPF)`);
+  }
+
+  const header = {
+    type: binary.readUInt16LE(16),
+    machine,
+    flags: binary.readUInt32LE(48),
+    entry: readU64(binary, 24),
+    phoff: readU64(binary, 32),
+    shoff: readU64(binary, 40),
+    phnum: binary.readUInt16LE(56),
+    shnum: binary.readUInt16LE(60),
+    shstrndx: binary.readUInt16LE(62),
+  };
+
+  const sections = readSectionHeaders(binary, header);
+  const programHeaders = readProgramHeaders(binary, header);
+
+  const dynsym = sections.find(s => s.type === SHT_DYNSYM);
+  const symtab = sections.find(s => s.type === SHT_SYMTAB);
+  const dynamicSymbols = dynsym ? readSymbols(binary, dynsym, sections[dynsym.link]) : [];
+  const symbols = symtab ? readSymbols(binary, symtab, sections[symtab.link]) : [];
+
+  const relocations = sections
+    .filter(s => s.type === SHT_REL)
+    .flatMap(s => readRelocations(binary, s, sections[s.link] === dynsym ? dynamicSymbols : symbols));
+
+  const text = sections.find(s => s.name === '.text') || null;
+
+  return {
+    type: header.type,
+    machine,
+    flags: header.flags,
+    sbpfVersion: header.flags >= 2 ? 2 : 1,
+    entrypoint: header.entry,
+    sections,
+    programHeaders,
+    dynamicSymbols,
+    symbols,
+    relocations,
+    text,
+  };
+}
+
+/**
+ * Returns a named section from a parsed ELF.
+ * @param {Object} elf - Parsed ELF from parseElf.
+ * @param {string} name - Section name (e.g. '.rodata').
+ * @returns {Object|null} - Section header or null.
+ */
+export function getSection(elf, name) {
+  return elf.sections.find(s => s.name === name) || null;
+}
+
+/**
+ * Returns the raw bytes of a section.
+ * @param {Buffer} binary - Program binary.
+ * @param {Object|null} section - Section header from parseElf.
+ * @returns {Buffer} - Section contents (empty for missing or NOBITS sections).
+ */
+export function sectionData(binary, section) {
+  if (!section || section.type === 8) return Buffer.alloc(0);
+  return binary.subarray(section.offset, Math.min(binary.length, section.offset + section.size));
+}
+
+/**
+ * Reads a little-endian u64 as a Number (safe for ELF offsets and sizes).
+ * @param {Buffer} binary - Source buffer.
+ * @param {number} offset - Byte offset.
+ * @returns {number} - Value.
+ */
+function readU64(binary, offset) {
+  return Number(binary.readBigUInt64LE(offset));
+}
+
+/**
+ * Reads a NUL-terminated string from a string table section.
+ * @param {Buffer} binary - Program binary.
+ * @param {Object} strtab - String table section header.
+ * @param {number} index - Offset into the string table.
+ * @returns {string} - Decoded string.
+ */
+function readString(binary, strtab, index) {
+  if (!strtab) return '';
+  const start = strtab.offset + index;
+  if (start >= binary.length) return '';
+  let end = start;
+  while (end < binary.length && binary[end] !== 0) end++;
+  return binary.toString('utf8', start, end);
+}
+
+/**
+ * Reads all section headers and resolves their names.
+ * @param {Buffer} binary - Program binary.
+ * @param {Object} header - Parsed ELF header.
+ * @returns {Array<Object>} - Section headers.
+ */
+function readSectionHeaders(binary, header) {
+  const sections = [];
+  for (let i = 0; i < header.shnum; i++) {
+    const base = header.shoff + i * SECTION_HEADER_SIZE;
+    if (base + SECTION_HEADER_SIZE > binary.length) throw new Error('Section header table is truncated');
+    sections.push({
+      index: i,
+      nameIndex: binary.readUInt32LE(base),
+      type: binary.readUInt32LE(base + 4),
+      flags: readU64(binary, base + 8),
+      addr: readU64(binary, base + 16),
+      offset: readU64(binary, base + 24),
+      size: readU64(binary, base + 32),
+      link: binary.readUInt32LE(base + 40),
+      info: binary.readUInt32LE(base + 44),
+      entsize: readU64(binary, base + 56),
+    });
+  }
+
+  const shstrtab = sections[header.shstrndx];
+  sections.forEach(section => {
+    section.name = readString(binary, shstrtab, section.nameIndex);
+  });
+  return sections;
+}
+
+/**
+ * Reads all program headers.
+ * @param {Buffer} binary - Program binary.
+ * @param {Object} header - Parsed ELF header.
+ * @returns {Array<Object>} - Program headers.
+ */
+function readProgramHeaders(binary, header) {
+  const headers = [];
+  for (let i = 0; i < header.phnum; i++) {
+    const base = header.phoff + i * PROGRAM_HEADER_SIZE;
+    if (base + PROGRAM_HEADER_SIZE > binary.length) break;
+    headers.push({
+      type: binary.readUInt32LE(base),
+      flags: binary.readUInt32LE(base + 4),
+      offset: readU64(binary, base + 8),
+      vaddr: readU64(binary, base + 16),
+      filesz: readU64(binary, base + 32),
+      memsz: readU64(binary, base + 40),
+    });
+  }
+  return headers;
+}
+
+/**
+ * Reads a symbol table section.
+ * @param {Buffer} binary - Program binary.
+ * @param {Object} table - Symbol table section header.
+ * @param {Object} strtab - Linked string table section header.
+ * @returns {Array<Object>} - Symbols.
+ */
+function readSymbols(binary, table, strtab) {
+  const symbols = [];
+  const count = Math.floor(table.size / SYMBOL_SIZE);
+  for (let i = 0; i < count; i++) {
+    const base = table.offset + i * SYMBOL_SIZE;
+    if (base + SYMBOL_SIZE > binary.length) break;
+    const info = binary[base + 4];
+    symbols.push({
+      index: i,
+      name: readString(binary, strtab, binary.readUInt32LE(base)),
+      type: SYMBOL_TYPES[info & 0xf] || `TYPE_${info & 0xf}`,
+      bind: SYMBOL_BINDS[info >> 4] || `BIND_${info >> 4}`,
+      shndx: binary.readUInt16LE(base + 6),
+      value: readU64(binary, base + 8),
+      size: readU64(binary, base + 16),
+    });
+  }
+  return symbols;
+}
+
+/**
+ * Reads an Elf64_Rel relocation section. Offsets are virtual addresses in shared objects and
+ * relative to the target section (sh_info) in relocatable objects.
+ * @param {Buffer} binary - Program binary.
+ * @param {Object} section - Relocation section header.
+ * @param {Array<Object>} symbols - Symbol table the relocations refer to.
+ * @returns {Array<Object>} - Relocations.
+ */
+function readRelocations(binary, section, symbols) {
+  const relocations = [];
+  const count = Math.floor(section.size / REL_SIZE);
+  for (let i = 0; i < count; i++) {
+    const base = section.offset + i * REL_SIZE;
+    if (base + REL_SIZE > binary.length) break;
+    const info = binary.readBigUInt64LE(base + 8);
+    const type = Number(info & 0xffffffffn);
+    const symbolIndex = Number(info >> 32n);
+    relocations.push({
+      offset: readU64(binary, base),
+      targetSection: section.info,
+      type,
+      typeName: RELOCATION_TYPES[type] || `R_BPF_${type}`,
+      symbolIndex,
+      symbol: symbols[symbolIndex]?.name || null,
+    });
+  }
+  return relocations;
+}
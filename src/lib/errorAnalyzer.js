@@ -0,0 +1,291 @@
+import chalk from 'chalk';
+import { instructionLabel } from './idlDecoder.js';
+import { resolveAccountKeys, instructionProgramId } from './lookupTables.js';
+
+/**
+ * Failed transaction analysis. `meta.err` is decoded into the failing instruction and an error:
+ * custom codes of the program are named from the IDL's `errors` (6000+) or Anchor's framework
+ * table (constraint, require and account errors), builtin runtime errors keep their name.
+ * Failures are grouped by instruction and bucketed over time, and an error whose count in one
+ * bucket jumps well above its usual rate is reported as a spike; a burst of constraint failures
+ * is typical of someone probing a program with crafted accounts.
+ */
+
+// Anchor framework error codes (anchor-lang ErrorCode).
+const ANCHOR_ERRORS = {
+  100: 'InstructionMissing',
+  101: 'InstructionFallbackNotFound',
+  102: 'InstructionDidNotDeserialize',
+  103: 'InstructionDidNotSerialize',
+  1000: 'IdlInstructionStub',
+  1001: 'IdlInstructionInvalidProgram',
+  1002: 'IdlAccountNotEmpty',
+  1500: 'EventInstructionStub',
+  2000: 'ConstraintMut',
+  2001: 'ConstraintHasOne',
+  2002: 'ConstraintSigner',
+  2003: 'ConstraintRaw',
+  2004: 'ConstraintOwner',
+  2005: 'ConstraintRentExempt',
+  2006: 'ConstraintSeeds',
+  2007: 'ConstraintExecutable',
+  2008: 'ConstraintState',
+  2009: 'ConstraintAssociated',
+  2010: 'ConstraintAssociatedInit',
+  2011: 'ConstraintClose',
+  2012: 'ConstraintAddress',
+  2013: 'ConstraintZero',
+  2014: 'ConstraintTokenMint',
+  2015: 'ConstraintTokenOwner',
+  2016: 'ConstraintMintMintAuthority',
+  2017: 'ConstraintMintFreezeAuthority',
+  2018: 'ConstraintMintDecimals',
+  2019: 'ConstraintSpace',
+  2020: 'ConstraintAccountIsNone',
+  2021: 'ConstraintTokenTokenProgram',
+  2022: 'ConstraintMintTokenProgram',
+  2023: 'ConstraintAssociatedTokenTokenProgram',
+  2500: 'RequireViolated',
+  2501: 'RequireEqViolated',
+  2502: 'RequireKeysEqViolated',
+  2503: 'RequireNeqViolated',
+  2504: 'RequireKeysNeqViolated',
+  2505: 'RequireGtViolated',
+  2506: 'RequireGteViolated',
+  3000: 'AccountDiscriminatorAlreadySet',
+  3001: 'AccountDiscriminatorNotFound',
+  3002: 'AccountDiscriminatorMismatch',
+  3003: 'AccountDidNotDeserialize',
+  3004: 'AccountDidNotSerialize',
+  3005: 'AccountNotEnoughKeys',
+  3006: 'AccountNotMutable',
+  3007: 'AccountOwnedByWrongProgram',
+  3008: 'InvalidProgramId',
+  3009: 'InvalidProgramExecutable',
+  3010: 'AccountNotSigner',
+  3011: 'AccountNotSystemOwned',
+  3012: 'AccountNotInitialized',
+  3013: 'AccountNotProgramData',
+  3014: 'AccountNotAssociatedTokenAccount',
+  3015: 'AccountSysvarMismatch',
+  3016: 'AccountReallocExceedsLimit',
+  3017: 'AccountDuplicateReallocs',
+  4100: 'DeclaredProgramIdMismatch',
+  4101: 'TryingToInitPayerAsProgramAccount',
+  4102: 'InvalidNumericConversion',
+  5000: 'Deprecated',
+};
+const CUSTOM_ERROR_START = 6000;
+const MIN_SPIKE_COUNT = 3;
+const SPIKE_RATIO = 3;
+
+/**
+ * Analyzes the failed transactions of a program.
+ *
+ * @param {Object} transactionData - Result of getRecentTransactions() (optionally IDL-decoded).
+ * @param {string} address - Program address.
+ * @param {Object} options - Analysis options.
+ * @param {Object} options.idl - Anchor IDL whose `errors` name the program's custom codes.
+ * @returns {Object} - { totalTransactions, failedTransactions, failureRate, errors[{ error, code, category,
+ * count, instructions }], byInstruction[{ instruction, total, failed, failureRate, errors }],
+ * timeline{ bucketSeconds, buckets[{ start, total, failed, failureRate, errors }] }, spikes[{ error, code,
+ * category, start, count, baseline }] }.
+ */
+export function analyzeErrors(transactionData, address, options = {}) {
+  const { idl } = options;
+  try {
+    const idlErrors = new Map((idl?.errors || []).map(definition => [definition.code, definition.name]));
+    const transactions = (transactionData?.transactions || []).filter(tx => tx.details?.meta);
+    const records = transactions.map(tx => ({
+      signature: tx.signature,
+      blockTime: tx.blockTime || null,
+      instruction: primaryInstruction(tx, address),
+      failure: tx.details.meta.err ? decodeFailure(tx, address, idlErrors) : null,
+    }));
+    const failed = records.filter(record => record.failure);
+
+    const errors = new Map();
+    failed.forEach(({ failure, instruction }) => {
+      const key = failure.error;
+      if (!errors.has(key)) errors.set(key, { error: failure.error, code: failure.code, category: failure.category, count: 0, instructions: {} });
+      const entry = errors.get(key);
+      entry.count++;
+      const name = failure.instruction || instruction;
+      entry.instructions[name] = (entry.instructions[name] || 0) + 1;
+    });
+
+    const instructions = new Map();
+    records.forEach(record => {
+      const name = record.failure?.instruction || record.instruction;
+      if (!instructions.has(name)) instructions.set(name, { instruction: name, total: 0, failed: 0, errors: {} });
+      const entry = instructions.get(name);
+      entry.total++;
+      if (!record.failure) return;
+      entry.failed++;
+      entry.errors[record.failure.error] = (entry.errors[record.failure.error] || 0) + 1;
+    });
+
+    const timeline = bucketByTime(records);
+    return {
+      totalTransactions: records.length,
+      failedTransactions: failed.length,
+      failureRate: records.length ? failed.length / records.length : 0,
+      errors: [...errors.values()].sort((a, b) => b.count - a.count),
+      byInstruction: [...instructions.values()]
+        .map(entry => ({ ...entry, failureRate: entry.total ? entry.failed / entry.total : 0 }))
+        .sort((a, b) => b.failed - a.failed || b.total - a.total),
+      timeline,
+      spikes: findSpikes(timeline.buckets, errors),
+    };
+  } catch (err) {
+    console.warn(chalk.yellow(`Error analysis failed for ${address}: ${err.message}`));
+    return emptyErrorAnalysis();
+  }
+}
+
+/**
+ * Returns the error analysis of no transactions.
+ * @returns {Object} - Empty analysis.
+ */
+export function emptyErrorAnalysis() {
+  return { totalTransactions: 0, failedTransactions: 0, failureRate: 0, errors: [], byInstruction: [], timeline: { bucketSeconds: 0, buckets: [] }, spikes: [] };
+}
+
+/**
+ * Names a custom program error code from the IDL or Anchor's framework table.
+ * @param {number} code - Custom error code.
+ * @param {Object} idl - Anchor IDL (optional).
+ * @returns {Object} - { name, category } where category is instruction, idl, event, constraint,
+ * require, account, misc, custom or unknown.
+ */
+export function nameErrorCode(code, idl) {
+  const { error, category } = describeCode(code, new Map((idl?.errors || []).map(definition => [definition.code, definition.name])));
+  return { name: error, category };
+}
+
+/**
+ * Decodes why a transaction failed.
+ * @param {Object} tx - Failed transaction from getRecentTransactions().
+ * @param {string} address - Program address.
+ * @param {Map} idlErrors - IDL error names by code.
+ * @returns {Object} - { error, code, category, program, instruction }.
+ */
+function decodeFailure(tx, address, idlErrors) {
+  const { meta, transaction } = tx.details;
+  const err = meta.err;
+  const logs = meta.logMessages || [];
+  const [index, detail] = err.InstructionError || [];
+  const topLevel = transaction.message.instructions || [];
+  const keys = resolveAccountKeys(tx.details);
+  const programIdOf = ix => instructionProgramId(ix, keys);
+  const failing = index !== undefined ? topLevel[index] : null;
+  const instruction = failing && programIdOf(failing) === address ? instructionLabel(failing) : null;
+
+  if (detail?.Custom === undefined) {
+    // Builtin runtime errors: 'InsufficientFundsForFee', { InstructionError: [i, 'ComputationalBudgetExceeded'] }, ...
+    const name = typeof detail === 'string' ? detail : detail ? Object.keys(detail)[0] : typeof err === 'string' ? err : Object.keys(err)[0];
+    return { error: name, code: null, category: 'runtime', program: failing ? programIdOf(failing) : null, instruction };
+  }
+
+  // The program that raised a custom error fails first; its callers then fail with the same error.
+  const failedLine = logs.find(line => /^Program \w+ failed: /.test(line));
+  const program = failedLine?.split(' ')[1] || (failing ? programIdOf(failing) : null);
+  const code = detail.Custom;
+  if (program === address) return { ...describeCode(code, idlErrors), code, program, instruction };
+
+  // Other Anchor programs log their error name; anything else stays numbered.
+  const anchorLog = logs.map(line => line.match(/Error Code: (\w+)\. Error Number: (\d+)\./)).filter(Boolean).pop();
+  const name = anchorLog && Number(anchorLog[2]) === code ? anchorLog[1] : `Custom(${code})`;
+  return { error: program ? `${name} in ${program.slice(0, 8)}...` : name, code, category: 'external', program, instruction };
+}
+
+/**
+ * Maps a custom error code of the program to a name and category.
+ * @param {number} code - Custom error code.
+ * @param {Map} idlErrors - IDL error names by code.
+ * @returns {Object} - { error, category }.
+ */
+function describeCode(code, idlErrors) {
+  const error = idlErrors.get(code) || ANCHOR_ERRORS[code] || (code >= CUSTOM_ERROR_START ? `Custom(${code})` : `Unknown(${code})`);
+  return { error, category: categoryOf(code) };
+}
+
+/**
+ * Returns the category of a custom error code by Anchor's code ranges.
+ * @param {number} code - Custom error code.
+ * @returns {string} - Category.
+ */
+function categoryOf(code) {
+  if (code >= CUSTOM_ERROR_START) return 'custom';
+  if (code >= 100 && code < 1000) return 'instruction';
+  if (code >= 1000 && code < 1500) return 'idl';
+  if (code >= 1500 && code < 2000) return 'event';
+  if (code >= 2000 && code < 2500) return 'constraint';
+  if (code >= 2500 && code < 3000) return 'require';
+  if (code >= 3000 && code < 4000) return 'account';
+  if (code >= 4100 && code < 5000) return 'misc';
+  return 'unknown';
+}
+
+/**
+ * Returns the label of the program instruction a transaction calls first, or of its first CPI
+ * into the program.
+ * @param {Object} tx - Transaction from getRecentTransactions().
+ * @param {string} address - Program address.
+ * @returns {string} - Instruction label, 'other' if the program's instruction is not visible.
+ */
+function primaryInstruction(tx, address) {
+  const keys = resolveAccountKeys(tx.details);
+  const inner = (tx.innerInstructions || []).flatMap(group => group.instructions);
+  const ix = [...(tx.instructions || []), ...inner].find(candidate => instructionProgramId(candidate, keys) === address);
+  return ix ? instructionLabel(ix) : 'other';
+}
+
+/**
+ * Buckets transactions by hour, or by day when they span more than two days.
+ * @param {Array<Object>} records - { blockTime, failure } records.
+ * @returns {Object} - { bucketSeconds, buckets[{ start, total, failed, failureRate, errors }] } in time order.
+ */
+function bucketByTime(records) {
+  const timed = records.filter(record => record.blockTime);
+  if (!timed.length) return { bucketSeconds: 0, buckets: [] };
+  const times = timed.map(record => record.blockTime);
+  const bucketSeconds = Math.max(...times) - Math.min(...times) > 2 * 86400 ? 86400 : 3600;
+  const buckets = new Map();
+  timed.forEach(record => {
+    const start = Math.floor(record.blockTime / bucketSeconds) * bucketSeconds;
+    if (!buckets.has(start)) buckets.set(start, { start, total: 0, failed: 0, errors: {} });
+    const bucket = buckets.get(start);
+    bucket.total++;
+    if (!record.failure) return;
+    bucket.failed++;
+    bucket.errors[record.failure.error] = (bucket.errors[record.failure.error] || 0) + 1;
+  });
+  return {
+    bucketSeconds,
+    buckets: [...buckets.values()]
+      .map(bucket => ({ ...bucket, failureRate: bucket.failed / bucket.total }))
+      .sort((a, b) => a.start - b.start),
+  };
+}
+
+/**
+ * Finds buckets in which an error occurs far more often than in the other buckets.
+ * @param {Array<Object>} buckets - Timeline buckets.
+ * @param {Map} errors - Error entries by name.
+ * @returns {Array<Object>} - { error, code, category, start, count, baseline } sorted by count.
+ */
+function findSpikes(buckets, errors) {
+  if (buckets.length < 2) return [];
+  const spikes = [];
+  errors.forEach(entry => {
+    buckets.forEach(bucket => {
+      const count = bucket.errors[entry.error] || 0;
+      const baseline = (entry.count - count) / (buckets.length - 1);
+      if (count >= MIN_SPIKE_COUNT && count >= SPIKE_RATIO * Math.max(baseline, 1)) {
+        spikes.push({ error: entry.error, code: entry.code, category: entry.category, start: bucket.start, count, baseline });
+      }
+    });
+  });
+  return spikes.sort((a, b) => b.count - a.count);
+}
@@ -1,10 +1,11 @@
 import pkg from '@solana/web3.js';
+import { getConnection } from './provider.js';
 
-const { Connection, PublicKey } = pkg;
+const { PublicKey } = pkg;
 
 export async function analyzeFees(address, options = { limit: 100 }) {
   try {
-    const connection = new Connection(process.env.QUICKNODE_RPC_URL, 'confirmed');
+    const connection = getConnection();
     const programId = new PublicKey(address);
     const signatures = await connection.getSignaturesForAddress(programId, {
       limit: options.limit
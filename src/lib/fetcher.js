@@ -1,24 +1,222 @@
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
+import fs from 'fs/promises';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
+import { getConnection } from './provider.js';
+import { getCluster } from './config.js';
+import { cacheGet, cacheSet, getBlob, putBlob, isCacheEnabled } from './diskCache.js';
+import { isElf } from './elf.js';
 
 dotenv.config();
 
-export async function fetchProgramBinary(address) {
-  const apiKey = process.env.HELIUS_API_KEY;
-  if (!apiKey) throw new Error('HELIUS_API_KEY not set in .env');
+export const BPF_LOADER_DEPRECATED = 'BPFLoader1111111111111111111111111111111111';
+export const BPF_LOADER = 'BPFLoader2111111111111111111111111111111111';
+export const BPF_LOADER_UPGRADEABLE = 'BPFLoaderUpgradeab1e11111111111111111111111';
+
+const UPGRADEABLE_PROGRAM_TAG = 2;
+const UPGRADEABLE_PROGRAM_DATA_TAG = 3;
+const PROGRAM_DATA_HEADER_SIZE = 45; // u32 tag + u64 slot + Option<Pubkey> (1 + 32)
 
+/**
+ * Fetches the executable ELF of a Solana program. For BPFLoaderUpgradeable programs the
+ * program account only holds a pointer, so the ProgramData account is fetched and its
+ * header (deploy slot, upgrade authority) is decoded.
+ *
+ * A deployed binary never changes until the next deploy moves the deploy slot, so upgradeable
+ * binaries are kept in the disk cache per ProgramData account and deploy slot; on later runs only
+ * the ProgramData header is fetched.
+ *
+ * @param {string} address - Program address.
+ * @returns {Promise<Object>} - { binary, loader, programDataAddress, deploySlot, upgradeAuthority }.
+ * @throws {Error} - If the account is missing, not executable, or owned by an unknown loader.
+ */
+export async function fetchProgramBinary(address) {
   try {
-    const connection = new Connection(`https://mainnet.helius-rpc.com/?api-key=${apiKey}`, 'confirmed');
+    const connection = getConnection();
     const programId = new PublicKey(address);
     const accountInfo = await connection.getAccountInfo(programId);
-    
+
     if (!accountInfo) throw new Error(`Program account ${address} not found`);
     if (!accountInfo.executable) throw new Error(`Account ${address} is not executable`);
 
-    return accountInfo.data;
+    const loader = accountInfo.owner.toBase58();
+    if (loader === BPF_LOADER || loader === BPF_LOADER_DEPRECATED) {
+      // Legacy loaders store the ELF directly in the program account and are immutable.
+      return {
+        binary: accountInfo.data,
+        loader,
+        programDataAddress: null,
+        deploySlot: null,
+        upgradeAuthority: null,
+      };
+    }
+    if (loader !== BPF_LOADER_UPGRADEABLE) {
+      throw new Error(`Unsupported program loader ${loader}`);
+    }
+
+    const programDataAddress = decodeProgramAccount(accountInfo.data);
+    const cached = await cachedProgramData(connection, programDataAddress);
+    if (cached) return { ...cached, loader, programDataAddress: programDataAddress.toBase58() };
+
+    const programDataInfo = await connection.getAccountInfo(programDataAddress);
+    if (!programDataInfo) throw new Error(`ProgramData account ${programDataAddress.toBase58()} not found`);
+
+    const { deploySlot, upgradeAuthority } = decodeProgramDataHeader(programDataInfo.data);
+    const binary = programDataInfo.data.subarray(PROGRAM_DATA_HEADER_SIZE);
+    const hash = await putBlob(binary);
+    if (hash) await cacheSet('programs', programDataKey(programDataAddress, deploySlot), { hash });
+    return {
+      binary,
+      loader,
+      programDataAddress: programDataAddress.toBase58(),
+      deploySlot,
+      upgradeAuthority,
+    };
   } catch (err) {
     console.warn(chalk.yellow(`Failed to fetch binary for ${address}: ${err.message}`));
     throw err;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Fetches the current upgrade authority of a program without downloading its binary.
+ * @param {string} address - Program address.
+ * @returns {Promise<string|null>} - Upgrade authority, or null for immutable and legacy programs.
+ * @throws {Error} - If the account is missing.
+ */
+export async function fetchUpgradeAuthority(address) {
+  const connection = getConnection();
+  const accountInfo = await connection.getAccountInfo(new PublicKey(address));
+  if (!accountInfo) throw new Error(`Program account ${address} not found`);
+  if (accountInfo.owner.toBase58() !== BPF_LOADER_UPGRADEABLE) return null;
+  const programDataAddress = decodeProgramAccount(accountInfo.data);
+  const header = await connection.getAccountInfo(programDataAddress, { dataSlice: { offset: 0, length: PROGRAM_DATA_HEADER_SIZE } });
+  return header ? decodeProgramDataHeader(header.data).upgradeAuthority : null;
+}
+
+/**
+ * Reads a ProgramData binary from the disk cache. Only the 45-byte header is fetched, to learn the
+ * current deploy slot and upgrade authority.
+ * @param {Connection} connection - RPC connection.
+ * @param {PublicKey} programDataAddress - ProgramData account.
+ * @returns {Promise<Object|null>} - { binary, deploySlot, upgradeAuthority }, or null on a cache miss.
+ */
+async function cachedProgramData(connection, programDataAddress) {
+  if (!isCacheEnabled()) return null;
+  const header = await connection.getAccountInfo(programDataAddress, { dataSlice: { offset: 0, length: PROGRAM_DATA_HEADER_SIZE } });
+  if (!header) return null;
+  const { deploySlot, upgradeAuthority } = decodeProgramDataHeader(header.data);
+  const entry = await cacheGet('programs', programDataKey(programDataAddress, deploySlot));
+  const binary = await getBlob(entry?.hash);
+  return binary ? { binary, deploySlot, upgradeAuthority } : null;
+}
+
+/**
+ * Returns the cache key of a deployed binary.
+ * @param {PublicKey} programDataAddress - ProgramData account.
+ * @param {number} deploySlot - Slot of the deploy.
+ * @returns {string} - Cache key.
+ */
+function programDataKey(programDataAddress, deploySlot) {
+  return `${getCluster()}:${programDataAddress.toBase58()}@${deploySlot}`;
+}
+
+/**
+ * Loads a program binary from disk for offline analysis. Accepts a compiled `.so` or
+ * `solana program dump` output (raw ELF), raw ProgramData account data
+ * (`solana account <programdata> --output-file`), and JSON account dumps
+ * (`solana account <address> --output json`).
+ *
+ * @param {string} path - File path.
+ * @returns {Promise<Object>} - { binary, loader, programDataAddress, deploySlot, upgradeAuthority, address, file }
+ * in the shape of fetchProgramBinary; fields the file does not record are null.
+ * @throws {Error} - If the file is missing or holds no program binary.
+ */
+export async function loadProgramFile(path) {
+  try {
+    const content = await fs.readFile(path);
+    const loaded = isElf(content) ? fromElf(content) : content[0] === 0x7b ? fromJsonDump(content) : fromAccountData(content, null, null);
+    return { ...loaded, file: path };
+  } catch (err) {
+    console.warn(chalk.yellow(`Failed to load program file ${path}: ${err.message}`));
+    throw err;
+  }
+}
+
+/**
+ * Wraps a bare ELF, which records no loader metadata.
+ * @param {Buffer} binary - ELF bytes.
+ * @returns {Object} - Program account fields.
+ */
+function fromElf(binary) {
+  return { binary, loader: null, programDataAddress: null, deploySlot: null, upgradeAuthority: null, address: null };
+}
+
+/**
+ * Reads a `solana account --output json` dump.
+ * @param {Buffer} content - JSON file content.
+ * @returns {Object} - Program account fields.
+ * @throws {Error} - If the dump is not a base64-encoded program or ProgramData account.
+ */
+function fromJsonDump(content) {
+  const dump = JSON.parse(content.toString('utf8'));
+  const account = dump.account || dump;
+  const [encoded, encoding] = Array.isArray(account.data) ? account.data : [account.data, 'base64'];
+  if (encoding !== 'base64' || typeof encoded !== 'string') {
+    throw new Error(`Unsupported account data encoding ${encoding}; dump with --output json (base64)`);
+  }
+  return fromAccountData(Buffer.from(encoded, 'base64'), account.owner || null, dump.pubkey || null);
+}
+
+/**
+ * Extracts the ELF from raw account data.
+ * @param {Buffer} data - Account data.
+ * @param {string|null} owner - Owning loader, if known.
+ * @param {string|null} pubkey - Account address, if known.
+ * @returns {Object} - Program account fields.
+ * @throws {Error} - If the data holds no ELF (e.g. an upgradeable program account, which only points to its ProgramData).
+ */
+function fromAccountData(data, owner, pubkey) {
+  if (isElf(data)) {
+    return { ...fromElf(data), loader: owner, address: pubkey };
+  }
+  if (data.length >= 4 && data.readUInt32LE(0) === UPGRADEABLE_PROGRAM_TAG) {
+    throw new Error(`Account only points to ProgramData ${decodeProgramAccount(data).toBase58()}; dump that account or use \`solana program dump\``);
+  }
+  if (data.length < 4 || data.readUInt32LE(0) !== UPGRADEABLE_PROGRAM_DATA_TAG) {
+    throw new Error('Not an sBPF ELF, ProgramData account or JSON account dump');
+  }
+  const { deploySlot, upgradeAuthority } = decodeProgramDataHeader(data);
+  const binary = data.subarray(PROGRAM_DATA_HEADER_SIZE);
+  if (!isElf(binary)) throw new Error('ProgramData account holds no ELF');
+  return { binary, loader: BPF_LOADER_UPGRADEABLE, programDataAddress: pubkey, deploySlot, upgradeAuthority, address: null };
+}
+
+/**
+ * Decodes an UpgradeableLoaderState::Program account into its ProgramData address.
+ * @param {Buffer} data - Program account data.
+ * @returns {PublicKey} - ProgramData account address.
+ * @throws {Error} - If the account is not an upgradeable program account.
+ */
+function decodeProgramAccount(data) {
+  if (data.length < 36 || data.readUInt32LE(0) !== UPGRADEABLE_PROGRAM_TAG) {
+    throw new Error('Account is not an upgradeable program account');
+  }
+  return new PublicKey(data.subarray(4, 36));
+}
+
+/**
+ * Decodes the UpgradeableLoaderState::ProgramData header.
+ * @param {Buffer} data - ProgramData account data.
+ * @returns {Object} - { deploySlot, upgradeAuthority } (authority is null when immutable).
+ * @throws {Error} - If the account is not a ProgramData account.
+ */
+function decodeProgramDataHeader(data) {
+  if (data.length < PROGRAM_DATA_HEADER_SIZE || data.readUInt32LE(0) !== UPGRADEABLE_PROGRAM_DATA_TAG) {
+    throw new Error('Account is not a ProgramData account');
+  }
+  return {
+    deploySlot: Number(data.readBigUInt64LE(4)),
+    upgradeAuthority: data[12] === 1 ? new PublicKey(data.subarray(13, 45)).toBase58() : null,
+  };
+}
@@ -0,0 +1,299 @@
+import { createHash } from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { Response } from 'node-fetch';
+import chalk from 'chalk';
+import { getCluster, setCluster } from './config.js';
+import { setCacheEnabled } from './diskCache.js';
+
+/**
+ * Record/replay of provider traffic for deterministic runs without network access.
+ *
+ * Recording saves every RPC and REST exchange that goes through the provider layer to a fixture
+ * directory: one JSON file per distinct request holding its responses in the order they were
+ * received, plus a manifest.json with the cluster and enhanced API in use. API keys are stripped
+ * from recorded URLs.
+ *
+ * Replaying serves those fixtures from a local stand-in server. JSON-RPC requests are matched by
+ * method and params (the request id is ignored and echoed back), REST requests by method, path and
+ * query. A request recorded several times replays its responses in order, then repeats the last.
+ * While replaying, the provider sends every request to the stand-in (see getReplayUrl).
+ *
+ * The disk cache is bypassed while recording or replaying so that every request is captured and
+ * served from the fixtures.
+ */
+
+const MANIFEST = 'manifest.json';
+const SECRET_PARAMS = ['api-key', 'apikey', 'api_key', 'token'];
+
+let recordingDir = null;
+let replayUrl = process.env.SOLPROOF_REPLAY_URL || null;
+const recorded = new Map();
+if (replayUrl) setCacheEnabled(false);
+
+/**
+ * Starts saving provider traffic to a fixture directory.
+ * @param {string} dir - Fixture directory (created if missing).
+ * @param {Object} meta - Details stored in manifest.json (e.g. { enhancedApi, command }).
+ */
+export function startRecording(dir, meta = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, MANIFEST), JSON.stringify({ recordedAt: new Date().toISOString(), cluster: getCluster(), ...meta }, null, 2));
+  recordingDir = dir;
+  recorded.clear();
+  setCacheEnabled(false);
+}
+
+/**
+ * Stops recording.
+ */
+export function stopRecording() {
+  recordingDir = null;
+  setCacheEnabled(!replayUrl);
+}
+
+/**
+ * Returns the stand-in server the provider should send requests to, if replaying.
+ * @returns {string|null} - Stand-in URL.
+ */
+export function getReplayUrl() {
+  return replayUrl;
+}
+
+/**
+ * Points the provider at a stand-in server (or back at the real endpoints with null).
+ * @param {string|null} url - Stand-in URL.
+ */
+export function useReplayServer(url) {
+  replayUrl = url;
+  setCacheEnabled(!url && !recordingDir);
+}
+
+/**
+ * Fetch wrapper used by the provider: redirects requests to the stand-in while replaying and
+ * saves the exchange while recording.
+ * @param {Function} fetchImpl - Underlying fetch.
+ * @param {string} url - Request URL.
+ * @param {Object} init - Fetch options.
+ * @returns {Promise<Response>} - Response (buffered when recorded).
+ */
+export async function fixtureFetch(fetchImpl, url, init = {}) {
+  const target = replayUrl ? redirect(url, replayUrl) : url;
+  const response = await fetchImpl(target, init);
+  if (!recordingDir) return response;
+
+  const body = await response.text();
+  saveExchange(recordingDir, url, init, { status: response.status, contentType: response.headers.get('content-type'), body });
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+/**
+ * Describes a request the way fixtures are matched.
+ * @param {string} method - HTTP method.
+ * @param {string} url - Request URL (absolute or path).
+ * @param {string} body - Request body.
+ * @returns {Object} - { key, label } where label names the RPC method or REST path.
+ */
+export function fixtureKey(method, url, body) {
+  const rpc = parseRpc(body);
+  if (rpc) {
+    const calls = Array.isArray(rpc) ? rpc : [rpc];
+    return {
+      key: `rpc ${JSON.stringify(calls.map(call => [call.method, call.params ?? null]))}`,
+      label: calls.map(call => call.method).join('+'),
+    };
+  }
+  const parsed = new URL(url, 'http://fixture');
+  SECRET_PARAMS.forEach(name => parsed.searchParams.delete(name));
+  parsed.searchParams.sort();
+  return {
+    key: `${method.toUpperCase()} ${parsed.pathname}${parsed.search}${body ? ` ${body}` : ''}`,
+    label: parsed.pathname.split('/').filter(Boolean).slice(-1)[0] || 'root',
+  };
+}
+
+/**
+ * Loads a fixture directory.
+ * @param {string} dir - Fixture directory.
+ * @returns {Object} - { manifest, fixtures } with fixtures keyed by fixtureKey().key.
+ * @throws {Error} - If the directory has no manifest.json.
+ */
+export function loadFixtures(dir) {
+  const manifestPath = path.join(dir, MANIFEST);
+  if (!fs.existsSync(manifestPath)) throw new Error(`${dir} is not a fixture directory (no ${MANIFEST})`);
+  const fixtures = new Map();
+  fs.readdirSync(dir).filter(file => file.endsWith('.json') && file !== MANIFEST).forEach(file => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    fixtures.set(fixture.key, fixture);
+  });
+  return { manifest: JSON.parse(fs.readFileSync(manifestPath, 'utf8')), fixtures };
+}
+
+/**
+ * Starts a stand-in JSON-RPC/REST server that answers from a fixture directory. Requests without a
+ * fixture get a JSON-RPC error (or HTTP 404 for REST) and are listed in `misses`.
+ * @param {string} dir - Fixture directory.
+ * @param {Object} options - Server options.
+ * @param {number} options.port - Port (default: 0, any free port).
+ * @param {string} options.host - Interface (default: '127.0.0.1').
+ * @returns {Promise<Object>} - { url, manifest, misses, server, close }.
+ */
+export async function startFixtureServer(dir, options = {}) {
+  const { port = 0, host = '127.0.0.1' } = options;
+  const { manifest, fixtures } = loadFixtures(dir);
+  const served = new Map();
+  const misses = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const { key, label } = fixtureKey(req.method, req.url, body);
+      const rpc = parseRpc(body);
+      const fixture = fixtures.get(key);
+
+      if (!fixture) {
+        if (rpc?.method === 'getHealth') return reply(res, 200, 'application/json', JSON.stringify({ jsonrpc: '2.0', id: rpc.id, result: 'ok' }));
+        misses.push(label);
+        if (rpc) return reply(res, 200, 'application/json', JSON.stringify(rpcMiss(rpc, label)));
+        return reply(res, 404, 'application/json', JSON.stringify({ error: `No fixture recorded for ${req.method} ${req.url}` }));
+      }
+
+      const index = served.get(key) || 0;
+      served.set(key, index + 1);
+      const response = fixture.responses[Math.min(index, fixture.responses.length - 1)];
+      reply(res, response.status, response.contentType, rpc ? withRequestIds(response.body, rpc) : response.body);
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const url = `http://${host}:${server.address().port}`;
+  return { url, manifest, misses, server, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+/**
+ * Starts a stand-in server for a fixture directory and points the provider at it, restoring the
+ * recorded cluster and enhanced API so the run matches the recording.
+ * @param {string} dir - Fixture directory.
+ * @param {Object} options - Server options (see startFixtureServer).
+ * @returns {Promise<Object>} - Result of startFixtureServer().
+ */
+export async function replayFixtures(dir, options = {}) {
+  const standIn = await startFixtureServer(dir, options);
+  // The stand-in must not keep a finished CLI run alive.
+  standIn.server.unref();
+  const { cluster, enhancedApi } = standIn.manifest;
+  if (cluster) setCluster(cluster);
+  if (enhancedApi && !process.env.SOLPROOF_ENHANCED_API) process.env.SOLPROOF_ENHANCED_API = enhancedApi;
+  // The Helius adapter only needs a key to be present; recorded URLs carry none.
+  if (enhancedApi === 'helius' && !process.env.HELIUS_API_KEY) process.env.HELIUS_API_KEY = 'replay';
+  useReplayServer(standIn.url);
+  console.log(chalk.gray(`Replaying ${dir} from ${standIn.url}`));
+  return standIn;
+}
+
+/**
+ * Appends a response to the fixture of its request.
+ * @param {string} dir - Fixture directory.
+ * @param {string} url - Original request URL.
+ * @param {Object} init - Fetch options.
+ * @param {Object} response - { status, contentType, body }.
+ */
+function saveExchange(dir, url, init, response) {
+  const method = init.method || 'GET';
+  const body = typeof init.body === 'string' ? init.body : '';
+  const { key, label } = fixtureKey(method, url, body);
+  if (!recorded.has(key)) {
+    const rpc = parseRpc(body);
+    recorded.set(key, {
+      key,
+      file: `${label.replace(/[^\w+-]/g, '_').slice(0, 60)}-${createHash('sha256').update(key).digest('hex').slice(0, 16)}.json`,
+      request: rpc ? { method, rpc: stripIds(rpc) } : { method, path: key.split(' ')[1] },
+      responses: [],
+    });
+  }
+  const fixture = recorded.get(key);
+  fixture.responses.push(response);
+  // Written synchronously so concurrent responses to the same request cannot overwrite each other.
+  fs.writeFileSync(path.join(dir, fixture.file), JSON.stringify({ key, request: fixture.request, responses: fixture.responses }, null, 2));
+}
+
+/**
+ * Parses a JSON-RPC request (single or batch).
+ * @param {string} body - Request body.
+ * @returns {Object|Array|null} - Parsed request, or null if the body is not JSON-RPC.
+ */
+function parseRpc(body) {
+  if (!body) return null;
+  try {
+    const parsed = JSON.parse(body);
+    const calls = Array.isArray(parsed) ? parsed : [parsed];
+    return calls.length && calls.every(call => call?.jsonrpc && call.method) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Removes request ids so equal calls match across runs.
+ * @param {Object|Array} rpc - JSON-RPC request.
+ * @returns {Object|Array} - Request without ids.
+ */
+function stripIds(rpc) {
+  return Array.isArray(rpc) ? rpc.map(stripIds) : { jsonrpc: rpc.jsonrpc, method: rpc.method, params: rpc.params };
+}
+
+/**
+ * Rewrites the ids of a recorded JSON-RPC response to the ids of the current request.
+ * @param {string} body - Recorded response body.
+ * @param {Object|Array} rpc - Current request.
+ * @returns {string} - Response body.
+ */
+function withRequestIds(body, rpc) {
+  try {
+    const parsed = JSON.parse(body);
+    if (Array.isArray(parsed)) return JSON.stringify(parsed.map((item, i) => ({ ...item, id: rpc[i]?.id ?? item.id })));
+    return JSON.stringify({ ...parsed, id: rpc.id });
+  } catch {
+    return body;
+  }
+}
+
+/**
+ * Builds the JSON-RPC error returned for a request without a fixture.
+ * @param {Object|Array} rpc - Current request.
+ * @param {string} label - RPC method(s).
+ * @returns {Object|Array} - Error response.
+ */
+function rpcMiss(rpc, label) {
+  const error = call => ({ jsonrpc: '2.0', id: call.id, error: { code: -32000, message: `No fixture recorded for ${label}` } });
+  return Array.isArray(rpc) ? rpc.map(error) : error(rpc);
+}
+
+/**
+ * Sends a response.
+ * @param {http.ServerResponse} res - Response.
+ * @param {number} status - HTTP status.
+ * @param {string|null} contentType - Content type.
+ * @param {string} body - Body.
+ */
+function reply(res, status, contentType, body) {
+  res.writeHead(status, { 'Content-Type': contentType || 'application/json' });
+  res.end(body);
+}
+
+/**
+ * Moves a request URL onto the stand-in server, keeping its path and query.
+ * @param {string} url - Original URL.
+ * @param {string} base - Stand-in URL.
+ * @returns {string} - Redirected URL.
+ */
+function redirect(url, base) {
+  const parsed = new URL(url);
+  return `${base}${parsed.pathname}${parsed.search}`;
+}
@@ -0,0 +1,284 @@
+import { PublicKey } from '@solana/web3.js';
+import chalk from 'chalk';
+import { getRecentTransactions } from './transactions.js';
+import { fetchUpgradeAuthority } from './fetcher.js';
+import { loadHistoricalPrices } from './prices.js';
+import { transfersOf } from './balanceFlows.js';
+import { visualizeGraph } from './graphVisualizer.js';
+
+/**
+ * Multi-hop fund-flow tracing. Starting from a program's vaults (program-derived accounts that
+ * send funds in the program's transactions) and its upgrade authority, every outflow is followed
+ * to its recipients, hop by hop, using the balance changes of each transaction. Only outflows
+ * after the funds arrived are followed. Tracing stops at the depth limit and at known sinks
+ * (exchanges, bridges, mixers), which are where funds usually leave the traceable chain.
+ */
+
+// Known deposit wallets. Extend with a sinks file ({ "<address>": { "name": "...", "type": "mixer" } }).
+const KNOWN_SINKS = {
+  '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM': { name: 'Binance', type: 'exchange' },
+  '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhLD4Ja3': { name: 'Binance', type: 'exchange' },
+  H8sMJSCQxfKiFTCfDR3DUMLPwcRbM61LGFJ8N4dK3WjS: { name: 'Coinbase', type: 'exchange' },
+  '2AQdpHJ2JpcEgPiATUXjQxA8QmafFegfQwSLWSprPicm': { name: 'Coinbase', type: 'exchange' },
+  FWznbcNXWQuHTawe9RxvQ2LdCENssh12dsznf4RiouN5: { name: 'Kraken', type: 'exchange' },
+  '5VCwKtCXgCJ6kit5FybXjvriW3xELsFDhYrPSqtJNmcD': { name: 'OKX', type: 'exchange' },
+  AC5RDfQFmDS1deWZos921JfqscXdByf8BKHs5ACWjtW2: { name: 'Bybit', type: 'exchange' },
+};
+
+// Bridge programs; funds received in a transaction that invokes one are leaving the chain.
+const BRIDGE_PROGRAMS = {
+  wormDTUJ6AWPNvk59vGQbDvGJmqbDTdgWgAqcLBCgUb: 'Wormhole Token Bridge',
+  worm2ZoG2kUd4vFXhvjh93UUH596ayRfgQ2MgjNMTth: 'Wormhole',
+  src5qyZHqTqecJV4aY6Cb6zDZLMDzrDKKezs22MPHr4: 'deBridge DLN',
+  BrdgN2RPzEMWF96ZbnnJaUtQDQx7VRXYaHHbYCBvceWB: 'Allbridge Core',
+};
+
+/**
+ * Traces funds leaving a program across several hops.
+ *
+ * @param {string} address - Program address.
+ * @param {Object} options - Tracing options.
+ * @param {number} options.depth - Number of hops to follow (default: 2).
+ * @param {Array<string>} options.sources - Accounts to start from (default: the program's vaults and upgrade authority).
+ * @param {string} options.timeframe - How far back to look at each account (default: '7d').
+ * @param {number} options.limit - Transactions to inspect per account (default: 25).
+ * @param {number} options.maxBranches - Largest recipients followed per account (default: 10).
+ * @param {number} options.minAmount - Smallest transfer followed, in token units (default: 0.01).
+ * @param {Object} options.sinks - Extra sinks as { address: { name, type } }.
+ * @param {boolean} options.prices - Value transfers in USD at their time (default: true).
+ * @param {Function} options.onProgress - Called with { hop, account, visited }.
+ * @param {AbortSignal} options.signal - Once aborted, no further accounts are followed; the graph
+ * holds the hops traced so far and is marked truncated.
+ * @returns {Promise<Object>} - { root, depth, nodes[{ id, label, kind, sinkType, hop }],
+ * edges[{ from, to, mint, amount, usd, count, firstSeen, lastSeen, hop, signatures }], sinks,
+ * truncated } where truncated means recipients were dropped at maxBranches or by the signal.
+ */
+export async function traceFunds(address, options = {}) {
+  const { depth = 2, sources, timeframe = '7d', limit = 25, maxBranches = 10, minAmount = 0.01, sinks = {}, prices = true, onProgress, signal } = options;
+  const knownSinks = { ...KNOWN_SINKS, ...sinks };
+  const nodes = new Map();
+  const edges = new Map();
+  const transfers = [];
+  let truncated = false;
+
+  const addNode = (id, fields) => {
+    if (!nodes.has(id)) {
+      const sink = knownSinks[id];
+      nodes.set(id, { id, label: sink?.name || `${id.slice(0, 8)}...`, kind: sink ? 'sink' : 'wallet', sinkType: sink?.type || null, hop: fields.hop });
+    }
+    const node = nodes.get(id);
+    if (fields.kind && node.kind !== 'sink') node.kind = fields.kind;
+    if (fields.sinkType && !node.sinkType) Object.assign(node, { kind: 'sink', sinkType: fields.sinkType, label: fields.label });
+    return node;
+  };
+
+  try {
+    addNode(address, { hop: 0, kind: 'program' });
+    const { transactions: programTransactions } = await getRecentTransactions(address, { limit, timeframe, prices: false });
+    const seeds = sources?.length
+      ? sources.map(id => ({ id, kind: 'source' }))
+      : await findSources(address, programTransactions);
+
+    let frontier = seeds.map(({ id, kind }) => {
+      addNode(id, { hop: 0, kind });
+      return { id, hop: 0, since: null };
+    });
+    const visited = new Set(frontier.map(entry => entry.id));
+
+    trace: while (frontier.length) {
+      const next = [];
+      for (const { id, hop, since } of frontier) {
+        if (signal?.aborted) {
+          truncated = true;
+          break trace;
+        }
+        onProgress?.({ hop, account: id, visited: visited.size });
+        const { transactions } = id === address
+          ? { transactions: programTransactions }
+          : await getRecentTransactions(id, { limit, timeframe, prices: false });
+        const outgoing = new Map();
+        transactions
+          .filter(tx => since === null || (tx.blockTime && tx.blockTime >= since))
+          .forEach(tx => outflowsOf(tx, id, minAmount).forEach(transfer => {
+            transfers.push({ ...transfer, hop: hop + 1 });
+            const bridge = bridgeOf(tx);
+            addNode(transfer.to, { hop: hop + 1, ...(bridge && { sinkType: 'bridge', label: bridge }) });
+            const seen = outgoing.get(transfer.to);
+            // The earliest arrival bounds which outflows of the recipient are followed.
+            outgoing.set(transfer.to, { amount: (seen?.amount || 0) + transfer.amount, since: Math.min(seen?.since ?? Infinity, transfer.timestamp ?? Infinity) });
+          }));
+
+        if (hop + 1 >= depth) continue;
+        const recipients = [...outgoing.entries()]
+          .filter(([to]) => nodes.get(to).kind !== 'sink' && !visited.has(to))
+          .sort((a, b) => b[1].amount - a[1].amount);
+        if (recipients.length > maxBranches) truncated = true;
+        recipients.slice(0, maxBranches).forEach(([to, { since: arrival }]) => {
+          visited.add(to);
+          next.push({ id: to, hop: hop + 1, since: Number.isFinite(arrival) ? arrival : null });
+        });
+      }
+      frontier = next;
+    }
+
+    const priceAt = prices ? await loadHistoricalPrices(transfers.map(({ mint, timestamp }) => ({ mint, timestamp }))) : () => null;
+    transfers.forEach(transfer => {
+      const key = `${transfer.from}|${transfer.to}|${transfer.mint}`;
+      if (!edges.has(key)) {
+        edges.set(key, { from: transfer.from, to: transfer.to, mint: transfer.mint, amount: 0, usd: 0, count: 0, firstSeen: null, lastSeen: null, hop: transfer.hop, signatures: [] });
+      }
+      const edge = edges.get(key);
+      const price = priceAt(transfer.mint, transfer.timestamp);
+      edge.amount += transfer.amount;
+      edge.usd = edge.usd === null || price === null ? null : edge.usd + transfer.amount * price;
+      edge.count++;
+      edge.hop = Math.min(edge.hop, transfer.hop);
+      const seenAt = transfer.timestamp ? new Date(transfer.timestamp * 1000).toISOString() : null;
+      if (seenAt && (!edge.firstSeen || seenAt < edge.firstSeen)) edge.firstSeen = seenAt;
+      if (seenAt && (!edge.lastSeen || seenAt > edge.lastSeen)) edge.lastSeen = seenAt;
+      if (!edge.signatures.includes(transfer.signature)) edge.signatures.push(transfer.signature);
+    });
+
+    const nodeList = [...nodes.values()];
+    return {
+      root: address,
+      depth,
+      nodes: nodeList,
+      edges: [...edges.values()].sort((a, b) => a.hop - b.hop || (b.usd ?? -1) - (a.usd ?? -1) || b.amount - a.amount),
+      sinks: nodeList.filter(node => node.kind === 'sink'),
+      truncated,
+    };
+  } catch (err) {
+    console.warn(chalk.yellow(`Fund flow tracing failed for ${address}: ${err.message}`));
+    return { root: address, depth, nodes: [...nodes.values()], edges: [], sinks: [], truncated };
+  }
+}
+
+/**
+ * Exports a fund-flow graph.
+ * @param {Object} graph - Result of traceFunds().
+ * @param {string} format - 'dot', 'graphml' or 'json'.
+ * @returns {Promise<string>} - Graph text.
+ * @throws {Error} - If the format is unsupported.
+ */
+export async function exportFlowGraph(graph, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(graph, null, 2);
+    case 'dot':
+      return visualizeGraph({
+        nodes: graph.nodes.map(node => ({ id: node.id, label: `${node.label}\n${node.sinkType || node.kind}` })),
+        edges: graph.edges.map(edge => ({ from: edge.from, to: edge.to, label: `${formatAmount(edge)}\n${(edge.firstSeen || '').slice(0, 10)}` })),
+      }, { name: 'FundFlow' });
+    case 'graphml':
+      return toGraphML(graph);
+    default:
+      throw new Error(`Unsupported graph format '${format}'. Use "dot", "graphml" or "json".`);
+  }
+}
+
+/**
+ * Formats the amount moved along an edge, e.g. "12.5000 SOL ($1830.20)".
+ * @param {Object} edge - Flow edge.
+ * @returns {string} - Amount text.
+ */
+export function formatAmount(edge) {
+  const token = edge.mint === 'SOL' ? 'SOL' : `${edge.mint.slice(0, 8)}...`;
+  return `${edge.amount.toFixed(4)} ${token}${edge.usd !== null && edge.usd !== undefined ? ` ($${edge.usd.toFixed(2)})` : ''}`;
+}
+
+/**
+ * Looks up a known sink (exchange, bridge or mixer wallet).
+ * @param {string} address - Account address.
+ * @returns {Object|null} - { name, type }, or null if unknown.
+ */
+export function knownSink(address) {
+  return KNOWN_SINKS[address] || null;
+}
+
+/**
+ * Finds where a program's funds are held: program-derived accounts that send funds in its
+ * transactions, and the upgrade authority.
+ * @param {string} address - Program address.
+ * @param {Array<Object>} transactions - The program's transactions.
+ * @returns {Promise<Array<Object>>} - { id, kind } with kind 'vault' or 'authority'.
+ */
+async function findSources(address, transactions) {
+  const vaults = new Set();
+  transactions.forEach(tx => (tx.balanceChanges || []).forEach(change => {
+    if (change.amount < 0 && change.owner !== address && isProgramDerived(change.owner)) vaults.add(change.owner);
+  }));
+  const authority = await fetchUpgradeAuthority(address).catch(err => {
+    console.warn(chalk.yellow(`Could not read the upgrade authority of ${address}: ${err.message}`));
+    return null;
+  });
+  return [
+    ...[...vaults].map(id => ({ id, kind: 'vault' })),
+    ...(authority && !vaults.has(authority) ? [{ id: authority, kind: 'authority' }] : []),
+  ];
+}
+
+/**
+ * Returns the transfers an account sent in a transaction.
+ * @param {Object} tx - Transaction with `balanceChanges`.
+ * @param {string} account - Sending account.
+ * @param {number} minAmount - Smallest transfer kept.
+ * @returns {Array<Object>} - { from, to, mint, amount, timestamp, signature }.
+ */
+function outflowsOf(tx, account, minAmount) {
+  return transfersOf(tx).filter(transfer => transfer.from === account && transfer.amount >= minAmount);
+}
+
+/**
+ * Returns the bridge a transaction invokes, if any.
+ * @param {Object} tx - Transaction with instructions and inner instructions.
+ * @returns {string|null} - Bridge name.
+ */
+function bridgeOf(tx) {
+  const programs = [...(tx.instructions || []), ...(tx.innerInstructions || []).flatMap(group => group.instructions)]
+    .map(ix => ix.programId?.toBase58?.() || String(ix.programId));
+  const bridge = programs.find(id => BRIDGE_PROGRAMS[id]);
+  return bridge ? BRIDGE_PROGRAMS[bridge] : null;
+}
+
+/**
+ * Checks whether an address is a program-derived address (off the ed25519 curve).
+ * @param {string} address - Account address.
+ * @returns {boolean} - True for PDAs.
+ */
+function isProgramDerived(address) {
+  try {
+    return !PublicKey.isOnCurve(new PublicKey(address).toBytes());
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Serializes a fund-flow graph as GraphML.
+ * @param {Object} graph - Result of traceFunds().
+ * @returns {string} - GraphML document.
+ */
+function toGraphML(graph) {
+  const xml = value => String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const data = (key, value) => (value === null || value === undefined ? '' : `<data key="${key}">${xml(value)}</data>`);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="kind" for="node" attr.name="kind" attr.type="string"/>',
+    '  <key id="sinkType" for="node" attr.name="sinkType" attr.type="string"/>',
+    '  <key id="hop" for="node" attr.name="hop" attr.type="int"/>',
+    '  <key id="mint" for="edge" attr.name="mint" attr.type="string"/>',
+    '  <key id="amount" for="edge" attr.name="amount" attr.type="double"/>',
+    '  <key id="usd" for="edge" attr.name="usd" attr.type="double"/>',
+    '  <key id="count" for="edge" attr.name="count" attr.type="int"/>',
+    '  <key id="firstSeen" for="edge" attr.name="firstSeen" attr.type="string"/>',
+    '  <key id="lastSeen" for="edge" attr.name="lastSeen" attr.type="string"/>',
+    `  <graph id="${xml(graph.root)}" edgedefault="directed">`,
+    ...graph.nodes.map(node => `    <node id="${xml(node.id)}">${data('label', node.label)}${data('kind', node.kind)}${data('sinkType', node.sinkType)}${data('hop', node.hop)}</node>`),
+    ...graph.edges.map((edge, i) => `    <edge id="e${i}" source="${xml(edge.from)}" target="${xml(edge.to)}">${data('mint', edge.mint)}${data('amount', edge.amount)}${data('usd', edge.usd)}${data('count', edge.count)}${data('firstSeen', edge.firstSeen)}${data('lastSeen', edge.lastSeen)}</edge>`),
+    '  </graph>',
+    '</graphml>',
+  ].join('\n');
+}
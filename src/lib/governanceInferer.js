@@ -1,5 +1,7 @@
 import chalk from 'chalk';
 
+const GOVERNANCE_PROGRAMS = ['GovER5Lthms3bLBqWub97yVrMmEogzX7xNjdXpPPCVZw', 'SMPLecHpvtyTWca6gwQLoCFN33w41rmatZTxM4W3fS7'];
+
 /**
  * Infers governance and trust mechanisms for a Solana program.
  *
@@ -18,7 +20,7 @@ export async function inferGovernance(authorityInsights, callGraph) {
     if (authorityInsights.length > 1) details.push('Multiple authorities detected');
     else details.push('Single authority detected');
 
-    if (callGraph.edges.some(edge => edge.action === 'governance')) {
+    if (callGraph.nodes.some(node => GOVERNANCE_PROGRAMS.includes(node))) {
       details.push('Voting interactions observed');
       trustScore += 10;
     }
@@ -2,28 +2,50 @@ import chalk from 'chalk';
 
 /**
  * Visualizes a Solana program’s call graph in DOT format.
+ * Nodes may be plain strings (account addresses) or { id, label } objects, and edges may carry
+ * their own `label` instead of `action`/`count`, which lets control-flow graphs reuse this renderer.
  *
  * @param {Object} callGraph - Call graph data with nodes and edges.
+ * @param {Object} options - Rendering options.
+ * @param {string} options.name - Graph name (default 'CallGraph').
+ * @param {string} options.rankdir - Graphviz rank direction (default 'LR').
  * @returns {Promise<string>} - DOT format string for Graphviz.
  */
-export async function visualizeGraph(callGraph) {
+export async function visualizeGraph(callGraph, options = {}) {
+  const { name = 'CallGraph', rankdir = 'LR' } = options;
   try {
     if (!callGraph?.nodes || !callGraph?.edges) throw new Error('Invalid call graph data');
 
-    const lines = ['digraph CallGraph {', '  rankdir=LR;', '  node [shape=box];'];
+    const lines = [`digraph ${name} {`, `  rankdir=${rankdir};`, '  node [shape=box];'];
 
     callGraph.nodes.forEach(node => {
-      lines.push(`  "${node}" [label="${node.slice(0, 8)}..."];`);
+      if (typeof node === 'string') {
+        lines.push(`  "${node}" [label="${node.slice(0, 8)}..."];`);
+      } else {
+        lines.push(`  "${node.id}" [label="${escapeLabel(node.label ?? node.id)}"];`);
+      }
     });
 
     callGraph.edges.forEach(edge => {
-      lines.push(`  "${edge.from}" -> "${edge.to}" [label="${edge.action} (${edge.count})"];`);
+      const label = edge.label ?? `${edge.action} (${edge.count})`;
+      lines.push(`  "${edge.from}" -> "${edge.to}" [label="${escapeLabel(label)}"];`);
     });
 
     lines.push('}');
     return lines.join('\n');
   } catch (err) {
     console.warn(chalk.yellow(`Call graph visualization failed: ${err.message}`));
-    return 'digraph CallGraph { }';
+    return `digraph ${name} { }`;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Escapes a DOT label; newlines become left-justified line breaks.
+ * @param {string} label - Raw label.
+ * @returns {string} - Escaped label.
+ */
+function escapeLabel(label) {
+  const text = String(label);
+  const escaped = text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\l');
+  return text.includes('\n') ? `${escaped}\\l` : escaped;
+}
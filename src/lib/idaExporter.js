@@ -1,4 +1,7 @@
 import chalk from 'chalk';
+import { describeCallTarget } from './disassembler.js';
+
+const MAX_ANNOTATED_INSTRUCTIONS = 20000;
 
 /**
  * Exports an IDA Pro Python script for analyzing a Solana program binary.
@@ -8,10 +11,13 @@ import chalk from 'chalk';
  * @param {Object} analysis - Binary analysis insights from analyzer.js, containing:
  *   - insights: Object with instructions, syscalls, suspectedType, reentrancyRisk,
  *              controlFlow, usesBorsh, hiddenMint, authorityHolders, address
+ * @param {Object} options - Export options.
+ * @param {Object} options.disassembly - Result of disassemble(); provides the addresses for
+ *   entry point, function, syscall, branch and instruction annotations.
  * @returns {Promise<string>} - IDA Pro Python script as a string.
  * @throws {Error} - If analysis insights are invalid.
  */
-export async function exportIdaScript(analysis) {
+export async function exportIdaScript(analysis, options = {}) {
   try {
     // Validate input
     if (!analysis?.insights || typeof analysis.insights !== 'object') {
@@ -26,6 +32,14 @@ export async function exportIdaScript(analysis) {
       }
     }
 
+    const instructions = options.disassembly?.instructions || [];
+    const entrypoint = options.disassembly?.entrypoint ?? 0;
+    const functions = Object.entries(options.disassembly?.functions || {}).map(([addr, name]) => [Number(addr), name]);
+    const syscallSites = instructions.filter(insn => insn.callTarget?.type === 'syscall' || insn.callTarget?.type === 'unresolved');
+    const branches = instructions.filter(insn => insn.target !== undefined && insn.mnemonic.startsWith('j') && insn.mnemonic !== 'ja');
+    const loops = instructions.filter(insn => insn.target !== undefined && insn.mnemonic.startsWith('j') && insn.target <= insn.address);
+    const annotated = instructions.slice(0, MAX_ANNOTATED_INSTRUCTIONS);
+
     // Initialize script with header and setup
     const scriptLines = [
       '# SolProof IDA Pro Script for Solana sBPF Analysis',
@@ -41,10 +55,10 @@ export async function exportIdaScript(analysis) {
       'setup_sBPF()',
       '',
       '# Binary Metadata',
-      `binary_size = ${insights.instructions * 8} # Estimated bytes`,
+      `binary_size = ${insights.binarySize ?? insights.instructions * 8}`,
       `instruction_count = ${insights.instructions}`,
       `program_type = "${insights.suspectedType}"`,
-      `syscalls = ${JSON.stringify(insights.syscalls)}`,
+      `syscalls = ${JSON.stringify(insights.syscalls.map(s => s.name))}`,
       `reentrancy_risk = "${insights.reentrancyRisk}"`,
       `branches = ${insights.controlFlow.branches}`,
       `loops = ${insights.controlFlow.loops}`,
@@ -55,68 +69,69 @@ export async function exportIdaScript(analysis) {
       'print(f"Control Flow: {branches} branches, {loops} loops")',
       '',
       '# Define entry point',
-      'add_entry(0x0, 0x0, "program_entry", True)',
-      'print("Defined program entry point at 0x0")',
+      `entry_addr = ${hexAddress(entrypoint)}`,
+      'add_entry(entry_addr, entry_addr, "entrypoint", True)',
+      'print(f"Defined program entry point at {hex(entry_addr)}")',
+      '',
+      '# Name functions recovered from the symbol tables',
+      `functions = ${toPythonPairs(functions.map(([addr, name]) => [hexAddress(addr), JSON.stringify(name)]))}`,
+      'for addr, name in functions:',
+      '    idc.set_name(addr, name, idc.SN_NOWARN)',
       '',
-      '# Annotate syscalls',
+      '# Annotate syscall call sites',
+      `syscall_sites = ${toPythonPairs(syscallSites.map(insn => [hexAddress(insn.address), JSON.stringify(insn.callTarget.name || describeCallTarget(insn.callTarget))]))}`,
       'def annotate_syscalls():',
-      '    for syscall in syscalls:',
-      '        print(f"Annotating syscall: {syscall}")',
-      '        # Placeholder addresses for syscalls (real analysis would map to binary offsets)',
-      '        syscall_addr = 0x100 if syscall == "sol_invoke" else \\',
-      '                      0x200 if syscall == "sol_verify_signature" else \\',
-      '                      0x300 if syscall == "sol_alloc_free" else 0x400',
-      '        idc.set_cmt(syscall_addr, f"Syscall: {syscall}", True)',
+      '    for addr, name in syscall_sites:',
+      '        idc.set_cmt(addr, f"Syscall: {name}", True)',
+      '    print(f"Annotated {len(syscall_sites)} syscall sites")',
       'annotate_syscalls()',
       '',
       '# Annotate control flow',
+      `branch_sites = [${branches.map(insn => hexAddress(insn.address)).join(', ')}]`,
+      `loop_sites = [${loops.map(insn => hexAddress(insn.address)).join(', ')}]`,
       'def annotate_control_flow():',
-      `    branch_count = ${insights.controlFlow.branches}`,
-      `    loop_count = ${insights.controlFlow.loops}`,
-      '    # Simplified: Assume branches and loops at regular intervals',
-      '    for i in range(branch_count):',
-      '        addr = 0x1000 + i * 0x100',
+      '    for addr in branch_sites:',
       '        idc.set_cmt(addr, "Control Flow: Branch", True)',
-      '    for i in range(loop_count):',
-      '        addr = 0x2000 + i * 0x100',
-      '        idc.set_cmt(addr, "Control Flow: Loop", True)',
-      '    print(f"Annotated {branch_count} branches and {loop_count} loops")',
+      '    for addr in loop_sites:',
+      '        idc.set_cmt(addr, "Control Flow: Loop back-edge", True)',
+      '    print(f"Annotated {len(branch_sites)} branches and {len(loop_sites)} loops")',
       'annotate_control_flow()',
       '',
-      '# Add instruction-level comments (simplified)',
+      '# Add instruction-level comments from the SolProof disassembly',
+      `instructions = ${toPythonPairs(annotated.map(insn => [hexAddress(insn.address), JSON.stringify(insn.operands ? `${insn.mnemonic} ${insn.operands}` : insn.mnemonic)]))}`,
       'def annotate_instructions():',
-      `    for i in range(min(${insights.instructions}, 100)): # Limit to 100 for performance`,
-      '        addr = i * 8',
-      '        idc.set_cmt(addr, f"Instruction {i}", True)',
-      '    print("Annotated instructions")',
+      '    for addr, text in instructions:',
+      '        idc.set_cmt(addr, text, False)',
+      '    print(f"Annotated {len(instructions)} instructions")',
       'annotate_instructions()',
       '',
       '# Highlight potential risks',
       'def highlight_risks():',
+      '    pass',
     ];
 
     // Add risk-specific comments
     if (insights.hiddenMint) {
       scriptLines.push(
-        '    idc.set_cmt(0x500, "Risk: Potential hidden mint detected", True)',
+        '    idc.set_cmt(entry_addr, "Risk: Potential hidden mint detected", True)',
         '    print("Warning: Hidden mint detected")'
       );
     }
     if (insights.reentrancyRisk === 'Moderate' || insights.reentrancyRisk === 'High') {
       scriptLines.push(
-        `    idc.set_cmt(0x600, "Risk: ${insights.reentrancyRisk} reentrancy risk", True)`,
+        `    idc.set_cmt(entry_addr, "Risk: ${insights.reentrancyRisk} reentrancy risk", True)`,
         `    print("Warning: ${insights.reentrancyRisk} reentrancy risk detected")`
       );
     }
     if (insights.usesBorsh) {
       scriptLines.push(
-        '    idc.set_cmt(0x700, "Note: Borsh serialization detected", True)',
+        '    idc.set_cmt(entry_addr, "Note: Borsh serialization detected", True)',
         '    print("Note: Borsh serialization detected")'
       );
     }
     if (insights.authorityHolders.length === 1) {
       scriptLines.push(
-        '    idc.set_cmt(0x800, "Risk: Single authority detected", True)',
+        '    idc.set_cmt(entry_addr, "Risk: Single authority detected", True)',
         '    print("Warning: Single authority detected")'
       );
     }
@@ -125,7 +140,7 @@ export async function exportIdaScript(analysis) {
       'highlight_risks()',
       '',
       '# Finalize analysis',
-      'print("SolProof IDA Pro analysis complete for program: ' + program_type + '")'
+      'print(f"SolProof IDA Pro analysis complete for program: {program_type}")'
     );
 
     return scriptLines.join('\n');
@@ -137,4 +152,22 @@ export async function exportIdaScript(analysis) {
       `print("Error: ${err.message}")`,
     ].join('\n');
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Formats an address as a Python hex literal.
+ * @param {number} address - Address.
+ * @returns {string} - e.g. '0x120'.
+ */
+function hexAddress(address) {
+  return `0x${address.toString(16)}`;
+}
+
+/**
+ * Formats [address, value] pairs as a Python list of tuples.
+ * @param {Array<Array<string>>} pairs - Pre-formatted Python literals.
+ * @returns {string} - Python list literal.
+ */
+function toPythonPairs(pairs) {
+  return `[${pairs.map(([a, b]) => `(${a}, ${b})`).join(', ')}]`;
+}
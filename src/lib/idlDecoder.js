@@ -0,0 +1,284 @@
+import bs58 from 'bs58';
+import { idlInstructionDiscriminator, anchorAccountDiscriminator } from './anchor.js';
+
+/**
+ * Decodes program instructions and accounts against an Anchor IDL (legacy or 0.30+ format, or the
+ * bytecode-derived IDL from generateIDL): discriminator -> instruction name, Borsh-encoded args
+ * and named accounts.
+ */
+
+const DISCRIMINATOR_SIZE = 8;
+
+/**
+ * Builds a decoder for one program's instructions.
+ *
+ * @param {Object} idl - Anchor IDL.
+ * @returns {Function} - decode(ix) returning { name, args, accounts } or null if the data does not match the IDL.
+ */
+export function createInstructionDecoder(idl) {
+  const types = new Map((idl.types || []).map(type => [type.name, type]));
+  const byDiscriminator = new Map((idl.instructions || []).map(ix => [idlInstructionDiscriminator(ix), ix]));
+
+  return ix => {
+    const data = instructionData(ix);
+    if (!data || data.length < DISCRIMINATOR_SIZE) return null;
+    const definition = byDiscriminator.get(data.subarray(0, DISCRIMINATOR_SIZE).toString('hex'));
+    if (!definition) return null;
+
+    const decoded = { name: definition.name, args: {}, accounts: nameAccounts(definition.accounts || [], ix.accounts || []) };
+    try {
+      const reader = { data, offset: DISCRIMINATOR_SIZE };
+      (definition.args || []).forEach(arg => {
+        decoded.args[arg.name] = readType(reader, arg.type, types);
+      });
+    } catch (err) {
+      decoded.argsError = err.message;
+    }
+    return decoded;
+  };
+}
+
+/**
+ * Builds a decoder for one program's accounts. Legacy IDLs carry the struct in `accounts`, 0.30+
+ * IDLs list the discriminator there and the struct under `types`.
+ *
+ * @param {Object} idl - Anchor IDL.
+ * @returns {Function} - decode(data) returning { name, discriminator, fields[{ name, type, offset, size, value }] } or null.
+ */
+export function createAccountDecoder(idl) {
+  const types = new Map((idl.types || []).map(type => [type.name, type]));
+  const byDiscriminator = new Map((idl.accounts || []).map(account => [accountDiscriminator(account), account]));
+
+  return data => {
+    if (!data || data.length < DISCRIMINATOR_SIZE) return null;
+    const discriminator = data.subarray(0, DISCRIMINATOR_SIZE).toString('hex');
+    const account = byDiscriminator.get(discriminator);
+    if (!account) return null;
+
+    const definition = account.type || types.get(account.name)?.type;
+    const decoded = { name: account.name, discriminator, fields: [] };
+    if (definition?.kind !== 'struct') return decoded;
+    try {
+      const reader = { data, offset: DISCRIMINATOR_SIZE };
+      (definition.fields || []).forEach((field, i) => {
+        const offset = reader.offset;
+        const value = readType(reader, field.type ?? field, types);
+        decoded.fields.push({ name: field.name ?? String(i), type: field.type ?? field, offset, size: reader.offset - offset, value });
+      });
+    } catch (err) {
+      decoded.fieldsError = err.message;
+    }
+    return decoded;
+  };
+}
+
+/**
+ * Lists the account types of an IDL with their discriminators.
+ * @param {Object} idl - Anchor IDL.
+ * @returns {Array<Object>} - { name, discriminator } with the discriminator as hex.
+ */
+export function accountDiscriminators(idl) {
+  return (idl.accounts || []).map(account => ({ name: account.name, discriminator: accountDiscriminator(account) }));
+}
+
+/**
+ * Decodes every instruction (top-level and inner) that targets the program, storing the result in
+ * `ix.decoded`. Safe to call repeatedly on the same transactions.
+ *
+ * @param {Array<Object>} transactions - Transactions from getRecentTransactions.
+ * @param {string} programId - Program address.
+ * @param {Object} idl - Anchor IDL.
+ * @returns {Array<Object>} - The same transactions.
+ */
+export function decodeTransactions(transactions, programId, idl) {
+  const decode = createInstructionDecoder(idl);
+  const targetsProgram = ix => (ix.programId?.toBase58?.() || ix.programId) === programId;
+  transactions.forEach(tx => {
+    const inner = (tx.innerInstructions || []).flatMap(group => group.instructions);
+    [...tx.instructions, ...inner].filter(targetsProgram).forEach(ix => {
+      ix.decoded = decode(ix);
+    });
+  });
+  return transactions;
+}
+
+/**
+ * Returns a display name for an instruction: IDL-decoded name, then the RPC-parsed type.
+ * @param {Object} ix - Instruction.
+ * @returns {string} - Instruction name or 'unknown'.
+ */
+export function instructionName(ix) {
+  return ix.decoded?.name || ix.parsed?.type || 'unknown';
+}
+
+/**
+ * Returns a grouping label for an instruction: its name, otherwise its first 8 data bytes as hex
+ * (the Anchor discriminator), so undecoded instructions of one type still group together.
+ * @param {Object} ix - Instruction.
+ * @returns {string} - Instruction label.
+ */
+export function instructionLabel(ix) {
+  const name = instructionName(ix);
+  if (name !== 'unknown') return name;
+  const data = instructionData(ix);
+  return data?.length ? `0x${data.subarray(0, DISCRIMINATOR_SIZE).toString('hex')}` : 'unknown';
+}
+
+/**
+ * Returns the 8-byte discriminator of an IDL account as hex.
+ * @param {Object} account - IDL account.
+ * @returns {string} - Hex discriminator.
+ */
+function accountDiscriminator(account) {
+  if (Array.isArray(account.discriminator)) return Buffer.from(account.discriminator).toString('hex');
+  return anchorAccountDiscriminator(account.name).toString('hex');
+}
+
+/**
+ * Extracts raw instruction data (base58 in parsed RPC responses).
+ * @param {Object} ix - Instruction.
+ * @returns {Buffer|null} - Instruction data.
+ */
+export function instructionData(ix) {
+  if (Buffer.isBuffer(ix.data)) return ix.data;
+  if (typeof ix.data !== 'string') return null;
+  try {
+    return Buffer.from(bs58.decode(ix.data));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Maps instruction account keys to the IDL account names, flattening nested account groups.
+ * Keys past the IDL list are reported as remaining accounts.
+ * @param {Array<Object>} definitions - IDL accounts.
+ * @param {Array<Object>} keys - Instruction account keys.
+ * @returns {Array<Object>} - { name, pubkey, writable, signer }.
+ */
+function nameAccounts(definitions, keys) {
+  const flat = [];
+  const flatten = (items, prefix) => items.forEach(item => {
+    if (Array.isArray(item.accounts)) flatten(item.accounts, `${prefix}${item.name}.`);
+    else flat.push({ ...item, name: `${prefix}${item.name}` });
+  });
+  flatten(definitions, '');
+
+  return keys.map((key, i) => ({
+    name: flat[i]?.name || `remaining${i - flat.length}`,
+    pubkey: key?.toBase58?.() || String(key),
+    writable: Boolean(flat[i]?.writable ?? flat[i]?.isMut),
+    signer: Boolean(flat[i]?.signer ?? flat[i]?.isSigner),
+  }));
+}
+
+/**
+ * Reads one Borsh value of the given IDL type.
+ * @param {Object} reader - { data, offset } cursor.
+ * @param {string|Object} type - IDL type.
+ * @param {Map<string, Object>} types - Type definitions from the IDL.
+ * @returns {*} - Decoded value (64-bit and larger integers as strings).
+ * @throws {Error} - If the data ends early or a type is unknown.
+ */
+function readType(reader, type, types) {
+  if (typeof type === 'string') return readPrimitive(reader, type);
+  if (type.option || type.coption) {
+    const tag = type.option ? take(reader, 1).readUInt8(0) : take(reader, 4).readUInt32LE(0);
+    return tag ? readType(reader, type.option || type.coption, types) : null;
+  }
+  if (type.vec) {
+    const length = take(reader, 4).readUInt32LE(0);
+    return Array.from({ length }, () => readType(reader, type.vec, types));
+  }
+  if (type.array) {
+    const [inner, length] = type.array;
+    return Array.from({ length }, () => readType(reader, inner, types));
+  }
+  if (type.defined) {
+    const name = typeof type.defined === 'string' ? type.defined : type.defined.name;
+    const definition = types.get(name);
+    if (!definition) throw new Error(`Unknown IDL type ${name}`);
+    return readDefined(reader, definition.type, types);
+  }
+  throw new Error(`Unsupported IDL type ${JSON.stringify(type)}`);
+}
+
+/**
+ * Reads a struct or enum from its IDL definition.
+ * @param {Object} reader - { data, offset } cursor.
+ * @param {Object} definition - IDL type body ({ kind, fields } or { kind, variants }).
+ * @param {Map<string, Object>} types - Type definitions from the IDL.
+ * @returns {Object|Array} - Decoded struct fields, tuple, or { variant, fields }.
+ */
+function readDefined(reader, definition, types) {
+  if (definition.kind === 'struct') return readFields(reader, definition.fields || [], types);
+  if (definition.kind === 'enum') {
+    const index = take(reader, 1).readUInt8(0);
+    const variant = definition.variants[index];
+    if (!variant) throw new Error(`Invalid enum variant ${index}`);
+    return variant.fields ? { variant: variant.name, fields: readFields(reader, variant.fields, types) } : { variant: variant.name };
+  }
+  if (definition.kind === 'type') return readType(reader, definition.alias, types);
+  throw new Error(`Unsupported IDL type kind ${definition.kind}`);
+}
+
+/**
+ * Reads named (object) or tuple (array) fields.
+ * @param {Object} reader - { data, offset } cursor.
+ * @param {Array} fields - IDL fields.
+ * @param {Map<string, Object>} types - Type definitions from the IDL.
+ * @returns {Object|Array} - Decoded fields.
+ */
+function readFields(reader, fields, types) {
+  if (fields.every(field => typeof field === 'object' && 'name' in field)) {
+    return Object.fromEntries(fields.map(field => [field.name, readType(reader, field.type, types)]));
+  }
+  return fields.map(field => readType(reader, field.type ?? field, types));
+}
+
+/**
+ * Reads a primitive Borsh value.
+ * @param {Object} reader - { data, offset } cursor.
+ * @param {string} type - Primitive IDL type name.
+ * @returns {*} - Decoded value.
+ */
+function readPrimitive(reader, type) {
+  switch (type) {
+    case 'bool': return take(reader, 1).readUInt8(0) !== 0;
+    case 'u8': return take(reader, 1).readUInt8(0);
+    case 'i8': return take(reader, 1).readInt8(0);
+    case 'u16': return take(reader, 2).readUInt16LE(0);
+    case 'i16': return take(reader, 2).readInt16LE(0);
+    case 'u32': return take(reader, 4).readUInt32LE(0);
+    case 'i32': return take(reader, 4).readInt32LE(0);
+    case 'f32': return take(reader, 4).readFloatLE(0);
+    case 'f64': return take(reader, 8).readDoubleLE(0);
+    case 'u64': return take(reader, 8).readBigUInt64LE(0).toString();
+    case 'i64': return take(reader, 8).readBigInt64LE(0).toString();
+    case 'u128':
+    case 'i128': {
+      const bytes = take(reader, 16);
+      const value = (bytes.readBigUInt64LE(8) << 64n) | bytes.readBigUInt64LE(0);
+      return (type === 'i128' ? BigInt.asIntN(128, value) : value).toString();
+    }
+    case 'string': return take(reader, take(reader, 4).readUInt32LE(0)).toString('utf8');
+    case 'bytes': return take(reader, take(reader, 4).readUInt32LE(0)).toString('hex');
+    case 'publicKey':
+    case 'pubkey': return bs58.encode(take(reader, 32));
+    default: throw new Error(`Unsupported IDL type ${type}`);
+  }
+}
+
+/**
+ * Consumes bytes from the reader.
+ * @param {Object} reader - { data, offset } cursor.
+ * @param {number} size - Number of bytes.
+ * @returns {Buffer} - The bytes.
+ * @throws {Error} - If the data ends early.
+ */
+function take(reader, size) {
+  if (reader.offset + size > reader.data.length) throw new Error('Instruction data ended early');
+  const bytes = reader.data.subarray(reader.offset, reader.offset + size);
+  reader.offset += size;
+  return bytes;
+}
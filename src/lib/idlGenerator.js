@@ -1,18 +1,58 @@
 import chalk from 'chalk';
+import { fetchOnChainIdl, compareIdlWithBinary } from './onChainIdl.js';
 
 /**
  * Generates an IDL for a Solana program based on analysis and transaction data.
+ * An IDL published on-chain by the program is preferred (source 'on-chain'). Otherwise Anchor
+ * programs get their instructions from the dispatcher table recovered by analyzeBinary
+ * (name, discriminator, handler), and other programs fall back to transaction-derived placeholders.
  *
  * @param {Object} analysis - Binary analysis insights.
  * @param {Object} transactionData - Transaction data.
+ * @param {Object} options - Generation options.
+ * @param {Object|null} options.onChainIdl - Result of fetchOnChainIdl, to skip the lookup (null means none published).
  * @returns {Promise<Object>} - Generated IDL.
  */
-export async function generateIDL(analysis, transactionData) {
+export async function generateIDL(analysis, transactionData, options = {}) {
   try {
     if (!analysis?.insights || !transactionData?.transactions) {
       throw new Error('Invalid input data for IDL generation');
     }
 
+    const published = options.onChainIdl !== undefined
+      ? options.onChainIdl
+      : await fetchOnChainIdl(analysis.insights.address).catch(() => null);
+    if (published) {
+      const staleness = compareIdlWithBinary(published.idl, analysis.insights.anchor);
+      return {
+        ...published.idl,
+        source: 'on-chain',
+        onChain: {
+          idlAddress: published.idlAddress,
+          authority: published.authority,
+          dataLength: published.dataLength,
+          ...staleness,
+        },
+      };
+    }
+
+    const anchorInstructions = analysis.insights.anchor?.instructions || [];
+    if (anchorInstructions.length > 0) {
+      return {
+        version: '0.1.0',
+        name: analysis.insights.suspectedType || 'unknown',
+        source: 'bytecode',
+        instructions: anchorInstructions.map(ix => ({
+          name: ix.name || `unknown_${ix.discriminator}`,
+          discriminator: [...Buffer.from(ix.discriminator, 'hex')],
+          accounts: [],
+          args: [],
+          handler: ix.handler,
+          recovered: ix.name ? 'named' : 'discriminator-only',
+        })),
+      };
+    }
+
     const instructions = transactionData.transactions.map((tx, index) => ({
       name: tx.type === 'governance' ? `governanceInstruction${index}` : `instruction${index}`,
       args: tx.instructions.map((ix, i) => ({
@@ -25,10 +65,26 @@ export async function generateIDL(analysis, transactionData) {
     return {
       version: '0.1.0',
       name: analysis.insights.suspectedType || 'unknown',
+      source: 'transactions',
       instructions: instructions.slice(0, 5),
     };
   } catch (err) {
     console.warn(chalk.yellow(`IDL generation failed: ${err.message}`));
     return { version: '0.1.0', name: 'unknown', instructions: [] };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Renders an IDL type (string or nested object such as { vec: 'u8' } or { defined: { name } }) for display.
+ * @param {string|Object} type - IDL type.
+ * @returns {string} - Readable type.
+ */
+export function formatIdlType(type) {
+  if (typeof type === 'string') return type;
+  if (!type || typeof type !== 'object') return 'unknown';
+  if (type.defined) return typeof type.defined === 'string' ? type.defined : type.defined.name;
+  if (type.vec) return `Vec<${formatIdlType(type.vec)}>`;
+  if (type.option) return `Option<${formatIdlType(type.option)}>`;
+  if (type.array) return `[${formatIdlType(type.array[0])}; ${type.array[1]}]`;
+  return JSON.stringify(type);
+}
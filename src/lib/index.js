@@ -1,47 +1,161 @@
-import { getRecentTransactions, getTokenMetadata, analyzeFees } from './transactions.js';
+import { getRecentTransactions, fetchParsedTransaction, getTokenMetadata, analyzeFees } from './transactions.js';
+import { getConnection, getEndpoints, hasConfiguredEndpoint, checkEndpoint, checkEndpoints, rpcRequest, getEnhancedApi, redactEndpoint } from './provider.js';
+import { getCluster, setCluster, withCluster, normalizeCluster, normalizeRequestCluster, getDefaultCluster, loadConfig, saveConfig, CONFIG_PATH } from './config.js';
+import { solscanUrl, explorerUrl } from './utils.js';
+import { CACHE_DIR, cacheGet, cacheSet, cacheStats, purgeCache, getBlob, putBlob, contentHash, setCacheEnabled, isCacheEnabled } from './diskCache.js';
+import { startRecording, stopRecording, fixtureFetch, replayFixtures, startFixtureServer, loadFixtures, fixtureKey, useReplayServer, getReplayUrl } from './fixtures.js';
 import { inferBehavior } from './ai.js';
-import { fetchProgramBinary } from './fetcher.js';
+import { clusterWallets } from './walletClustering.js';
+import { detectMev, isAmm } from './mevDetector.js';
+import { fetchProgramBinary, fetchUpgradeAuthority, loadProgramFile } from './fetcher.js';
+import { crawlTransactions, checkCrawlBounds, parseTimeframe, formatWindow } from './crawler.js';
+import { computeBalanceChanges, solVolume, aggregateBalanceFlows, transfersOf } from './balanceFlows.js';
+import { detectWashTrading } from './washTrading.js';
+import { resolveAccountKeys, instructionAccounts, instructionProgramId, analyzeLookupTables } from './lookupTables.js';
+import { profileCompute, decodeComputeBudget } from './computeProfiler.js';
+import { getHistoricalPrice, loadHistoricalPrices, SOL_MINT } from './prices.js';
 import { analyzeBinary } from './analyzer.js';
+import { disassemble, formatDisassembly } from './disassembler.js';
+import { isElf } from './elf.js';
+import { recoverControlFlow, findFunction, functionToGraph } from './controlFlow.js';
 import { assessSafety } from './safetyAssessor.js';
 import { assessRisks } from './riskAssessor.js';
-import { generateIDL } from './idlGenerator.js';
-import { reconstructCallGraph } from './callGraph.js';
+import { generateIDL, formatIdlType } from './idlGenerator.js';
+import { fetchOnChainIdl, findIdlAddress } from './onChainIdl.js';
+import { createInstructionDecoder, createAccountDecoder, decodeTransactions, instructionName, instructionLabel } from './idlDecoder.js';
+import { reconstructCallGraph, buildCpiTrees, formatCpiTree, programName } from './callGraph.js';
 import { analyzeAuthorityHolders } from './authorityAnalyzer.js';
 import { scanVulnerabilities } from './vulnerabilityScanner.js';
 import { startMonitoring } from './monitor.js';
-import { extractState } from './stateExtractor.js';
+import { extractState, extractStateLayouts } from './stateExtractor.js';
+import { inferAccountLayouts, layoutsToCsv } from './layoutInference.js';
+import { scanProgramAccounts, countProgramAccounts, listAccountTypes, fetchAccountBatches } from './accountScanner.js';
 import { inferGovernance } from './governanceInferer.js';
 import { analyzeUpdateHistory } from './updateAnalyzer.js';
 import { quickCheck } from './quickCheck.js';
 import { generateAuditReport } from './auditReport.js';
 import { deepDiveAnalysis } from './deepDive.js';
+import { analyzeErrors, nameErrorCode } from './errorAnalyzer.js';
 import { predictRisk } from './riskPredictor.js';
 import { traceInteractions } from './interactionTracer.js';
+import { traceFunds, exportFlowGraph, formatAmount, knownSink } from './fundFlowTracer.js';
 import { exportIdaScript } from './idaExporter.js';
 import { visualizeGraph } from './graphVisualizer.js';
 
 export {
   getRecentTransactions,
+  fetchParsedTransaction,
+  crawlTransactions,
+  checkCrawlBounds,
+  parseTimeframe,
+  formatWindow,
+  computeBalanceChanges,
+  solVolume,
+  aggregateBalanceFlows,
+  transfersOf,
+  detectWashTrading,
+  resolveAccountKeys,
+  instructionAccounts,
+  instructionProgramId,
+  analyzeLookupTables,
+  getHistoricalPrice,
+  loadHistoricalPrices,
+  SOL_MINT,
   getTokenMetadata,
   analyzeFees,
+  profileCompute,
+  decodeComputeBudget,
+  getConnection,
+  getEndpoints,
+  hasConfiguredEndpoint,
+  checkEndpoint,
+  checkEndpoints,
+  rpcRequest,
+  getEnhancedApi,
+  redactEndpoint,
+  getCluster,
+  setCluster,
+  withCluster,
+  normalizeCluster,
+  normalizeRequestCluster,
+  getDefaultCluster,
+  loadConfig,
+  saveConfig,
+  CONFIG_PATH,
+  solscanUrl,
+  explorerUrl,
+  CACHE_DIR,
+  cacheGet,
+  cacheSet,
+  cacheStats,
+  purgeCache,
+  getBlob,
+  putBlob,
+  contentHash,
+  setCacheEnabled,
+  isCacheEnabled,
+  startRecording,
+  stopRecording,
+  fixtureFetch,
+  replayFixtures,
+  startFixtureServer,
+  loadFixtures,
+  fixtureKey,
+  useReplayServer,
+  getReplayUrl,
   inferBehavior,
+  clusterWallets,
+  detectMev,
+  isAmm,
   fetchProgramBinary,
+  fetchUpgradeAuthority,
+  loadProgramFile,
   analyzeBinary,
+  disassemble,
+  formatDisassembly,
+  isElf,
+  recoverControlFlow,
+  findFunction,
+  functionToGraph,
   assessSafety,
   assessRisks,
   generateIDL,
+  formatIdlType,
+  fetchOnChainIdl,
+  findIdlAddress,
+  createInstructionDecoder,
+  createAccountDecoder,
+  decodeTransactions,
+  instructionName,
+  instructionLabel,
   reconstructCallGraph,
+  buildCpiTrees,
+  formatCpiTree,
+  programName,
   analyzeAuthorityHolders,
   scanVulnerabilities,
   startMonitoring,
   extractState,
+  extractStateLayouts,
+  inferAccountLayouts,
+  layoutsToCsv,
+  scanProgramAccounts,
+  countProgramAccounts,
+  listAccountTypes,
+  fetchAccountBatches,
   inferGovernance,
   analyzeUpdateHistory,
   quickCheck,
   generateAuditReport,
   deepDiveAnalysis,
+  analyzeErrors,
+  nameErrorCode,
   predictRisk,
   traceInteractions,
+  traceFunds,
+  exportFlowGraph,
+  formatAmount,
+  knownSink,
   exportIdaScript,
   visualizeGraph,
 };
\ No newline at end of file
@@ -1,30 +1,43 @@
-import { Connection, PublicKey } from '@solana/web3.js';
 import chalk from 'chalk';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { getRecentTransactions } from './transactions.js';
+import { instructionName } from './idlDecoder.js';
+import { resolveAccountKeys, instructionProgramId } from './lookupTables.js';
 
 /**
- * Traces user interactions with a Solana program.
+ * Traces user interactions with a Solana program: one entry per instruction that targets the
+ * program, named from the IDL when one is supplied.
  *
  * @param {string} address - Program address.
+ * @param {Object} options - Tracing options.
+ * @param {number} options.limit - Number of transactions to inspect (default: 10).
+ * @param {Object} options.idl - IDL used to decode instruction names, args and accounts.
  * @returns {Promise<Array>} - List of interactions.
  */
-export async function traceInteractions(address) {
-  const apiKey = process.env.HELIUS_API_KEY;
-  if (!apiKey) throw new Error('HELIUS_API_KEY not set in .env');
-
+export async function traceInteractions(address, options = {}) {
+  const { limit = 10, idl } = options;
   try {
-    const connection = new Connection(`https://mainnet.helius-rpc.com/?api-key=${apiKey}`, 'confirmed');
-    const txs = await connection.getSignaturesForAddress(new PublicKey(address), { limit: 10 });
+    const { transactions } = await getRecentTransactions(address, { limit, idl });
 
-    return txs.map(tx => ({
-      caller: tx.signature.slice(0, 8) + '...',
-      instructionData: tx.memo || 'unknown',
-      timestamp: tx.blockTime * 1000,
-    }));
+    return transactions.flatMap(tx => {
+      const keys = resolveAccountKeys(tx.details);
+      const feePayer = keys[0]?.pubkey || null;
+      const inner = (tx.innerInstructions || []).flatMap(group => group.instructions);
+      return [...tx.instructions, ...inner]
+        .filter(ix => instructionProgramId(ix, keys) === address)
+        .map(ix => ({
+          signature: tx.signature,
+          caller: feePayer,
+          action: instructionName(ix),
+          viaCpi: !tx.instructions.includes(ix),
+          args: ix.decoded?.args || null,
+          accounts: ix.decoded?.accounts || [],
+          instructionData: ix.data || 'unknown',
+          volume: tx.meta?.volumeSOL || 0,
+          timestamp: tx.blockTime * 1000,
+        }));
+    });
   } catch (err) {
     console.warn(chalk.yellow(`Interaction tracing failed for ${address}: ${err.message}`));
     return [];
   }
-}
\ No newline at end of file
+}
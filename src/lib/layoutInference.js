@@ -0,0 +1,270 @@
+import bs58 from 'bs58';
+import { createAccountDecoder } from './idlDecoder.js';
+import { formatIdlType } from './idlGenerator.js';
+
+/**
+ * Account layout inference: groups program accounts by discriminator and size, then recovers the
+ * fixed-width fields that differ between accounts (pubkeys, u64 amounts, i64 timestamps, bool/u8
+ * flags). Groups whose discriminator is listed in the IDL are decoded from the IDL instead.
+ */
+
+const DISCRIMINATOR_SIZE = 8;
+const PUBKEY_SIZE = 32;
+const MAX_SAMPLES = 200;
+// i64 values between 2020-01-01 and 2050-01-01 are read as unix timestamps.
+const MIN_TIMESTAMP = 1577836800n;
+const MAX_TIMESTAMP = 2524608000n;
+const MAX_ENUM_VALUE = 32;
+// A real pubkey has on average 1/8 zero bytes; windows with more are not worth looking up.
+const MAX_PUBKEY_ZERO_BYTES = 3;
+const MAX_CANDIDATES_PER_GROUP = 500;
+
+/**
+ * Infers a schema per account type.
+ *
+ * @param {Array<Object>} accounts - { pubkey, lamports, data } with data as a Buffer.
+ * @param {Object} options - Inference options.
+ * @param {Object} options.idl - Anchor IDL used to name and decode matching account types.
+ * @param {Set<string>} options.knownAccounts - Addresses a 32-byte field may point to (program accounts, existing accounts).
+ * @param {number} options.sampleRows - Decoded rows to keep per account type (default: 10).
+ * @returns {Array<Object>} - { name, discriminator, size, count, source, fields, samples } per account type.
+ */
+export function inferAccountLayouts(accounts, options = {}) {
+  const { idl, knownAccounts = new Set(), sampleRows = 10 } = options;
+  const decodeAccount = idl ? createAccountDecoder(idl) : () => null;
+
+  return groupAccounts(accounts, decodeAccount).map(group => {
+    const decoded = decodeAccount(group.accounts[0].data);
+    const layout = decoded && !decoded.fieldsError
+      ? idlLayout(group, decoded, decodeAccount)
+      : inferredLayout(group, knownAccounts);
+    layout.samples = group.accounts.slice(0, sampleRows).map(account => ({
+      account: account.pubkey,
+      lamports: account.lamports,
+      values: layout.decodeRow(account.data),
+    }));
+    delete layout.decodeRow;
+    return layout;
+  });
+}
+
+/**
+ * Lists the 32-byte windows worth checking as account addresses, one sample per account type.
+ * @param {Array<Object>} accounts - { pubkey, lamports, data } with data as a Buffer.
+ * @returns {Array<string>} - Unique base58 candidates.
+ */
+export function pubkeyCandidates(accounts) {
+  const candidates = new Set();
+  groupAccounts(accounts, () => null).forEach(group => {
+    const { data } = group.accounts[0];
+    let found = 0;
+    for (let offset = group.fieldStart; offset + PUBKEY_SIZE <= data.length && found < MAX_CANDIDATES_PER_GROUP; offset++) {
+      const window = data.subarray(offset, offset + PUBKEY_SIZE);
+      if (window.filter(byte => byte === 0).length > MAX_PUBKEY_ZERO_BYTES) continue;
+      candidates.add(bs58.encode(window));
+      found++;
+    }
+  });
+  return [...candidates];
+}
+
+/**
+ * Flattens layouts into CSV, one row per sampled field value.
+ * @param {Array<Object>} layouts - Result of inferAccountLayouts().
+ * @returns {string} - CSV with account_type, account, lamports, field, offset, type, value columns.
+ */
+export function layoutsToCsv(layouts) {
+  const rows = [['account_type', 'account', 'lamports', 'field', 'offset', 'type', 'value']];
+  layouts.forEach(layout => {
+    layout.samples.forEach(sample => {
+      layout.fields.filter(field => field.type !== 'padding').forEach(field => {
+        const value = sample.values[field.name];
+        rows.push([layout.name, sample.account, sample.lamports, field.name, field.offset, field.type, typeof value === 'object' && value !== null ? JSON.stringify(value) : value]);
+      });
+    });
+  });
+  return rows.map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+/**
+ * Groups accounts by size and, where the first eight bytes repeat like a discriminator, by those
+ * bytes. Size buckets whose prefixes are mostly unique are treated as undiscriminated.
+ * @param {Array<Object>} accounts - Program accounts.
+ * @param {Function} decodeAccount - IDL account decoder.
+ * @returns {Array<Object>} - { discriminator, size, fieldStart, accounts }, largest groups first.
+ */
+function groupAccounts(accounts, decodeAccount) {
+  const bySize = new Map();
+  accounts.forEach(account => {
+    if (!bySize.has(account.data.length)) bySize.set(account.data.length, []);
+    bySize.get(account.data.length).push(account);
+  });
+
+  const groups = [];
+  bySize.forEach((sized, size) => {
+    const prefixes = new Map();
+    sized.forEach(account => {
+      const prefix = size >= DISCRIMINATOR_SIZE ? account.data.subarray(0, DISCRIMINATOR_SIZE).toString('hex') : '';
+      if (!prefixes.has(prefix)) prefixes.set(prefix, []);
+      prefixes.get(prefix).push(account);
+    });
+    const discriminated = size >= DISCRIMINATOR_SIZE && (prefixes.size <= Math.max(1, sized.length / 2) || sized.some(account => decodeAccount(account.data)));
+    if (discriminated) {
+      prefixes.forEach((members, discriminator) => groups.push({ discriminator, size, fieldStart: DISCRIMINATOR_SIZE, accounts: members }));
+    } else {
+      groups.push({ discriminator: null, size, fieldStart: 0, accounts: sized });
+    }
+  });
+  return groups.sort((a, b) => b.accounts.length - a.accounts.length);
+}
+
+/**
+ * Builds the layout of an account type listed in the IDL.
+ * @param {Object} group - Account group.
+ * @param {Object} decoded - First sample decoded with the IDL.
+ * @param {Function} decodeAccount - IDL account decoder.
+ * @returns {Object} - Layout with a decodeRow(data) helper.
+ */
+function idlLayout(group, decoded, decodeAccount) {
+  const rows = group.accounts.slice(0, MAX_SAMPLES).map(account => decodeAccount(account.data)?.fields || []);
+  return {
+    name: decoded.name,
+    discriminator: group.discriminator,
+    size: group.size,
+    count: group.accounts.length,
+    source: 'idl',
+    fields: decoded.fields.map((field, i) => ({
+      name: field.name,
+      offset: field.offset,
+      size: field.size,
+      type: formatIdlType(field.type),
+      varies: new Set(rows.map(row => JSON.stringify(row[i]?.value))).size > 1,
+    })),
+    decodeRow: data => Object.fromEntries((decodeAccount(data)?.fields || []).map(field => [field.name, field.value])),
+  };
+}
+
+/**
+ * Infers the fields of an account type by scanning its samples left to right, preferring the
+ * widest type every sample agrees on.
+ * @param {Object} group - Account group.
+ * @param {Set<string>} knownAccounts - Addresses a pubkey field may hold.
+ * @returns {Object} - Layout with a decodeRow(data) helper.
+ */
+function inferredLayout(group, knownAccounts) {
+  const samples = group.accounts.slice(0, MAX_SAMPLES).map(account => account.data);
+  const slices = (offset, size) => samples.map(data => data.subarray(offset, offset + size));
+  const fits = (offset, size) => offset + size <= group.size;
+
+  const isPubkey = offset => {
+    if (!fits(offset, PUBKEY_SIZE)) return false;
+    const values = slices(offset, PUBKEY_SIZE).filter(slice => !isZero(slice));
+    return values.length > 0 && values.every(slice => knownAccounts.has(bs58.encode(slice)));
+  };
+  const isTimestamp = offset => {
+    if (!fits(offset, 8)) return false;
+    const values = slices(offset, 8).filter(slice => !isZero(slice)).map(slice => slice.readBigInt64LE(0));
+    return values.length > 0 && values.every(value => value >= MIN_TIMESTAMP && value <= MAX_TIMESTAMP);
+  };
+  const isAmount = offset => {
+    if (!fits(offset, 8)) return false;
+    const values = slices(offset, 8);
+    return values.every(slice => slice[6] === 0 && slice[7] === 0) && values.some(slice => slice.readBigUInt64LE(0) > 0xffn);
+  };
+  const wideType = offset => {
+    if (isPubkey(offset)) return { type: 'pubkey', size: PUBKEY_SIZE };
+    if (isTimestamp(offset)) return { type: 'i64', size: 8, hint: 'timestamp' };
+    if (isAmount(offset)) return { type: 'u64', size: 8, hint: 'amount' };
+    return null;
+  };
+  const byteType = offset => {
+    const values = [...new Set(samples.map(data => data[offset]))].sort((a, b) => a - b);
+    if (values.every(value => value === 0)) return null;
+    if (values.every(value => value <= 1)) return { type: 'bool', size: 1 };
+    if (values.every(value => value < MAX_ENUM_VALUE)) return { type: 'u8', size: 1, hint: 'enum', values };
+    return null;
+  };
+
+  const fields = [];
+  let runStart = null;
+  const flushRun = end => {
+    if (runStart === null) return;
+    const type = slices(runStart, end - runStart).every(isZero) ? 'padding' : 'bytes';
+    fields.push({ offset: runStart, size: end - runStart, type });
+    runStart = null;
+  };
+
+  let offset = group.fieldStart;
+  while (offset < group.size) {
+    const wide = wideType(offset);
+    const narrow = byteType(offset);
+    // A flag followed by a small integer also reads as one u64; keep the flag when the next
+    // offset holds a wide value of its own.
+    const field = wide && narrow && wide.type !== 'pubkey' && wideType(offset + 1) ? narrow : wide || narrow;
+    if (!field) {
+      if (runStart === null) runStart = offset;
+      offset++;
+      continue;
+    }
+    flushRun(offset);
+    fields.push({ offset, ...field });
+    offset += field.size;
+  }
+  flushRun(group.size);
+
+  fields.forEach(field => {
+    field.name = field.type === 'padding' ? `padding_${field.offset}` : `field_${field.offset}`;
+    field.varies = new Set(slices(field.offset, field.size).map(slice => slice.toString('hex'))).size > 1;
+  });
+
+  return {
+    name: group.discriminator ? `Account_${group.discriminator.slice(0, 8)}` : `Account_${group.size}b`,
+    discriminator: group.discriminator,
+    size: group.size,
+    count: group.accounts.length,
+    source: 'inferred',
+    fields: fields.map(({ name, offset: start, size, type, hint, values, varies }) => ({ name, offset: start, size, type, ...(hint && { hint }), ...(values && { values }), varies })),
+    decodeRow: data => Object.fromEntries(fields
+      .filter(field => field.type !== 'padding')
+      .map(field => [field.name, readField(data.subarray(field.offset, field.offset + field.size), field)])),
+  };
+}
+
+/**
+ * Reads an inferred field for display.
+ * @param {Buffer} bytes - Field bytes.
+ * @param {Object} field - Inferred field.
+ * @returns {*} - Decoded value (u64 as a string, timestamps as ISO dates).
+ */
+function readField(bytes, field) {
+  switch (field.type) {
+    case 'pubkey': return bs58.encode(bytes);
+    case 'i64': {
+      const value = bytes.readBigInt64LE(0);
+      return value === 0n ? null : new Date(Number(value) * 1000).toISOString();
+    }
+    case 'u64': return bytes.readBigUInt64LE(0).toString();
+    case 'bool': return bytes[0] !== 0;
+    case 'u8': return bytes[0];
+    default: return bytes.toString('hex');
+  }
+}
+
+/**
+ * Checks whether every byte is zero.
+ * @param {Buffer} bytes - Bytes.
+ * @returns {boolean} - True if all bytes are zero.
+ */
+function isZero(bytes) {
+  return bytes.every(byte => byte === 0);
+}
+
+/**
+ * Escapes a CSV cell.
+ * @param {*} value - Cell value.
+ * @returns {string} - Quoted when it contains separators or quotes.
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,214 @@
+import { PublicKey } from '@solana/web3.js';
+import chalk from 'chalk';
+import { getConnection } from './provider.js';
+import { schedule } from './transactions.js';
+
+/**
+ * Versioned transactions and address lookup tables (ALTs). A v0 transaction lists only some of
+ * its accounts in the message; the rest are loaded from lookup tables and reported in
+ * meta.loadedAddresses (writable, then readonly). Parsed RPC responses already append them to
+ * `accountKeys`; compiled messages and some cached responses do not, and their instructions refer
+ * to accounts by index into the combined list. The helpers here resolve both forms.
+ *
+ * A lookup table's authority can extend it with new entries, or deactivate and close it, which
+ * breaks every transaction built against it. Users whose transactions load accounts from a table
+ * they do not control depend on whoever does.
+ */
+
+const DEFAULT_MAX_TABLES = 20;
+
+/**
+ * Returns every account of a transaction in message order, including lookup-table accounts.
+ * @param {Object} parsedTx - Transaction response (parsed or compiled message).
+ * @returns {Array<Object>} - { pubkey, signer, writable, source } where pubkey is base58 and
+ * source is 'transaction' or 'lookupTable'.
+ */
+export function resolveAccountKeys(parsedTx) {
+  const message = parsedTx?.transaction?.message;
+  if (!message) return [];
+  const header = message.header;
+  const staticKeys = message.staticAccountKeys || message.accountKeys || [];
+  const keys = staticKeys.map((key, i) => {
+    if (key?.pubkey) return { pubkey: toBase58(key.pubkey), signer: Boolean(key.signer), writable: Boolean(key.writable), source: key.source || 'transaction' };
+    // Compiled messages carry the signer and writable flags in the header.
+    const signers = header?.numRequiredSignatures ?? 0;
+    const writable = i < signers
+      ? i < signers - (header?.numReadonlySignedAccounts ?? 0)
+      : i < staticKeys.length - (header?.numReadonlyUnsignedAccounts ?? 0);
+    return { pubkey: toBase58(key), signer: i < signers, writable, source: 'transaction' };
+  });
+
+  const loaded = parsedTx.meta?.loadedAddresses;
+  if (loaded && !keys.some(key => key.source === 'lookupTable')) {
+    (loaded.writable || []).forEach(key => keys.push({ pubkey: toBase58(key), signer: false, writable: true, source: 'lookupTable' }));
+    (loaded.readonly || []).forEach(key => keys.push({ pubkey: toBase58(key), signer: false, writable: false, source: 'lookupTable' }));
+  }
+  return keys;
+}
+
+/**
+ * Returns the accounts of an instruction as base58, resolving account indexes of compiled instructions.
+ * @param {Object} ix - Parsed, partially decoded or compiled instruction.
+ * @param {Array<Object>} keys - Result of resolveAccountKeys() for the transaction.
+ * @returns {Array<string>} - Account addresses.
+ */
+export function instructionAccounts(ix, keys) {
+  const accounts = ix.accounts || ix.accountKeyIndexes || [];
+  return accounts.map(account => (typeof account === 'number' ? keys[account]?.pubkey : toBase58(account))).filter(Boolean);
+}
+
+/**
+ * Returns the program id of an instruction as base58, resolving programIdIndex of compiled instructions.
+ * @param {Object} ix - Parsed, partially decoded or compiled instruction.
+ * @param {Array<Object>} keys - Result of resolveAccountKeys() for the transaction.
+ * @returns {string} - Program id.
+ */
+export function instructionProgramId(ix, keys = []) {
+  if (ix.programId) return toBase58(ix.programId);
+  return keys[ix.programIdIndex]?.pubkey || 'unknown';
+}
+
+/**
+ * Lists the lookup tables a program's transactions load accounts from, with who controls them.
+ *
+ * @param {Object} transactionData - Result of getRecentTransactions().
+ * @param {string} address - Program address.
+ * @param {Object} options - Analysis options.
+ * @param {number} options.maxTables - Most used tables whose state is fetched (default: 20).
+ * @param {string} options.upgradeAuthority - Program upgrade authority, to recognize tables the team controls.
+ * @returns {Promise<Object>} - { versionedTransactions, transactionsUsingTables, tables[{ address, authority,
+ * control, frozen, deactivated, entries, transactions, users, loadedAccounts, programAccounts, risk }],
+ * tablesFound, mutableTables, thirdPartyTables }.
+ */
+export async function analyzeLookupTables(transactionData, address, options = {}) {
+  const { maxTables = DEFAULT_MAX_TABLES, upgradeAuthority } = options;
+  try {
+    const tables = new Map();
+    let versionedTransactions = 0;
+    let transactionsUsingTables = 0;
+    (transactionData?.transactions || []).forEach(tx => {
+      const parsedTx = tx.details;
+      if (!parsedTx) return;
+      if (parsedTx.version !== undefined && parsedTx.version !== 'legacy') versionedTransactions++;
+      const lookups = parsedTx.transaction.message.addressTableLookups || [];
+      if (!lookups.length) return;
+      transactionsUsingTables++;
+
+      const keys = resolveAccountKeys(parsedTx);
+      const signers = keys.filter(key => key.signer).map(key => key.pubkey);
+      const programAccounts = new Set([...(tx.instructions || []), ...(tx.innerInstructions || []).flatMap(group => group.instructions)]
+        .filter(ix => instructionProgramId(ix, keys) === address)
+        .flatMap(ix => instructionAccounts(ix, keys)));
+      // meta.loadedAddresses lists the writable entries of every table in lookup order, then the readonly ones.
+      const writable = [...(parsedTx.meta?.loadedAddresses?.writable || [])].map(toBase58);
+      const readonly = [...(parsedTx.meta?.loadedAddresses?.readonly || [])].map(toBase58);
+      lookups.forEach(lookup => {
+        const table = toBase58(lookup.accountKey);
+        if (!tables.has(table)) tables.set(table, { address: table, transactions: 0, users: new Set(), loaded: new Set(), programAccounts: new Set(), writableForProgram: false });
+        const entry = tables.get(table);
+        entry.transactions++;
+        signers.forEach(signer => entry.users.add(signer));
+        const loaded = [
+          ...writable.splice(0, (lookup.writableIndexes || []).length).map(account => ({ account, writable: true })),
+          ...readonly.splice(0, (lookup.readonlyIndexes || []).length).map(account => ({ account, writable: false })),
+        ];
+        loaded.forEach(({ account, writable: isWritable }) => {
+          entry.loaded.add(account);
+          if (!programAccounts.has(account) && account !== address) return;
+          entry.programAccounts.add(account);
+          if (isWritable) entry.writableForProgram = true;
+        });
+      });
+    });
+
+    const connection = getConnection();
+    const used = [...tables.values()].sort((a, b) => b.transactions - a.transactions);
+    const results = [];
+    for (const entry of used.slice(0, maxTables)) {
+      const state = await fetchTableState(connection, entry.address);
+      const users = [...entry.users];
+      const control = !state ? 'unknown'
+        : !state.authority ? 'frozen'
+          : state.authority === upgradeAuthority ? 'program authority'
+            : users.includes(state.authority) ? 'user'
+              : 'third party';
+      results.push({
+        address: entry.address,
+        authority: state?.authority ?? null,
+        control,
+        frozen: state ? !state.authority : null,
+        deactivated: state?.deactivated ?? null,
+        entries: state?.entries ?? null,
+        transactions: entry.transactions,
+        users: users.length,
+        loadedAccounts: entry.loaded.size,
+        programAccounts: [...entry.programAccounts],
+        risk: tableRisk(control, state, entry),
+      });
+    }
+
+    return {
+      versionedTransactions,
+      transactionsUsingTables,
+      tables: results,
+      tablesFound: tables.size,
+      mutableTables: results.filter(table => table.frozen === false).length,
+      thirdPartyTables: results.filter(table => table.control === 'third party').length,
+    };
+  } catch (err) {
+    console.warn(chalk.yellow(`Lookup table analysis failed for ${address}: ${err.message}`));
+    return emptyLookupTableAnalysis();
+  }
+}
+
+/**
+ * Returns the lookup table analysis of no transactions.
+ * @returns {Object} - Empty analysis.
+ */
+export function emptyLookupTableAnalysis() {
+  return { versionedTransactions: 0, transactionsUsingTables: 0, tables: [], tablesFound: 0, mutableTables: 0, thirdPartyTables: 0 };
+}
+
+/**
+ * Fetches a lookup table's authority, status and size.
+ * @param {Connection} connection - RPC connection.
+ * @param {string} table - Lookup table address.
+ * @returns {Promise<Object|null>} - { authority, deactivated, entries }, or null if the table is
+ * closed or could not be fetched.
+ */
+async function fetchTableState(connection, table) {
+  try {
+    const { value } = await schedule(() => connection.getAddressLookupTable(new PublicKey(table)));
+    if (!value) return null;
+    return {
+      authority: value.state.authority ? value.state.authority.toBase58() : null,
+      deactivated: !value.isActive(),
+      entries: value.state.addresses.length,
+    };
+  } catch (err) {
+    console.warn(chalk.yellow(`Could not fetch lookup table ${table}: ${err.message}`));
+    return null;
+  }
+}
+
+/**
+ * Rates how much a table's users depend on its authority.
+ * @param {string} control - Who controls the table.
+ * @param {Object|null} state - Result of fetchTableState().
+ * @param {Object} entry - Usage of the table.
+ * @returns {string} - 'High', 'Moderate' or 'Low'.
+ */
+function tableRisk(control, state, entry) {
+  if (control === 'third party') return entry.writableForProgram ? 'High' : 'Moderate';
+  if (control === 'unknown' || state?.deactivated) return 'Moderate';
+  return 'Low';
+}
+
+/**
+ * Converts a PublicKey or string to base58.
+ * @param {PublicKey|string} key - Account key.
+ * @returns {string} - Base58 address.
+ */
+function toBase58(key) {
+  return key?.toBase58?.() || String(key);
+}
@@ -0,0 +1,212 @@
+import chalk from 'chalk';
+import { loadHistoricalPrices } from './prices.js';
+import { resolveAccountKeys, instructionAccounts, instructionProgramId } from './lookupTables.js';
+
+/**
+ * MEV detection for AMM programs. A program's transactions are grouped by slot and put in block
+ * order (getSignaturesForAddress lists a slot's transactions in reverse block order), then scanned
+ * for sandwiches: a front-run and a back-run by the same signer around a victim's swap on the same
+ * pool, where the front-run buys what the victim buys and the back-run sells it again. Jito tips
+ * and several transactions from one signer in one slot (bundles) are reported alongside.
+ */
+
+// Jito block-engine tip accounts.
+const JITO_TIP_ACCOUNTS = new Set([
+  '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+  'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+  'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+  'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+  'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+  'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+  'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+  '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT',
+]);
+
+/**
+ * Checks whether behavior inference labels a program as an AMM.
+ * @param {Object} behavior - Result of inferBehavior().
+ * @returns {boolean} - True if 'amm' is the most likely program type.
+ */
+export function isAmm(behavior) {
+  const confidence = behavior?.programTypeConfidence || {};
+  const [top] = Object.entries(confidence).sort((a, b) => b[1] - a[1]);
+  return top?.[0] === 'amm';
+}
+
+/**
+ * Detects sandwiches, Jito tips and same-signer bundles in a program's transactions.
+ *
+ * @param {Object} transactionData - Result of getRecentTransactions() (transactions with balanceChanges).
+ * @param {string} address - AMM program address.
+ * @param {Object} options - Detection options.
+ * @param {boolean} options.prices - Value extracted amounts in USD at the slot's time (default: true).
+ * @returns {Promise<Object>} - { sandwiches, pools[{ pool, sandwiches, victims, extracted, extractedUSD }],
+ * attackers[{ wallet, sandwiches, extractedUSD, tipsSOL, bundles }], tips{ count, totalSOL }, bundles,
+ * slotsAnalyzed, transactionsAnalyzed }.
+ */
+export async function detectMev(transactionData, address, options = {}) {
+  const { prices = true } = options;
+  try {
+    const bySlot = new Map();
+    (transactionData?.transactions || []).forEach(tx => {
+      if (!tx.details || tx.details.meta?.err) return;
+      if (!bySlot.has(tx.slot)) bySlot.set(tx.slot, []);
+      bySlot.get(tx.slot).push(describe(tx, address));
+    });
+    bySlot.forEach(list => list.reverse());
+
+    const sandwiches = [];
+    const bundles = [];
+    const tips = [];
+    bySlot.forEach((ordered, slot) => {
+      ordered.forEach(tx => tx.tipSOL > 0 && tips.push({ slot, signer: tx.signer, signature: tx.signature, amount: tx.tipSOL }));
+
+      const bySigner = new Map();
+      ordered.forEach(tx => bySigner.set(tx.signer, [...(bySigner.get(tx.signer) || []), tx]));
+      bySigner.forEach((list, signer) => {
+        if (list.length > 1) bundles.push({ slot, signer, signatures: list.map(tx => tx.signature), tipSOL: list.reduce((sum, tx) => sum + tx.tipSOL, 0) });
+      });
+
+      const used = new Set();
+      ordered.forEach((front, i) => {
+        if (used.has(front.signature)) return;
+        for (let k = ordered.length - 1; k > i + 1; k--) {
+          const back = ordered[k];
+          if (back.signer !== front.signer || used.has(back.signature)) continue;
+          const token = [...front.bought].find(mint => back.sold.has(mint));
+          if (!token) continue;
+          const victim = ordered.slice(i + 1, k).find(tx => tx.signer !== front.signer && tx.bought.has(token) && sharedPool(front, tx, back));
+          if (!victim) continue;
+          used.add(front.signature).add(back.signature);
+          sandwiches.push({
+            slot,
+            blockTime: front.blockTime || back.blockTime,
+            pool: sharedPool(front, victim, back),
+            attacker: front.signer,
+            victim: victim.signer,
+            token,
+            frontRun: front.signature,
+            victimTx: victim.signature,
+            backRun: back.signature,
+            profit: netChanges([front, back], front.signer),
+          });
+          break;
+        }
+      });
+    });
+
+    const priceAt = prices
+      ? await loadHistoricalPrices(sandwiches.flatMap(sandwich => sandwich.profit.map(({ mint }) => ({ mint, timestamp: sandwich.blockTime }))))
+      : () => null;
+    sandwiches.forEach(sandwich => {
+      const values = sandwich.profit.map(({ mint, amount }) => {
+        const price = priceAt(mint, sandwich.blockTime);
+        return price === null ? null : amount * price;
+      });
+      sandwich.profitUSD = values.includes(null) ? null : values.reduce((sum, value) => sum + value, 0);
+    });
+
+    const pools = new Map();
+    const attackers = new Map();
+    sandwiches.forEach(sandwich => {
+      if (!pools.has(sandwich.pool)) pools.set(sandwich.pool, { pool: sandwich.pool, sandwiches: 0, victims: new Set(), extracted: {}, extractedUSD: 0 });
+      const pool = pools.get(sandwich.pool);
+      pool.sandwiches++;
+      pool.victims.add(sandwich.victim);
+      sandwich.profit.forEach(({ mint, amount }) => { pool.extracted[mint] = (pool.extracted[mint] || 0) + amount; });
+      pool.extractedUSD = pool.extractedUSD === null || sandwich.profitUSD === null ? null : pool.extractedUSD + sandwich.profitUSD;
+
+      const attacker = attackerEntry(attackers, sandwich.attacker);
+      attacker.sandwiches++;
+      attacker.extractedUSD = attacker.extractedUSD === null || sandwich.profitUSD === null ? null : attacker.extractedUSD + sandwich.profitUSD;
+    });
+    tips.forEach(tip => {
+      if (attackers.has(tip.signer)) attackers.get(tip.signer).tipsSOL += tip.amount;
+    });
+    bundles.forEach(bundle => {
+      if (attackers.has(bundle.signer)) attackers.get(bundle.signer).bundles++;
+    });
+
+    const byValue = (a, b) => (b.extractedUSD ?? -1) - (a.extractedUSD ?? -1) || b.sandwiches - a.sandwiches;
+    return {
+      sandwiches,
+      pools: [...pools.values()].map(pool => ({ ...pool, victims: pool.victims.size })).sort(byValue),
+      attackers: [...attackers.values()].sort(byValue).slice(0, 10),
+      tips: { count: tips.length, totalSOL: tips.reduce((sum, tip) => sum + tip.amount, 0), tippers: new Set(tips.map(tip => tip.signer)).size },
+      bundles,
+      slotsAnalyzed: bySlot.size,
+      transactionsAnalyzed: [...bySlot.values()].reduce((sum, list) => sum + list.length, 0),
+    };
+  } catch (err) {
+    console.warn(chalk.yellow(`MEV detection failed for ${address}: ${err.message}`));
+    return { sandwiches: [], pools: [], attackers: [], tips: { count: 0, totalSOL: 0, tippers: 0 }, bundles: [], slotsAnalyzed: 0, transactionsAnalyzed: 0 };
+  }
+}
+
+/**
+ * Summarizes a transaction for sandwich matching.
+ * @param {Object} tx - Transaction from getRecentTransactions().
+ * @param {string} address - AMM program address.
+ * @returns {Object} - { signature, blockTime, signer, pools, bought, sold, tipSOL, balanceChanges }.
+ */
+function describe(tx, address) {
+  const keys = resolveAccountKeys(tx.details);
+  const signer = keys[0]?.pubkey;
+  const signers = new Set(keys.filter(key => key.signer).map(key => key.pubkey));
+  const writable = new Set(keys.filter(key => key.writable).map(key => key.pubkey));
+
+  // Pool candidates: writable accounts the AMM instructions touch that no signer owns.
+  const owned = new Set((tx.details.meta?.postTokenBalances || []).filter(balance => signers.has(balance.owner)).map(balance => keys[balance.accountIndex]?.pubkey));
+  const pools = [];
+  [...(tx.instructions || []), ...(tx.innerInstructions || []).flatMap(group => group.instructions)]
+    .filter(ix => instructionProgramId(ix, keys) === address)
+    .forEach(ix => instructionAccounts(ix, keys).forEach(account => {
+      if (writable.has(account) && !signers.has(account) && !owned.has(account) && !pools.includes(account)) pools.push(account);
+    }));
+
+  const mine = (tx.balanceChanges || []).filter(change => change.owner === signer);
+  return {
+    signature: tx.signature,
+    blockTime: tx.blockTime,
+    signer,
+    pools,
+    bought: new Set(mine.filter(change => change.amount > 0).map(change => change.mint)),
+    sold: new Set(mine.filter(change => change.amount < 0).map(change => change.mint)),
+    tipSOL: (tx.balanceChanges || []).filter(change => JITO_TIP_ACCOUNTS.has(change.owner) && change.mint === 'SOL' && change.amount > 0).reduce((sum, change) => sum + change.amount, 0),
+    balanceChanges: tx.balanceChanges || [],
+  };
+}
+
+/**
+ * Returns the first pool account touched by all three transactions.
+ * @param {Object} front - Front-run.
+ * @param {Object} victim - Victim transaction.
+ * @param {Object} back - Back-run.
+ * @returns {string|null} - Pool account.
+ */
+function sharedPool(front, victim, back) {
+  return front.pools.find(pool => victim.pools.includes(pool) && back.pools.includes(pool)) || null;
+}
+
+/**
+ * Sums an owner's balance changes over several transactions.
+ * @param {Array<Object>} txs - Described transactions.
+ * @param {string} owner - Wallet.
+ * @returns {Array<Object>} - Non-zero { mint, amount } (positive is a gain).
+ */
+function netChanges(txs, owner) {
+  const net = new Map();
+  txs.forEach(tx => tx.balanceChanges.filter(change => change.owner === owner).forEach(change => net.set(change.mint, (net.get(change.mint) || 0) + change.amount)));
+  return [...net.entries()].filter(([, amount]) => Math.abs(amount) > 1e-9).map(([mint, amount]) => ({ mint, amount }));
+}
+
+/**
+ * Returns an attacker's running totals, creating them on first use.
+ * @param {Map} attackers - Totals by wallet.
+ * @param {string} wallet - Attacker wallet.
+ * @returns {Object} - { wallet, sandwiches, extractedUSD, tipsSOL, bundles }.
+ */
+function attackerEntry(attackers, wallet) {
+  if (!attackers.has(wallet)) attackers.set(wallet, { wallet, sandwiches: 0, extractedUSD: 0, tipsSOL: 0, bundles: 0 });
+  return attackers.get(wallet);
+}
@@ -1,7 +1,11 @@
 
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
 import chalk from 'chalk';
 import { success, error } from '../formatting.js';
+import { getConnection } from './provider.js';
+import { getCluster } from './config.js';
+import { solscanUrl } from './utils.js';
+import { resolveAccountKeys } from './lookupTables.js';
 
 /**
  * Starts real-time monitoring of program transactions.
@@ -24,12 +28,9 @@ export async function startMonitoring(address, { threshold = 1000000000, commitm
       throw new Error(`Invalid program address: ${address}`);
     }
 
-    // Initialize connection using QuickNode or Helius RPC
-    const rpcUrl = process.env.QUICKNODE_RPC_URL || `https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}`;
-    if (!rpcUrl) {
-      throw new Error('No RPC URL configured. Set QUICKNODE_RPC_URL or HELIUS_API_KEY in .env');
-    }
-    connection = new Connection(rpcUrl, { commitment, wsEndpoint: rpcUrl.replace('https', 'wss') });
+    // Initialize connection from the configured RPC provider; alerts link to the same cluster
+    connection = getConnection(commitment);
+    const cluster = getCluster();
 
     // Define filters for program account changes
     const filters = [
@@ -59,19 +60,19 @@ export async function startMonitoring(address, { threshold = 1000000000, commitm
           }).catch(() => null);
 
           const volumeSOL = lamports / 1e9;
-          const accounts = transaction?.transaction.message.accountKeys?.map(key => key.pubkey.toBase58()) || [address];
+          const accounts = transaction ? resolveAccountKeys(transaction).map(key => key.pubkey) : [address];
           const timestamp = transaction?.blockTime ? new Date(transaction.blockTime * 1000).toISOString() : new Date().toISOString();
 
           // Format alert
           console.log(chalk.yellow('\n⚠️ Transaction Alert'));
           console.log(chalk.cyan('--------------------'));
-          console.log(chalk.white(`Signature: ${signature.slice(0, 8)}... (https://solscan.io/tx/${signature})`));
+          console.log(chalk.white(`Signature: ${signature.slice(0, 8)}... (${solscanUrl(`tx/${signature}`, cluster)})`));
           console.log(chalk.white(`Volume: ${volumeSOL.toFixed(4)} SOL (~$${(volumeSOL * 148.95).toFixed(2)})`));
           console.log(chalk.white(`Accounts Involved:`));
-          accounts.slice(0, 3).forEach(acc => console.log(chalk.white(`  - ${acc.slice(0, 8)}... (https://solscan.io/account/${acc})`)));
+          accounts.slice(0, 3).forEach(acc => console.log(chalk.white(`  - ${acc.slice(0, 8)}... (${solscanUrl(`account/${acc}`, cluster)})`)));
           console.log(chalk.white(`Timestamp: ${timestamp}`));
           console.log(chalk.cyan('Recommendations:'));
-          console.log(chalk.white(`  - Review transaction: https://solscan.io/tx/${signature}`));
+          console.log(chalk.white(`  - Review transaction: ${solscanUrl(`tx/${signature}`, cluster)}`));
           console.log(chalk.white(`  - Run \`trace-interactions ${address}\` to analyze accounts.`));
         } catch (err) {
           console.log(chalk.red(`Error processing transaction: ${err.message}`));
@@ -0,0 +1,85 @@
+import { PublicKey } from '@solana/web3.js';
+import { inflateSync } from 'zlib';
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+import { idlInstructionDiscriminator } from './anchor.js';
+import { getConnection } from './provider.js';
+
+dotenv.config();
+
+const IDL_SEED = 'anchor:idl';
+// 8-byte account discriminator + 32-byte authority + u32 data length.
+const IDL_HEADER_SIZE = 44;
+
+/**
+ * Derives the address Anchor publishes a program's IDL at:
+ * createWithSeed(findProgramAddress([], programId), "anchor:idl", programId).
+ * @param {string} address - Program address.
+ * @returns {Promise<PublicKey>} - IDL account address.
+ */
+export async function findIdlAddress(address) {
+  const programId = new PublicKey(address);
+  const [base] = PublicKey.findProgramAddressSync([], programId);
+  return PublicKey.createWithSeed(base, IDL_SEED, programId);
+}
+
+/**
+ * Fetches and inflates the IDL a program published on-chain.
+ *
+ * @param {string} address - Program address.
+ * @returns {Promise<Object|null>} - { idl, idlAddress, authority, dataLength } or null if none is published.
+ */
+export async function fetchOnChainIdl(address) {
+  try {
+    const connection = getConnection();
+    const idlAddress = await findIdlAddress(address);
+    const accountInfo = await connection.getAccountInfo(idlAddress);
+    if (!accountInfo) return null;
+    if (accountInfo.owner.toBase58() !== address) {
+      throw new Error(`IDL account ${idlAddress.toBase58()} is not owned by the program`);
+    }
+    return { ...decodeIdlAccount(accountInfo.data), idlAddress: idlAddress.toBase58() };
+  } catch (err) {
+    console.warn(chalk.yellow(`On-chain IDL lookup failed for ${address}: ${err.message}`));
+    return null;
+  }
+}
+
+/**
+ * Decodes an Anchor IdlAccount: discriminator, authority, length-prefixed zlib-compressed JSON.
+ * @param {Buffer} data - Account data.
+ * @returns {Object} - { idl, authority, dataLength }.
+ * @throws {Error} - If the account is truncated or the payload is not valid compressed JSON.
+ */
+export function decodeIdlAccount(data) {
+  if (data.length < IDL_HEADER_SIZE) throw new Error('IDL account is truncated');
+  const authority = new PublicKey(data.subarray(8, 40)).toBase58();
+  const dataLength = data.readUInt32LE(40);
+  if (IDL_HEADER_SIZE + dataLength > data.length) throw new Error('IDL data length exceeds account size');
+  const json = inflateSync(data.subarray(IDL_HEADER_SIZE, IDL_HEADER_SIZE + dataLength)).toString('utf8');
+  return { idl: JSON.parse(json), authority, dataLength };
+}
+
+/**
+ * Compares the instructions of a published IDL with the dispatcher recovered from the binary.
+ * The IDL is stale when the deployed program dispatches on discriminators it does not list
+ * (or the other way round).
+ * @param {Object} idl - Published IDL (legacy or 0.30+ format).
+ * @param {Object} anchor - insights.anchor from analyzeBinary.
+ * @returns {Object} - { stale, missingFromIdl, missingFromBinary }.
+ */
+export function compareIdlWithBinary(idl, anchor) {
+  const dispatched = (anchor?.instructions || []).filter(ix => ix.source === 'dispatcher');
+  if (!dispatched.length) return { stale: false, missingFromIdl: [], missingFromBinary: [] };
+
+  const published = new Map((idl.instructions || []).map(ix => [idlInstructionDiscriminator(ix), ix.name]));
+  const inBinary = new Set(dispatched.map(ix => ix.discriminator));
+  const missingFromIdl = dispatched
+    .filter(ix => !published.has(ix.discriminator))
+    .map(ix => ix.name || ix.discriminator);
+  const missingFromBinary = [...published]
+    .filter(([discriminator]) => !inBinary.has(discriminator))
+    .map(([, name]) => name);
+
+  return { stale: missingFromIdl.length > 0 || missingFromBinary.length > 0, missingFromIdl, missingFromBinary };
+}
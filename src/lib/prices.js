@@ -0,0 +1,103 @@
+import fetch from 'node-fetch';
+import Bottleneck from 'bottleneck';
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+import { cacheGet, cacheSet } from './diskCache.js';
+import { fixtureFetch } from './fixtures.js';
+import { getCluster } from './config.js';
+
+dotenv.config();
+
+/**
+ * Historical USD prices of SOL and SPL tokens, one price per UTC day, from CoinGecko's
+ * market_chart/range API (set COINGECKO_API_KEY for the demo or pro API). Prices of past days
+ * never change and are cached on disk without expiry; today's price is cached for an hour, and
+ * unlisted tokens and failed lookups (e.g. rate limits) for a short time. Stablecoins are priced at
+ * $1 without a request. CoinGecko lists mainnet mints only, so other clusters get no prices.
+ */
+
+export const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+const STABLECOINS = new Set([
+  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
+]);
+const DAY = 86400;
+const TODAY_TTL = 3600;
+const MISS_TTL = 86400;
+const FAILURE_TTL = 600;
+// Lookups run in parallel, a few at a time, to stay within CoinGecko's public rate limit.
+const coingecko = new Bottleneck({ maxConcurrent: 4 });
+
+const pending = new Map();
+
+/**
+ * Returns the USD price of a token on the day of a timestamp.
+ * @param {string} mint - Token mint ('SOL' or the wrapped SOL mint for SOL).
+ * @param {number} timestamp - Unix time in seconds (default: now).
+ * @returns {Promise<number|null>} - USD price, or null if unknown.
+ */
+export async function getHistoricalPrice(mint, timestamp = Math.floor(Date.now() / 1000)) {
+  if (getCluster() !== 'mainnet-beta') return null;
+  if (STABLECOINS.has(mint)) return 1;
+  const coin = mint === 'SOL' ? SOL_MINT : mint;
+  const dayStart = Math.floor(timestamp / DAY) * DAY;
+  const key = `${coin}:${new Date(dayStart * 1000).toISOString().slice(0, 10)}`;
+
+  const cached = await cacheGet('prices', key);
+  if (cached !== undefined) return cached.usd;
+  // Concurrent lookups of the same day share one request.
+  if (!pending.has(key)) {
+    pending.set(key, fetchDayPrice(coin, dayStart).finally(() => pending.delete(key)));
+  }
+  return pending.get(key);
+}
+
+/**
+ * Prices many (mint, timestamp) pairs, one lookup per mint and day.
+ * @param {Array<Object>} requests - { mint, timestamp } pairs.
+ * @returns {Promise<Function>} - priceAt(mint, timestamp) returning the USD price or null.
+ */
+export async function loadHistoricalPrices(requests) {
+  const dayKey = (mint, timestamp) => `${mint}:${Math.floor((timestamp ?? Date.now() / 1000) / DAY)}`;
+  const days = new Map();
+  requests.forEach(({ mint, timestamp }) => {
+    const key = dayKey(mint, timestamp);
+    if (!days.has(key)) days.set(key, { mint, timestamp });
+  });
+  const prices = new Map(await Promise.all([...days].map(async ([key, { mint, timestamp }]) => [key, await getHistoricalPrice(mint, timestamp ?? undefined)])));
+  return (mint, timestamp) => prices.get(dayKey(mint, timestamp)) ?? null;
+}
+
+/**
+ * Fetches and caches the average price of a coin over one UTC day.
+ * @param {string} coin - Token mint (wrapped SOL mint for SOL).
+ * @param {number} dayStart - Start of the day, Unix seconds.
+ * @returns {Promise<number|null>} - USD price, or null if CoinGecko does not list the token.
+ */
+async function fetchDayPrice(coin, dayStart) {
+  const key = `${coin}:${new Date(dayStart * 1000).toISOString().slice(0, 10)}`;
+  const isToday = dayStart + DAY > Date.now() / 1000;
+  const apiKey = process.env.COINGECKO_API_KEY;
+  const base = apiKey && process.env.COINGECKO_PRO ? 'https://pro-api.coingecko.com/api/v3' : 'https://api.coingecko.com/api/v3';
+  const path = coin === SOL_MINT ? '/coins/solana' : `/coins/solana/contract/${coin}`;
+  const url = `${base}${path}/market_chart/range?vs_currency=usd&from=${dayStart}&to=${dayStart + DAY}`;
+  try {
+    const headers = apiKey ? { [process.env.COINGECKO_PRO ? 'x-cg-pro-api-key' : 'x-cg-demo-api-key']: apiKey } : {};
+    const response = await coingecko.schedule(() => fixtureFetch(fetch, url, { headers }));
+    // 404: the token is not listed (yet); cache the miss for a day.
+    if (response.status === 404) {
+      await cacheSet('prices', key, { usd: null }, { ttl: MISS_TTL });
+      return null;
+    }
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const { prices = [] } = await response.json();
+    const usd = prices.length ? prices.reduce((sum, [, price]) => sum + price, 0) / prices.length : null;
+    await cacheSet('prices', key, { usd }, { ttl: isToday ? TODAY_TTL : undefined });
+    return usd;
+  } catch (err) {
+    console.warn(chalk.yellow(`Price lookup failed for ${coin} on ${key.split(':')[1]}: ${err.message}`));
+    await cacheSet('prices', key, { usd: null }, { ttl: FAILURE_TTL });
+    return null;
+  }
+}
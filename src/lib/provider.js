@@ -0,0 +1,297 @@
+import { Connection, PublicKey } from '@solana/web3.js';
+import fetch from 'node-fetch';
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+import { CLUSTERS, getCluster, getDefaultCluster, isCustomCluster, loadConfig } from './config.js';
+import { fixtureFetch, getReplayUrl } from './fixtures.js';
+
+dotenv.config();
+
+/**
+ * RPC provider layer. Every module gets its connection here instead of building one.
+ *
+ * Endpoints depend on the active cluster (see config.js). For the configured default cluster they
+ * come from the environment, in priority order:
+ * - SOLANA_RPC_URL: any JSON-RPC endpoint (e.g. http://127.0.0.1:8899 for a local validator)
+ * - HELIUS_API_KEY: Helius RPC (mainnet-beta and devnet, also used for other clusters)
+ * - TRITON_RPC_URL: Triton RPC (token in the URL)
+ * - QUICKNODE_RPC_URL: QuickNode RPC
+ * - SOLANA_RPC_FALLBACKS: comma-separated extra endpoints
+ * followed by the cluster's `endpoints` from the config file. With none set, the cluster's public
+ * endpoint is used; a custom cluster URL is used as-is.
+ *
+ * Requests go to the first healthy endpoint and fail over to the next one on network errors,
+ * rate limits and 5xx responses. Enhanced APIs (address history, token metadata) go through an
+ * adapter picked by SOLPROOF_ENHANCED_API ('helius', 'triton' or 'rpc'), defaulting to the
+ * provider of the configured key.
+ *
+ * RPC and enhanced-API traffic can be recorded to fixtures and replayed from a local stand-in
+ * server (see fixtures.js); while replaying, the stand-in is the only endpoint.
+ */
+
+// Helius RPC and enhanced-API hosts per cluster.
+const HELIUS_HOSTS = {
+  'mainnet-beta': { rpc: 'mainnet.helius-rpc.com', api: 'api.helius.xyz' },
+  devnet: { rpc: 'devnet.helius-rpc.com', api: 'api-devnet.helius.xyz' },
+};
+const HEALTH_TTL_MS = 60000;
+const HEALTH_TIMEOUT_MS = 3000;
+const METHOD_NOT_FOUND = -32601;
+
+const connections = new Map();
+const health = new Map();
+
+/**
+ * Lists the RPC endpoints of a cluster in priority order.
+ * @param {string} cluster - Cluster name or custom RPC URL (default: active cluster).
+ * @returns {Array<string>} - Endpoint URLs.
+ */
+export function getEndpoints(cluster = getCluster()) {
+  if (getReplayUrl()) return [getReplayUrl()];
+  if (isCustomCluster(cluster)) return [cluster];
+  // Endpoint variables describe the default cluster; Helius URLs name their cluster.
+  const fromEnvironment = cluster === getDefaultCluster();
+  const helius = HELIUS_HOSTS[cluster];
+  const configured = [
+    fromEnvironment && process.env.SOLANA_RPC_URL,
+    helius && process.env.HELIUS_API_KEY && `https://${helius.rpc}/?api-key=${process.env.HELIUS_API_KEY}`,
+    fromEnvironment && process.env.TRITON_RPC_URL,
+    fromEnvironment && process.env.QUICKNODE_RPC_URL,
+    ...(fromEnvironment ? (process.env.SOLANA_RPC_FALLBACKS || '').split(',') : []),
+    ...(loadConfig().endpoints?.[cluster] || []),
+  ].map(url => (url || '').trim()).filter(Boolean);
+  return configured.length ? [...new Set(configured)] : [CLUSTERS[cluster]];
+}
+
+/**
+ * Checks whether requests can be served locally. Only mainnet-beta without a configured endpoint
+ * is left to the rate-limited public RPC; other clusters' public endpoints are usable as-is.
+ * @param {string} cluster - Cluster name or custom RPC URL (default: active cluster).
+ * @returns {boolean} - True if an endpoint is configured or the cluster is not mainnet-beta.
+ */
+export function hasConfiguredEndpoint(cluster = getCluster()) {
+  return cluster !== 'mainnet-beta' || getEndpoints(cluster)[0] !== CLUSTERS['mainnet-beta'];
+}
+
+/**
+ * Hides API keys and tokens in an endpoint URL for display.
+ * @param {string} url - Endpoint URL.
+ * @returns {string} - URL with query string and path tokens masked.
+ */
+export function redactEndpoint(url) {
+  try {
+    const parsed = new URL(url);
+    const path = parsed.pathname.length > 20 ? '/***' : parsed.pathname;
+    return `${parsed.protocol}//${parsed.host}${path === '/' ? '' : path}${parsed.search ? '?***' : ''}`;
+  } catch {
+    return '***';
+  }
+}
+
+/**
+ * Checks one endpoint with getHealth. Endpoints that do not expose getHealth but answer the
+ * request with "method not found" still count as reachable.
+ * @param {string} url - Endpoint URL.
+ * @returns {Promise<Object>} - { url, healthy, latencyMs, error }.
+ */
+export async function checkEndpoint(url) {
+  const started = Date.now();
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), HEALTH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'getHealth' }),
+      signal: controller.signal,
+    });
+    const body = await response.json().catch(() => ({}));
+    const healthy = response.ok && (body.result === 'ok' || body.error?.code === METHOD_NOT_FOUND);
+    return { url, healthy, latencyMs: Date.now() - started, error: healthy ? null : body.error?.message || `HTTP ${response.status}` };
+  } catch (err) {
+    return { url, healthy: false, latencyMs: null, error: err.name === 'AbortError' ? 'Health check timed out' : err.message };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Health-checks every endpoint of a cluster. Results are cached for a minute.
+ * @param {Object} options - Check options.
+ * @param {boolean} options.force - Ignore the cached results.
+ * @param {string} options.cluster - Cluster name or custom RPC URL (default: active cluster).
+ * @returns {Promise<Array<Object>>} - { url, healthy, latencyMs, error } per endpoint, in priority order.
+ */
+export async function checkEndpoints({ force = false, cluster = getCluster() } = {}) {
+  const endpoints = getEndpoints(cluster);
+  const cached = health.get(cluster);
+  const fresh = cached && Date.now() - cached.checkedAt < HEALTH_TTL_MS && cached.results.length === endpoints.length;
+  if (!force && fresh) return cached.results;
+  const results = await Promise.all(endpoints.map(checkEndpoint));
+  health.set(cluster, { checkedAt: Date.now(), results });
+  return results;
+}
+
+/**
+ * Returns a connection to the active cluster that sends every request to the first healthy
+ * endpoint and fails over to the others.
+ * @param {string} commitment - Commitment level (default: 'confirmed').
+ * @returns {Connection} - Connection shared by callers with the same cluster and commitment.
+ */
+export function getConnection(commitment = 'confirmed') {
+  const cluster = getCluster();
+  const key = `${cluster}:${commitment}`;
+  if (!connections.has(key)) {
+    const [primary] = getEndpoints(cluster);
+    connections.set(key, new Connection(primary, {
+      commitment,
+      fetch: (_url, init) => fetchWithFailover(cluster, init),
+      // Without SOLANA_WS_URL web3.js derives the websocket from the primary (port + 1 on localnet).
+      wsEndpoint: (cluster === getDefaultCluster() && process.env.SOLANA_WS_URL) || undefined,
+    }));
+  }
+  return connections.get(key);
+}
+
+/**
+ * Sends a raw JSON-RPC request with failover, for methods web3.js does not wrap (e.g. DAS getAsset).
+ * @param {string} method - RPC method.
+ * @param {Array|Object} params - RPC params.
+ * @returns {Promise<*>} - The result field.
+ * @throws {Error} - If every endpoint fails or the RPC returns an error.
+ */
+export async function rpcRequest(method, params) {
+  const response = await fetchWithFailover(getCluster(), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status} for ${method}`);
+  const body = await response.json();
+  if (body.error) throw new Error(`${method} failed: ${body.error.message}`);
+  return body.result;
+}
+
+/**
+ * Returns the enhanced-API adapter for the configured provider on the active cluster.
+ * @returns {Object} - Adapter with name, getSignatures(address, { limit, before, until }) and getTokenMetadata(mint).
+ */
+export function getEnhancedApi() {
+  const configured = process.env.SOLPROOF_ENHANCED_API?.toLowerCase();
+  const cluster = getCluster();
+  const name = configured
+    || (process.env.HELIUS_API_KEY && HELIUS_HOSTS[cluster] ? 'helius'
+      : process.env.TRITON_RPC_URL && cluster === getDefaultCluster() ? 'triton' : 'rpc');
+  if (!ADAPTERS[name]) {
+    console.warn(chalk.yellow(`Unknown SOLPROOF_ENHANCED_API '${name}', using plain RPC`));
+    return ADAPTERS.rpc;
+  }
+  return ADAPTERS[name];
+}
+
+/**
+ * Fetch implementation handed to web3.js: tries a cluster's healthy endpoints in priority order,
+ * then the unhealthy ones as a last resort. The body is replayed as-is.
+ * @param {string} cluster - Cluster name or custom RPC URL.
+ * @param {Object} init - Fetch options.
+ * @returns {Promise<Response>} - First successful response, or the last failure for web3.js to handle.
+ */
+async function fetchWithFailover(cluster, init) {
+  const results = await checkEndpoints({ cluster });
+  const ordered = [...results.filter(result => result.healthy), ...results.filter(result => !result.healthy)].map(result => result.url);
+
+  let lastResponse = null;
+  let lastError = null;
+  for (const url of ordered) {
+    try {
+      const response = await fixtureFetch(fetch, url, init);
+      if (response.status !== 429 && response.status < 500) return response;
+      lastResponse = response;
+    } catch (err) {
+      if (init?.signal?.aborted) throw err;
+      lastError = err;
+    }
+    markUnhealthy(cluster, url);
+  }
+  if (lastResponse) return lastResponse;
+  throw lastError || new Error('No RPC endpoint available');
+}
+
+/**
+ * Moves an endpoint behind the healthy ones until the next health check.
+ * @param {string} cluster - Cluster the endpoint serves.
+ * @param {string} url - Endpoint URL.
+ */
+function markUnhealthy(cluster, url) {
+  const cached = health.get(cluster);
+  if (cached) cached.results = cached.results.map(result => (result.url === url ? { ...result, healthy: false } : result));
+}
+
+/**
+ * Reads token metadata with the DAS getAsset method (Helius, Triton), falling back to the mint account.
+ * @param {string} mint - Mint address.
+ * @returns {Promise<Object>} - { name, symbol, decimals, supply, mintAuthority, freezeAuthority }.
+ */
+async function getAssetMetadata(mint) {
+  try {
+    const asset = await rpcRequest('getAsset', { id: mint });
+    const tokenInfo = asset?.token_info || {};
+    const decimals = tokenInfo.decimals ?? 0;
+    return {
+      name: asset?.content?.metadata?.name || 'Unknown',
+      symbol: asset?.content?.metadata?.symbol || tokenInfo.symbol || 'Unknown',
+      decimals,
+      supply: tokenInfo.supply !== undefined ? tokenInfo.supply / Math.pow(10, decimals) : null,
+      mintAuthority: tokenInfo.mint_authority || null,
+      freezeAuthority: tokenInfo.freeze_authority || null,
+    };
+  } catch {
+    return ADAPTERS.rpc.getTokenMetadata(mint);
+  }
+}
+
+const ADAPTERS = {
+  // Standard JSON-RPC only: works against any validator.
+  rpc: {
+    name: 'rpc',
+    async getSignatures(address, { limit = 10, before, until } = {}) {
+      const signatures = await getConnection().getSignaturesForAddress(new PublicKey(address), { limit, before, until });
+      return signatures.map(sig => ({ signature: sig.signature, slot: sig.slot, timestamp: sig.blockTime, type: null, failed: Boolean(sig.err) }));
+    },
+    async getTokenMetadata(mint) {
+      const account = await getConnection().getParsedAccountInfo(new PublicKey(mint));
+      const info = account.value?.data?.parsed?.info;
+      if (!info) throw new Error(`${mint} is not a token mint`);
+      return {
+        name: 'Unknown',
+        symbol: 'Unknown',
+        decimals: info.decimals,
+        supply: Number(info.supply) / Math.pow(10, info.decimals),
+        mintAuthority: info.mintAuthority || null,
+        freezeAuthority: info.freezeAuthority || null,
+      };
+    },
+  },
+  // Triton serves standard RPC plus the DAS API for token metadata.
+  triton: {
+    name: 'triton',
+    getSignatures: (address, options) => ADAPTERS.rpc.getSignatures(address, options),
+    getTokenMetadata: getAssetMetadata,
+  },
+  // Helius adds a parsed address-history REST API that labels transactions (e.g. PROGRAM_UPGRADE).
+  helius: {
+    name: 'helius',
+    async getSignatures(address, { limit = 10, before, until } = {}) {
+      const apiKey = process.env.HELIUS_API_KEY;
+      const host = HELIUS_HOSTS[getCluster()]?.api;
+      if (!apiKey || !host) return ADAPTERS.rpc.getSignatures(address, { limit, before, until });
+      const url = `https://${host}/v0/addresses/${address}/transactions?api-key=${apiKey}&limit=${limit}${before ? `&before=${before}` : ''}${until ? `&until=${until}` : ''}`;
+      const response = await fixtureFetch(fetch, url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+      const txs = await response.json();
+      if (!Array.isArray(txs)) throw new Error('Invalid transaction data from Helius');
+      return txs.map(tx => ({ signature: tx.signature, slot: tx.slot, timestamp: tx.timestamp, type: tx.type || null, failed: Boolean(tx.transactionError) }));
+    },
+    getTokenMetadata: getAssetMetadata,
+  },
+};
@@ -1,6 +1,8 @@
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
+import { getConnection } from './provider.js';
+import { BPF_LOADER_UPGRADEABLE, fetchUpgradeAuthority } from './fetcher.js';
 
 dotenv.config();
 
@@ -11,20 +13,19 @@ dotenv.config();
  * @returns {Promise<Object>} - Program status details.
  */
 export async function quickCheck(address) {
-  const apiKey = process.env.HELIUS_API_KEY;
-  if (!apiKey) throw new Error('HELIUS_API_KEY not set in .env');
-
   try {
-    const connection = new Connection(`https://mainnet.helius-rpc.com/?api-key=${apiKey}`, 'confirmed');
+    const connection = getConnection();
     const programId = new PublicKey(address);
     const accountInfo = await connection.getAccountInfo(programId);
     const txs = await connection.getSignaturesForAddress(programId, { limit: 1 });
+    // The program account only points at ProgramData, whose header holds the upgrade authority.
+    const isUpgradeable = accountInfo?.owner.toBase58() === BPF_LOADER_UPGRADEABLE;
 
     return {
       isActive: !!accountInfo,
       lastTransaction: txs.length ? txs[0].blockTime : null,
-      isUpgradeable: accountInfo?.owner.toBase58() === 'BPFLoaderUpgradeableProgram1111111111111111111111111111111111',
-      upgradeAuthority: accountInfo?.data?.slice(4, 36)?.toString('base58') || null,
+      isUpgradeable,
+      upgradeAuthority: isUpgradeable ? await fetchUpgradeAuthority(address) : null,
       basicSafetyScore: accountInfo && txs.length ? 60 : 40,
     };
   } catch (err) {
@@ -25,6 +25,21 @@ export async function predictRisk(authorityInsights, transactionData, safetyAsse
       riskLikelihood += 20;
     }
 
+    const washTrading = transactionData.economicInsights.washTrading;
+    if (washTrading?.washShare > 0.3) {
+      riskFactors.push({
+        issue: 'Wash trading',
+        details: `${(washTrading.washShare * 100).toFixed(0)}% of volume is circular; reported volume overstates real demand`,
+      });
+      riskLikelihood += 15;
+    } else if (washTrading?.cycles.length) {
+      riskFactors.push({
+        issue: 'Circular trades',
+        details: `${washTrading.cycles.length} self-trades, cluster cycles or round trips`,
+      });
+      riskLikelihood += 5;
+    }
+
     if (authorityInsights.length === 1) {
       riskFactors.push({
         issue: 'Single authority',
@@ -45,6 +45,24 @@ export async function assessSafety(analysis, authorityInsights, transactions, ca
       safetyScore -= 15;
     }
 
+    const washTrading = transactions.economicInsights.washTrading;
+    if (washTrading?.washShare > 0.3) {
+      risks.push({
+        issue: 'Wash trading',
+        implication: `${(washTrading.washShare * 100).toFixed(0)}% of volume is self-trades or circular flows (${washTrading.cycles.length} cycles); organic volume is ${washTrading.organicVolumeSOL.toFixed(4)} SOL`,
+        mitigation: 'Discount flagged volume and review the cycling wallets',
+      });
+      safetyScore -= 15;
+    }
+    if (washTrading?.pairConcentration.concentrated) {
+      risks.push({
+        issue: 'Concentrated trading pairs',
+        implication: `${(washTrading.pairConcentration.share * 100).toFixed(0)}% of SOL volume is between ${washTrading.pairConcentration.topPairs.length} counterparty pairs`,
+        mitigation: 'Check whether the top pairs are related wallets',
+      });
+      safetyScore -= 5;
+    }
+
     if (callGraph.edges.length > 50) {
       risks.push({
         issue: 'Complex interactions',
@@ -1,9 +1,15 @@
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
+import { inferAccountLayouts, pubkeyCandidates } from './layoutInference.js';
+import { listAccountTypes, fetchAccountBatches } from './accountScanner.js';
+import { getConnection } from './provider.js';
 
 dotenv.config();
 
+// getMultipleAccountsInfo accepts at most 100 keys per request.
+const ACCOUNT_BATCH_SIZE = 100;
+
 /**
  * Extracts state variables from Solana program accounts.
  *
@@ -11,11 +17,8 @@ dotenv.config();
  * @returns {Promise<Array>} - List of program accounts with state data.
  */
 export async function extractState(address) {
-  const apiKey = process.env.HELIUS_API_KEY;
-  if (!apiKey) throw new Error('HELIUS_API_KEY not set in .env');
-
   try {
-    const connection = new Connection(`https://mainnet.helius-rpc.com/?api-key=${apiKey}`, 'confirmed');
+    const connection = getConnection();
     const programId = new PublicKey(address);
     const accounts = await connection.getProgramAccounts(programId, { commitment: 'confirmed' });
 
@@ -29,4 +32,45 @@ export async function extractState(address) {
     console.warn(chalk.yellow(`State extraction failed for ${address}: ${err.message}`));
     return [];
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Layout inference mode of extractState: infers a schema per account type from a random sample of
+ * the program's accounts and decodes sample rows. 32-byte fields count as pubkeys when they hold
+ * program accounts or accounts that exist on-chain.
+ *
+ * @param {string} address - Program address.
+ * @param {Object} options - Inference options.
+ * @param {Object} options.idl - Anchor IDL used to name and decode matching account types.
+ * @param {number} options.sample - Accounts fetched per account type (default: 1000).
+ * @param {number} options.sampleRows - Decoded rows to keep per account type (default: 10).
+ * @returns {Promise<Object>} - { accountCount, layouts }.
+ */
+export async function extractStateLayouts(address, options = {}) {
+  const { idl, sample = 1000, sampleRows = 10 } = options;
+  try {
+    const connection = getConnection();
+    const programId = new PublicKey(address);
+    const types = await listAccountTypes(connection, programId);
+    const accounts = [];
+    for await (const batch of fetchAccountBatches(connection, types, { sample })) accounts.push(...batch);
+
+    const knownAccounts = new Set([address, ...types.flatMap(type => type.pubkeys)]);
+    const candidates = pubkeyCandidates(accounts).filter(candidate => !knownAccounts.has(candidate));
+    for (let i = 0; i < candidates.length; i += ACCOUNT_BATCH_SIZE) {
+      const batch = candidates.slice(i, i + ACCOUNT_BATCH_SIZE);
+      const infos = await connection.getMultipleAccountsInfo(batch.map(candidate => new PublicKey(candidate)));
+      infos.forEach((info, j) => {
+        if (info) knownAccounts.add(batch[j]);
+      });
+    }
+
+    const totals = new Map(types.map(type => [type.key, type.pubkeys.length]));
+    const layouts = inferAccountLayouts(accounts, { idl, knownAccounts, sampleRows })
+      .map(layout => ({ ...layout, total: totals.get(layout.discriminator) ?? layout.count }));
+    return { accountCount: types.reduce((sum, type) => sum + type.pubkeys.length, 0), layouts };
+  } catch (err) {
+    console.warn(chalk.yellow(`State layout inference failed for ${address}: ${err.message}`));
+    return { accountCount: 0, layouts: [] };
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Solana syscall resolution. Linked programs reference syscalls either through a relocation to
+ * the named symbol or through the murmur3-32 hash of the name stored in the `call` immediate.
+ */
+
+export const SYSCALL_NAMES = [
+  'abort',
+  'sol_panic_',
+  'sol_log_',
+  'sol_log_64_',
+  'sol_log_compute_units_',
+  'sol_log_pubkey',
+  'sol_log_data',
+  'sol_create_program_address',
+  'sol_try_find_program_address',
+  'sol_sha256',
+  'sol_keccak256',
+  'sol_blake3',
+  'sol_secp256k1_recover',
+  'sol_poseidon',
+  'sol_curve_validate_point',
+  'sol_curve_group_op',
+  'sol_curve_multiscalar_mul',
+  'sol_curve_pairing_map',
+  'sol_alt_bn128_group_op',
+  'sol_alt_bn128_compression',
+  'sol_big_mod_exp',
+  'sol_get_clock_sysvar',
+  'sol_get_epoch_schedule_sysvar',
+  'sol_get_fees_sysvar',
+  'sol_get_rent_sysvar',
+  'sol_get_last_restart_slot',
+  'sol_get_epoch_rewards_sysvar',
+  'sol_get_sysvar',
+  'sol_get_epoch_stake',
+  'sol_memcpy_',
+  'sol_memmove_',
+  'sol_memcmp_',
+  'sol_memset_',
+  'sol_invoke_signed_c',
+  'sol_invoke_signed_rust',
+  'sol_alloc_free_',
+  'sol_set_return_data',
+  'sol_get_return_data',
+  'sol_get_processed_sibling_instruction',
+  'sol_get_stack_height',
+  'sol_remaining_compute_units',
+];
+
+export const CPI_SYSCALLS = ['sol_invoke_signed_c', 'sol_invoke_signed_rust'];
+
+const SYSCALLS_BY_HASH = new Map(SYSCALL_NAMES.map(name => [syscallHash(name), name]));
+
+/**
+ * Computes the 32-bit murmur3 hash (seed 0) used by the sBPF loader for symbol names.
+ * @param {Buffer} data - Bytes to hash.
+ * @returns {number} - Unsigned 32-bit hash.
+ */
+export function murmur3_32(data) {
+  const c1 = 0xcc9e2d51;
+  const c2 = 0x1b873593;
+  let hash = 0;
+  const blocks = data.length - (data.length % 4);
+
+  for (let i = 0; i < blocks; i += 4) {
+    let k = data.readUInt32LE(i);
+    k = Math.imul(k, c1);
+    k = (k << 15) | (k >>> 17);
+    k = Math.imul(k, c2);
+    hash ^= k;
+    hash = (hash << 13) | (hash >>> 19);
+    hash = (Math.imul(hash, 5) + 0xe6546b64) | 0;
+  }
+
+  let k = 0;
+  switch (data.length & 3) {
+    case 3:
+      k ^= data[blocks + 2] << 16;
+    // falls through
+    case 2:
+      k ^= data[blocks + 1] << 8;
+    // falls through
+    case 1:
+      k ^= data[blocks];
+      k = Math.imul(k, c1);
+      k = (k << 15) | (k >>> 17);
+      k = Math.imul(k, c2);
+      hash ^= k;
+  }
+
+  hash ^= data.length;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+/**
+ * Hashes a syscall name the way the loader does.
+ * @param {string} name - Syscall name (e.g. 'sol_log_').
+ * @returns {number} - Unsigned 32-bit hash.
+ */
+export function syscallHash(name) {
+  return murmur3_32(Buffer.from(name, 'utf8'));
+}
+
+/**
+ * Looks up a syscall by the hash found in a `call` immediate.
+ * @param {number} hash - Unsigned 32-bit hash.
+ * @returns {string|null} - Syscall name or null if the hash is not a known syscall.
+ */
+export function resolveSyscall(hash) {
+  return SYSCALLS_BY_HASH.get(hash >>> 0) || null;
+}
+
+/**
+ * Aggregates syscall call sites from a disassembly.
+ * @param {Object} disassembly - Result of disassemble().
+ * @returns {Array<Object>} - [{ name, hash, count, offsets }] sorted by call count; offsets are
+ *   the virtual addresses of the `call` instructions.
+ */
+export function collectSyscalls(disassembly) {
+  const byName = new Map();
+  disassembly.instructions
+    .filter(insn => insn.callTarget?.type === 'syscall')
+    .forEach(insn => {
+      const { name } = insn.callTarget;
+      if (!byName.has(name)) byName.set(name, { name, hash: syscallHash(name), count: 0, offsets: [] });
+      const entry = byName.get(name);
+      entry.count++;
+      entry.offsets.push(insn.address);
+    });
+  return [...byName.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Checks whether any of the given syscalls is called.
+ * @param {Array<Object>} syscalls - Syscall summary from collectSyscalls (insights.syscalls).
+ * @param {...string} names - Syscall names to look for.
+ * @returns {boolean} - True if at least one of the syscalls has a call site.
+ */
+export function hasSyscall(syscalls = [], ...names) {
+  return syscalls.some(syscall => names.includes(syscall.name));
+}
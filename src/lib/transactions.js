@@ -1,79 +1,105 @@
-import { Connection, PublicKey } from '@solana/web3.js';
-import fetch from 'node-fetch';
+import { AsyncResource } from 'async_hooks';
 import NodeCache from 'node-cache';
 import Bottleneck from 'bottleneck';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
+import { decodeTransactions } from './idlDecoder.js';
+import { getConnection, getEnhancedApi } from './provider.js';
+import { getCluster } from './config.js';
+import { cacheGet, cacheSet } from './diskCache.js';
+import { crawlTransactions, checkCrawlBounds } from './crawler.js';
+import { computeBalanceChanges, solVolume, aggregateBalanceFlows } from './balanceFlows.js';
+import { detectWashTrading, emptyWashTrading } from './washTrading.js';
+import { profileCompute, emptyComputeProfile } from './computeProfiler.js';
 
 dotenv.config();
 
 const cache = new NodeCache({ stdTTL: 600 }); // Cache for 10 minutes
-const limiter = new Bottleneck({ minTime: 2000 }); // 1 request every 2 seconds
-const fetchWithLimit = limiter.wrap(fetch);
+// 1 request every 2 seconds; providers with higher limits can lower SOLPROOF_RPC_INTERVAL_MS for long crawls.
+const limiter = new Bottleneck({ minTime: Number(process.env.SOLPROOF_RPC_INTERVAL_MS) || 2000 });
+/**
+ * Runs an RPC request within the shared transaction rate limit.
+ * Bottleneck may start a job from another caller's async context; the caller's cluster is kept.
+ * @param {Function} fn - Request to run.
+ * @returns {Promise<*>} - Request result.
+ */
+export const schedule = fn => limiter.schedule(AsyncResource.bind(fn));
 
 /**
- * Fetches recent transactions for a Solana program using Helius RPC with rate-limiting.
- * Analyzes transaction volume, types, and token flows for economic insights.
+ * Fetches a Solana program's transactions within a timeframe through the configured provider with
+ * rate-limiting, and analyzes their volume, types, and token flows for economic insights. The
+ * history is crawled page by page (see crawler.js) until the timeframe, `minSlot` or `limit` is
+ * reached; without a timeframe only `limit` bounds it. `window` reports the range the insights cover.
  *
  * @param {string} address - The program address.
  * @param {Object} options - Options for transaction fetching.
- * @param {number} options.limit - Number of transactions to fetch (default: 10).
- * @param {string} options.timeframe - Timeframe for transactions (e.g., '7d', default: '7d').
- * @returns {Promise<Object>} - Transaction data with economic insights.
- * @throws {Error} - If API key is missing or fetching fails after retries.
+ * @param {number} options.limit - Maximum number of transactions to fetch (default: 10; 0 for no limit,
+ * which needs a timeframe or minSlot).
+ * @param {string} options.timeframe - How far back to fetch (e.g. '24h', '7d', 'all'; default: 'all').
+ * @param {number} options.minSlot - Oldest slot to include.
+ * @param {string} options.checkpoint - File to checkpoint the crawl to, so an interrupted crawl resumes.
+ * @param {Function} options.onProgress - Called with crawl progress ({ phase, listed, fetched, total }).
+ * @param {Object} options.idl - IDL used to decode the program's instructions (sets `ix.decoded`).
+ * @param {boolean} options.prices - Value token flows in USD at each transaction's time (default: false;
+ * one price lookup per mint and day, so only flow reports enable it).
+ * @returns {Promise<Object>} - { transactions, economicInsights, window }. Each transaction carries
+ * its per-owner `balanceChanges`, and its `meta.volumeSOL` is the SOL received by all accounts.
  */
 export async function getRecentTransactions(address, options = {}) {
-  const { limit = 10, timeframe = '7d' } = options;
-  const apiKey = process.env.HELIUS_API_KEY;
-  if (!apiKey) throw new Error('HELIUS_API_KEY not set in .env');
+  const { limit = 10, timeframe = 'all', minSlot, checkpoint, onProgress, idl, prices = false } = options;
 
-  const cacheKey = `tx_${address}_${limit}_${timeframe}`;
+  const cacheKey = `tx_${getCluster()}_${address}_${limit}_${timeframe}_${minSlot ?? ''}_${prices}`;
   const cached = cache.get(cacheKey);
-  if (cached) return cached;
+  if (cached) {
+    if (idl) decodeTransactions(cached.transactions, address, idl);
+    return cached;
+  }
+
+  try {
+    checkCrawlBounds({ timeframe, minSlot, limit });
+  } catch (err) {
+    console.warn(chalk.yellow(`Failed to fetch transactions for ${address}: ${err.message}`));
+    return createFallback();
+  }
 
   const maxRetries = 5;
   const retryDelays = [1000, 2000, 4000, 8000, 16000];
-  const url = `https://api.helius.xyz/v0/addresses/${address}/transactions?api-key=${apiKey}&limit=${limit}`;
 
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
-      const response = await fetchWithLimit(url);
-      if (response.status === 429) {
-        if (attempt === maxRetries) throw new Error('Rate limit exceeded for transaction fetching');
-        await new Promise(resolve => setTimeout(resolve, retryDelays[attempt]));
-        continue;
-      }
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${await response.text()}`);
-
-      const txs = await response.json();
-      if (!Array.isArray(txs)) throw new Error('Invalid transaction data from Helius');
-
-      const connection = new Connection(`https://mainnet.helius-rpc.com/?api-key=${apiKey}`, 'confirmed');
-      const transactions = await Promise.all(
-        txs.map(async tx => {
-          const parsedTx = await limiter.schedule(() =>
-            connection.getParsedTransaction(tx.signature, {
-              commitment: 'confirmed',
-              maxSupportedTransactionVersion: 0,
-            })
-          );
-          return {
-            signature: tx.signature,
-            slot: tx.slot,
-            blockTime: tx.timestamp,
-            instructions: parsedTx?.transaction.message.instructions || [],
-            isNonStandard: !parsedTx?.transaction.message.instructions.some(ix => ix.programId.toBase58() === 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'),
-            type: inferTransactionType(parsedTx, address),
-            details: parsedTx,
-            meta: {
-              volumeSOL: parsedTx?.meta ? Math.abs((parsedTx.meta.preBalances[0] - parsedTx.meta.postBalances[0]) / 1e9) || 0 : 0,
-              fee: parsedTx?.meta?.fee / 1e9 || 0,
-            },
-          };
-        })
-      );
+      const connection = getConnection();
+      // A retry resumes from the checkpoint; fetched transactions come back from the disk cache.
+      const { entries, window } = await crawlTransactions(address, {
+        timeframe,
+        minSlot,
+        limit,
+        checkpoint,
+        onProgress,
+        schedule,
+        fetchTransaction: signature => fetchParsedTransaction(signature, { connection }),
+      });
+      const transactions = entries.map(({ signature, slot, timestamp, transaction: parsedTx }) => {
+        const balanceChanges = computeBalanceChanges(parsedTx);
+        return {
+          signature,
+          slot,
+          blockTime: timestamp,
+          instructions: parsedTx?.transaction.message.instructions || [],
+          innerInstructions: parsedTx?.meta?.innerInstructions || [],
+          isNonStandard: !parsedTx?.transaction.message.instructions.some(ix => ix.programId.toBase58() === 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA'),
+          type: inferTransactionType(parsedTx, address),
+          details: parsedTx,
+          balanceChanges,
+          meta: {
+            volumeSOL: solVolume(balanceChanges),
+            fee: parsedTx?.meta?.fee / 1e9 || 0,
+          },
+        };
+      });
+      if (idl) decodeTransactions(transactions, address, idl);
 
-      const tokenFlowInsights = await limiter.schedule(() => analyzeTokenFlows(transactions, address));
+      const tokenFlowInsights = await aggregateBalanceFlows(transactions, address, { prices });
+      const washTrading = detectWashTrading({ transactions });
 
       const volumes = transactions.map(tx => tx.meta.volumeSOL || 0);
       const meanVolumeSOL = volumes.length ? volumes.reduce((sum, vol) => sum + vol, 0) / volumes.length : 0;
@@ -95,7 +121,14 @@ export async function getRecentTransactions(address, options = {}) {
           others: { count: transactions.filter(tx => tx.type === 'unknown' || tx.type === 'custom').length, volumeSOL: transactions.filter(tx => tx.type === 'unknown' || tx.type === 'custom').reduce((sum, tx) => sum + (tx.meta.volumeSOL || 0), 0) },
         },
         suspiciousVolume: transactions.filter(tx => tx.isNonStandard).reduce((sum, tx) => sum + (tx.meta.volumeSOL || 0), 0),
+        organicVolumeSOL: washTrading.organicVolumeSOL,
+        washTrading,
         tokenFlowInsights,
+        topAccounts: tokenFlowInsights.byOwner
+          .filter(owner => owner.mint === 'SOL' && owner.owner !== address)
+          .map(owner => ({ address: owner.owner, volume: owner.inflow + owner.outflow, action: owner.net >= 0 ? 'inflow' : 'outflow', txCount: owner.txCount }))
+          .sort((a, b) => b.volume - a.volume)
+          .slice(0, 5),
         transactionVolumeAnalysis: {
           meanVolumeSOL,
           stdDevVolumeSOL,
@@ -103,7 +136,7 @@ export async function getRecentTransactions(address, options = {}) {
         },
       };
 
-      const result = { transactions, economicInsights };
+      const result = { transactions, economicInsights, window };
       cache.set(cacheKey, result);
       return result;
     } catch (err) {
@@ -119,6 +152,29 @@ export async function getRecentTransactions(address, options = {}) {
   return createFallback();
 }
 
+/**
+ * Fetches a parsed transaction, reading confirmed transactions from the disk cache. A confirmed
+ * transaction never changes, so it is cached by signature without expiry.
+ * @param {string} signature - Transaction signature.
+ * @param {Object} options - Fetch options.
+ * @param {Connection} options.connection - RPC connection (default: the provider's).
+ * @returns {Promise<Object|null>} - Parsed transaction, or null if not found.
+ */
+export async function fetchParsedTransaction(signature, options = {}) {
+  const cached = await cacheGet('transactions', signature);
+  if (cached) return cached;
+
+  const { connection = getConnection() } = options;
+  const parsedTx = await schedule(() =>
+    connection.getParsedTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0,
+    })
+  );
+  if (parsedTx) await cacheSet('transactions', signature, parsedTx);
+  return parsedTx;
+}
+
 /**
  * Creates a fallback transaction object for error cases.
  * @returns {Object} - Fallback transaction data.
@@ -126,6 +182,7 @@ export async function getRecentTransactions(address, options = {}) {
 function createFallback() {
   return {
     transactions: [],
+    window: null,
     economicInsights: {
       totalVolumeSOL: 0,
       averageFeeSOL: 0,
@@ -140,14 +197,17 @@ function createFallback() {
         others: { count: 0, volumeSOL: 0 },
       },
       suspiciousVolume: 0,
-      tokenFlowInsights: { topOutflows: [], topInflows: [], concentrationRisk: false },
+      organicVolumeSOL: 0,
+      washTrading: emptyWashTrading(),
+      tokenFlowInsights: { topOutflows: [], topInflows: [], byOwner: [], byMint: [], concentrationRisk: false },
+      topAccounts: [],
       transactionVolumeAnalysis: { meanVolumeSOL: 0, stdDevVolumeSOL: 0, highVolatility: false },
     },
   };
 }
 
 /**
- * Fetches token metadata for a mint address using Helius RPC.
+ * Fetches token metadata for a mint address through the provider's enhanced API (DAS, or the mint account on plain RPC).
  * @param {string} mint - The token mint address.
  * @returns {Promise<Object>} - Token metadata.
  */
@@ -156,43 +216,24 @@ export async function getTokenMetadata(mint) {
     return { name: 'None', mint: 'None', supply: 'Unknown', decimals: 9, mintAuthority: null, freezeAuthority: null };
   }
 
-  const cacheKey = `token_${mint}`;
+  const cacheKey = `token_${getCluster()}_${mint}`;
   const cached = cache.get(cacheKey);
   if (cached) return cached;
 
-  const apiKey = process.env.HELIUS_API_KEY;
-  if (!apiKey) throw new Error('HELIUS_API_KEY not set in .env');
-
   const maxRetries = 5;
   const retryDelays = [1000, 2000, 4000, 8000, 16000];
-  const url = `https://api.helius.xyz/v0/tokens/metadata?api-key=${apiKey}`;
+  const enhancedApi = getEnhancedApi();
 
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
     try {
-      const response = await fetchWithLimit(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ mintAccounts: [mint] }),
-      });
-
-      if (response.status === 429) {
-        if (attempt === maxRetries) throw new Error(`Rate limit exceeded for token metadata on ${mint}`);
-        await new Promise(resolve => setTimeout(resolve, retryDelays[attempt]));
-        continue;
-      }
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${await response.text()}`);
-
-      const metadataArray = await response.json();
-      const metadata = metadataArray[0] || {};
+      const metadata = await schedule(() => enhancedApi.getTokenMetadata(mint));
       const result = {
-        name: metadata.onChainMetadata?.metadata?.data?.name || 'Unknown',
+        name: metadata.name,
         mint,
-        supply: metadata.onChainMetadata?.metadata?.supply
-          ? (metadata.onChainMetadata.metadata.supply / Math.pow(10, metadata.onChainMetadata.metadata.decimals || 9)).toString()
-          : 'Unknown',
-        decimals: metadata.onChainMetadata?.metadata?.decimals || 9,
-        mintAuthority: metadata.onChainMetadata?.mintAuthority || null,
-        freezeAuthority: metadata.onChainMetadata?.freezeAuthority || null,
+        supply: metadata.supply !== null ? metadata.supply.toString() : 'Unknown',
+        decimals: metadata.decimals ?? 9,
+        mintAuthority: metadata.mintAuthority,
+        freezeAuthority: metadata.freezeAuthority,
       };
       cache.set(cacheKey, result);
       return result;
@@ -257,109 +298,35 @@ function inferTransactionType(parsedTx, programAddress) {
 }
 
 /**
- * Analyzes token and account flows from transactions.
- * @param {Array} transactions - The list of transactions.
- * @param {string} address - The program address.
- * @returns {Promise<Object>} - Flow insights.
- */
-async function analyzeTokenFlows(transactions, address) {
-  const outflows = [];
-  const inflows = [];
-  let concentrationRisk = false;
-
-  for (const tx of transactions) {
-    if (!tx.details) continue;
-    const instructions = tx.instructions;
-
-    for (const ix of instructions) {
-      let flowType = null;
-      let source, destination, amount, mint;
-
-      if (ix.programId?.toBase58() === 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA' && ix.parsed?.type === 'transfer') {
-        ({ source, destination, amount, mint } = ix.parsed.info);
-        flowType = 'transfer';
-      } else if (['swap', 'custom'].includes(tx.type) && ix.accounts?.length >= 2) {
-        source = ix.accounts[0]?.toBase58();
-        destination = ix.accounts[1]?.toBase58();
-        amount = tx.meta?.volumeSOL || 1;
-        mint = ix.parsed?.info?.mint || 'SOL';
-        flowType = 'swap';
-      } else if (tx.type === 'governance' && ix.accounts?.length >= 1) {
-        source = ix.accounts[0]?.toBase58();
-        destination = address;
-        amount = 1;
-        mint = 'GOVERNANCE';
-        flowType = 'vote';
-      } else if (tx.type === 'nft_mint' && ix.parsed?.info?.mint) {
-        source = address;
-        destination = ix.parsed.info.mintAuthority || ix.accounts[0]?.toBase58();
-        amount = 1;
-        mint = ix.parsed.info.mint;
-        flowType = 'nft_mint';
-      }
-
-      if (flowType && source && destination) {
-        const parsedAmount = mint === 'SOL' || mint === 'GOVERNANCE' ? amount : parseFloat(amount) / Math.pow(10, await getTokenDecimals(mint));
-        if (source === address) {
-          outflows.push({ account: destination, amount: parsedAmount, token: mint, mint, flowType, txCount: 1 });
-        } else if (destination === address) {
-          inflows.push({ account: source, amount: parsedAmount, token: mint, mint, flowType, txCount: 1 });
-        }
-      }
-    }
-  }
-
-  const aggregateFlows = (flows) =>
-    Object.values(
-      flows.reduce((acc, flow) => {
-        const key = `${flow.account}_${flow.mint}_${flow.flowType}`;
-        if (!acc[key]) acc[key] = { ...flow, amount: 0, txCount: 0 };
-        acc[key].amount += flow.amount;
-        acc[key].txCount += 1;
-        return acc;
-      }, {})
-    ).sort((a, b) => b.amount - a.amount);
-
-  const topOutflows = aggregateFlows(outflows).slice(0, 5);
-  const topInflows = aggregateFlows(inflows).slice(0, 5);
-  if (topOutflows.length > 0 && topOutflows[0].amount > 0.8 * topOutflows.reduce((sum, f) => sum + f.amount, 0)) {
-    concentrationRisk = true;
-  }
-
-  return { topOutflows, topInflows, concentrationRisk };
-}
-
-/**
- * Fetches token decimals for a mint address.
- * @param {string} mint - The token mint address.
- * @returns {Promise<number>} - The number of decimals.
- */
-async function getTokenDecimals(mint) {
-  if (mint === 'SOL' || mint === 'GOVERNANCE') return 9;
-  const metadata = await getTokenMetadata(mint);
-  return metadata.decimals !== 'Unknown' ? parseInt(metadata.decimals) : 9;
-}
-
-/**
- * Analyzes transaction fees for hidden fees or manipulation.
+ * Analyzes transaction fees for hidden fees or manipulation, and profiles compute usage and
+ * priority fees per instruction type.
  * @param {string} address - The program address.
  * @param {Object} options - Options for analysis.
  * @param {number} options.limit - Number of transactions to analyze.
- * @returns {Promise<Object>} - Fee analysis results.
+ * @param {Object} options.idl - Anchor IDL used to name instructions.
+ * @returns {Promise<Object>} - Fee analysis results; `compute` is the profileCompute() result and
+ * `hiddenFees` lists instruction types whose over-requested compute limits make users overpay.
  */
 export async function analyzeFees(address, options = {}) {
-  const { limit = 25 } = options;
+  const { limit = 25, idl } = options;
   try {
-    const { transactions } = await getRecentTransactions(address, { limit });
+    const { transactions } = await getRecentTransactions(address, { limit, idl });
     const fees = transactions.map(tx => ({
       signature: tx.signature,
-      fee: tx.meta?.fee / 1e9 || 0,
+      fee: tx.meta?.fee || 0,
     }));
 
     const averageFeeSOL = fees.reduce((sum, tx) => sum + tx.fee, 0) / (fees.length || 1);
     const feeThreshold = averageFeeSOL * 3;
 
-    const hiddenFees = [];
+    const compute = profileCompute(transactions, address);
+    const hiddenFees = compute.instructions
+      .filter(type => type.overRequested)
+      .map(type => ({
+        issue: 'Over-requested CU limit',
+        instruction: type.instruction,
+        details: `Median limit ${type.requestedLimit} CU for p90 usage of ${type.computeUnits.p90} CU; users paid ${type.overpaidSOL.toFixed(6)} SOL in priority fees for unused compute (suggested limit: ${type.recommendedLimit} CU)`,
+      }));
     const manipulation = fees
       .filter(tx => tx.fee > feeThreshold)
       .map(tx => ({
@@ -373,6 +340,7 @@ export async function analyzeFees(address, options = {}) {
       averageFeeSOL,
       hiddenFees,
       manipulation,
+      compute,
     };
   } catch (err) {
     console.warn(chalk.yellow(`Fee analysis failed for ${address}: ${err.message}`));
@@ -381,6 +349,7 @@ export async function analyzeFees(address, options = {}) {
       averageFeeSOL: 0,
       hiddenFees: [],
       manipulation: [],
+      compute: emptyComputeProfile(),
     };
   }
-}
\ No newline at end of file
+}
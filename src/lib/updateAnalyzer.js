@@ -1,34 +1,52 @@
 import chalk from 'chalk';
-import fetch from 'node-fetch';
 import dotenv from 'dotenv';
+import { getConnection, getEnhancedApi } from './provider.js';
 
 dotenv.config();
 
+const BPF_LOADER_UPGRADEABLE = 'BPFLoaderUpgradeab1e11111111111111111111111';
+
 /**
- * Analyzes the update history of a Solana program using Helius RPC.
+ * Analyzes the update history of a Solana program. Providers that label transactions (Helius)
+ * mark upgrades as PROGRAM_UPGRADE; otherwise each transaction is checked for an upgradeable
+ * loader `upgrade` instruction.
  *
  * @param {string} address - Program address.
  * @returns {Promise<Array>} - List of update events.
  */
 export async function analyzeUpdateHistory(address) {
-  const apiKey = process.env.HELIUS_API_KEY;
-  if (!apiKey) throw new Error('HELIUS_API_KEY not set in .env');
-
   try {
-    const response = await fetch(`https://api.helius.xyz/v0/addresses/${address}/transactions?api-key=${apiKey}&limit=10`);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const txs = await getEnhancedApi().getSignatures(address, { limit: 10 });
+    const connection = getConnection();
 
-    const txs = await response.json();
-    const updates = txs
-      .filter(tx => tx.type === 'PROGRAM_UPGRADE')
-      .map(tx => ({
-        timestamp: tx.timestamp,
-        changes: ['Program binary updated'],
-      }));
+    const updates = [];
+    for (const tx of txs) {
+      const isUpgrade = tx.type !== null
+        ? tx.type === 'PROGRAM_UPGRADE'
+        : await isUpgradeTransaction(connection, tx.signature);
+      if (isUpgrade) {
+        updates.push({
+          timestamp: tx.timestamp,
+          changes: ['Program binary updated'],
+        });
+      }
+    }
 
     return updates;
   } catch (err) {
     console.warn(chalk.yellow(`Update history analysis failed for ${address}: ${err.message}`));
     return [];
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Checks whether a transaction upgraded a program through the upgradeable loader.
+ * @param {Connection} connection - RPC connection.
+ * @param {string} signature - Transaction signature.
+ * @returns {Promise<boolean>} - True if it contains an `upgrade` instruction.
+ */
+async function isUpgradeTransaction(connection, signature) {
+  const parsedTx = await connection.getParsedTransaction(signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 });
+  return (parsedTx?.transaction.message.instructions || [])
+    .some(ix => ix.programId.toBase58() === BPF_LOADER_UPGRADEABLE && ix.parsed?.type === 'upgrade');
+}
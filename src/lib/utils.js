@@ -1,3 +1,4 @@
+import { getCluster, clusterRpcUrl } from './config.js';
 
 export function formatAddress(address) {
     if (!address) return 'unknown';
@@ -8,4 +9,39 @@ export function formatAddress(address) {
   export function formatAmount(amount, unit) {
     if (typeof amount !== 'number') return 'unknown';
     return `${amount.toFixed(4)} ${unit}`;
-  }
\ No newline at end of file
+  }
+
+  /**
+   * Builds a Solscan link on the active cluster.
+   * @param {string} path - Page path, e.g. `account/<address>`, `tx/<signature>`, `token/<mint>#holders`.
+   * @param {string} cluster - Cluster name or custom RPC URL (default: active cluster).
+   * @returns {string} - Solscan URL.
+   */
+  export function solscanUrl(path, cluster = getCluster()) {
+    return withClusterQuery(`https://solscan.io/${path}`, cluster);
+  }
+
+  /**
+   * Builds a Solana Explorer link on the active cluster.
+   * @param {string} path - Page path, e.g. `address/<address>` or `tx/<signature>`.
+   * @param {string} cluster - Cluster name or custom RPC URL (default: active cluster).
+   * @returns {string} - Explorer URL.
+   */
+  export function explorerUrl(path, cluster = getCluster()) {
+    return withClusterQuery(`https://explorer.solana.com/${path}`, cluster);
+  }
+
+  /**
+   * Adds the cluster query both explorers understand; localnet and custom URLs use customUrl.
+   * @param {string} url - Mainnet URL, optionally with a #fragment.
+   * @param {string} cluster - Cluster name or custom RPC URL.
+   * @returns {string} - URL for the cluster.
+   */
+  function withClusterQuery(url, cluster) {
+    if (cluster === 'mainnet-beta') return url;
+    const [base, fragment] = url.split('#');
+    const query = ['devnet', 'testnet'].includes(cluster)
+      ? `cluster=${cluster}`
+      : `cluster=custom&customUrl=${encodeURIComponent(clusterRpcUrl(cluster))}`;
+    return `${base}?${query}${fragment ? `#${fragment}` : ''}`;
+  }
@@ -1,4 +1,5 @@
 import chalk from 'chalk';
+import { hasSyscall, CPI_SYSCALLS } from './syscalls.js';
 
 /**
  * Scans a Solana program binary for vulnerabilities, detecting issues like unchecked minting,
@@ -35,7 +36,7 @@ export async function scanVulnerabilities(analysis) {
       });
     }
 
-    if (insights.instructions > 500 && insights.syscalls.includes('sol_invoke')) {
+    if (insights.instructions > 500 && hasSyscall(insights.syscalls, ...CPI_SYSCALLS)) {
       vulnerabilities.push({
         type: 'Arithmetic Overflow/Underflow',
         severity: 'Moderate',
@@ -46,13 +47,16 @@ export async function scanVulnerabilities(analysis) {
       });
     }
 
-    if (!insights.syscalls.includes('sol_verify_signature') && insights.suspectedType !== 'governance') {
+    // Most programs authenticate through signer accounts; only programs that verify precompile
+    // signatures can get this wrong, by reading them from an instructions account they never check.
+    const signatureChecks = insights.signatureChecks || {};
+    if ((signatureChecks.ed25519Program || signatureChecks.secp256k1Program) && !signatureChecks.instructionsSysvar) {
       vulnerabilities.push({
         type: 'Unverified Signatures',
-        severity: 'High',
-        details: 'No signature verification detected.',
-        confidence: 90,
-        mitigation: 'Implement sol_verify_signature for critical instructions.',
+        severity: 'Moderate',
+        details: 'References the Ed25519/Secp256k1 precompile but not the instructions sysvar address; verified signatures may be read from an unchecked account.',
+        confidence: 60,
+        mitigation: 'Check the instructions sysvar account by address and validate the precompile instruction\'s program id, signer and message.',
         affectedComponent: 'Authentication Logic',
       });
     }
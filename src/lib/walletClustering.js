@@ -0,0 +1,183 @@
+import { PublicKey } from '@solana/web3.js';
+import chalk from 'chalk';
+import { getConnection } from './provider.js';
+import { getCluster } from './config.js';
+import { cacheGet, cacheSet } from './diskCache.js';
+import { fetchParsedTransaction, schedule } from './transactions.js';
+import { computeBalanceChanges } from './balanceFlows.js';
+import { knownSink } from './fundFlowTracer.js';
+import { resolveAccountKeys } from './lookupTables.js';
+
+/**
+ * Groups a program's users (the signers of its transactions) into likely entities, to tell many
+ * real users from a few operators running many wallets. Wallets are linked by:
+ *   - co-signing: signing the same transaction;
+ *   - a shared fee payer: one wallet paying the fees of another's transactions;
+ *   - a common funder: the same account sent the wallet its first SOL (exchanges excluded);
+ *   - a creation burst: wallets first funded within minutes of each other.
+ * Linked wallets form clusters; a cluster's confidence combines the weights of its link types.
+ */
+
+const SIGNAL_WEIGHTS = { coSigning: 0.9, sharedFeePayer: 0.8, commonFunder: 0.7, creationBurst: 0.4 };
+const SIGNATURE_PAGE = 1000;
+// Wallets with longer histories are too old to be throwaway accounts; their funder is not looked up.
+const FUNDING_PAGES = 3;
+const MIN_BURST_SIZE = 3;
+
+/**
+ * Clusters the wallets that sign a program's transactions.
+ *
+ * @param {Object} transactionData - Result of getRecentTransactions().
+ * @param {Object} options - Clustering options.
+ * @param {number} options.maxWallets - Most active wallets whose first funding is looked up (default: 20).
+ * @param {number} options.burstWindow - Seconds between wallet creations that count as a burst (default: 600).
+ * @param {boolean} options.funders - Look up funders and creation times (default: true).
+ * @returns {Promise<Object>} - { walletCount, clusters[{ id, wallets, size, share, confidence, signals,
+ * funders, feePayers }], clusterCount, entityCount, largestClusterShare, largestClusterConfidence, fundersResolved }.
+ */
+export async function clusterWallets(transactionData, options = {}) {
+  const { maxWallets = 20, burstWindow = 600, funders = true } = options;
+  try {
+    const activity = new Map();
+    const links = [];
+    const link = (a, b, type, via) => {
+      if (a !== b) links.push({ a, b, type, via });
+    };
+
+    (transactionData?.transactions || []).forEach(tx => {
+      const signers = resolveAccountKeys(tx.details).filter(key => key.signer).map(key => key.pubkey);
+      if (!signers.length) return;
+      signers.forEach(signer => activity.set(signer, (activity.get(signer) || 0) + 1));
+      const [feePayer, ...others] = signers;
+      others.forEach(signer => link(feePayer, signer, 'sharedFeePayer', feePayer));
+      others.forEach((signer, i) => others.slice(i + 1).forEach(other => link(signer, other, 'coSigning', tx.signature)));
+    });
+
+    const wallets = [...activity.keys()];
+    const fundings = new Map();
+    if (funders) {
+      const active = [...activity.entries()].sort((a, b) => b[1] - a[1]).slice(0, maxWallets).map(([wallet]) => wallet);
+      for (const wallet of active) {
+        const funding = await findFirstFunding(wallet);
+        if (funding) fundings.set(wallet, funding);
+      }
+
+      const byFunder = new Map();
+      fundings.forEach(({ funder }, wallet) => {
+        if (!funder || knownSink(funder)) return;
+        if (!byFunder.has(funder)) byFunder.set(funder, []);
+        byFunder.get(funder).push(wallet);
+      });
+      byFunder.forEach((funded, funder) => funded.slice(1).forEach(wallet => link(funded[0], wallet, 'commonFunder', funder)));
+
+      const created = [...fundings.entries()].filter(([, funding]) => funding.createdAt).sort((a, b) => a[1].createdAt - b[1].createdAt);
+      let burst = [];
+      const closeBurst = () => {
+        if (burst.length >= MIN_BURST_SIZE) burst.slice(1).forEach(wallet => link(burst[0], wallet, 'creationBurst', null));
+        burst = [];
+      };
+      created.forEach(([wallet, { createdAt }], i) => {
+        if (i && createdAt - created[i - 1][1].createdAt > burstWindow) closeBurst();
+        burst.push(wallet);
+      });
+      closeBurst();
+    }
+
+    // Union-find over the links.
+    const parent = new Map(wallets.map(wallet => [wallet, wallet]));
+    const find = wallet => {
+      while (parent.get(wallet) !== wallet) {
+        parent.set(wallet, parent.get(parent.get(wallet)));
+        wallet = parent.get(wallet);
+      }
+      return wallet;
+    };
+    links.forEach(({ a, b }) => {
+      [a, b].forEach(wallet => parent.has(wallet) || parent.set(wallet, wallet));
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA !== rootB) parent.set(rootA, rootB);
+    });
+
+    const groups = new Map();
+    [...parent.keys()].filter(wallet => activity.has(wallet)).forEach(wallet => {
+      const root = find(wallet);
+      if (!groups.has(root)) groups.set(root, { wallets: [], signals: {}, funders: new Set(), feePayers: new Set() });
+      groups.get(root).wallets.push(wallet);
+    });
+    links.forEach(({ a, type, via }) => {
+      const group = groups.get(find(a));
+      if (!group) return;
+      group.signals[type] = (group.signals[type] || 0) + 1;
+      if (type === 'commonFunder') group.funders.add(via);
+      if (type === 'sharedFeePayer') group.feePayers.add(via);
+    });
+
+    const clusters = [...groups.values()]
+      .filter(group => group.wallets.length > 1)
+      .map(group => ({
+        wallets: group.wallets,
+        size: group.wallets.length,
+        share: group.wallets.length / (wallets.length || 1),
+        confidence: Math.round(100 * (1 - Object.keys(group.signals).reduce((doubt, type) => doubt * (1 - SIGNAL_WEIGHTS[type]), 1))),
+        signals: group.signals,
+        funders: [...group.funders],
+        feePayers: [...group.feePayers],
+      }))
+      .sort((a, b) => b.size - a.size || b.confidence - a.confidence)
+      .map((cluster, i) => ({ id: i + 1, ...cluster }));
+
+    const clustered = clusters.reduce((sum, cluster) => sum + cluster.size, 0);
+    return {
+      walletCount: wallets.length,
+      clusters,
+      clusterCount: clusters.length,
+      entityCount: clusters.length + (wallets.length - clustered),
+      largestClusterShare: clusters[0]?.share || 0,
+      largestClusterConfidence: clusters[0]?.confidence || 0,
+      fundersResolved: [...fundings.values()].filter(funding => funding.funder).length,
+    };
+  } catch (err) {
+    console.warn(chalk.yellow(`Wallet clustering failed: ${err.message}`));
+    return { walletCount: 0, clusters: [], clusterCount: 0, entityCount: 0, largestClusterShare: 0, largestClusterConfidence: 0, fundersResolved: 0 };
+  }
+}
+
+/**
+ * Finds who first sent SOL to a wallet and when, from its oldest transaction. The first funding
+ * never changes, so complete lookups are cached on disk.
+ * @param {string} wallet - Wallet address.
+ * @returns {Promise<Object|null>} - { funder, createdAt } (funder null if the first transaction
+ * funded nobody), or null if the history is too long or unavailable.
+ */
+async function findFirstFunding(wallet) {
+  const key = `${getCluster()}:${wallet}`;
+  const cached = await cacheGet('funding', key);
+  if (cached) return cached;
+
+  try {
+    const connection = getConnection();
+    let before;
+    let oldest = null;
+    for (let page = 0; page < FUNDING_PAGES; page++) {
+      const signatures = await schedule(() => connection.getSignaturesForAddress(new PublicKey(wallet), { limit: SIGNATURE_PAGE, before }));
+      if (signatures.length) oldest = signatures[signatures.length - 1];
+      if (signatures.length < SIGNATURE_PAGE) {
+        if (!oldest) return null;
+        const changes = computeBalanceChanges(await fetchParsedTransaction(oldest.signature));
+        const received = changes.find(change => change.owner === wallet && change.mint === 'SOL' && change.amount > 0);
+        const funder = received
+          ? changes.filter(change => change.mint === 'SOL' && change.amount < 0).sort((a, b) => a.amount - b.amount)[0]?.owner || null
+          : null;
+        const funding = { funder, createdAt: oldest.blockTime || null, signature: oldest.signature };
+        await cacheSet('funding', key, funding);
+        return funding;
+      }
+      before = signatures[signatures.length - 1].signature;
+    }
+    return null;
+  } catch (err) {
+    console.warn(chalk.yellow(`Could not find the first funding of ${wallet}: ${err.message}`));
+    return null;
+  }
+}
@@ -0,0 +1,160 @@
+import chalk from 'chalk';
+import { transfersOf } from './balanceFlows.js';
+import { resolveAccountKeys } from './lookupTables.js';
+
+/**
+ * Wash-trading detection over a program's transactions. Volume is flagged when it does not change
+ * who owns what:
+ *   - self-trades: one entity on both sides of a transfer;
+ *   - cluster cycles: one wallet of a cluster buys a token and another wallet of the same cluster
+ *     sells about the same amount shortly after;
+ *   - round trips: a token leaves a wallet and comes back in about the same amount, directly or
+ *     through one intermediary, within a short window.
+ * An entity is a wallet cluster (walletClustering.js) when clusters are given, otherwise a wallet.
+ * Volume concentrated in a few counterparty pairs is reported as well. Organic volume is the SOL
+ * volume of the transactions that were not flagged.
+ */
+
+const AMOUNT_TOLERANCE = 0.2;
+const MIN_TRANSACTIONS_FOR_CONCENTRATION = 10;
+const TOP_PAIRS = 3;
+
+/**
+ * Detects wash trading and circular volume.
+ *
+ * @param {Object} transactionData - Transactions from getRecentTransactions() (with balanceChanges).
+ * @param {Object} options - Detection options.
+ * @param {Object} options.walletClusters - Result of clusterWallets(); links wallets into entities.
+ * @param {number} options.window - Seconds within which a cycle or round trip must close (default: 3600).
+ * @returns {Object} - { totalVolumeSOL, organicVolumeSOL, washVolumeSOL, washShare, cycles[{ type, wallets,
+ * mint, amount, volumeSOL, signatures, durationSeconds }], pairConcentration{ topPairs, share, concentrated },
+ * flaggedTransactions }.
+ */
+export function detectWashTrading(transactionData, options = {}) {
+  const { walletClusters, window = 3600 } = options;
+  try {
+    const transactions = (transactionData?.transactions || []).filter(tx => tx.balanceChanges);
+    const entityOf = new Map();
+    (walletClusters?.clusters || []).forEach(cluster => cluster.wallets.forEach(wallet => entityOf.set(wallet, `cluster#${cluster.id}`)));
+    const entity = wallet => entityOf.get(wallet) || wallet;
+    const volumeOf = new Map(transactions.map(tx => [tx.signature, tx.meta?.volumeSOL || 0]));
+    const transfers = transactions.flatMap(tx => transfersOf(tx)).sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    const cycles = [];
+    const flag = (type, wallets, mint, amount, signatures, durationSeconds) => cycles.push({
+      type,
+      wallets: [...new Set(wallets)],
+      mint,
+      amount,
+      volumeSOL: [...new Set(signatures)].reduce((sum, signature) => sum + (volumeOf.get(signature) || 0), 0),
+      signatures: [...new Set(signatures)],
+      durationSeconds,
+    });
+
+    // Self-trades: both sides of a transfer belong to the same entity.
+    transfers
+      .filter(transfer => entityOf.has(transfer.from) && entity(transfer.from) === entity(transfer.to))
+      .forEach(transfer => flag('self-trade', [transfer.from, transfer.to], transfer.mint, transfer.amount, [transfer.signature], 0));
+
+    // Cluster cycles: a buy and a matching sell of a token by different wallets of one cluster.
+    const trades = transactions.flatMap(tx => {
+      const signers = new Set(resolveAccountKeys(tx.details).filter(key => key.signer).map(key => key.pubkey));
+      return tx.balanceChanges
+        .filter(change => change.mint !== 'SOL' && signers.has(change.owner) && entityOf.has(change.owner))
+        .map(change => ({ wallet: change.owner, mint: change.mint, amount: change.amount, timestamp: tx.blockTime || 0, signature: tx.signature }));
+    }).sort((a, b) => a.timestamp - b.timestamp);
+    const matched = new Set();
+    trades.forEach((open, i) => {
+      if (matched.has(i)) return;
+      const j = trades.findIndex((close, k) => k > i && !matched.has(k)
+        && close.mint === open.mint
+        && close.wallet !== open.wallet
+        && entity(close.wallet) === entity(open.wallet)
+        && Math.sign(close.amount) === -Math.sign(open.amount)
+        && close.timestamp - open.timestamp <= window
+        && similar(Math.abs(open.amount), Math.abs(close.amount)));
+      if (j === -1) return;
+      matched.add(i).add(j);
+      const close = trades[j];
+      flag('cluster-cycle', [open.wallet, close.wallet], open.mint, Math.abs(open.amount), [open.signature, close.signature], close.timestamp - open.timestamp);
+    });
+
+    // Round trips: A -> B -> A or A -> B -> C -> A in the same token and about the same amount.
+    const outgoing = new Map();
+    transfers.forEach(transfer => {
+      const key = `${transfer.from}|${transfer.mint}`;
+      if (!outgoing.has(key)) outgoing.set(key, []);
+      outgoing.get(key).push(transfer);
+    });
+    const next = (from, previous) => (outgoing.get(`${from}|${previous.mint}`) || []).filter(transfer =>
+      (transfer.timestamp || 0) >= (previous.timestamp || 0)
+      && transfer.signature !== previous.signature
+      && similar(previous.amount, transfer.amount));
+    const seen = new Set();
+    transfers.forEach(first => {
+      const inWindow = transfer => (transfer.timestamp || 0) - (first.timestamp || 0) <= window;
+      next(first.to, first).filter(inWindow).forEach(second => {
+        const path = second.to === first.from
+          ? [first, second]
+          : next(second.to, second).filter(third => inWindow(third) && third.to === first.from && third.to !== second.from).map(third => [first, second, third])[0];
+        if (!path) return;
+        // Transfers of the same second can close a cycle from either end; count it once.
+        const key = path.map(transfer => `${transfer.signature}:${transfer.from}`).sort().join('>');
+        if (seen.has(key)) return;
+        seen.add(key);
+        const last = path[path.length - 1];
+        flag('round-trip', path.map(transfer => transfer.from), first.mint, first.amount, path.map(transfer => transfer.signature), (last.timestamp || 0) - (first.timestamp || 0));
+      });
+    });
+
+    // Volume concentration among counterparty pairs (SOL legs only, so amounts compare).
+    const pairs = new Map();
+    transfers.filter(transfer => transfer.mint === 'SOL').forEach(transfer => {
+      const key = [entity(transfer.from), entity(transfer.to)].sort().join('|');
+      pairs.set(key, (pairs.get(key) || 0) + transfer.amount);
+    });
+    const pairVolume = [...pairs.values()].reduce((sum, volume) => sum + volume, 0);
+    const topPairs = [...pairs.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_PAIRS)
+      .map(([key, volumeSOL]) => ({ pair: key.split('|'), volumeSOL, share: pairVolume ? volumeSOL / pairVolume : 0 }));
+    const topShare = topPairs.reduce((sum, pair) => sum + pair.share, 0);
+
+    const flagged = new Set(cycles.flatMap(cycle => cycle.signatures));
+    const totalVolumeSOL = transactions.reduce((sum, tx) => sum + (tx.meta?.volumeSOL || 0), 0);
+    const washVolumeSOL = [...flagged].reduce((sum, signature) => sum + (volumeOf.get(signature) || 0), 0);
+    return {
+      totalVolumeSOL,
+      organicVolumeSOL: totalVolumeSOL - washVolumeSOL,
+      washVolumeSOL,
+      washShare: totalVolumeSOL ? washVolumeSOL / totalVolumeSOL : 0,
+      cycles: cycles.sort((a, b) => b.volumeSOL - a.volumeSOL),
+      pairConcentration: {
+        topPairs,
+        share: topShare,
+        concentrated: transactions.length >= MIN_TRANSACTIONS_FOR_CONCENTRATION && pairs.size > TOP_PAIRS && topShare > 0.6,
+      },
+      flaggedTransactions: flagged.size,
+    };
+  } catch (err) {
+    console.warn(chalk.yellow(`Wash trading detection failed: ${err.message}`));
+    return emptyWashTrading();
+  }
+}
+
+/**
+ * Returns the result of wash-trading detection over no transactions.
+ * @returns {Object} - Empty detection result.
+ */
+export function emptyWashTrading() {
+  return { totalVolumeSOL: 0, organicVolumeSOL: 0, washVolumeSOL: 0, washShare: 0, cycles: [], pairConcentration: { topPairs: [], share: 0, concentrated: false }, flaggedTransactions: 0 };
+}
+
+/**
+ * Checks whether two amounts match within the tolerance.
+ * @param {number} a - First amount.
+ * @param {number} b - Second amount.
+ * @returns {boolean} - True if they differ by at most AMOUNT_TOLERANCE of the larger one.
+ */
+function similar(a, b) {
+  return Math.abs(a - b) <= AMOUNT_TOLERANCE * Math.max(a, b);
+}
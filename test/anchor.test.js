@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readElfFixture } from './helpers/elf.js';
+import { parseElf, getSection, sectionData } from '../src/lib/elf.js';
+import { disassemble } from '../src/lib/disassembler.js';
+import { anchorDiscriminator, idlInstructionDiscriminator, extractAnchorInstructions } from '../src/lib/anchor.js';
+
+/**
+ * Disassembles a fixture and recovers its Anchor dispatcher.
+ * @param {string} name - ELF fixture name.
+ * @returns {Object} - Result of extractAnchorInstructions().
+ */
+function extract(name) {
+  const binary = readElfFixture(name);
+  const elf = parseElf(binary);
+  return extractAnchorInstructions(disassemble(binary, { elf }), sectionData(binary, getSection(elf, '.rodata')));
+}
+
+test('anchorDiscriminator hashes global:<name> and IDL names are hashed as snake_case', () => {
+  assert.equal(anchorDiscriminator('initialize').toString('hex'), 'afaf6d1f0d989bed');
+  assert.equal(idlInstructionDiscriminator({ name: 'closeVault' }), anchorDiscriminator('close_vault').toString('hex'));
+  assert.equal(idlInstructionDiscriminator({ name: 'closeVault', discriminator: [1, 2, 3, 4, 5, 6, 7, 8] }), '0102030405060708');
+});
+
+test('extractAnchorInstructions recovers dispatched discriminators, handlers and logged names', () => {
+  const anchor = extract('anchor-v1.so');
+
+  assert.equal(anchor.isAnchor, true);
+  assert.equal(anchor.hasIdlInstructions, true);
+  assert.equal(anchor.dispatcher, '0x110');
+  assert.deepEqual(anchor.instructions, [
+    { name: 'deposit', discriminator: anchorDiscriminator('deposit').toString('hex'), handler: '0x1b8', compareSite: '0x158', source: 'dispatcher' },
+    // A jne falls through to the match, so the handler is the call after it.
+    { name: 'withdraw', discriminator: anchorDiscriminator('withdraw').toString('hex'), handler: '0x1e8', compareSite: '0x170', source: 'dispatcher' },
+    // Logged but never compared as a constant; the IdlCreateAccount log is Anchor's own.
+    { name: 'close_vault', discriminator: anchorDiscriminator('close_vault').toString('hex'), handler: null, compareSite: null, source: 'log-string' },
+  ]);
+});
+
+test('extractAnchorInstructions skips the IDL and event-CPI tags compared by the dispatcher', () => {
+  const discriminators = extract('anchor-v1.so').instructions.map(ix => ix.discriminator);
+
+  // sha256("anchor:idl") and sha256("anchor:event") as they sit in instruction data.
+  assert.ok(!discriminators.includes('40f4bc78a7e9690a'));
+  assert.ok(!discriminators.includes('e445a52e51cb9a1d'));
+});
+
+test('extractAnchorInstructions reports programs without a dispatcher as not Anchor', () => {
+  assert.deepEqual(extract('sbpf-v2.so'), { isAnchor: false, hasIdlInstructions: false, dispatcher: null, instructions: [] });
+});
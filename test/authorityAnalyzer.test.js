@@ -0,0 +1,38 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXTURES } from './helpers/replay.js';
+import { PROGRAM, PROGRAM_DATA, AUTHORITY, AUTHORITY_LAST_ACTIVE } from './helpers/ledger.js';
+import { replayFixtures } from '../src/lib/fixtures.js';
+import { fetchProgramBinary } from '../src/lib/fetcher.js';
+import { analyzeAuthorityHolders } from '../src/lib/authorityAnalyzer.js';
+
+let standIn;
+before(async () => {
+  standIn = await replayFixtures(FIXTURES);
+});
+after(async () => {
+  assert.deepEqual(standIn.misses, []);
+  await standIn.close();
+});
+
+test('fetchProgramBinary follows the program account to ProgramData', async () => {
+  const programAccount = await fetchProgramBinary(PROGRAM);
+
+  assert.equal(programAccount.programDataAddress, PROGRAM_DATA);
+  assert.equal(programAccount.deploySlot, 1200);
+  assert.equal(programAccount.upgradeAuthority, AUTHORITY);
+  assert.equal(programAccount.binary.subarray(0, 4).toString('latin1'), '\x7fELF');
+});
+
+test('analyzeAuthorityHolders reports the balance and wallet age of each authority', async () => {
+  const [insight] = await analyzeAuthorityHolders([AUTHORITY], PROGRAM);
+
+  assert.equal(insight.authority, AUTHORITY);
+  assert.equal(insight.totalSOLWithdrawn, 3.5);
+  assert.equal(insight.walletAgeDays, Math.floor((Date.now() / 1000 - AUTHORITY_LAST_ACTIVE) / 86400));
+  assert.equal(insight.tokenMintCount, 0);
+});
+
+test('analyzeAuthorityHolders returns nothing without authorities', async () => {
+  assert.deepEqual(await analyzeAuthorityHolders([], PROGRAM), []);
+});
@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXTURES } from './helpers/replay.js';
+import { AMM, POOL, MEME, SEARCHER, USERS, RING, JITO_TIP_ACCOUNT, SWAPS } from './helpers/ledger.js';
+import { replayFixtures } from '../src/lib/fixtures.js';
+import { getRecentTransactions } from '../src/lib/transactions.js';
+import { computeBalanceChanges, solVolume, transfersOf, aggregateBalanceFlows } from '../src/lib/balanceFlows.js';
+
+let standIn;
+let swaps;
+before(async () => {
+  standIn = await replayFixtures(FIXTURES);
+  const { transactions } = await getRecentTransactions(AMM, { limit: 10 });
+  swaps = new Map(transactions.map(tx => [tx.signature, tx]));
+});
+after(async () => {
+  assert.deepEqual(standIn.misses, []);
+  await standIn.close();
+});
+
+const [frontRun, victim, backRun] = SWAPS.map(swap => swap.signature);
+const rounded = changes => changes.map(change => ({ ...change, amount: Math.round(change.amount * 1e9) / 1e9 }));
+
+test('computeBalanceChanges attributes token balances to owners and indexes lookup-table accounts', () => {
+  // The pool and its token account are loaded from the lookup table, after the static accounts.
+  const changes = computeBalanceChanges(swaps.get(victim).details);
+
+  assert.deepEqual(rounded(changes), [
+    { owner: USERS[1], mint: MEME, amount: 1800, decimals: 6 },
+    { owner: POOL, mint: MEME, amount: -1800, decimals: 6 },
+    { owner: USERS[1], mint: 'SOL', amount: -2, decimals: 9 },
+    { owner: POOL, mint: 'SOL', amount: 2, decimals: 9 },
+  ]);
+  assert.equal(solVolume(changes), 2);
+  assert.deepEqual(computeBalanceChanges({ meta: null }), []);
+});
+
+test('computeBalanceChanges leaves the fee out of the fee payer\'s SOL change', () => {
+  const sol = change => change.mint === 'SOL';
+
+  assert.deepEqual(rounded(computeBalanceChanges(swaps.get(frontRun).details).filter(sol)), [
+    { owner: SEARCHER, mint: 'SOL', amount: -1.001, decimals: 9 },
+    { owner: POOL, mint: 'SOL', amount: 1, decimals: 9 },
+    { owner: JITO_TIP_ACCOUNT, mint: 'SOL', amount: 0.001, decimals: 9 },
+  ]);
+  // Both parties of a trade sign; the fee of two signatures comes out of the first signer only.
+  assert.deepEqual(rounded(computeBalanceChanges(swaps.get(SWAPS[3].signature).details).filter(sol)), [
+    { owner: RING[0], mint: 'SOL', amount: 0.5, decimals: 9 },
+    { owner: RING[1], mint: 'SOL', amount: -0.5, decimals: 9 },
+  ]);
+});
+
+test('transfersOf pairs senders with receivers and splits what several senders sent', () => {
+  const transfers = transfersOf(swaps.get(frontRun)).map(({ from, to, mint, amount }) => [from, to, mint, Math.round(amount * 1e9) / 1e9]);
+  assert.deepEqual(transfers, [
+    [POOL, SEARCHER, MEME, 1000],
+    [SEARCHER, POOL, 'SOL', 1],
+    [SEARCHER, JITO_TIP_ACCOUNT, 'SOL', 0.001],
+  ]);
+
+  // Two senders of one token share each receipt in proportion to what they sent.
+  const split = transfersOf({
+    signature: 'split',
+    blockTime: 1770000000,
+    balanceChanges: [
+      { owner: USERS[0], mint: MEME, amount: -30 },
+      { owner: USERS[1], mint: MEME, amount: -10 },
+      { owner: USERS[2], mint: MEME, amount: 40 },
+    ],
+  });
+  assert.deepEqual(split.map(({ from, to, amount }) => [from, to, amount]), [[USERS[0], USERS[2], 30], [USERS[1], USERS[2], 10]]);
+  assert.equal(split[0].timestamp, 1770000000);
+});
+
+test('aggregateBalanceFlows totals flows per owner and per mint', async () => {
+  const sandwich = [frontRun, victim, backRun].map(signature => swaps.get(signature));
+  const flows = await aggregateBalanceFlows(sandwich, AMM, { prices: false });
+
+  const pool = flows.byOwner.find(owner => owner.owner === POOL && owner.mint === 'SOL');
+  assert.ok(Math.abs(pool.inflow - 3) < 1e-9);
+  assert.ok(Math.abs(pool.outflow - 1.1) < 1e-9);
+  assert.equal(pool.inflowUSD, null);
+  assert.equal(pool.txCount, 3);
+  assert.deepEqual([flows.topOutflows[0].account, flows.topOutflows[0].mint, flows.topOutflows[0].amount], [POOL, MEME, 2800]);
+  assert.deepEqual([flows.topInflows[0].account, flows.topInflows[0].mint, flows.topInflows[0].amount], [USERS[1], MEME, 1800]);
+  assert.deepEqual(flows.byMint.map(mint => [mint.mint, Math.round(mint.volume * 1e9) / 1e9, mint.owners, mint.txCount]), [[MEME, 3800, 3, 3], ['SOL', 4.101, 4, 3]]);
+  // Unpriced outflows compare in token units: the pool's 2800 MEME are under 80% of them.
+  assert.equal(flows.concentrationRisk, false);
+});
@@ -0,0 +1,367 @@
+import fs from 'fs';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { syscallHash } from '../src/lib/syscalls.js';
+import { anchorDiscriminator } from '../src/lib/anchor.js';
+
+/**
+ * Writes the sBPF ELF fixtures in test/fixtures/elf. Run with `npm run build-elf-fixtures` after
+ * changing a program below; the parser tests read the checked-in files, not this script.
+ *
+ * - anchor-v1.so: linked sBPF v1 program with an Anchor dispatcher (IDL and event-CPI tags,
+ *   deposit and withdraw), a counting loop, a two-entry cycle, relocated and hashed syscalls.
+ * - sbpf-v2.so: linked sBPF v2 program using the v2 load/store, PQR, hor64 and callx encodings.
+ * - relocatable.o: unlinked object whose calls are resolved through .rel.text.
+ */
+
+const OUT = fileURLToPath(new URL('./fixtures/elf', import.meta.url));
+
+const ET_REL = 1;
+const ET_DYN = 3;
+const EM_BPF = 247;
+const SHT_PROGBITS = 1;
+const SHT_SYMTAB = 2;
+const SHT_STRTAB = 3;
+const SHT_REL = 9;
+const SHT_DYNSYM = 11;
+const SHF_ALLOC = 0x2;
+const SHF_EXECINSTR = 0x4;
+const PT_LOAD = 1;
+const R_BPF_64_RELATIVE = 8;
+const R_BPF_64_32 = 10;
+const SYMBOL_TYPES = { NOTYPE: 0, FUNC: 2 };
+const SYMBOL_BINDS = { LOCAL: 0, GLOBAL: 1 };
+
+// Linked programs load .rodata right after the ELF header and its two program headers.
+const RODATA_ADDRESS = 64 + 2 * 56;
+
+// Anchor's built-in tags, as the dispatcher compares them.
+const IDL_IX_TAG = createHash('sha256').update('anchor:idl').digest().readBigUInt64BE();
+const EVENT_IX_TAG = createHash('sha256').update('anchor:event').digest().readBigUInt64BE();
+const dispatched = name => anchorDiscriminator(name).readBigUInt64LE();
+const hashed = name => syscallHash(name) | 0;
+
+/**
+ * Assembles sBPF instructions. Items are label names, [opcode, dst, src, off, imm] tuples whose
+ * off (jumps) or imm (relative calls) may name a label, and ['lddw', dst, value] 64-bit loads.
+ * @param {Array<string|Array>} program - Instructions and labels.
+ * @returns {Object} - { code, labels } with label byte offsets into the code.
+ */
+function assemble(program) {
+  const labels = {};
+  let pc = 0;
+  program.forEach(item => {
+    if (typeof item === 'string') labels[item] = pc * 8;
+    else pc += item[0] === 'lddw' ? 2 : 1;
+  });
+
+  pc = 0;
+  const relative = target => (typeof target === 'string' ? labels[target] / 8 - pc - 1 : target);
+  const code = Buffer.concat(program.filter(item => typeof item !== 'string').map(item => {
+    const bytes = Buffer.alloc(item[0] === 'lddw' ? 16 : 8);
+    if (item[0] === 'lddw') {
+      const value = BigInt.asUintN(64, BigInt(item[2]));
+      bytes[0] = 0x18;
+      bytes[1] = item[1];
+      bytes.writeUInt32LE(Number(value & 0xffffffffn), 4);
+      bytes.writeUInt32LE(Number(value >> 32n), 12);
+      pc += 2;
+      return bytes;
+    }
+    const [opcode, dst, src, off, imm] = item;
+    bytes[0] = opcode;
+    bytes[1] = (src << 4) | dst;
+    bytes.writeInt16LE(relative(off), 2);
+    bytes.writeInt32LE(relative(imm), 4);
+    pc += 1;
+    return bytes;
+  }));
+  return { code, labels };
+}
+
+/**
+ * Builds a symbol table and its string table.
+ * @param {Array<Object>} symbols - { name, type, bind, at } where `at` labels a definition in .text.
+ * @param {Object} context - { labels, textIndex, textAddress }.
+ * @returns {Object} - { data, strings, names, locals } with names in table order and the index of
+ *   the first global symbol.
+ */
+function symbolTable(symbols, { labels, textIndex, textAddress }) {
+  const sorted = [...symbols].sort((a, b) => SYMBOL_BINDS[a.bind] - SYMBOL_BINDS[b.bind]);
+  const strings = stringTable(sorted.map(sym => sym.name));
+  const data = Buffer.alloc((sorted.length + 1) * 24);
+  sorted.forEach((sym, i) => {
+    const base = (i + 1) * 24;
+    data.writeUInt32LE(strings.offsets.get(sym.name), base);
+    data[base + 4] = (SYMBOL_BINDS[sym.bind] << 4) | SYMBOL_TYPES[sym.type];
+    data.writeUInt16LE(sym.at === undefined ? 0 : textIndex, base + 6);
+    data.writeBigUInt64LE(BigInt(sym.at === undefined ? 0 : textAddress + labels[sym.at]), base + 8);
+  });
+  return { data, strings: strings.data, names: sorted.map(sym => sym.name), locals: sorted.filter(sym => sym.bind === 'LOCAL').length + 1 };
+}
+
+/**
+ * Builds a string table.
+ * @param {Array<string>} names - Strings to store.
+ * @returns {Object} - { data, offsets } with each string's offset.
+ */
+function stringTable(names) {
+  const offsets = new Map();
+  let data = Buffer.from([0]);
+  names.forEach(name => {
+    offsets.set(name, data.length);
+    data = Buffer.concat([data, Buffer.from(`${name}\0`)]);
+  });
+  return { data, offsets };
+}
+
+/**
+ * Links an assembled program into an ELF64 file. Shared objects get a .rel.dyn against .dynsym
+ * with virtual addresses; relocatable objects get a .rel.text against .symtab with offsets into
+ * .text.
+ * @param {Object} options - ELF contents.
+ * @param {number} options.type - ET_DYN or ET_REL.
+ * @param {number} options.flags - e_flags (2 selects sBPF v2).
+ * @param {Object} options.program - Result of assemble(); the entrypoint is its `entrypoint` label.
+ * @param {Buffer} options.rodata - Read-only data.
+ * @param {Array<Object>} options.dynamicSymbols - Symbols for .dynsym.
+ * @param {Array<Object>} options.symbols - Symbols for .symtab.
+ * @param {Array<Object>} options.relocations - { at, type, symbol } relocations of .text.
+ * @returns {Buffer} - ELF file.
+ */
+function link({ type, flags = 0, program, rodata = Buffer.alloc(0), dynamicSymbols = [], symbols = [], relocations = [] }) {
+  const shared = type === ET_DYN;
+  const align = n => Math.ceil(n / 8) * 8;
+  const rodataOffset = shared ? RODATA_ADDRESS : 64;
+  const textOffset = align(rodataOffset + rodata.length);
+  const textAddress = shared ? textOffset : 0;
+
+  const sections = [{ name: '' }];
+  const add = section => sections.push(section) - 1;
+  if (rodata.length) add({ name: '.rodata', type: SHT_PROGBITS, flags: SHF_ALLOC, data: rodata, addr: shared ? rodataOffset : 0 });
+  const textIndex = add({ name: '.text', type: SHT_PROGBITS, flags: SHF_ALLOC | SHF_EXECINSTR, data: program.code, addr: textAddress });
+  const context = { labels: program.labels, textIndex, textAddress };
+
+  let relocationTable = null;
+  if (dynamicSymbols.length) {
+    const table = symbolTable(dynamicSymbols, context);
+    const index = add({ name: '.dynsym', type: SHT_DYNSYM, flags: SHF_ALLOC, data: table.data, link: sections.length + 1, info: table.locals, entsize: 24 });
+    add({ name: '.dynstr', type: SHT_STRTAB, flags: SHF_ALLOC, data: table.strings });
+    if (shared) relocationTable = { index, names: table.names };
+  }
+  if (symbols.length) {
+    const table = symbolTable(symbols, context);
+    const index = add({ name: '.symtab', type: SHT_SYMTAB, data: table.data, link: sections.length + 1, info: table.locals, entsize: 24 });
+    add({ name: '.strtab', type: SHT_STRTAB, data: table.strings });
+    if (!shared) relocationTable = { index, names: table.names };
+  }
+  if (relocations.length) {
+    const data = Buffer.alloc(relocations.length * 16);
+    relocations.forEach((relocation, i) => {
+      const symbolIndex = relocation.symbol ? relocationTable.names.indexOf(relocation.symbol) + 1 : 0;
+      data.writeBigUInt64LE(BigInt(textAddress + program.labels[relocation.at]), i * 16);
+      data.writeBigUInt64LE((BigInt(symbolIndex) << 32n) | BigInt(relocation.type), i * 16 + 8);
+    });
+    add({
+      name: shared ? '.rel.dyn' : '.rel.text',
+      type: SHT_REL,
+      flags: shared ? SHF_ALLOC : 0,
+      data,
+      link: relocationTable.index,
+      info: shared ? 0 : textIndex,
+      entsize: 16,
+    });
+  }
+  const names = stringTable(sections.slice(1).map(section => section.name).concat('.shstrtab'));
+  const shstrndx = add({ name: '.shstrtab', type: SHT_STRTAB, data: names.data });
+
+  let offset = textOffset;
+  sections.forEach(section => {
+    if (!section.data) return;
+    if (section.name === '.rodata') section.offset = rodataOffset;
+    else {
+      section.offset = align(offset);
+      offset = section.offset + section.data.length;
+    }
+  });
+  const shoff = align(offset);
+  const file = Buffer.alloc(shoff + sections.length * 64);
+
+  Buffer.from([0x7f, 0x45, 0x4c, 0x46, 2, 1, 1]).copy(file);
+  file.writeUInt16LE(type, 16);
+  file.writeUInt16LE(EM_BPF, 18);
+  file.writeUInt32LE(1, 20);
+  file.writeBigUInt64LE(BigInt(shared ? textAddress + program.labels.entrypoint : 0), 24);
+  file.writeBigUInt64LE(BigInt(shared ? 64 : 0), 32);
+  file.writeBigUInt64LE(BigInt(shoff), 40);
+  file.writeUInt32LE(flags, 48);
+  file.writeUInt16LE(64, 52);
+  file.writeUInt16LE(56, 54);
+  file.writeUInt16LE(shared ? 2 : 0, 56);
+  file.writeUInt16LE(64, 58);
+  file.writeUInt16LE(sections.length, 60);
+  file.writeUInt16LE(shstrndx, 62);
+
+  if (shared) {
+    // PT_LOAD for .rodata (R) and .text (R+X).
+    [[4, rodataOffset, rodata.length], [5, textOffset, program.code.length]].forEach(([pflags, at, size], i) => {
+      const base = 64 + i * 56;
+      file.writeUInt32LE(PT_LOAD, base);
+      file.writeUInt32LE(pflags, base + 4);
+      [at, at, at, size, size].forEach((value, j) => file.writeBigUInt64LE(BigInt(value), base + 8 + j * 8));
+      file.writeBigUInt64LE(8n, base + 48);
+    });
+  }
+
+  sections.forEach((section, i) => {
+    const base = shoff + i * 64;
+    if (section.data) section.data.copy(file, section.offset);
+    if (!i) return;
+    file.writeUInt32LE(names.offsets.get(section.name), base);
+    file.writeUInt32LE(section.type, base + 4);
+    file.writeBigUInt64LE(BigInt(section.flags || 0), base + 8);
+    file.writeBigUInt64LE(BigInt(section.addr || 0), base + 16);
+    file.writeBigUInt64LE(BigInt(section.offset), base + 24);
+    file.writeBigUInt64LE(BigInt(section.data.length), base + 32);
+    file.writeUInt32LE(section.link || 0, base + 40);
+    file.writeUInt32LE(section.info || 0, base + 44);
+    file.writeBigUInt64LE(8n, base + 48);
+    file.writeBigUInt64LE(BigInt(section.entsize || 0), base + 56);
+  });
+  return file;
+}
+
+const anchorProgram = assemble([
+  'entrypoint',
+  [0x79, 2, 1, 8, 0], // ldxdw r2, [r1+8]
+  ['lddw', 3, IDL_IX_TAG],
+  [0x1d, 2, 3, 'idl', 0], // jeq r2, r3, idl
+  ['lddw', 3, EVENT_IX_TAG],
+  [0x1d, 2, 3, 'event', 0], // jeq r2, r3, event
+  ['lddw', 3, dispatched('deposit')],
+  [0x1d, 2, 3, 'dispatch_deposit', 0], // jeq r2, r3, dispatch_deposit
+  ['lddw', 3, dispatched('withdraw')],
+  [0x5d, 2, 3, 'fallback', 0], // jne r2, r3, fallback
+  [0x85, 0, 1, 0, 'withdraw'], // call withdraw
+  [0x95, 0, 0, 0, 0], // exit
+  'dispatch_deposit',
+  [0x85, 0, 1, 0, 'deposit'], // call deposit
+  [0x95, 0, 0, 0, 0], // exit
+  'idl',
+  'event',
+  [0xb7, 0, 0, 0, 0], // mov64 r0, 0
+  [0x95, 0, 0, 0, 0], // exit
+  'fallback',
+  [0xb7, 0, 0, 0, 101], // mov64 r0, 101 (InstructionFallbackNotFound)
+  [0x95, 0, 0, 0, 0], // exit
+
+  'deposit',
+  ['lddw', 1, RODATA_ADDRESS], // "Instruction: Deposit"
+  [0xb7, 2, 0, 0, 20], // mov64 r2, 20
+  'log_deposit',
+  [0x85, 0, 0, 0, -1], // call sol_log_ (relocated)
+  [0xb7, 0, 0, 0, 0], // mov64 r0, 0
+  [0x95, 0, 0, 0, 0], // exit
+
+  'withdraw',
+  [0xb7, 0, 0, 0, 0], // mov64 r0, 0
+  [0xb7, 3, 0, 0, 0], // mov64 r3, 0
+  'withdraw_loop',
+  [0x35, 3, 0, 'withdraw_done', 10], // jge r3, 10, withdraw_done
+  [0x0f, 0, 3, 0, 0], // add64 r0, r3
+  [0x07, 3, 0, 0, 1], // add64 r3, 1
+  [0x05, 0, 0, 'withdraw_loop', 0], // ja withdraw_loop
+  'withdraw_done',
+  [0x85, 0, 0, 0, hashed('sol_log_compute_units_')], // call sol_log_compute_units_
+  [0x95, 0, 0, 0, 0], // exit
+
+  // A cycle entered from both of its blocks: neither dominates the other, so it is no natural loop.
+  'settle',
+  [0x15, 1, 0, 'settle_add', 0], // jeq r1, 0, settle_add
+  'settle_step',
+  [0x07, 0, 0, 0, 1], // add64 r0, 1
+  [0x25, 0, 0, 'settle_exit', 9], // jgt r0, 9, settle_exit
+  'settle_add',
+  [0x07, 0, 0, 0, 2], // add64 r0, 2
+  [0xa5, 0, 0, 'settle_step', 100], // jlt r0, 100, settle_step
+  [0xb7, 0, 0, 0, 0], // mov64 r0, 0
+  'settle_exit',
+  [0x95, 0, 0, 0, 0], // exit
+]);
+
+const v2Program = assemble([
+  'entrypoint',
+  [0x2c, 2, 1, 0, 0], // ldxb r2, [r1+0]
+  [0x9c, 3, 1, 8, 0], // ldxdw r3, [r1+8]
+  [0x27, 10, 0, -1, 7], // stb [r10-1], 7
+  [0x9f, 10, 3, -16, 0], // stxdw [r10-16], r3
+  [0x56, 3, 0, 0, 3], // udiv64 r3, 3
+  [0x7e, 3, 2, 0, 0], // urem64 r3, r2
+  [0xf7, 4, 0, 0, 0x1000], // hor64 r4, 0x1000
+  ['lddw', 5, 0x1122334455667788n],
+  [0x8d, 0, 5, 0, 0], // callx r5
+  [0x85, 0, 1, 0, 'helper'], // call helper
+  [0x85, 0, 0, 0, hashed('sol_log_')], // call sol_log_
+  [0x85, 0, 0, 0, 0x0badf00d], // call to an unknown hash
+  [0x95, 0, 0, 0, 0], // exit
+  'helper',
+  [0xb4, 0, 0, 0, 0], // mov32 r0, 0
+  [0x95, 0, 0, 0, 0], // exit
+]);
+
+const objectProgram = assemble([
+  'entrypoint',
+  'call_helper',
+  [0x85, 0, 0, 0, -1], // call helper (relocated)
+  'call_memcpy',
+  [0x85, 0, 0, 0, -1], // call sol_memcpy_ (relocated)
+  [0x95, 0, 0, 0, 0], // exit
+  'helper',
+  [0xb7, 0, 0, 0, 0], // mov64 r0, 0
+  [0x95, 0, 0, 0, 0], // exit
+]);
+
+const fixtures = {
+  'anchor-v1.so': link({
+    type: ET_DYN,
+    program: anchorProgram,
+    rodata: Buffer.from('Instruction: DepositInstruction: WithdrawInstruction: CloseVaultInstruction: IdlCreateAccount\0'),
+    dynamicSymbols: [
+      { name: 'entrypoint', type: 'FUNC', bind: 'GLOBAL', at: 'entrypoint' },
+      { name: 'sol_log_', type: 'NOTYPE', bind: 'GLOBAL' },
+    ],
+    symbols: [
+      { name: 'entrypoint', type: 'FUNC', bind: 'GLOBAL', at: 'entrypoint' },
+      { name: 'deposit', type: 'FUNC', bind: 'LOCAL', at: 'deposit' },
+      { name: 'withdraw', type: 'FUNC', bind: 'LOCAL', at: 'withdraw' },
+      { name: 'settle', type: 'FUNC', bind: 'LOCAL', at: 'settle' },
+    ],
+    relocations: [
+      { at: 'deposit', type: R_BPF_64_RELATIVE },
+      { at: 'log_deposit', type: R_BPF_64_32, symbol: 'sol_log_' },
+    ],
+  }),
+  'sbpf-v2.so': link({
+    type: ET_DYN,
+    flags: 2,
+    program: v2Program,
+    dynamicSymbols: [{ name: 'entrypoint', type: 'FUNC', bind: 'GLOBAL', at: 'entrypoint' }],
+  }),
+  'relocatable.o': link({
+    type: ET_REL,
+    program: objectProgram,
+    symbols: [
+      { name: 'entrypoint', type: 'FUNC', bind: 'GLOBAL', at: 'entrypoint' },
+      { name: 'helper', type: 'FUNC', bind: 'LOCAL', at: 'helper' },
+      { name: 'sol_memcpy_', type: 'NOTYPE', bind: 'GLOBAL' },
+    ],
+    relocations: [
+      { at: 'call_helper', type: R_BPF_64_32, symbol: 'helper' },
+      { at: 'call_memcpy', type: R_BPF_64_32, symbol: 'sol_memcpy_' },
+    ],
+  }),
+};
+
+fs.mkdirSync(OUT, { recursive: true });
+Object.entries(fixtures).forEach(([name, binary]) => fs.writeFileSync(`${OUT}/${name}`, binary));
+console.log(`Wrote ${Object.keys(fixtures).length} ELF fixtures to ${OUT}`);
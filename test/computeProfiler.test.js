@@ -0,0 +1,68 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXTURES } from './helpers/replay.js';
+import { PROGRAM, TRANSACTIONS, IDL } from './helpers/ledger.js';
+import { replayFixtures } from '../src/lib/fixtures.js';
+import { getRecentTransactions } from '../src/lib/transactions.js';
+import { profileCompute, decodeComputeBudget, emptyComputeProfile } from '../src/lib/computeProfiler.js';
+
+let standIn;
+let transactions;
+let profile;
+before(async () => {
+  standIn = await replayFixtures(FIXTURES);
+  ({ transactions } = await getRecentTransactions(PROGRAM, { limit: 10, idl: IDL }));
+  profile = profileCompute(transactions, PROGRAM);
+});
+after(async () => {
+  assert.deepEqual(standIn.misses, []);
+  await standIn.close();
+});
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} != ${expected}`);
+
+test('profileCompute flags an instruction whose priced limit is far above its usage', () => {
+  const deposit = profile.instructions.find(type => type.instruction === 'deposit');
+
+  // Usage comes from the program's consumption logs; the limit is the one SetComputeUnitLimit set.
+  assert.deepEqual(deposit.computeUnits, { p50: 12100, p90: 12400, p99: 12400, max: 12400 });
+  assert.equal(deposit.requestedLimit, 400000);
+  assert.equal(deposit.overRequested, true);
+  // The priority fee is charged on the unused units too: 387300, 387800 and 387600 of them.
+  close(deposit.overpaidSOL, (387300 * 10000 + 387800 * 10000 + 387600 * 200000) / 1e6 / 1e9);
+  assert.equal(deposit.recommendedLimit, 14880);
+  close(profile.overpaidSOL, deposit.overpaidSOL);
+});
+
+test('profileCompute does not flag unused compute nobody pays a priority fee for', () => {
+  const withdraw = profile.instructions.find(type => type.instruction === 'withdraw');
+
+  // Without a budget instruction the limit is the default per instruction, well above the usage.
+  assert.equal(withdraw.requestedLimit, 200000);
+  assert.deepEqual(withdraw.computeUnits, { p50: 4100, p90: 8300, p99: 8300, max: 8300 });
+  assert.equal(withdraw.overRequested, false);
+  assert.equal(withdraw.overpaidSOL, 0);
+  assert.equal(withdraw.failures, 1);
+  assert.equal(withdraw.computeExceeded, 0);
+});
+
+test('profileCompute splits fees into base and priority fees', () => {
+  const total = TRANSACTIONS.reduce((sum, tx) => sum + tx.fee, 0);
+
+  assert.equal(profile.transactionsAnalyzed, 5);
+  close(profile.fees.totalSOL, total / 1e9);
+  close(profile.fees.baseSOL, (5 * 5000) / 1e9);
+  close(profile.fees.priorityShare, (total - 5 * 5000) / total);
+  assert.deepEqual(profile.budget, { limitSet: 3, priceSet: 3, priceMicroLamports: { p50: 10000, p90: 200000, max: 200000 } });
+  assert.equal(profile.failures, 1);
+  assert.deepEqual(profile.computeExceeded, []);
+  assert.deepEqual(profileCompute([], PROGRAM), emptyComputeProfile());
+});
+
+test('decodeComputeBudget reads the limit and price instructions only', () => {
+  // Newest first: the last deposit, with the highest price.
+  const [budgetLimit, budgetPrice, deposit] = transactions[0].details.transaction.message.instructions;
+  assert.deepEqual(decodeComputeBudget(budgetLimit), { limit: 400000 });
+  assert.deepEqual(decodeComputeBudget(budgetPrice), { priceMicroLamports: 200000 });
+  assert.equal(decodeComputeBudget(deposit), null);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readElfFixture } from './helpers/elf.js';
+import { disassemble } from '../src/lib/disassembler.js';
+import { recoverControlFlow, findFunction, functionToGraph } from '../src/lib/controlFlow.js';
+
+const disassembly = disassemble(readElfFixture('anchor-v1.so'));
+const controlFlow = recoverControlFlow(disassembly);
+const edgesOf = fn => fn.edges.map(edge => [edge.from, edge.to, edge.kind, edge.backEdge === true]);
+
+test('recoverControlFlow splits functions at symbols and call targets', () => {
+  assert.deepEqual(controlFlow.functions.map(fn => [fn.name, fn.address, fn.instructions]), [
+    ['entrypoint', 0x110, 17],
+    ['deposit', 0x1b8, 5],
+    ['withdraw', 0x1e8, 8],
+    ['settle', 0x228, 7],
+  ]);
+  assert.deepEqual(findFunction(controlFlow, 'entrypoint').calls, [0x1e8, 0x1b8]);
+
+  // Unnamed call targets start functions of their own.
+  const v2 = recoverControlFlow(disassemble(readElfFixture('sbpf-v2.so')));
+  assert.deepEqual(v2.functions.map(fn => [fn.name, fn.address]), [['entrypoint', 0xb0], ['function_0x120', 0x120]]);
+});
+
+test('recoverControlFlow builds basic blocks with taken and fall-through edges', () => {
+  const dispatcher = findFunction(controlFlow, 0x110);
+
+  assert.deepEqual(dispatcher.blocks.map(block => [block.start, block.end]), [
+    [0x110, 0x130], [0x130, 0x148], [0x148, 0x160], [0x160, 0x178],
+    [0x178, 0x188], [0x188, 0x198], [0x198, 0x1a8], [0x1a8, 0x1b8],
+  ]);
+  assert.deepEqual(edgesOf(dispatcher), [
+    [0x110, 0x198, 'taken', false], [0x110, 0x130, 'fallthrough', false],
+    [0x130, 0x198, 'taken', false], [0x130, 0x148, 'fallthrough', false],
+    [0x148, 0x188, 'taken', false], [0x148, 0x160, 'fallthrough', false],
+    [0x160, 0x1a8, 'taken', false], [0x160, 0x178, 'fallthrough', false],
+  ]);
+  assert.deepEqual(dispatcher.loops, []);
+  assert.equal(dispatcher.complexity, 5);
+});
+
+test('recoverControlFlow finds the natural loop of a back edge to a dominating header', () => {
+  const withdraw = findFunction(controlFlow, '0x1e8');
+
+  assert.deepEqual(edgesOf(withdraw), [
+    [0x1e8, 0x1f8, 'fallthrough', false],
+    [0x1f8, 0x218, 'taken', false],
+    [0x1f8, 0x200, 'fallthrough', false],
+    [0x200, 0x1f8, 'jump', true],
+  ]);
+  assert.deepEqual(withdraw.loops, [{ header: 0x1f8, latch: 0x200, blocks: [0x1f8, 0x200] }]);
+  assert.equal(withdraw.complexity, 2);
+});
+
+test('recoverControlFlow reports no loop for a cycle whose blocks do not dominate each other', () => {
+  const settle = findFunction(controlFlow, 'settle');
+
+  // Both 0x230 and 0x240 are reachable straight from the entry, so neither edge between them is a back edge.
+  assert.ok(settle.edges.some(edge => edge.from === 0x230 && edge.to === 0x240));
+  assert.ok(settle.edges.some(edge => edge.from === 0x240 && edge.to === 0x230));
+  assert.ok(settle.edges.every(edge => !edge.backEdge));
+  assert.deepEqual(settle.loops, []);
+  assert.equal(settle.complexity, 4);
+});
+
+test('recoverControlFlow summarizes blocks, branches, loops and complexity', () => {
+  assert.deepEqual(controlFlow.summary, {
+    functions: 4,
+    basicBlocks: 18,
+    branches: 8,
+    loops: 1,
+    maxComplexity: 5,
+    averageComplexity: 3,
+  });
+  assert.equal(findFunction(controlFlow, 'missing'), null);
+});
+
+test('functionToGraph labels loop headers and back edges', () => {
+  const graph = functionToGraph(findFunction(controlFlow, 'withdraw'), disassembly);
+
+  assert.deepEqual(graph.nodes.map(node => node.id), ['bb_0x1e8', 'bb_0x1f8', 'bb_0x200', 'bb_0x218']);
+  assert.equal(graph.nodes[1].label, 'bb_0x1f8 (loop header)\n1f8: jge r3, 10, 0x218');
+  assert.deepEqual(graph.edges[3], { from: 'bb_0x200', to: 'bb_0x1f8', label: 'jump (back edge)' });
+});
@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FIXTURES } from './helpers/replay.js';
+import { PROGRAM, FILTERED, TRANSACTIONS } from './helpers/ledger.js';
+import { replayFixtures } from '../src/lib/fixtures.js';
+import { crawlTransactions, checkCrawlBounds } from '../src/lib/crawler.js';
+
+// The crawl tests only list signatures; transactions are not fetched.
+const fetchTransaction = async signature => ({ signature });
+const signaturesOf = entries => entries.map(entry => entry.signature);
+const [tx0, tx1, tx2, , tx4] = TRANSACTIONS.map(tx => tx.signature);
+
+let standIn;
+let dir;
+before(async () => {
+  standIn = await replayFixtures(FIXTURES);
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'solproof-crawler-'));
+});
+after(async () => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  assert.deepEqual(standIn.misses, []);
+  await standIn.close();
+});
+
+/**
+ * Runs a test body with another enhanced API selected.
+ * @param {string} name - Adapter name.
+ * @param {Function} fn - Test body.
+ * @returns {Promise<*>} - Result of fn.
+ */
+async function withEnhancedApi(name, fn) {
+  const previous = process.env.SOLPROOF_ENHANCED_API;
+  process.env.SOLPROOF_ENHANCED_API = name;
+  try {
+    return await fn();
+  } finally {
+    process.env.SOLPROOF_ENHANCED_API = previous;
+  }
+}
+
+test('crawlTransactions refuses a crawl over the whole history without a limit', async () => {
+  await assert.rejects(crawlTransactions(PROGRAM, { fetchTransaction }), /needs a limit/);
+  assert.equal(checkCrawlBounds({ timeframe: '7d' }), 604800);
+  assert.equal(checkCrawlBounds({ minSlot: 1200 }), null);
+  assert.equal(checkCrawlBounds({ limit: 5 }), null);
+});
+
+test('crawlTransactions only ends an enhanced API crawl on an empty page', async () => {
+  // Without the failed transaction the first page of four holds three signatures.
+  const rpc = await crawlTransactions(FILTERED, { limit: 4, fetchTransaction });
+  assert.deepEqual(signaturesOf(rpc.entries), [tx4, tx2, tx1]);
+  assert.equal(rpc.window.stoppedBy, 'history');
+
+  const helius = await withEnhancedApi('helius', () => crawlTransactions(FILTERED, { limit: 4, fetchTransaction }));
+  assert.deepEqual(signaturesOf(helius.entries), [tx4, tx2, tx1, tx0]);
+  assert.equal(helius.window.stoppedBy, 'limit');
+});
+
+test('crawlTransactions resumes an interrupted crawl from its checkpoint', async () => {
+  const checkpoint = path.join(dir, 'resume.json');
+  let pages = 0;
+  const failSecondPage = fn => (++pages === 2 ? Promise.reject(new Error('connection reset')) : fn());
+
+  // Short pages from an enhanced API take the crawl past its first page.
+  await withEnhancedApi('helius', async () => {
+    await assert.rejects(crawlTransactions(FILTERED, { limit: 4, checkpoint, fetchTransaction, schedule: failSecondPage }), /connection reset/);
+    const saved = JSON.parse(fs.readFileSync(checkpoint, 'utf8'));
+    assert.equal(saved.listed, 3);
+    assert.equal(saved.before, tx1);
+    assert.equal(saved.stoppedBy, null);
+
+    const { entries, window } = await crawlTransactions(FILTERED, { limit: 4, checkpoint, fetchTransaction });
+    assert.deepEqual(signaturesOf(entries), [tx4, tx2, tx1, tx0]);
+    assert.equal(window.stoppedBy, 'limit');
+  });
+});
+
+test('crawlTransactions updates a finished checkpoint with the signatures since', async () => {
+  const checkpoint = path.join(dir, 'update.json');
+  const first = await crawlTransactions(PROGRAM, { limit: 10, checkpoint, fetchTransaction });
+  assert.equal(first.window.stoppedBy, 'history');
+
+  // Nothing is newer: the update lists up to the newest known signature and keeps the rest.
+  const { entries, window } = await crawlTransactions(PROGRAM, { limit: 10, checkpoint, fetchTransaction });
+  assert.deepEqual(signaturesOf(entries), signaturesOf(first.entries));
+  assert.equal(window.stoppedBy, 'history');
+  const saved = JSON.parse(fs.readFileSync(checkpoint, 'utf8'));
+  assert.equal(saved.until, tx4);
+  assert.equal(saved.listed, 5);
+  assert.equal(fs.readFileSync(`${checkpoint}.signatures.jsonl`, 'utf8').trim().split('\n').length, 5);
+});
+
+test('crawlTransactions rejects a checkpoint of another crawl', async () => {
+  const checkpoint = path.join(dir, 'other.json');
+  await crawlTransactions(PROGRAM, { limit: 10, checkpoint, fetchTransaction });
+
+  await assert.rejects(crawlTransactions(PROGRAM, { limit: 5, checkpoint, fetchTransaction }), /was started with timeframe all, limit 10/);
+  await assert.rejects(crawlTransactions(FILTERED, { limit: 10, checkpoint, fetchTransaction }), new RegExp(`belongs to ${PROGRAM}`));
+});
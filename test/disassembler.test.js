@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readElfFixture } from './helpers/elf.js';
+import { parseElf } from '../src/lib/elf.js';
+import { disassemble, formatDisassembly } from '../src/lib/disassembler.js';
+
+const anchor = readElfFixture('anchor-v1.so');
+const v2 = readElfFixture('sbpf-v2.so');
+const listing = disassembly => disassembly.instructions.map(insn => (insn.operands ? `${insn.mnemonic} ${insn.operands}` : insn.mnemonic));
+
+test('disassemble decodes lddw as one 16-byte instruction and keeps jump targets aligned after it', () => {
+  const disassembly = disassemble(anchor);
+  const [ldxdw, lddw, jeq] = disassembly.instructions;
+
+  assert.equal(disassembly.sbpfVersion, 1);
+  assert.equal(disassembly.textAddress, 0x110);
+  assert.deepEqual(disassembly.functions, { 0x110: 'entrypoint', 0x1b8: 'deposit', 0x1e8: 'withdraw', 0x228: 'settle' });
+  assert.equal(ldxdw.mnemonic, 'ldxdw');
+  assert.equal(ldxdw.operands, 'r2, [r1+0x8]');
+  assert.equal(lddw.size, 16);
+  assert.equal(lddw.imm64, '0xa69e9a778bcf440');
+  assert.equal(lddw.bytes, '1803000040f4bc7800000000a7e9690a');
+  assert.deepEqual([jeq.address, jeq.pc], [0x128, 3]);
+  // jeq +13 from pc 3 lands on pc 17, the shared builtin-tag branch.
+  assert.equal(jeq.target, 0x198);
+  assert.equal(jeq.operands, 'r2, r3, 0x198');
+});
+
+test('disassemble resolves relative calls, relocated syscalls and hashed syscalls', () => {
+  const { instructions } = disassemble(anchor);
+  const at = address => instructions.find(insn => insn.address === address);
+
+  assert.deepEqual(at(0x178).callTarget, { type: 'function', address: 0x1e8, name: 'withdraw' });
+  assert.equal(at(0x178).target, 0x1e8);
+  assert.deepEqual(at(0x1d0).relocation, { type: 'R_BPF_64_32', symbol: 'sol_log_' });
+  assert.deepEqual(at(0x1d0).callTarget, { type: 'syscall', name: 'sol_log_', hash: 0xffffffff });
+  assert.deepEqual(at(0x218).callTarget, { type: 'syscall', name: 'sol_log_compute_units_', hash: 0x52ba5096 });
+  assert.equal(at(0x210).mnemonic, 'ja');
+  assert.equal(at(0x210).target, 0x1f8);
+  assert.equal(at(0x248).operands, 'r0, 100, 0x230');
+});
+
+test('disassemble decodes the sBPF v2 load, store, PQR and callx encodings', () => {
+  const disassembly = disassemble(v2);
+
+  assert.equal(disassembly.sbpfVersion, 2);
+  assert.deepEqual(listing(disassembly), [
+    'ldxb r2, [r1+0x0]',
+    'ldxdw r3, [r1+0x8]',
+    'stb [r10-0x1], 7',
+    'stxdw [r10-0x10], r3',
+    'udiv64 r3, 3',
+    'urem64 r3, r2',
+    'hor64 r4, 0x1000',
+    'lddw r5, 0x1122334455667788',
+    'callx r5',
+    'call function_0x120',
+    'call sol_log_',
+    'call 0x0badf00d',
+    'exit',
+    'mov32 r0, 0',
+    'exit',
+  ]);
+  assert.deepEqual(disassembly.instructions[11].callTarget, { type: 'unresolved', hash: 0x0badf00d });
+});
+
+test('disassemble reads the same bytes with the v1 meaning of the reused opcodes', () => {
+  const elf = parseElf(v2);
+  const disassembly = disassemble(v2, { elf: { ...elf, sbpfVersion: 1 } });
+
+  assert.deepEqual(listing(disassembly).slice(0, 9), [
+    'mul32 r2, r1',
+    'mod32 r3, r1',
+    'mul64 r10, 7',
+    'mod64 r10, r3',
+    'invalid',
+    'invalid',
+    'invalid',
+    'lddw r5, 0x1122334455667788',
+    'callx r0',
+  ]);
+});
+
+test('disassemble resolves calls in relocatable objects through .rel.text', () => {
+  const { instructions } = disassemble(readElfFixture('relocatable.o'));
+
+  assert.deepEqual(instructions[0].callTarget, { type: 'function', address: 0x18, name: 'helper' });
+  assert.deepEqual(instructions[1].callTarget, { type: 'syscall', name: 'sol_memcpy_', hash: 0xffffffff });
+});
+
+test('formatDisassembly renders an objdump-style listing with function headers', () => {
+  const lines = formatDisassembly(disassemble(anchor)).split('\n');
+
+  assert.equal(lines[0], '0000000000000110 <entrypoint>:');
+  assert.equal(lines[2], `     118:\t${'18 03 00 00 40 f4 bc 78 00 00 00 00 a7 e9 69 0a'.padEnd(47)}\tlddw r3, 0xa69e9a778bcf440`);
+  assert.ok(lines.includes('00000000000001b8 <deposit>:'));
+  assert.ok(lines.some(line => line.endsWith('\tcall sol_log_compute_units_')));
+});
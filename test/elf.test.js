@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readElfFixture } from './helpers/elf.js';
+import { isElf, parseElf, getSection, sectionData } from '../src/lib/elf.js';
+
+const anchor = readElfFixture('anchor-v1.so');
+const object = readElfFixture('relocatable.o');
+
+test('parseElf reads the header, sections and program headers of a linked program', () => {
+  const elf = parseElf(anchor);
+
+  assert.equal(elf.type, 3);
+  assert.equal(elf.machine, 247);
+  assert.equal(elf.sbpfVersion, 1);
+  assert.equal(elf.entrypoint, 0x110);
+  assert.deepEqual(elf.sections.map(section => section.name), ['', '.rodata', '.text', '.dynsym', '.dynstr', '.symtab', '.strtab', '.rel.dyn', '.shstrtab']);
+  assert.equal(elf.text, getSection(elf, '.text'));
+  assert.deepEqual([elf.text.addr, elf.text.offset, elf.text.size], [0x110, 0x110, 336]);
+  assert.match(sectionData(anchor, getSection(elf, '.rodata')).toString('latin1'), /^Instruction: DepositInstruction: Withdraw/);
+  assert.deepEqual(sectionData(anchor, getSection(elf, '.bss')), Buffer.alloc(0));
+  assert.deepEqual(elf.programHeaders.map(ph => [ph.flags, ph.vaddr, ph.filesz]), [[4, 0xb0, 94], [5, 0x110, 336]]);
+  assert.equal(parseElf(readElfFixture('sbpf-v2.so')).sbpfVersion, 2);
+});
+
+test('parseElf reads dynamic and static symbols with their types and bindings', () => {
+  const elf = parseElf(anchor);
+  const describe = symbols => symbols.slice(1).map(sym => [sym.name, sym.type, sym.bind, sym.shndx, sym.value]);
+
+  assert.deepEqual(describe(elf.dynamicSymbols), [
+    ['entrypoint', 'FUNC', 'GLOBAL', elf.text.index, 0x110],
+    ['sol_log_', 'NOTYPE', 'GLOBAL', 0, 0],
+  ]);
+  assert.deepEqual(describe(elf.symbols), [
+    ['deposit', 'FUNC', 'LOCAL', elf.text.index, 0x1b8],
+    ['withdraw', 'FUNC', 'LOCAL', elf.text.index, 0x1e8],
+    ['settle', 'FUNC', 'LOCAL', elf.text.index, 0x228],
+    ['entrypoint', 'FUNC', 'GLOBAL', elf.text.index, 0x110],
+  ]);
+});
+
+test('parseElf resolves relocations against the symbol table they link to', () => {
+  const linked = parseElf(anchor);
+  assert.deepEqual(linked.relocations.map(({ offset, typeName, symbol }) => [offset, typeName, symbol]), [
+    [0x1b8, 'R_BPF_64_RELATIVE', null],
+    [0x1d0, 'R_BPF_64_32', 'sol_log_'],
+  ]);
+
+  // Relocatable objects patch offsets into the section named by sh_info and link .symtab.
+  const unlinked = parseElf(object);
+  assert.equal(unlinked.type, 1);
+  assert.deepEqual(unlinked.dynamicSymbols, []);
+  assert.deepEqual(unlinked.relocations.map(({ offset, targetSection, typeName, symbol }) => [offset, targetSection, typeName, symbol]), [
+    [0, unlinked.text.index, 'R_BPF_64_32', 'helper'],
+    [8, unlinked.text.index, 'R_BPF_64_32', 'sol_memcpy_'],
+  ]);
+});
+
+test('parseElf rejects files that are not 64-bit little-endian BPF ELF binaries', () => {
+  const patched = (offset, value) => {
+    const copy = Buffer.from(anchor);
+    copy[offset] = value;
+    return copy;
+  };
+
+  assert.equal(isElf(anchor), true);
+  assert.equal(isElf(Buffer.alloc(64, 0xff)), false);
+  assert.equal(isElf(anchor.subarray(0, 32)), false);
+  assert.throws(() => parseElf(Buffer.alloc(64)), /Not an ELF binary/);
+  assert.throws(() => parseElf(patched(4, 1)), /Only 64-bit/);
+  assert.throws(() => parseElf(patched(5, 2)), /Only little-endian/);
+  assert.throws(() => parseElf(patched(18, 62)), /Unsupported ELF machine type 62/);
+  assert.throws(() => parseElf(anchor.subarray(0, anchor.length - 64)), /Section header table is truncated/);
+});
@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXTURES } from './helpers/replay.js';
+import { PROGRAM, AMM, TRANSACTIONS, IDL } from './helpers/ledger.js';
+import { replayFixtures } from '../src/lib/fixtures.js';
+import { getRecentTransactions } from '../src/lib/transactions.js';
+import { anchorDiscriminator } from '../src/lib/anchor.js';
+import { analyzeErrors, nameErrorCode, emptyErrorAnalysis } from '../src/lib/errorAnalyzer.js';
+
+let standIn;
+before(async () => {
+  standIn = await replayFixtures(FIXTURES);
+});
+after(async () => {
+  assert.deepEqual(standIn.misses, []);
+  await standIn.close();
+});
+
+const failedWithdrawal = TRANSACTIONS[3];
+
+// Runs first: decoding with the IDL names the cached transactions' instructions for good.
+test('analyzeErrors numbers custom errors it has no IDL for', async () => {
+  const analysis = analyzeErrors(await getRecentTransactions(PROGRAM, { limit: 10 }), PROGRAM);
+  const withdraw = `0x${anchorDiscriminator('withdraw').toString('hex')}`;
+
+  assert.deepEqual(analysis.errors, [{ error: 'Custom(6001)', code: 6001, category: 'custom', count: 1, instructions: { [withdraw]: 1 } }]);
+  assert.equal(analysis.byInstruction[0].instruction, withdraw);
+});
+
+test('analyzeErrors names the program\'s custom errors from its IDL', async () => {
+  const analysis = analyzeErrors(await getRecentTransactions(PROGRAM, { limit: 10, idl: IDL }), PROGRAM, { idl: IDL });
+
+  assert.equal(analysis.totalTransactions, 5);
+  assert.equal(analysis.failedTransactions, 1);
+  assert.equal(analysis.failureRate, 0.2);
+  assert.deepEqual(analysis.errors, [{ error: 'InsufficientFunds', code: 6001, category: 'custom', count: 1, instructions: { withdraw: 1 } }]);
+  assert.deepEqual(analysis.byInstruction, [
+    { instruction: 'withdraw', total: 2, failed: 1, errors: { InsufficientFunds: 1 }, failureRate: 0.5 },
+    { instruction: 'deposit', total: 3, failed: 0, errors: {}, failureRate: 0 },
+  ]);
+});
+
+test('analyzeErrors keeps the name another Anchor program logged for its error', async () => {
+  // Seen from a caller, the failure is raised by the ledger program.
+  const analysis = analyzeErrors(await getRecentTransactions(PROGRAM, { limit: 10 }), AMM, { idl: IDL });
+
+  assert.deepEqual(analysis.errors.map(({ error, code, category }) => [error, code, category]), [[`InsufficientFunds in ${PROGRAM.slice(0, 8)}...`, 6001, 'external']]);
+});
+
+test('analyzeErrors buckets failures by hour and reports a burst of one error as a spike', async () => {
+  const transactionData = await getRecentTransactions(PROGRAM, { limit: 10, idl: IDL });
+  const hour = Math.floor(failedWithdrawal.blockTime / 3600) * 3600;
+
+  const quiet = analyzeErrors(transactionData, PROGRAM, { idl: IDL });
+  assert.equal(quiet.timeline.bucketSeconds, 3600);
+  assert.equal(quiet.timeline.buckets.length, 5);
+  assert.deepEqual(quiet.timeline.buckets.find(bucket => bucket.start === hour), { start: hour, total: 1, failed: 1, errors: { InsufficientFunds: 1 }, failureRate: 1 });
+  assert.deepEqual(quiet.spikes, []);
+
+  // The same failure three times within that hour.
+  const failed = transactionData.transactions.find(tx => tx.signature === failedWithdrawal.signature);
+  const burst = analyzeErrors({ transactions: [...transactionData.transactions, failed, failed] }, PROGRAM, { idl: IDL });
+  assert.deepEqual(burst.spikes, [{ error: 'InsufficientFunds', code: 6001, category: 'custom', start: hour, count: 3, baseline: 0 }]);
+  assert.deepEqual(analyzeErrors({ transactions: [] }, PROGRAM), emptyErrorAnalysis());
+});
+
+test('nameErrorCode names Anchor framework codes by range', () => {
+  assert.deepEqual(nameErrorCode(2006), { name: 'ConstraintSeeds', category: 'constraint' });
+  assert.deepEqual(nameErrorCode(2502), { name: 'RequireKeysEqViolated', category: 'require' });
+  assert.deepEqual(nameErrorCode(3012), { name: 'AccountNotInitialized', category: 'account' });
+  assert.deepEqual(nameErrorCode(101), { name: 'InstructionFallbackNotFound', category: 'instruction' });
+  assert.deepEqual(nameErrorCode(6001, IDL), { name: 'InsufficientFunds', category: 'custom' });
+  assert.deepEqual(nameErrorCode(6002, IDL), { name: 'Custom(6002)', category: 'custom' });
+  assert.deepEqual(nameErrorCode(4500), { name: 'Unknown(4500)', category: 'misc' });
+});
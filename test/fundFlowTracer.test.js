@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXTURES } from './helpers/replay.js';
+import { PROGRAM, AUTHORITY, VAULT, USERS, TRANSACTIONS, FUNDER, FUNDED, EXCHANGE, TRANSFERS } from './helpers/ledger.js';
+import { replayFixtures } from '../src/lib/fixtures.js';
+import { traceFunds, exportFlowGraph } from '../src/lib/fundFlowTracer.js';
+
+let standIn;
+before(async () => {
+  standIn = await replayFixtures(FIXTURES);
+});
+after(async () => {
+  assert.deepEqual(standIn.misses, []);
+  await standIn.close();
+});
+
+test('traceFunds starts from the program vaults and the upgrade authority', async () => {
+  const graph = await traceFunds(PROGRAM, { depth: 1, timeframe: 'all', prices: false });
+  const kinds = Object.fromEntries(graph.nodes.map(node => [node.id, node.kind]));
+
+  assert.equal(kinds[PROGRAM], 'program');
+  assert.equal(kinds[VAULT], 'vault');
+  assert.equal(kinds[AUTHORITY], 'authority');
+  // The failed withdrawal moved nothing; the other one paid the first user.
+  assert.equal(graph.edges.length, 1);
+  assert.equal(graph.edges[0].from, VAULT);
+  assert.equal(graph.edges[0].to, USERS[0]);
+  assert.ok(Math.abs(graph.edges[0].amount - 0.5) < 1e-9);
+  assert.equal(graph.edges[0].hop, 1);
+  assert.equal(graph.edges[0].usd, null);
+  assert.deepEqual(graph.edges[0].signatures, [TRANSACTIONS[2].signature]);
+  assert.equal(graph.truncated, false);
+});
+
+test('traceFunds follows outflows hop by hop and stops at known sinks', async () => {
+  const graph = await traceFunds(PROGRAM, { sources: [FUNDER], depth: 3, timeframe: 'all', prices: false });
+  const edges = graph.edges.map(edge => [edge.from, edge.to, edge.hop]);
+
+  assert.deepEqual(edges.slice(0, 2).sort(), [[FUNDER, FUNDED[0], 1], [FUNDER, FUNDED[1], 1]].sort());
+  assert.deepEqual(edges[2], [FUNDED[0], EXCHANGE, 2]);
+  assert.ok(Math.abs(graph.edges[2].amount - 0.9) < 1e-9);
+  assert.equal(graph.edges[2].firstSeen, new Date(TRANSFERS[2].blockTime * 1000).toISOString());
+  assert.deepEqual(graph.sinks.map(sink => [sink.id, sink.label, sink.sinkType]), [[EXCHANGE, 'Binance', 'exchange']]);
+});
+
+test('traceFunds stops following accounts once its signal is aborted', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  const graph = await traceFunds(PROGRAM, { sources: [FUNDER], depth: 3, timeframe: 'all', prices: false, signal: controller.signal });
+
+  assert.deepEqual(graph.nodes.map(node => node.id), [PROGRAM, FUNDER]);
+  assert.deepEqual(graph.edges, []);
+  assert.equal(graph.truncated, true);
+});
+
+const GRAPH = {
+  root: PROGRAM,
+  depth: 2,
+  nodes: [
+    { id: VAULT, label: 'Vault <PDA>', kind: 'vault', sinkType: null, hop: 0 },
+    { id: EXCHANGE, label: 'Binance', kind: 'sink', sinkType: 'exchange', hop: 1 },
+  ],
+  edges: [
+    { from: VAULT, to: EXCHANGE, mint: 'SOL', amount: 12.5, usd: 1830.2, count: 2, firstSeen: '2025-02-19T21:20:00.000Z', lastSeen: '2025-02-20T21:20:00.000Z', hop: 1, signatures: [] },
+  ],
+  sinks: [],
+  truncated: false,
+};
+
+test('exportFlowGraph writes DOT with amounts and first-seen dates on the edges', async () => {
+  const dot = await exportFlowGraph(GRAPH, 'dot');
+
+  assert.match(dot, /^digraph FundFlow \{/);
+  assert.ok(dot.includes(`"${EXCHANGE}" [label="Binance\\lexchange\\l"];`));
+  assert.ok(dot.includes(`"${VAULT}" -> "${EXCHANGE}" [label="12.5000 SOL ($1830.20)\\l2025-02-19\\l"];`));
+});
+
+test('exportFlowGraph writes GraphML with escaped labels and typed edge data', async () => {
+  const graphml = await exportFlowGraph(GRAPH, 'graphml');
+
+  assert.match(graphml, /^<\?xml version="1.0" encoding="UTF-8"\?>/);
+  assert.ok(graphml.includes(`<graph id="${PROGRAM}" edgedefault="directed">`));
+  assert.ok(graphml.includes(`<node id="${VAULT}"><data key="label">Vault &lt;PDA&gt;</data><data key="kind">vault</data><data key="hop">0</data></node>`));
+  assert.ok(graphml.includes(`<edge id="e0" source="${VAULT}" target="${EXCHANGE}"><data key="mint">SOL</data><data key="amount">12.5</data><data key="usd">1830.2</data><data key="count">2</data>`));
+});
+
+test('exportFlowGraph writes JSON and rejects unknown formats', async () => {
+  assert.deepEqual(JSON.parse(await exportFlowGraph(GRAPH, 'json')), GRAPH);
+  await assert.rejects(exportFlowGraph(GRAPH, 'svg'), /Unsupported graph format 'svg'/);
+});
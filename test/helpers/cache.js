@@ -0,0 +1,13 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Points the disk cache at an empty temporary directory for the tests that exercise it. Import it
+ * before any module under src/: the cache directory is read when diskCache.js loads.
+ */
+
+delete process.env.SOLPROOF_NO_CACHE;
+process.env.SOLPROOF_CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'solproof-cache-'));
+
+export const CACHE_DIR = process.env.SOLPROOF_CACHE_DIR;
@@ -0,0 +1,10 @@
+import fs from 'fs';
+
+/**
+ * Reads an sBPF ELF fixture written by test/build-elf-fixtures.js.
+ * @param {string} name - File name in test/fixtures/elf (e.g. 'anchor-v1.so').
+ * @returns {Buffer} - ELF file.
+ */
+export function readElfFixture(name) {
+  return fs.readFileSync(new URL(`../fixtures/elf/${name}`, import.meta.url));
+}
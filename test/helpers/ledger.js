@@ -0,0 +1,605 @@
+import { createHash } from 'crypto';
+import http from 'http';
+import bs58 from 'bs58';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { anchorDiscriminator } from '../../src/lib/anchor.js';
+import { BPF_LOADER, BPF_LOADER_UPGRADEABLE } from '../../src/lib/fetcher.js';
+
+/**
+ * Synthetic ledger the fixtures in test/fixtures/upgradeable-program were recorded from: an
+ * upgradeable program with its ProgramData (a small Anchor-style sBPF ELF), its upgrade authority
+ * and five parsed transactions, plus SOL transfers between a few other wallets and the v0 swap
+ * transactions of an AMM, served over JSON-RPC the way a validator answers them. Only test/record-fixtures.js starts it; the tests
+ * replay the recorded exchanges.
+ */
+
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+const COMPUTE_BUDGET_PROGRAM = 'ComputeBudget111111111111111111111111111111';
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const ASSOCIATED_TOKEN_PROGRAM = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+const ADDRESS_LOOKUP_TABLE_PROGRAM = 'AddressLookupTab1e1111111111111111111111111';
+const CONTEXT_SLOT = 2000;
+const DEPLOY_SLOT = 1200;
+const LAMPORTS_PER_SOL = 1e9;
+const BASE_FEE = 5000;
+
+const key = seed => Keypair.fromSeed(Buffer.alloc(32, seed)).publicKey.toBase58();
+
+export const PROGRAM = key(1);
+export const AUTHORITY = key(2);
+export const USERS = [key(3), key(4), key(5)];
+// An executable account of the legacy loader whose data is not an ELF.
+export const CORRUPT_PROGRAM = key(6);
+// The program's history as an enhanced API may page it, without failed transactions: a page can
+// come back short before the end of the history.
+export const FILTERED = key(8);
+// An address the ledger holds no account for.
+export const MISSING = key(9);
+export const PROGRAM_DATA = PublicKey.findProgramAddressSync([new PublicKey(PROGRAM).toBuffer()], new PublicKey(BPF_LOADER_UPGRADEABLE))[0].toBase58();
+export const VAULT = PublicKey.findProgramAddressSync([Buffer.from('vault')], new PublicKey(PROGRAM))[0].toBase58();
+export const AUTHORITY_LAST_ACTIVE = 1750000000;
+
+// Program instructions as { name, logName }; data starts with the Anchor discriminator.
+const DEPOSIT = { name: 'deposit', logName: 'Deposit' };
+const WITHDRAW = { name: 'withdraw', logName: 'Withdraw' };
+
+// The program's Anchor IDL (legacy format).
+export const IDL = {
+  version: '0.1.0',
+  name: 'vault',
+  instructions: [DEPOSIT, WITHDRAW].map(({ name }) => ({
+    name,
+    accounts: [{ name: 'user', isMut: true, isSigner: true }, { name: 'vault', isMut: true, isSigner: false }, { name: 'systemProgram', isMut: false, isSigner: false }],
+    args: [{ name: 'amount', type: 'u64' }],
+  })),
+  errors: [{ code: 6001, name: 'InsufficientFunds', msg: 'Vault balance too low.' }],
+};
+
+/**
+ * Transactions of the program, oldest first. Deposits set a compute limit far above their usage,
+ * the last one with a priority fee that stands out from the others; one withdrawal fails.
+ */
+export const TRANSACTIONS = [
+  { signer: USERS[0], instruction: DEPOSIT, lamports: 1.5 * LAMPORTS_PER_SOL, budget: { limit: 400000, price: 10000 }, consumed: 12400 },
+  { signer: USERS[1], instruction: DEPOSIT, lamports: 0.8 * LAMPORTS_PER_SOL, budget: { limit: 400000, price: 10000 }, consumed: 11900 },
+  { signer: USERS[0], instruction: WITHDRAW, lamports: 0.5 * LAMPORTS_PER_SOL, consumed: 8300 },
+  { signer: USERS[2], instruction: WITHDRAW, lamports: 2 * LAMPORTS_PER_SOL, consumed: 4100, error: 6001 },
+  { signer: USERS[2], instruction: DEPOSIT, lamports: 0.25 * LAMPORTS_PER_SOL, budget: { limit: 400000, price: 200000 }, consumed: 12100 },
+].map((tx, i) => ({
+  ...tx,
+  signature: bs58.encode(createHash('sha512').update(`solproof-fixture-tx-${i}`).digest()),
+  slot: 1300 + i * 100,
+  blockTime: 1760000000 + i * 3600,
+  fee: BASE_FEE + (tx.budget ? Math.ceil((tx.budget.limit * tx.budget.price) / 1e6) : 0),
+}));
+
+/**
+ * Wallets outside the program and the SOL transfers between them, oldest first. For wallet
+ * clustering, FUNDED were both funded by FUNDER a day apart and BURST were created by different
+ * funders within five minutes; for fund-flow tracing, FUNDED[0] later sends most of its SOL to an
+ * exchange deposit wallet.
+ */
+export const FUNDER = key(7);
+export const FUNDED = [key(10), key(11)];
+export const BURST = [key(12), key(13), key(14)];
+// A Binance deposit wallet, a known sink of fundFlowTracer.js.
+export const EXCHANGE = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+export const TRANSFERS = [
+  { from: FUNDER, to: FUNDED[0], lamports: LAMPORTS_PER_SOL, blockTime: 1740000000 },
+  { from: FUNDER, to: FUNDED[1], lamports: LAMPORTS_PER_SOL, blockTime: 1740086400 },
+  { from: FUNDED[0], to: EXCHANGE, lamports: 0.9 * LAMPORTS_PER_SOL, blockTime: 1740090000 },
+  { from: key(15), to: BURST[0], lamports: LAMPORTS_PER_SOL, blockTime: 1745000000 },
+  { from: key(16), to: BURST[1], lamports: LAMPORTS_PER_SOL, blockTime: 1745000120 },
+  { from: key(17), to: BURST[2], lamports: LAMPORTS_PER_SOL, blockTime: 1745000300 },
+].map((transfer, i) => ({
+  ...transfer,
+  signature: bs58.encode(createHash('sha512').update(`solproof-fixture-transfer-${i}`).digest()),
+  slot: 1000 + i * 10,
+}));
+
+/**
+ * Transactions of the clustered wallets in the shape getRecentTransactions returns them (only the
+ * signers are filled in): the three USERS sign one together, USERS[0] paying the fee; the FUNDED
+ * and BURST wallets and MISSING each sign one alone.
+ */
+export const WALLET_ACTIVITY = {
+  transactions: [USERS, ...[...FUNDED, ...BURST, MISSING].map(wallet => [wallet])].map((signers, i) => ({
+    signature: bs58.encode(createHash('sha512').update(`solproof-fixture-activity-${i}`).digest()),
+    details: { transaction: { message: { accountKeys: signers.map(pubkey => ({ pubkey, signer: true, writable: true, source: 'transaction' })) } } },
+  })),
+};
+
+/**
+ * An AMM with one SOL/MEME pool and its swaps, oldest first and in block order within a slot. In
+ * slot 3000 SEARCHER sandwiches USERS[1]'s MEME buy, tipping Jito on the front-run; the victim's
+ * transaction loads the pool from LOOKUP_TABLE, an active table held by the ledger whose authority
+ * is neither the victim nor the program's. From slot 3150 the RING wallets pass 500 MEME around a
+ * circle a minute apart, each paid 0.5 SOL by the next one; both parties sign a trade. Amounts are
+ * the signer's changes (lamports without fees or tips, MEME in whole tokens); the counterparty
+ * takes the opposite.
+ */
+export const AMM = key(18);
+export const POOL = key(19);
+export const MEME = key(20);
+export const SEARCHER = key(21);
+export const RING = [key(22), key(23), key(24)];
+export const LOOKUP_TABLE = key(25);
+export const TABLE_AUTHORITY = key(26);
+export const JITO_TIP_ACCOUNT = '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5';
+export const SWAPS = [
+  { slot: 3000, signer: SEARCHER, counterparty: POOL, lamports: -1 * LAMPORTS_PER_SOL, meme: 1000, tip: 0.001 * LAMPORTS_PER_SOL },
+  { slot: 3000, signer: USERS[1], counterparty: POOL, lamports: -2 * LAMPORTS_PER_SOL, meme: 1800, lookupTable: true },
+  { slot: 3000, signer: SEARCHER, counterparty: POOL, lamports: 1.1 * LAMPORTS_PER_SOL, meme: -1000 },
+  { slot: 3150, signer: RING[0], counterparty: RING[1], lamports: 0.5 * LAMPORTS_PER_SOL, meme: -500 },
+  { slot: 3300, signer: RING[1], counterparty: RING[2], lamports: 0.5 * LAMPORTS_PER_SOL, meme: -500 },
+  { slot: 3450, signer: RING[2], counterparty: RING[0], lamports: 0.5 * LAMPORTS_PER_SOL, meme: -500 },
+].map((swap, i) => ({
+  ...swap,
+  signature: bs58.encode(createHash('sha512').update(`solproof-fixture-swap-${i}`).digest()),
+  blockTime: 1770000000 + Math.round((swap.slot - 3000) * 0.4),
+  fee: BASE_FEE * (swap.counterparty === POOL ? 1 : 2),
+}));
+const MEME_DECIMALS = 6;
+
+/**
+ * Returns a wallet's associated MEME token account.
+ * @param {string} owner - Wallet.
+ * @returns {string} - Token account address.
+ */
+export function memeAccount(owner) {
+  const seeds = [owner, TOKEN_PROGRAM, MEME].map(address => new PublicKey(address).toBuffer());
+  return PublicKey.findProgramAddressSync(seeds, new PublicKey(ASSOCIATED_TOKEN_PROGRAM))[0].toBase58();
+}
+
+/**
+ * Starts the ledger's JSON-RPC server.
+ * @param {Object} options - Server options.
+ * @param {number} options.port - Port (default: 8899, the localnet port).
+ * @returns {Promise<Object>} - { url, unhandled, close } where unhandled lists methods the ledger cannot answer.
+ */
+export async function startLedger(options = {}) {
+  const { port = 8899 } = options;
+  const accounts = buildAccounts();
+  const transactions = new Map(TRANSACTIONS.map(tx => [tx.signature, tx]));
+  const transfers = new Map(TRANSFERS.map(transfer => [transfer.signature, transfer]));
+  const swaps = new Map(SWAPS.map(swap => [swap.signature, swap]));
+  const unhandled = [];
+
+  const handlers = {
+    getHealth: () => 'ok',
+    getVersion: () => ({ 'solana-core': '1.18.26', 'feature-set': 3241752014 }),
+    getSlot: () => CONTEXT_SLOT,
+    getAccountInfo: ([address, config = {}]) => ({ context: { slot: CONTEXT_SLOT }, value: encodeAccount(accounts.get(address), config) }),
+    getMultipleAccounts: ([addresses, config = {}]) => ({ context: { slot: CONTEXT_SLOT }, value: addresses.map(address => encodeAccount(accounts.get(address), config)) }),
+    getSignaturesForAddress: ([address, config = {}]) => listSignatures(address, config),
+    getTransaction: ([signature]) => {
+      if (transfers.has(signature)) return transferTransaction(transfers.get(signature));
+      if (swaps.has(signature)) return swapTransaction(swaps.get(signature));
+      return transactions.has(signature) ? parsedTransaction(transactions.get(signature)) : null;
+    },
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const request = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      const answer = call => {
+        if (!handlers[call.method]) {
+          unhandled.push(call.method);
+          return { jsonrpc: '2.0', id: call.id, error: { code: -32601, message: 'Method not found' } };
+        }
+        return { jsonrpc: '2.0', id: call.id, result: handlers[call.method](call.params || []) };
+      };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(Array.isArray(request) ? request.map(answer) : answer(request)));
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+  return { url: `http://127.0.0.1:${port}`, unhandled, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+/**
+ * Builds the accounts the ledger holds, keyed by address.
+ * @returns {Map<string, Object>} - { lamports, owner, executable, data, parsed }.
+ */
+function buildAccounts() {
+  const programAccount = Buffer.alloc(36);
+  programAccount.writeUInt32LE(2, 0);
+  new PublicKey(PROGRAM_DATA).toBuffer().copy(programAccount, 4);
+
+  // u32 tag + u64 deploy slot + Option<Pubkey> upgrade authority, then the ELF.
+  const header = Buffer.alloc(45);
+  header.writeUInt32LE(3, 0);
+  header.writeBigUInt64LE(BigInt(DEPLOY_SLOT), 4);
+  header[12] = 1;
+  new PublicKey(AUTHORITY).toBuffer().copy(header, 13);
+  const programData = Buffer.concat([header, buildElf()]);
+
+  // u32 type (1: lookup table) + u64 deactivation slot (u64::MAX while active) + u64 last extended
+  // slot + u8 start index + Option<Pubkey> authority, padded to 56 bytes, then the entries.
+  const tableEntries = [POOL, memeAccount(POOL), MEME];
+  const lookupTable = Buffer.alloc(56 + 32 * tableEntries.length);
+  lookupTable.writeUInt32LE(1, 0);
+  lookupTable.writeBigUInt64LE(0xffffffffffffffffn, 4);
+  lookupTable.writeBigUInt64LE(2900n, 12);
+  lookupTable[21] = 1;
+  new PublicKey(TABLE_AUTHORITY).toBuffer().copy(lookupTable, 22);
+  tableEntries.forEach((address, i) => new PublicKey(address).toBuffer().copy(lookupTable, 56 + 32 * i));
+
+  const rentExempt = bytes => (bytes + 128) * 6960;
+  return new Map([
+    [PROGRAM, {
+      lamports: rentExempt(36),
+      owner: BPF_LOADER_UPGRADEABLE,
+      executable: true,
+      data: programAccount,
+      parsed: { program: 'bpf-upgradeable-loader', parsed: { type: 'program', info: { programData: PROGRAM_DATA } }, space: 36 },
+    }],
+    [PROGRAM_DATA, { lamports: rentExempt(programData.length), owner: BPF_LOADER_UPGRADEABLE, executable: false, data: programData }],
+    [AUTHORITY, { lamports: 3.5 * LAMPORTS_PER_SOL, owner: SYSTEM_PROGRAM, executable: false, data: Buffer.alloc(0) }],
+    [VAULT, { lamports: 2.05 * LAMPORTS_PER_SOL, owner: PROGRAM, executable: false, data: Buffer.alloc(8) }],
+    [CORRUPT_PROGRAM, { lamports: rentExempt(64), owner: BPF_LOADER, executable: true, data: Buffer.alloc(64, 0xff) }],
+    [LOOKUP_TABLE, { lamports: rentExempt(lookupTable.length), owner: ADDRESS_LOOKUP_TABLE_PROGRAM, executable: false, data: lookupTable }],
+    ...USERS.map(user => [user, { lamports: 4 * LAMPORTS_PER_SOL, owner: SYSTEM_PROGRAM, executable: false, data: Buffer.alloc(0) }]),
+  ]);
+}
+
+/**
+ * Encodes an account the way getAccountInfo returns it.
+ * @param {Object|undefined} account - Ledger account.
+ * @param {Object} config - Request config ({ encoding, dataSlice }).
+ * @returns {Object|null} - Account info, or null for an unknown account.
+ */
+function encodeAccount(account, config) {
+  if (!account) return null;
+  let data = account.data;
+  if (config.dataSlice) data = data.subarray(config.dataSlice.offset, config.dataSlice.offset + config.dataSlice.length);
+  return {
+    lamports: account.lamports,
+    owner: account.owner,
+    executable: account.executable,
+    rentEpoch: 18446744073709551615,
+    space: account.data.length,
+    data: config.encoding === 'jsonParsed' && account.parsed ? account.parsed : [data.toString('base64'), 'base64'],
+  };
+}
+
+/**
+ * Answers getSignaturesForAddress: newest first, paged with before/until.
+ * @param {string} address - Account address.
+ * @param {Object} config - { limit, before, until }.
+ * @returns {Array<Object>} - Signature entries.
+ */
+function listSignatures(address, config) {
+  if (address === AUTHORITY) {
+    const signature = bs58.encode(createHash('sha512').update('solproof-fixture-upgrade').digest());
+    return [{ signature, slot: DEPLOY_SLOT, err: null, memo: null, blockTime: AUTHORITY_LAST_ACTIVE, confirmationStatus: 'finalized' }];
+  }
+  // The vault takes part in every transaction of the program.
+  const history = [PROGRAM, VAULT, FILTERED].includes(address) ? TRANSACTIONS
+    : address === AMM ? SWAPS
+      : TRANSFERS.filter(transfer => transfer.from === address || transfer.to === address);
+  let entries = [...history].reverse();
+  if (config.before) entries = entries.slice(entries.findIndex(tx => tx.signature === config.before) + 1);
+  if (config.until) {
+    const stop = entries.findIndex(tx => tx.signature === config.until);
+    if (stop !== -1) entries = entries.slice(0, stop);
+  }
+  entries = entries.slice(0, config.limit || 1000);
+  if (address === FILTERED) entries = entries.filter(tx => !tx.error);
+  return entries.map(tx => ({
+    signature: tx.signature,
+    slot: tx.slot,
+    err: tx.error ? { InstructionError: [tx.budget ? 2 : 0, { Custom: tx.error }] } : null,
+    memo: null,
+    blockTime: tx.blockTime,
+    confirmationStatus: 'finalized',
+  }));
+}
+
+/**
+ * Builds the jsonParsed getTransaction result of a ledger transaction.
+ * @param {Object} tx - Ledger transaction.
+ * @returns {Object} - Parsed transaction.
+ */
+function parsedTransaction(tx) {
+  const deposit = tx.instruction === DEPOSIT;
+  const failed = Boolean(tx.error);
+  const moved = failed ? 0 : tx.lamports;
+  const signerBefore = 4 * LAMPORTS_PER_SOL;
+  const vaultBefore = 2.05 * LAMPORTS_PER_SOL;
+  const signerAfter = signerBefore - tx.fee + (deposit ? -moved : moved);
+  const vaultAfter = vaultBefore + (deposit ? moved : -moved);
+
+  const accountKeys = [
+    { pubkey: tx.signer, signer: true, writable: true, source: 'transaction' },
+    { pubkey: VAULT, signer: false, writable: true, source: 'transaction' },
+    { pubkey: SYSTEM_PROGRAM, signer: false, writable: false, source: 'transaction' },
+    { pubkey: PROGRAM, signer: false, writable: false, source: 'transaction' },
+    ...(tx.budget ? [{ pubkey: COMPUTE_BUDGET_PROGRAM, signer: false, writable: false, source: 'transaction' }] : []),
+  ];
+  const amount = Buffer.alloc(8);
+  amount.writeBigUInt64LE(BigInt(tx.lamports));
+  const programInstruction = {
+    programId: PROGRAM,
+    accounts: [tx.signer, VAULT, SYSTEM_PROGRAM],
+    data: bs58.encode(Buffer.concat([anchorDiscriminator(tx.instruction.name), amount])),
+    stackHeight: null,
+  };
+  const instructions = [...(tx.budget ? computeBudgetInstructions(tx.budget) : []), programInstruction];
+  const programIndex = instructions.length - 1;
+
+  const logs = [
+    ...(tx.budget ? [`Program ${COMPUTE_BUDGET_PROGRAM} invoke [1]`, `Program ${COMPUTE_BUDGET_PROGRAM} success`, `Program ${COMPUTE_BUDGET_PROGRAM} invoke [1]`, `Program ${COMPUTE_BUDGET_PROGRAM} success`] : []),
+    `Program ${PROGRAM} invoke [1]`,
+    `Program log: Instruction: ${tx.instruction.logName}`,
+    ...(deposit ? [`Program ${SYSTEM_PROGRAM} invoke [2]`, `Program ${SYSTEM_PROGRAM} success`] : []),
+    ...(failed ? [`Program log: AnchorError occurred. Error Code: InsufficientFunds. Error Number: ${tx.error}. Error Message: Vault balance too low.`] : []),
+    `Program ${PROGRAM} consumed ${tx.consumed} of ${tx.budget?.limit || 200000} compute units`,
+    failed ? `Program ${PROGRAM} failed: custom program error: 0x${tx.error.toString(16)}` : `Program ${PROGRAM} success`,
+  ];
+
+  const err = failed ? { InstructionError: [programIndex, { Custom: tx.error }] } : null;
+  return {
+    slot: tx.slot,
+    blockTime: tx.blockTime,
+    version: 'legacy',
+    meta: {
+      err,
+      status: failed ? { Err: err } : { Ok: null },
+      fee: tx.fee,
+      preBalances: [signerBefore, vaultBefore, 1, 1141440, ...(tx.budget ? [1] : [])],
+      postBalances: [signerAfter, vaultAfter, 1, 1141440, ...(tx.budget ? [1] : [])],
+      innerInstructions: deposit && !failed ? [{
+        index: programIndex,
+        instructions: [{
+          program: 'system',
+          programId: SYSTEM_PROGRAM,
+          parsed: { type: 'transfer', info: { source: tx.signer, destination: VAULT, lamports: tx.lamports } },
+          stackHeight: 2,
+        }],
+      }] : [],
+      logMessages: logs,
+      preTokenBalances: [],
+      postTokenBalances: [],
+      rewards: [],
+      computeUnitsConsumed: tx.consumed + (tx.budget ? 300 : 0),
+    },
+    transaction: {
+      signatures: [tx.signature],
+      message: {
+        accountKeys,
+        recentBlockhash: bs58.encode(createHash('sha256').update(`solproof-fixture-blockhash-${tx.slot}`).digest()),
+        instructions,
+      },
+    },
+  };
+}
+
+/**
+ * Builds the jsonParsed getTransaction result of a SOL transfer, whose sender pays the fee.
+ * @param {Object} transfer - Entry of TRANSFERS.
+ * @returns {Object} - Parsed transaction.
+ */
+function transferTransaction(transfer) {
+  const senderBefore = 10 * LAMPORTS_PER_SOL;
+  return {
+    slot: transfer.slot,
+    blockTime: transfer.blockTime,
+    version: 'legacy',
+    meta: {
+      err: null,
+      status: { Ok: null },
+      fee: BASE_FEE,
+      preBalances: [senderBefore, 0, 1],
+      postBalances: [senderBefore - transfer.lamports - BASE_FEE, transfer.lamports, 1],
+      innerInstructions: [],
+      logMessages: [`Program ${SYSTEM_PROGRAM} invoke [1]`, `Program ${SYSTEM_PROGRAM} success`],
+      preTokenBalances: [],
+      postTokenBalances: [],
+      rewards: [],
+      computeUnitsConsumed: 150,
+    },
+    transaction: {
+      signatures: [transfer.signature],
+      message: {
+        accountKeys: [
+          { pubkey: transfer.from, signer: true, writable: true, source: 'transaction' },
+          { pubkey: transfer.to, signer: false, writable: true, source: 'transaction' },
+          { pubkey: SYSTEM_PROGRAM, signer: false, writable: false, source: 'transaction' },
+        ],
+        recentBlockhash: bs58.encode(createHash('sha256').update(`solproof-fixture-blockhash-${transfer.slot}`).digest()),
+        instructions: [{
+          program: 'system',
+          programId: SYSTEM_PROGRAM,
+          parsed: { type: 'transfer', info: { source: transfer.from, destination: transfer.to, lamports: transfer.lamports } },
+          stackHeight: null,
+        }],
+      },
+    },
+  };
+}
+
+/**
+ * Builds the jsonParsed getTransaction result of a v0 swap: the AMM's `swap` instruction moves SOL
+ * and MEME between the signer and the counterparty, and a front-run also transfers its Jito tip.
+ * Accounts loaded from LOOKUP_TABLE follow the static ones, and the token balances are indexed
+ * by the combined list.
+ * @param {Object} swap - Entry of SWAPS.
+ * @returns {Object} - Parsed transaction.
+ */
+function swapTransaction(swap) {
+  const viaPool = swap.counterparty === POOL;
+  const tip = swap.tip || 0;
+  const wallet = (pubkey, delta) => ({ pubkey, signer: true, writable: true, lamports: 10 * LAMPORTS_PER_SOL, delta });
+  const tokenAccount = (owner, delta, balance = 5000) => ({ pubkey: memeAccount(owner), writable: true, lamports: 2039280, delta: 0, token: { owner, balance, delta } });
+  const readonly = pubkey => ({ pubkey, writable: false, lamports: 1141440, delta: 0 });
+  const pool = [{ pubkey: POOL, writable: true, lamports: 100 * LAMPORTS_PER_SOL, delta: -swap.lamports }, tokenAccount(POOL, -swap.meme, 1000000)];
+  const loaded = swap.lookupTable ? [...pool, readonly(MEME)] : [];
+
+  // Signers, other writable accounts, readonly accounts, then the lookup table's writable and readonly entries.
+  const keys = [
+    wallet(swap.signer, swap.lamports - tip - swap.fee),
+    ...(viaPool ? [] : [wallet(swap.counterparty, -swap.lamports)]),
+    tokenAccount(swap.signer, swap.meme),
+    ...(viaPool ? (swap.lookupTable ? [] : pool) : [tokenAccount(swap.counterparty, -swap.meme)]),
+    ...(tip ? [{ pubkey: JITO_TIP_ACCOUNT, writable: true, lamports: LAMPORTS_PER_SOL, delta: tip }] : []),
+    readonly(AMM),
+    readonly(TOKEN_PROGRAM),
+    ...(tip ? [readonly(SYSTEM_PROGRAM)] : []),
+    ...loaded.map(account => ({ ...account, source: 'lookupTable' })),
+  ];
+  const tokenAmount = tokens => ({ amount: String(tokens * 10 ** MEME_DECIMALS), decimals: MEME_DECIMALS, uiAmount: tokens, uiAmountString: String(tokens) });
+  const tokenBalances = after => keys.flatMap((account, accountIndex) => (account.token ? [{
+    accountIndex,
+    mint: MEME,
+    owner: account.token.owner,
+    programId: TOKEN_PROGRAM,
+    uiTokenAmount: tokenAmount(account.token.balance + (after ? account.token.delta : 0)),
+  }] : []));
+
+  const amount = Buffer.alloc(8);
+  amount.writeBigUInt64LE(BigInt(Math.abs(swap.meme) * 10 ** MEME_DECIMALS));
+  const instructions = [
+    {
+      programId: AMM,
+      accounts: [swap.signer, swap.counterparty, memeAccount(swap.counterparty), memeAccount(swap.signer), TOKEN_PROGRAM],
+      data: bs58.encode(Buffer.concat([anchorDiscriminator('swap'), amount])),
+      stackHeight: null,
+    },
+    ...(tip ? [{
+      program: 'system',
+      programId: SYSTEM_PROGRAM,
+      parsed: { type: 'transfer', info: { source: swap.signer, destination: JITO_TIP_ACCOUNT, lamports: tip } },
+      stackHeight: null,
+    }] : []),
+  ];
+  const logs = [
+    `Program ${AMM} invoke [1]`,
+    'Program log: Instruction: Swap',
+    `Program ${AMM} consumed 24000 of 200000 compute units`,
+    `Program ${AMM} success`,
+    ...(tip ? [`Program ${SYSTEM_PROGRAM} invoke [1]`, `Program ${SYSTEM_PROGRAM} success`] : []),
+  ];
+  const signatures = [swap.signature, ...(viaPool ? [] : [bs58.encode(createHash('sha512').update(`${swap.signature}-counterparty`).digest())])];
+
+  return {
+    slot: swap.slot,
+    blockTime: swap.blockTime,
+    version: 0,
+    meta: {
+      err: null,
+      status: { Ok: null },
+      fee: swap.fee,
+      preBalances: keys.map(account => account.lamports),
+      postBalances: keys.map(account => account.lamports + account.delta),
+      innerInstructions: [],
+      logMessages: logs,
+      preTokenBalances: tokenBalances(false),
+      postTokenBalances: tokenBalances(true),
+      rewards: [],
+      loadedAddresses: {
+        writable: loaded.filter(account => account.writable).map(account => account.pubkey),
+        readonly: loaded.filter(account => !account.writable).map(account => account.pubkey),
+      },
+      computeUnitsConsumed: tip ? 24150 : 24000,
+    },
+    transaction: {
+      signatures,
+      message: {
+        accountKeys: keys.map(account => ({ pubkey: account.pubkey, signer: Boolean(account.signer), writable: account.writable, source: account.source || 'transaction' })),
+        recentBlockhash: bs58.encode(createHash('sha256').update(`solproof-fixture-blockhash-${swap.slot}`).digest()),
+        instructions,
+        addressTableLookups: swap.lookupTable ? [{ accountKey: LOOKUP_TABLE, writableIndexes: [0, 1], readonlyIndexes: [2] }] : [],
+      },
+    },
+  };
+}
+
+/**
+ * Builds SetComputeUnitLimit and SetComputeUnitPrice instructions as jsonParsed returns them (unparsed).
+ * @param {Object} budget - { limit, price } in compute units and micro-lamports.
+ * @returns {Array<Object>} - Instructions.
+ */
+function computeBudgetInstructions(budget) {
+  const limit = Buffer.alloc(5);
+  limit[0] = 2;
+  limit.writeUInt32LE(budget.limit, 1);
+  const price = Buffer.alloc(9);
+  price[0] = 3;
+  price.writeBigUInt64LE(BigInt(budget.price), 1);
+  return [limit, price].map(data => ({ programId: COMPUTE_BUDGET_PROGRAM, accounts: [], data: bs58.encode(data), stackHeight: null }));
+}
+
+/**
+ * Assembles a minimal sBPF ELF whose entrypoint dispatches on the `deposit` discriminator, with
+ * Anchor's "Instruction: Deposit" log string in .rodata.
+ * @returns {Buffer} - ELF binary.
+ */
+function buildElf() {
+  const insn = (opcode, dst, src, off, imm) => {
+    const bytes = Buffer.alloc(8);
+    bytes[0] = opcode;
+    bytes[1] = (src << 4) | dst;
+    bytes.writeInt16LE(off, 2);
+    bytes.writeInt32LE(imm, 4);
+    return bytes;
+  };
+  const discriminator = anchorDiscriminator(DEPOSIT.name);
+  const text = Buffer.concat([
+    insn(0x79, 2, 1, 8, 0), // ldxdw r2, [r1+8]
+    insn(0x18, 3, 0, 0, discriminator.readInt32LE(0)), // lddw r3, <discriminator>
+    insn(0x00, 0, 0, 0, discriminator.readInt32LE(4)),
+    insn(0x1d, 2, 3, 2, 0), // jeq r2, r3, +2
+    insn(0xb7, 0, 0, 0, 1), // mov64 r0, 1
+    insn(0x95, 0, 0, 0, 0), // exit
+    insn(0xb7, 0, 0, 0, 0), // mov64 r0, 0
+    insn(0x95, 0, 0, 0, 0), // exit
+  ]);
+  const rodata = Buffer.from('Instruction: Deposit\0');
+  const shstrtab = Buffer.from('\0.text\0.rodata\0.shstrtab\0');
+
+  const textOffset = 64;
+  const rodataOffset = textOffset + text.length;
+  const shstrtabOffset = rodataOffset + rodata.length;
+  const shoff = Math.ceil((shstrtabOffset + shstrtab.length) / 8) * 8;
+
+  const header = Buffer.alloc(64);
+  Buffer.from([0x7f, 0x45, 0x4c, 0x46, 2, 1, 1]).copy(header);
+  header.writeUInt16LE(3, 16); // ET_DYN
+  header.writeUInt16LE(247, 18); // EM_BPF
+  header.writeUInt32LE(1, 20);
+  header.writeBigUInt64LE(BigInt(textOffset), 24); // entry
+  header.writeBigUInt64LE(BigInt(shoff), 40);
+  header.writeUInt16LE(64, 52);
+  header.writeUInt16LE(56, 54);
+  header.writeUInt16LE(64, 58);
+  header.writeUInt16LE(4, 60);
+  header.writeUInt16LE(3, 62);
+
+  const section = (name, type, flags, offset, size) => {
+    const bytes = Buffer.alloc(64);
+    bytes.writeUInt32LE(name, 0);
+    bytes.writeUInt32LE(type, 4);
+    bytes.writeBigUInt64LE(BigInt(flags), 8);
+    bytes.writeBigUInt64LE(BigInt(type === 3 ? 0 : offset), 16);
+    bytes.writeBigUInt64LE(BigInt(offset), 24);
+    bytes.writeBigUInt64LE(BigInt(size), 32);
+    bytes.writeBigUInt64LE(1n, 48);
+    return bytes;
+  };
+  const body = Buffer.concat([header, text, rodata, shstrtab]);
+  return Buffer.concat([
+    body,
+    Buffer.alloc(shoff - body.length),
+    Buffer.alloc(64),
+    section(1, 1, 0x6, textOffset, text.length), // .text: PROGBITS, ALLOC | EXECINSTR
+    section(7, 1, 0x2, rodataOffset, rodata.length), // .rodata: PROGBITS, ALLOC
+    section(15, 3, 0, shstrtabOffset, shstrtab.length), // .shstrtab: STRTAB
+  ]);
+}
@@ -0,0 +1,11 @@
+import { fileURLToPath } from 'url';
+
+/**
+ * Shared setup of the replay tests. Import it before any module under src/: the transaction rate
+ * limit is read when transactions.js loads, and replayed requests need no pacing.
+ */
+
+process.env.SOLPROOF_RPC_INTERVAL_MS ||= '1';
+
+// Recorded by test/record-fixtures.js.
+export const FIXTURES = fileURLToPath(new URL('../fixtures/upgradeable-program', import.meta.url));
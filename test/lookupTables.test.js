@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { PublicKey } from '@solana/web3.js';
+import { FIXTURES } from './helpers/replay.js';
+import { AMM, POOL, MEME, USERS, SEARCHER, LOOKUP_TABLE, TABLE_AUTHORITY, SWAPS, memeAccount } from './helpers/ledger.js';
+import { replayFixtures } from '../src/lib/fixtures.js';
+import { getRecentTransactions } from '../src/lib/transactions.js';
+import { resolveAccountKeys, instructionAccounts, instructionProgramId, analyzeLookupTables, emptyLookupTableAnalysis } from '../src/lib/lookupTables.js';
+
+let standIn;
+let transactionData;
+before(async () => {
+  standIn = await replayFixtures(FIXTURES);
+  transactionData = await getRecentTransactions(AMM, { limit: 10 });
+});
+after(async () => {
+  assert.deepEqual(standIn.misses, []);
+  await standIn.close();
+});
+
+const victim = () => transactionData.transactions.find(tx => tx.signature === SWAPS[1].signature);
+
+test('resolveAccountKeys keeps the lookup-table accounts a parsed message already lists', () => {
+  const keys = resolveAccountKeys(victim().details);
+
+  // meta.loadedAddresses repeats them; they are not appended a second time.
+  assert.equal(keys.length, 7);
+  assert.deepEqual(keys.slice(4).map(key => [key.pubkey, key.writable, key.source]), [
+    [POOL, true, 'lookupTable'],
+    [memeAccount(POOL), true, 'lookupTable'],
+    [MEME, false, 'lookupTable'],
+  ]);
+  assert.deepEqual(keys[0], { pubkey: USERS[1], signer: true, writable: true, source: 'transaction' });
+  assert.deepEqual(resolveAccountKeys(null), []);
+});
+
+test('resolveAccountKeys reads compiled messages by their header and appends loaded addresses', () => {
+  const compiled = {
+    transaction: {
+      message: {
+        header: { numRequiredSignatures: 2, numReadonlySignedAccounts: 1, numReadonlyUnsignedAccounts: 1 },
+        staticAccountKeys: [SEARCHER, USERS[0], memeAccount(SEARCHER), AMM].map(address => new PublicKey(address)),
+      },
+    },
+    meta: { loadedAddresses: { writable: [new PublicKey(POOL)], readonly: [MEME] } },
+  };
+  const keys = resolveAccountKeys(compiled);
+
+  assert.deepEqual(keys.map(key => [key.pubkey, key.signer, key.writable, key.source]), [
+    [SEARCHER, true, true, 'transaction'],
+    [USERS[0], true, false, 'transaction'],
+    [memeAccount(SEARCHER), false, true, 'transaction'],
+    [AMM, false, false, 'transaction'],
+    [POOL, false, true, 'lookupTable'],
+    [MEME, false, false, 'lookupTable'],
+  ]);
+  // Compiled instructions refer to the combined list by index.
+  assert.deepEqual(instructionAccounts({ programIdIndex: 3, accountKeyIndexes: [0, 4, 2, 5] }, keys), [SEARCHER, POOL, memeAccount(SEARCHER), MEME]);
+  assert.equal(instructionProgramId({ programIdIndex: 3 }, keys), AMM);
+  assert.equal(instructionProgramId({ programIdIndex: 9 }, keys), 'unknown');
+  assert.equal(instructionProgramId({ programId: new PublicKey(AMM) }), AMM);
+});
+
+test('analyzeLookupTables reports a table the program depends on and a third party controls', async () => {
+  const analysis = await analyzeLookupTables(transactionData, AMM);
+
+  assert.equal(analysis.versionedTransactions, 6);
+  assert.equal(analysis.transactionsUsingTables, 1);
+  assert.deepEqual(analysis.tables, [{
+    address: LOOKUP_TABLE,
+    authority: TABLE_AUTHORITY,
+    control: 'third party',
+    frozen: false,
+    deactivated: false,
+    entries: 3,
+    transactions: 1,
+    users: 1,
+    loadedAccounts: 3,
+    // The mint is loaded too, but the swap instruction does not use it.
+    programAccounts: [POOL, memeAccount(POOL)],
+    risk: 'High',
+  }]);
+  assert.equal(analysis.mutableTables, 1);
+  assert.equal(analysis.thirdPartyTables, 1);
+});
+
+test('analyzeLookupTables recognizes a table the program\'s upgrade authority controls', async () => {
+  const analysis = await analyzeLookupTables(transactionData, AMM, { upgradeAuthority: TABLE_AUTHORITY });
+
+  assert.equal(analysis.tables[0].control, 'program authority');
+  assert.equal(analysis.tables[0].risk, 'Low');
+  assert.equal(analysis.thirdPartyTables, 0);
+  assert.deepEqual(await analyzeLookupTables({ transactions: [] }, AMM), emptyLookupTableAnalysis());
+});
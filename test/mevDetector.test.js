@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXTURES } from './helpers/replay.js';
+import { AMM, POOL, MEME, SEARCHER, USERS, SWAPS } from './helpers/ledger.js';
+import { replayFixtures } from '../src/lib/fixtures.js';
+import { getRecentTransactions } from '../src/lib/transactions.js';
+import { detectMev, isAmm } from '../src/lib/mevDetector.js';
+
+let standIn;
+let transactionData;
+before(async () => {
+  standIn = await replayFixtures(FIXTURES);
+  transactionData = await getRecentTransactions(AMM, { limit: 10 });
+});
+after(async () => {
+  assert.deepEqual(standIn.misses, []);
+  await standIn.close();
+});
+
+const [frontRun, victim, backRun] = SWAPS.map(swap => swap.signature);
+
+test('detectMev finds a sandwich around a swap that loads the pool from a lookup table', async () => {
+  const mev = await detectMev(transactionData, AMM, { prices: false });
+
+  assert.equal(mev.sandwiches.length, 1);
+  const [sandwich] = mev.sandwiches;
+  assert.equal(sandwich.slot, 3000);
+  assert.equal(sandwich.pool, POOL);
+  assert.equal(sandwich.attacker, SEARCHER);
+  assert.equal(sandwich.victim, USERS[1]);
+  assert.equal(sandwich.token, MEME);
+  assert.deepEqual([sandwich.frontRun, sandwich.victimTx, sandwich.backRun], [frontRun, victim, backRun]);
+  // 1.1 SOL back for 1 SOL and the tip; the MEME bought and sold cancels out.
+  assert.deepEqual(sandwich.profit.map(({ mint }) => mint), ['SOL']);
+  assert.ok(Math.abs(sandwich.profit[0].amount - 0.099) < 1e-9);
+  assert.equal(sandwich.profitUSD, null);
+
+  assert.deepEqual(mev.pools.map(pool => [pool.pool, pool.sandwiches, pool.victims, pool.extractedUSD]), [[POOL, 1, 1, null]]);
+  assert.equal(mev.slotsAnalyzed, 4);
+  assert.equal(mev.transactionsAnalyzed, 6);
+});
+
+test('detectMev reports Jito tips and same-signer bundles against the attacker', async () => {
+  const mev = await detectMev(transactionData, AMM, { prices: false });
+
+  assert.equal(mev.tips.count, 1);
+  assert.ok(Math.abs(mev.tips.totalSOL - 0.001) < 1e-12);
+  assert.equal(mev.tips.tippers, 1);
+  assert.deepEqual(mev.bundles.map(bundle => [bundle.slot, bundle.signer, bundle.signatures]), [[3000, SEARCHER, [frontRun, backRun]]]);
+
+  const [attacker] = mev.attackers;
+  assert.equal(attacker.wallet, SEARCHER);
+  assert.equal(attacker.sandwiches, 1);
+  assert.equal(attacker.bundles, 1);
+  assert.ok(Math.abs(attacker.tipsSOL - 0.001) < 1e-12);
+  assert.equal(attacker.extractedUSD, null);
+});
+
+test('detectMev needs the back-run from the front-runner and skips failed transactions', async () => {
+  // Without the back-run there is nothing to close the sandwich.
+  const withoutBackRun = { transactions: transactionData.transactions.filter(tx => tx.signature !== backRun) };
+  assert.deepEqual((await detectMev(withoutBackRun, AMM, { prices: false })).sandwiches, []);
+
+  const failedVictim = {
+    transactions: transactionData.transactions.map(tx => (tx.signature === victim ? { ...tx, details: { ...tx.details, meta: { ...tx.details.meta, err: { InstructionError: [0, { Custom: 6000 }] } } } } : tx)),
+  };
+  const mev = await detectMev(failedVictim, AMM, { prices: false });
+  assert.deepEqual(mev.sandwiches, []);
+  assert.equal(mev.transactionsAnalyzed, 5);
+});
+
+test('isAmm follows the most likely program type', () => {
+  assert.equal(isAmm({ programTypeConfidence: { amm: 0.7, lending: 0.2 } }), true);
+  assert.equal(isAmm({ programTypeConfidence: { amm: 0.3, nft: 0.6 } }), false);
+  assert.equal(isAmm(null), false);
+});
@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { CACHE_DIR } from './helpers/cache.js';
+import { MEME } from './helpers/ledger.js';
+import { setCluster } from '../src/lib/config.js';
+import { useReplayServer } from '../src/lib/fixtures.js';
+import { setCacheEnabled } from '../src/lib/diskCache.js';
+import { SOL_MINT, getHistoricalPrice } from '../src/lib/prices.js';
+
+// 2025-10-09 00:00 UTC; CoinGecko averages the prices it returns for the day.
+const DAY = 1759968000;
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+// A stand-in for CoinGecko that answers each path from a queue of responses, repeating the last.
+const requests = [];
+const responses = new Map([
+  ['/api/v3/coins/solana/market_chart/range', [{ status: 429, body: { status: { error_code: 429 } } }, { status: 200, body: { prices: [[DAY * 1000, 150], [(DAY + 43200) * 1000, 170]] } }]],
+  [`/api/v3/coins/solana/contract/${MEME}/market_chart/range`, [{ status: 404, body: { error: 'coin not found' } }]],
+]);
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  requests.push(req.url);
+  const queue = responses.get(pathname) || [{ status: 404, body: {} }];
+  const { status, body } = queue.length > 1 ? queue.shift() : queue[0];
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+});
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  useReplayServer(`http://127.0.0.1:${server.address().port}`);
+  setCacheEnabled(true);
+  setCluster('mainnet-beta');
+});
+after(async () => {
+  useReplayServer(null);
+  setCluster(null);
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Returns the file of a price cache entry, as diskCache.js names it.
+ * @param {string} mint - Token mint.
+ * @returns {string} - File path.
+ */
+function priceEntry(mint) {
+  const key = `${mint}:${new Date(DAY * 1000).toISOString().slice(0, 10)}`;
+  return path.join(CACHE_DIR, 'prices', `${createHash('sha256').update(key).digest('hex')}.json`);
+}
+
+const lifetime = entry => (Date.parse(entry.expiresAt) - Date.parse(entry.createdAt)) / 1000;
+
+test('getHistoricalPrice caches a failed lookup briefly and shares it between concurrent callers', async () => {
+  // SOL and wrapped SOL on the same day are one lookup.
+  const concurrent = await Promise.all([getHistoricalPrice('SOL', DAY + 60), getHistoricalPrice(SOL_MINT, DAY + 7200)]);
+  assert.deepEqual(concurrent, [null, null]);
+  assert.equal(requests.length, 1);
+  assert.match(requests[0], new RegExp(`^/api/v3/coins/solana/market_chart/range\\?vs_currency=usd&from=${DAY}&to=${DAY + 86400}$`));
+
+  // The rate-limited lookup is not repeated while its entry lasts.
+  assert.equal(await getHistoricalPrice('SOL', DAY + 3600), null);
+  assert.equal(requests.length, 1);
+  const failure = JSON.parse(fs.readFileSync(priceEntry(SOL_MINT), 'utf8'));
+  assert.deepEqual(failure.value, { usd: null });
+  assert.equal(lifetime(failure), 600);
+
+  // Once it expires the day is looked up again, and a past day's price is kept for good.
+  fs.writeFileSync(priceEntry(SOL_MINT), JSON.stringify({ ...failure, expiresAt: failure.createdAt }));
+  assert.equal(await getHistoricalPrice('SOL', DAY + 3600), 160);
+  assert.equal(requests.length, 2);
+  const price = JSON.parse(fs.readFileSync(priceEntry(SOL_MINT), 'utf8'));
+  assert.deepEqual(price.value, { usd: 160 });
+  assert.equal(price.expiresAt, null);
+});
+
+test('getHistoricalPrice caches unlisted tokens for a day and prices some without a request', async () => {
+  const before = requests.length;
+  assert.equal(await getHistoricalPrice(MEME, DAY), null);
+  assert.equal(await getHistoricalPrice(MEME, DAY + 60), null);
+  assert.equal(requests.length, before + 1);
+  assert.equal(lifetime(JSON.parse(fs.readFileSync(priceEntry(MEME), 'utf8'))), 86400);
+
+  // Stablecoins are $1; CoinGecko lists mainnet mints only.
+  assert.equal(await getHistoricalPrice(USDC, DAY), 1);
+  setCluster('devnet');
+  assert.equal(await getHistoricalPrice('SOL', DAY + 86400), null);
+  setCluster('mainnet-beta');
+  assert.equal(requests.length, before + 1);
+});
@@ -0,0 +1,43 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXTURES } from './helpers/replay.js';
+import { PROGRAM, AUTHORITY, TRANSACTIONS, USERS, MISSING } from './helpers/ledger.js';
+import { replayFixtures } from '../src/lib/fixtures.js';
+import { quickCheck } from '../src/lib/quickCheck.js';
+
+let standIn;
+before(async () => {
+  standIn = await replayFixtures(FIXTURES);
+});
+after(async () => {
+  assert.deepEqual(standIn.misses, []);
+  await standIn.close();
+});
+
+test('quickCheck reads the upgrade authority from ProgramData', async () => {
+  assert.deepEqual(await quickCheck(PROGRAM), {
+    isActive: true,
+    lastTransaction: TRANSACTIONS[4].blockTime,
+    isUpgradeable: true,
+    upgradeAuthority: AUTHORITY,
+    basicSafetyScore: 60,
+  });
+});
+
+test('quickCheck reports accounts outside the upgradeable loader as not upgradeable', async () => {
+  const result = await quickCheck(USERS[0]);
+
+  assert.equal(result.isActive, true);
+  assert.equal(result.isUpgradeable, false);
+  assert.equal(result.upgradeAuthority, null);
+  assert.equal(result.lastTransaction, null);
+  assert.equal(result.basicSafetyScore, 40);
+});
+
+test('quickCheck reports a missing account as inactive', async () => {
+  const result = await quickCheck(MISSING);
+
+  assert.equal(result.isActive, false);
+  assert.equal(result.isUpgradeable, false);
+  assert.equal(result.upgradeAuthority, null);
+});
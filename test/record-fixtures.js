@@ -0,0 +1,77 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FIXTURES } from './helpers/replay.js';
+import { startLedger, PROGRAM, AUTHORITY, USERS, MISSING, CORRUPT_PROGRAM, WALLET_ACTIVITY, FUNDER, FILTERED, AMM } from './helpers/ledger.js';
+import { setCluster } from '../src/lib/config.js';
+import { startRecording, stopRecording } from '../src/lib/fixtures.js';
+import { getRecentTransactions, analyzeFees } from '../src/lib/transactions.js';
+import { crawlTransactions } from '../src/lib/crawler.js';
+import { quickCheck } from '../src/lib/quickCheck.js';
+import { analyzeAuthorityHolders } from '../src/lib/authorityAnalyzer.js';
+import { fetchProgramBinary } from '../src/lib/fetcher.js';
+import { clusterWallets } from '../src/lib/walletClustering.js';
+import { traceFunds } from '../src/lib/fundFlowTracer.js';
+import { analyzeLookupTables } from '../src/lib/lookupTables.js';
+
+/**
+ * Re-records test/fixtures/upgradeable-program from the synthetic ledger in helpers/ledger.js,
+ * served on the localnet port. Run with `npm run record-fixtures` after changing the ledger or the
+ * requests a tested module makes; the calls below mirror the tests.
+ */
+
+const SERVER_PORT = 3999;
+
+process.env.SOLPROOF_ENHANCED_API = 'rpc';
+const ledger = await startLedger();
+setCluster('localnet');
+fs.rmSync(FIXTURES, { recursive: true, force: true });
+startRecording(FIXTURES, { enhancedApi: 'rpc', command: 'npm run record-fixtures', source: 'synthetic ledger (test/helpers/ledger.js)' });
+
+// transactions.test.js
+await getRecentTransactions(PROGRAM, { limit: 10 });
+await getRecentTransactions(PROGRAM, { limit: 2 });
+// balanceFlows.test.js, mevDetector.test.js, washTrading.test.js
+const swaps = await getRecentTransactions(AMM, { limit: 10 });
+// lookupTables.test.js
+await analyzeLookupTables(swaps, AMM);
+await analyzeFees(PROGRAM, { limit: 10 });
+// crawler.test.js: the ledger answers the same request the same way, so each is recorded once.
+const crawlDir = fs.mkdtempSync(path.join(os.tmpdir(), 'solproof-crawler-'));
+const fetchTransaction = async signature => ({ signature });
+await crawlTransactions(FILTERED, { limit: 4, fetchTransaction });
+process.env.SOLPROOF_ENHANCED_API = 'helius';
+await crawlTransactions(FILTERED, { limit: 4, fetchTransaction });
+process.env.SOLPROOF_ENHANCED_API = 'rpc';
+await crawlTransactions(PROGRAM, { limit: 10, checkpoint: path.join(crawlDir, 'update.json'), fetchTransaction });
+await crawlTransactions(PROGRAM, { limit: 10, checkpoint: path.join(crawlDir, 'update.json'), fetchTransaction });
+fs.rmSync(crawlDir, { recursive: true, force: true });
+// quickCheck.test.js
+await quickCheck(PROGRAM);
+await quickCheck(USERS[0]);
+await quickCheck(MISSING);
+// authorityAnalyzer.test.js
+await analyzeAuthorityHolders([AUTHORITY], PROGRAM);
+await fetchProgramBinary(PROGRAM);
+// walletClustering.test.js
+await clusterWallets(WALLET_ACTIVITY);
+// fundFlowTracer.test.js
+await traceFunds(PROGRAM, { depth: 1, timeframe: 'all', prices: false });
+await traceFunds(PROGRAM, { sources: [FUNDER], depth: 3, timeframe: 'all', prices: false });
+
+// server.test.js: the server records through the same fixtures module.
+process.env.PORT = String(SERVER_PORT);
+await import('../server.js');
+const base = `http://127.0.0.1:${SERVER_PORT}`;
+const post = (path, body) => fetch(`${base}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+await fetch(`${base}/quick-check/${PROGRAM}`);
+await post(`/analyze-fees/${PROGRAM}`, { limit: 10 });
+await fetch(`${base}/disassemble/${PROGRAM}`);
+await fetch(`${base}/disassemble/${CORRUPT_PROGRAM}`);
+await post(`/export-ida/${CORRUPT_PROGRAM}`, {});
+
+stopRecording();
+await ledger.close();
+if (ledger.unhandled.length) console.warn(`Ledger could not answer: ${[...new Set(ledger.unhandled)].join(', ')}`);
+console.log(`Recorded ${fs.readdirSync(FIXTURES).length - 1} fixtures to ${FIXTURES}`);
+process.exit(0);
@@ -0,0 +1,139 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import net from 'net';
+import { fileURLToPath } from 'url';
+import { FIXTURES } from './helpers/replay.js';
+import { PROGRAM, AUTHORITY, TRANSACTIONS, CORRUPT_PROGRAM } from './helpers/ledger.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const STARTUP_TIMEOUT_MS = 20000;
+
+let server;
+let base;
+
+// Runs server.js against the recorded fixtures (SOLPROOF_REPLAY) on a free port.
+before(async () => {
+  const port = await freePort();
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: { ...process.env, SOLPROOF_REPLAY: FIXTURES, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  base = `http://127.0.0.1:${port}`;
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('server.js did not start')), STARTUP_TIMEOUT_MS);
+    server.stdout.on('data', chunk => {
+      if (chunk.toString().includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    server.once('exit', code => reject(new Error(`server.js exited with code ${code}`)));
+  });
+});
+
+after(async () => {
+  if (server.exitCode !== null) return;
+  server.kill();
+  await once(server, 'exit');
+});
+
+test('GET /quick-check reports the upgrade authority', async () => {
+  const response = await fetch(`${base}/quick-check/${PROGRAM}`);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.status, 'success');
+  const rows = Object.fromEntries(body.data.quickCheck.map(row => [row.Metric, row.Value]));
+  assert.equal(rows['Program Active'], 'Yes');
+  assert.equal(rows['Upgradeable'], 'Yes');
+  assert.equal(rows['Upgrade Authority'], `${AUTHORITY.slice(0, 8)}...`);
+  assert.equal(rows['Recent Activity'], new Date(TRANSACTIONS[4].blockTime * 1000).toISOString());
+});
+
+test('POST /analyze-fees reports fee spikes and over-requested compute', async () => {
+  const response = await fetch(`${base}/analyze-fees/${PROGRAM}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ limit: 10 }),
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  const rows = Object.fromEntries(body.data.fees.map(row => [row.Metric, row.Value]));
+  assert.equal(rows['Total Transactions'], '5');
+  assert.equal(rows['Hidden Fees Detected'], '1');
+  assert.equal(rows['Manipulation Issues'], '1');
+  assert.equal(body.data.manipulationIssues[0].Signature, `${TRANSACTIONS[4].signature.slice(0, 8)}...`);
+  assert.equal(body.data.compute.failures, 1);
+});
+
+test('GET /disassemble disassembles the ProgramData binary', async () => {
+  const response = await fetch(`${base}/disassemble/${PROGRAM}`);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.data.disassembly.instructions.length, 7);
+  assert.equal(body.data.disassembly.instructions.at(-1).mnemonic, 'exit');
+});
+
+test('rejects programs whose binary is not an ELF', async () => {
+  const disassembly = await fetch(`${base}/disassemble/${CORRUPT_PROGRAM}`);
+  assert.equal(disassembly.status, 422);
+  assert.match((await disassembly.json()).error, /holds no sBPF ELF binary/);
+
+  const ida = await fetch(`${base}/export-ida/${CORRUPT_PROGRAM}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({}),
+  });
+  assert.equal(ida.status, 422);
+  assert.match((await ida.json()).error, /holds no sBPF ELF binary/);
+});
+
+test('rejects invalid addresses and timeframes', async () => {
+  const invalid = await fetch(`${base}/quick-check/not-an-address`);
+  assert.equal(invalid.status, 400);
+  assert.match((await invalid.json()).error, /Invalid program address/);
+
+  const timeframe = await fetch(`${base}/analyze/${PROGRAM}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ timeframe: 'yesterday' }),
+  });
+  assert.equal(timeframe.status, 400);
+  assert.match((await timeframe.json()).error, /Invalid timeframe/);
+
+  const trace = await fetch(`${base}/trace-funds/${PROGRAM}?timeframe=yesterday`);
+  assert.equal(trace.status, 400);
+  assert.match((await trace.json()).error, /Invalid timeframe/);
+});
+
+test('rejects clusters that are neither public nor allowlisted', async () => {
+  for (const cluster of ['http://169.254.169.254/', 'localnet']) {
+    const response = await fetch(`${base}/quick-check/${PROGRAM}?cluster=${encodeURIComponent(cluster)}`);
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /is not allowed on this server/);
+  }
+
+  const body = await fetch(`${base}/analyze-fees/${PROGRAM}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ cluster: 'http://10.0.0.1:8899' }),
+  });
+  assert.equal(body.status, 400);
+});
+
+/**
+ * Finds a free local port.
+ * @returns {Promise<number>} - Port.
+ */
+async function freePort() {
+  const probe = net.createServer().listen(0, '127.0.0.1');
+  await once(probe, 'listening');
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+}
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readElfFixture } from './helpers/elf.js';
+import { disassemble } from '../src/lib/disassembler.js';
+import { murmur3_32, syscallHash, resolveSyscall, collectSyscalls, hasSyscall } from '../src/lib/syscalls.js';
+
+test('murmur3_32 matches the reference vectors for every tail length', () => {
+  assert.equal(murmur3_32(Buffer.alloc(0)), 0);
+  assert.equal(murmur3_32(Buffer.from('hello')), 0x248bfa47);
+  assert.equal(murmur3_32(Buffer.from('Hello, world!')), 0xc0363e43);
+  assert.equal(murmur3_32(Buffer.from('The quick brown fox jumps over the lazy dog')), 0x2e4ff723);
+});
+
+test('syscallHash reproduces the hashes the sBPF loader registers', () => {
+  assert.equal(syscallHash('abort'), 0xb6fc1a11);
+  assert.equal(syscallHash('sol_panic_'), 0x686093bb);
+  assert.equal(syscallHash('sol_log_'), 0x207559bd);
+  assert.equal(syscallHash('sol_log_64_'), 0x5c2a3178);
+  assert.equal(syscallHash('sol_memcpy_'), 0x717cc4a3);
+  assert.equal(syscallHash('sol_invoke_signed_c'), 0xa22b9c85);
+  assert.equal(syscallHash('sol_invoke_signed_rust'), 0xd7449092);
+});
+
+test('resolveSyscall accepts signed call immediates and ignores unknown hashes', () => {
+  assert.equal(resolveSyscall(0xd7449092), 'sol_invoke_signed_rust');
+  assert.equal(resolveSyscall(0xd7449092 | 0), 'sol_invoke_signed_rust');
+  assert.equal(resolveSyscall(0x0badf00d), null);
+});
+
+test('collectSyscalls counts relocated and hashed call sites by name', () => {
+  const syscalls = collectSyscalls(disassemble(readElfFixture('anchor-v1.so')));
+
+  assert.deepEqual(syscalls, [
+    { name: 'sol_log_', hash: 0x207559bd, count: 1, offsets: [0x1d0] },
+    { name: 'sol_log_compute_units_', hash: 0x52ba5096, count: 1, offsets: [0x218] },
+  ]);
+  assert.equal(hasSyscall(syscalls, 'sol_invoke_signed_c', 'sol_log_'), true);
+  assert.equal(hasSyscall(syscalls, 'sol_invoke_signed_c', 'sol_invoke_signed_rust'), false);
+  assert.equal(hasSyscall(undefined, 'sol_log_'), false);
+});
@@ -0,0 +1,64 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXTURES } from './helpers/replay.js';
+import { PROGRAM, TRANSACTIONS, USERS, VAULT } from './helpers/ledger.js';
+import { replayFixtures } from '../src/lib/fixtures.js';
+import { getRecentTransactions, analyzeFees } from '../src/lib/transactions.js';
+
+let standIn;
+before(async () => {
+  standIn = await replayFixtures(FIXTURES);
+});
+after(async () => {
+  assert.deepEqual(standIn.misses, []);
+  await standIn.close();
+});
+
+test('getRecentTransactions crawls the whole history when the limit is not reached', async () => {
+  const { transactions, window, economicInsights } = await getRecentTransactions(PROGRAM, { limit: 10 });
+
+  assert.deepEqual(transactions.map(tx => tx.signature), TRANSACTIONS.map(tx => tx.signature).reverse());
+  assert.equal(window.timeframe, 'all');
+  assert.equal(window.stoppedBy, 'history');
+  assert.equal(window.complete, true);
+  assert.equal(window.transactionCount, 5);
+  assert.equal(window.fromSlot, TRANSACTIONS[0].slot);
+  assert.equal(window.toSlot, TRANSACTIONS[4].slot);
+  assert.equal(economicInsights.transactionCount, 5);
+  assert.equal(economicInsights.transactionTypes.swaps.count, 5);
+});
+
+test('getRecentTransactions computes volumes and top accounts from balance deltas', async () => {
+  const { transactions, economicInsights } = await getRecentTransactions(PROGRAM, { limit: 10 });
+  const failed = transactions.find(tx => tx.signature === TRANSACTIONS[3].signature);
+  const firstDeposit = transactions.find(tx => tx.signature === TRANSACTIONS[0].signature);
+
+  assert.equal(failed.meta.volumeSOL, 0);
+  assert.equal(firstDeposit.meta.fee, 0.000009);
+  assert.ok(Math.abs(firstDeposit.meta.volumeSOL - 1.5) < 1e-9);
+  // 1.5 + 0.8 + 0.25 SOL deposited into the vault, 0.5 SOL withdrawn by the first user.
+  assert.ok(Math.abs(economicInsights.totalVolumeSOL - 3.05) < 1e-9);
+  assert.equal(economicInsights.topAccounts[0].address, VAULT);
+  assert.equal(economicInsights.topAccounts[0].action, 'inflow');
+  assert.ok(economicInsights.topAccounts.some(account => account.address === USERS[1] && account.action === 'outflow'));
+});
+
+test('getRecentTransactions stops at the limit and reports the window as partial', async () => {
+  const { transactions, window } = await getRecentTransactions(PROGRAM, { limit: 2 });
+
+  assert.deepEqual(transactions.map(tx => tx.signature), [TRANSACTIONS[4].signature, TRANSACTIONS[3].signature]);
+  assert.equal(window.stoppedBy, 'limit');
+  assert.equal(window.complete, false);
+});
+
+test('analyzeFees flags the fee spike and the over-requested compute limit', async () => {
+  const fees = await analyzeFees(PROGRAM, { limit: 10 });
+
+  assert.equal(fees.totalTransactions, 5);
+  assert.ok(Math.abs(fees.averageFeeSOL - 0.0000226) < 1e-12);
+  assert.deepEqual(fees.manipulation.map(issue => issue.signature), [TRANSACTIONS[4].signature]);
+  assert.equal(fees.hiddenFees.length, 1);
+  assert.equal(fees.hiddenFees[0].issue, 'Over-requested CU limit');
+  assert.equal(fees.compute.failures, 1);
+  assert.equal(fees.compute.budget.limitSet, 3);
+});
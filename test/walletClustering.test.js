@@ -0,0 +1,47 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXTURES } from './helpers/replay.js';
+import { USERS, FUNDER, FUNDED, BURST, WALLET_ACTIVITY } from './helpers/ledger.js';
+import { replayFixtures } from '../src/lib/fixtures.js';
+import { clusterWallets } from '../src/lib/walletClustering.js';
+
+let standIn;
+before(async () => {
+  standIn = await replayFixtures(FIXTURES);
+});
+after(async () => {
+  assert.deepEqual(standIn.misses, []);
+  await standIn.close();
+});
+
+test('clusterWallets links co-signers and the wallets whose fees another pays', async () => {
+  const result = await clusterWallets(WALLET_ACTIVITY, { funders: false });
+
+  assert.equal(result.walletCount, 9);
+  assert.equal(result.clusterCount, 1);
+  assert.equal(result.entityCount, 7);
+  assert.deepEqual(new Set(result.clusters[0].wallets), new Set(USERS));
+  assert.deepEqual(result.clusters[0].signals, { sharedFeePayer: 2, coSigning: 1 });
+  assert.deepEqual(result.clusters[0].feePayers, [USERS[0]]);
+  // Independent links combine: 1 - (1 - 0.8) * (1 - 0.9).
+  assert.equal(result.clusters[0].confidence, 98);
+  assert.equal(result.largestClusterShare, 3 / 9);
+  assert.equal(result.fundersResolved, 0);
+});
+
+test('clusterWallets links wallets with a common funder and wallets created in a burst', async () => {
+  const result = await clusterWallets(WALLET_ACTIVITY);
+
+  assert.equal(result.fundersResolved, 5);
+  assert.equal(result.clusterCount, 3);
+  assert.equal(result.entityCount, 4);
+  const [cosigners, burst, funded] = result.clusters;
+  assert.deepEqual(new Set(cosigners.wallets), new Set(USERS));
+  assert.deepEqual(new Set(burst.wallets), new Set(BURST));
+  assert.deepEqual(burst.signals, { creationBurst: 2 });
+  assert.equal(burst.confidence, 40);
+  assert.deepEqual(new Set(funded.wallets), new Set(FUNDED));
+  assert.deepEqual(funded.signals, { commonFunder: 1 });
+  assert.deepEqual(funded.funders, [FUNDER]);
+  assert.equal(funded.confidence, 70);
+});
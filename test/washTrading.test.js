@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIXTURES } from './helpers/replay.js';
+import { AMM, POOL, MEME, SEARCHER, RING, SWAPS } from './helpers/ledger.js';
+import { replayFixtures } from '../src/lib/fixtures.js';
+import { getRecentTransactions } from '../src/lib/transactions.js';
+import { detectWashTrading, emptyWashTrading } from '../src/lib/washTrading.js';
+
+let standIn;
+let transactionData;
+before(async () => {
+  standIn = await replayFixtures(FIXTURES);
+  transactionData = await getRecentTransactions(AMM, { limit: 10 });
+});
+after(async () => {
+  assert.deepEqual(standIn.misses, []);
+  await standIn.close();
+});
+
+const [frontRun, victim, backRun, ...ring] = SWAPS.map(swap => swap.signature);
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('detectWashTrading flags MEME passed around a circle of wallets as a round trip', () => {
+  const result = detectWashTrading(transactionData);
+  const circle = result.cycles.find(cycle => cycle.mint === MEME && cycle.wallets.length === 3);
+
+  assert.equal(circle.type, 'round-trip');
+  assert.deepEqual(circle.wallets, RING);
+  assert.equal(circle.amount, 500);
+  assert.deepEqual(circle.signatures, ring);
+  close(circle.volumeSOL, 1.5);
+  assert.equal(circle.durationSeconds, 120);
+});
+
+test('detectWashTrading counts only unflagged transactions as organic volume', () => {
+  const result = detectWashTrading(transactionData);
+
+  // The sandwich also returns both legs to the searcher within the window. Its transfers share a
+  // block time, so each cycle is reported once whichever end it is found from.
+  const sandwich = result.cycles.filter(cycle => cycle.wallets.includes(SEARCHER));
+  assert.deepEqual(sandwich.map(cycle => [cycle.type, cycle.mint, [...cycle.signatures].sort()]).sort(), [
+    ['round-trip', 'SOL', [frontRun, backRun].sort()],
+    ['round-trip', MEME, [frontRun, backRun].sort()],
+  ].sort());
+  assert.ok(sandwich.every(cycle => cycle.wallets.includes(POOL)));
+
+  assert.equal(result.flaggedTransactions, 5);
+  close(result.totalVolumeSOL, 5.601);
+  close(result.washVolumeSOL, 3.601);
+  // Only the victim's swap is left.
+  close(result.organicVolumeSOL, 2);
+  assert.equal(result.cycles.some(cycle => cycle.signatures.includes(victim)), false);
+  assert.equal(result.pairConcentration.concentrated, false);
+});
+
+test('detectWashTrading treats the wallets of one cluster as one entity', () => {
+  const walletClusters = { clusters: [{ id: 1, wallets: [RING[0], RING[1]] }] };
+  const result = detectWashTrading(transactionData, { walletClusters });
+  const ofType = type => result.cycles.filter(cycle => cycle.type === type);
+
+  // Both legs of the first trade stay inside the cluster.
+  assert.deepEqual(ofType('self-trade').map(cycle => [cycle.mint, cycle.signatures]).sort(), [[MEME, [ring[0]]], ['SOL', [ring[0]]]].sort());
+  // RING[0] sells to RING[1], which sells the same amount on a minute later, and RING[0] buys it back.
+  assert.deepEqual(ofType('cluster-cycle').map(cycle => [cycle.wallets, cycle.signatures, cycle.durationSeconds]), [
+    [[RING[1], RING[0]], [ring[1], ring[2]], 60],
+    [[RING[0], RING[1]], [ring[0]], 0],
+  ]);
+  assert.equal(ofType('round-trip').length, 3);
+});
+
+test('detectWashTrading closes a cycle only within the window', () => {
+  assert.equal(detectWashTrading(transactionData, { window: 60 }).cycles.some(cycle => cycle.wallets.length === 3), false);
+  assert.deepEqual(detectWashTrading({ transactions: [] }), emptyWashTrading());
+});